@@ -33,7 +33,11 @@ import { ScannerTab } from './src/components/ScannerTab';
 import { CultureTab } from './src/components/CultureTab';
 import { CollectionTab } from './src/components/CollectionTab';
 import { SkyMapTab } from './src/components/SkyMapTab';
+import { TonightTab } from './src/components/TonightTab';
 import { supabase } from './src/config/supabase';
+import { PhotoUploadQueue } from './src/services/PhotoUploadQueue';
+import { SkyCulturePackageService } from './src/services/SkyCulturePackageService';
+import { StorySubmissionService } from './src/services/StorySubmissionService';
 import { ProfileTab } from './src/components/ProfileTab';
 import { Ionicons } from '@expo/vector-icons';
 
@@ -53,6 +57,8 @@ function AppContent() {
   const [showPhotoGallery, setShowPhotoGallery] = useState(false);
   const [selectedConstellationForPhoto, setSelectedConstellationForPhoto] = useState(null);
   const [activeTab, setActiveTab] = useState('culture');
+  // Passed to the tab opened from another tab, e.g. the story to show when the planner links to Culture
+  const [tabParams, setTabParams] = useState(null);
 
   // Animation refs
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -65,6 +71,23 @@ function AppContent() {
     checkLocationPermission();
   }, []);
 
+  // Bring back the Stellarium sky cultures imported in earlier sessions
+  useEffect(() => {
+    SkyCulturePackageService.restoreImported();
+  }, []);
+
+  // Serve the approved community stories, again after sign-in or sign-out
+  useEffect(() => {
+    StorySubmissionService.loadApprovedStories();
+  }, [user]);
+
+  // Drain the offline photo upload queue while signed in
+  useEffect(() => {
+    if (!user) return undefined;
+    PhotoUploadQueue.start();
+    return () => PhotoUploadQueue.stop();
+  }, [user]);
+
   useEffect(() => {
     if (locationPermission === 'granted') {
       setCurrentScreen('welcome');
@@ -161,15 +184,23 @@ function AppContent() {
     { id: 'collection', label: 'Collection', icon: 'star-outline', component: CollectionTab },
     { id: 'scanner', label: 'Scanner', icon: 'sparkles', component: ScannerTab },
     { id: 'map', label: 'Sky Map', icon: 'map-outline', component: SkyMapTab },
+    { id: 'tonight', label: 'Tonight', icon: 'moon-outline', component: TonightTab },
     { id: 'profile', label: 'Profile', icon: 'person-outline', component: ProfileTab },
   ];
 
   // Get active component
   const ActiveComponent = tabs.find((tab) => tab.id === activeTab)?.component || ScannerTab;
 
+  const navigateToTab = (tabId, params = null) => {
+    setTabParams(params);
+    setActiveTab(tabId);
+    // Show AR view only when scanner tab is active
+    setCurrentScreen(tabId === 'scanner' ? 'starMap' : 'tabs');
+  };
+
   // Render tab content based on active tab
   const renderTabContent = () => {
-    return <ActiveComponent location={location} />;
+    return <ActiveComponent location={location} params={tabParams} onNavigate={navigateToTab} />;
   };
 
   // Simple SVG renderer for constellation artwork
@@ -342,15 +373,7 @@ function AppContent() {
             return (
               <TouchableOpacity
                 key={tab.id}
-                onPress={() => {
-                  setActiveTab(tab.id);
-                  // Show AR view only when scanner tab is active
-                  if (tab.id === 'scanner') {
-                    setCurrentScreen('starMap');
-                  } else {
-                    setCurrentScreen('tabs');
-                  }
-                }}
+                onPress={() => navigateToTab(tab.id)}
                 style={[
                   styles.tabButton,
                   isActive && styles.activeTabButton,
@@ -662,10 +685,10 @@ const styles = StyleSheet.create({
   tabButton: {
     alignItems: 'center',
     justifyContent: 'center',
-    paddingHorizontal: 10,
+    paddingHorizontal: 6,
     paddingVertical: 8,
     borderRadius: 10,
-    minWidth: 60,
+    minWidth: 52,
   },
   activeTabButton: {
     backgroundColor: 'rgba(74, 92, 71, 0.1)',
@@ -1,14 +1,16 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useMemo, useState, useRef } from 'react';
 import { View, TouchableOpacity, StyleSheet, Dimensions, Text, Modal, Alert } from 'react-native';
 import { CameraView } from 'expo-camera';
 import { StargazerView } from '../core/components/StargazerView';
-import { getObserverData, ObserverData } from '../core/utils/observer';
+import { createObserverData, getObserverData, ObserverLocation } from '../core/utils/observer';
 import { debugLog } from '../config/debug';
 import { Ionicons } from '@expo/vector-icons';
 import theme from '../styles/theme';
 import { detectConstellation, getConstellationDisplayName, hasCulturalStories } from '../core/utils/constellationDetection';
 import { CulturalInfoOverlay } from '../core/components/CulturalInfoOverlay';
 import { Quaternion } from 'three';
+import { useSimulatedTime } from '../hooks/useSimulatedTime';
+import { TimeControls } from './TimeControls';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
@@ -17,8 +19,10 @@ interface ARCoreViewProps {
 }
 
 export default function ARCoreView({ onPhotoCapture }: ARCoreViewProps) {
-  const [observer, setObserver] = useState<ObserverData | null>(null);
+  const [location, setLocation] = useState<ObserverLocation | null>(null);
   const [cameraEnabled, setCameraEnabled] = useState(false);
+  const [showTimeControls, setShowTimeControls] = useState(false);
+  const timeControl = useSimulatedTime();
   const cameraRef = useRef<CameraView>(null);
   
   // Constellation detection state
@@ -30,8 +34,14 @@ export default function ARCoreView({ onPhotoCapture }: ARCoreViewProps) {
   console.log('🔄 ARCoreView initialized with onPhotoCapture:', typeof onPhotoCapture, !!onPhotoCapture);
   
   useEffect(() => { 
-    getObserverData().then(setObserver); 
+    getObserverData().then(data => setLocation(data ? data.location : null)); 
   }, []);
+
+  // The 3D sky follows the time travel clock like the AR overlay and sky map
+  const observer = useMemo(
+    () => (location ? createObserverData(location, timeControl.time) : null),
+    [location, timeControl.time]
+  );
   
   // Constellation detection function
   const detectCurrentConstellation = () => {
@@ -39,8 +49,8 @@ export default function ARCoreView({ onPhotoCapture }: ARCoreViewProps) {
     
     // For now, we'll use a simple approach - detect based on time and location
     // In a real implementation, you'd use the device's gyroscope/accelerometer data
-    const currentHour = new Date().getHours();
-    const currentMonth = new Date().getMonth();
+    const currentHour = timeControl.time.getHours();
+    const currentMonth = timeControl.time.getMonth();
     
     // Simple constellation detection based on time of year and hour
     let constellationName = '';
@@ -192,6 +202,20 @@ export default function ARCoreView({ onPhotoCapture }: ARCoreViewProps) {
         </Text>
       </TouchableOpacity>
       
+      {/* Time travel controls */}
+      <TouchableOpacity
+        style={styles.timeToggleButton}
+        onPress={() => setShowTimeControls(!showTimeControls)}
+      >
+        <Ionicons name="time-outline" size={24} color={theme.colors.primary} />
+        <Text style={styles.cameraToggleText}>
+          {showTimeControls ? 'Hide Time' : timeControl.isLive ? 'Time' : 'Simulated'}
+        </Text>
+      </TouchableOpacity>
+      {showTimeControls && (
+        <TimeControls timeControl={timeControl} style={styles.timeControls} />
+      )}
+      
       {/* Camera Capture Button - Only when camera is on */}
       {cameraEnabled && (
         <TouchableOpacity 
@@ -271,6 +295,28 @@ const styles = StyleSheet.create({
     borderColor: theme.colors.cardBorder,
     ...theme.shadows.medium,
   },
+  timeToggleButton: {
+    position: 'absolute',
+    top: 50,
+    left: 20,
+    backgroundColor: theme.colors.overlayDark,
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.lg,
+    flexDirection: 'row',
+    alignItems: 'center',
+    zIndex: 1001,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    ...theme.shadows.medium,
+  },
+  timeControls: {
+    position: 'absolute',
+    bottom: 180,
+    left: 20,
+    right: 20,
+    zIndex: 1002,
+  },
   cameraToggleText: {
     color: theme.colors.primary,
     fontSize: theme.typography.caption,
@@ -1,11 +1,59 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { View, Text, StyleSheet, Dimensions, TouchableOpacity, Alert } from 'react-native';
 import { Camera, CameraView } from 'expo-camera';
-import Svg, { Line, Circle, Text as SvgText } from 'react-native-svg';
+import Svg, { Line, Circle, G, Text as SvgText, TSpan } from 'react-native-svg';
 import { useCompass } from '../hooks/useCompass';
 import { AstronomyCalculator } from '../utils/astronomy';
+import { TWILIGHT_PHASES, TWILIGHT_PHASE_LABELS } from '../utils/twilight';
+import { SolarSystemCalculator } from '../utils/solarSystem';
+import { SatelliteCalculator } from '../utils/satellites';
+import { SatelliteTleService } from '../services/SatelliteTleService';
+import { SatellitePassesPanel } from './SatellitePassesPanel';
+import { MeteorShowerCalculator } from '../utils/meteorShowers';
+import { MeteorShowerPanel } from './MeteorShowerPanel';
+import { useSimulatedTime } from '../hooks/useSimulatedTime';
+import { TimeControls } from './TimeControls';
+import { CompassCalibrationWizard } from './CompassCalibrationWizard';
+import { getBrightestStars } from '../core/data/starCatalog';
+import { getCameraIntrinsics } from '../core/utils/projection';
+import { filterDeepSkyObjects } from '../core/utils/deepSkyFilter';
+import { DeepSkySymbol } from '../core/components/DeepSkySymbol';
+import { DeepSkyInfoOverlay } from '../core/components/DeepSkyInfoOverlay';
+import { DeepSkyFilterPanel, useDeepSkyFilter } from '../core/components/DeepSkyFilterPanel';
+import { TargetGuidanceOverlay } from '../core/components/TargetGuidanceOverlay';
+import { useSkyCulture } from '../core/components/CulturalInfoOverlay';
+import { useSkyEpoch } from '../core/components/SkyEpochPanel';
+import { getEpochDate, formatSkyEpoch } from '../core/utils/skyEpoch';
+import { STANDARD_ATMOSPHERE } from '../core/utils/apparentPlace';
+import {
+  solveAlignment,
+  getSessionAlignment,
+  setSessionAlignment,
+  subscribeToAlignment,
+} from '../core/utils/starAlignment';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
+// Back-camera preview fills the window, so stars are projected through its pinhole model
+const cameraIntrinsics = getCameraIntrinsics(screenWidth, screenHeight);
+// Screen scale at the centre of the view, for drawing deep-sky objects at their angular size
+const pixelsPerDegree = cameraIntrinsics.focalLength * Math.PI / 180;
+
+// Named bright stars (including Polaris) the user can centre for star alignment
+const ALIGNMENT_STARS = getBrightestStars(60).filter(star => star.name);
+const MIN_ALIGNMENT_ALTITUDE = 10;
+const ALIGNMENT_RETICLE_RADIUS = 24;
+
+// Satellites cross the sky in minutes, so their positions update faster than the star clock
+const SATELLITE_TICK_MS = 1000;
+// Drawn path either side of the satellite's current position
+const SATELLITE_TRACK_MINUTES = 3;
+const SATELLITE_TRACK_STEP_SECONDS = 15;
+const SATELLITE_COLOR = '#00E5FF';
+
+// Active shower radiants: a starburst whose rays point the way the meteors travel
+const METEOR_RADIANT_COLOR = '#FF8A65';
+const METEOR_RADIANT_RAYS = 8;
+const METEOR_RADIANT_RADIUS = 18;
 
 export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay = true }) => {
   const { 
@@ -16,13 +64,42 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
     isPointingSkyward, 
     deviceOrientation, 
     orientationPermission,
-    requestOrientationPermission 
+    requestOrientationPermission,
+    magnetometerCalibration,
   } = useCompass(location);
   const [starPositions, setStarPositions] = useState([]);
+  const [solarSystemBodies, setSolarSystemBodies] = useState([]);
+  const [deepSkyPositions, setDeepSkyPositions] = useState([]);
+  const [selectedDeepSkyId, setSelectedDeepSkyId] = useState(null);
+  const [showDeepSkyFilter, setShowDeepSkyFilter] = useState(false);
+  const [satelliteCatalog, setSatelliteCatalog] = useState(null);
+  const [satelliteClock, setSatelliteClock] = useState(() => new Date());
+  const [satellitesUp, setSatellitesUp] = useState([]);
+  const [staleSatelliteCount, setStaleSatelliteCount] = useState(0);
+  const [showSatellitePasses, setShowSatellitePasses] = useState(false);
+  const [activeShowers, setActiveShowers] = useState([]);
+  const [showMeteorShowers, setShowMeteorShowers] = useState(false);
   const [visibleStars, setVisibleStars] = useState([]);
   const [hasPermission, setHasPermission] = useState(null);
-  const [isDayTime, setIsDayTime] = useState(false);
+  const [twilight, setTwilight] = useState(null);
   const [showPermissionPrompt, setShowPermissionPrompt] = useState(false);
+  const [showTimeControls, setShowTimeControls] = useState(false);
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [alignment, setAlignment] = useState(getSessionAlignment());
+  const [isAligning, setIsAligning] = useState(false);
+  const [alignmentObservations, setAlignmentObservations] = useState([]);
+  const [alignmentTargetName, setAlignmentTargetName] = useState(null);
+  const timeControl = useSimulatedTime();
+  const { time } = timeControl;
+  const deepSkyFilter = useDeepSkyFilter();
+  const skyCulture = useSkyCulture();
+  const skyEpoch = useSkyEpoch();
+  // The sky is drawn for the simulated time, moved into the historical sky's year when one is set
+  const skyTime = useMemo(() => getEpochDate(time, skyEpoch), [time, skyEpoch]);
+
+  const isDayTime = twilight?.phase === TWILIGHT_PHASES.DAY;
+  // Civil and nautical twilight: the sky is bright enough to wash out faint stars
+  const isBrightTwilight = twilight?.phase === TWILIGHT_PHASES.CIVIL || twilight?.phase === TWILIGHT_PHASES.NAUTICAL;
 
   useEffect(() => {
     if (cameraMode) {
@@ -32,21 +109,17 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
 
   useEffect(() => {
     if (location) {
-      const positions = AstronomyCalculator.calculateStarPositions(location);
+      const positions = AstronomyCalculator.calculateStarPositions(location, skyTime, STANDARD_ATMOSPHERE, skyCulture.figures);
       setStarPositions(positions);
+      setSolarSystemBodies(AstronomyCalculator.calculateSolarSystemPositions(location, skyTime));
+      setDeepSkyPositions(AstronomyCalculator.calculateDeepSkyPositions(location, skyTime));
+      // Shower radiants and rates are modern observations; a historical sky leaves them out
+      setActiveShowers(skyEpoch === null ? MeteorShowerCalculator.getActiveShowers(location, skyTime) : []);
 
-      // Check if it's daytime using accurate astronomical calculation
-      const isCurrentlyDay = AstronomyCalculator.isDayTime(
-        location.coords.latitude, 
-        location.coords.longitude
-      );
-      setIsDayTime(isCurrentlyDay);
-      
-      // Get current season
-      const currentSeason = AstronomyCalculator.getCurrentSeason();
-      console.log('Current season:', currentSeason);
+      // Twilight phase decides between the daytime overlay and the night sky
+      setTwilight(AstronomyCalculator.calculateTwilight(location.coords.latitude, location.coords.longitude, skyTime));
     }
-  }, [location]);
+  }, [location, skyTime, skyEpoch, skyCulture]);
 
   useEffect(() => {
     // Check if we need to request orientation permission
@@ -75,7 +148,9 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
       // Use compass heading if available, otherwise use 0 (North)
       const currentHeading = isSupported ? heading : 0;
       // Use enhanced visibility calculation with pitch and roll
-      const visible = AstronomyCalculator.getVisibleStars(starPositions, currentHeading, pitch, roll, 60); // Match the field of view
+      const visible = AstronomyCalculator.getVisibleStars(
+        starPositions, currentHeading, pitch, roll, screenWidth, screenHeight, cameraIntrinsics
+      );
       setVisibleStars(visible);
       
       // Debug logging with star altitude information
@@ -98,7 +173,135 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
         });
       }
     }
-  }, [heading, starPositions, isSupported, pitch, roll]);
+  }, [heading, starPositions, isSupported, pitch, roll, alignment]);
+
+  useEffect(() => subscribeToAlignment(setAlignment), []);
+
+  useEffect(() => SatelliteTleService.subscribe(setSatelliteCatalog), []);
+
+  // Live: tick every second. Simulated: follow the simulated clock.
+  useEffect(() => {
+    if (!timeControl.isLive) {
+      setSatelliteClock(time);
+      return undefined;
+    }
+    const timer = setInterval(() => setSatelliteClock(new Date()), SATELLITE_TICK_MS);
+    return () => clearInterval(timer);
+  }, [timeControl.isLive, time]);
+
+  // Satellites above the horizon, with the stretch of track around their current position. Tracks
+  // from stale element sets would be drawn in the wrong place, so those satellites are left out.
+  useEffect(() => {
+    if (!location || !satelliteCatalog) return;
+    if (skyEpoch !== null) {
+      setSatellitesUp([]);
+      setStaleSatelliteCount(0);
+      return;
+    }
+
+    const current = satelliteCatalog.satellites.filter(satellite => !SatelliteCalculator.isStale(satellite, satelliteClock));
+    setStaleSatelliteCount(satelliteCatalog.satellites.length - current.length);
+
+    const up = current
+      .map(satellite => ({ satellite, position: SatelliteCalculator.getPosition(satellite, location, satelliteClock) }))
+      .filter(({ position }) => position && position.altitude > 0)
+      .map(({ satellite, position }) => ({
+        satellite,
+        position,
+        visible: SatelliteCalculator.isVisible(position, location, satelliteClock),
+        track: SatelliteCalculator.getTrack(
+          satellite, location, satelliteClock, SATELLITE_TRACK_MINUTES, SATELLITE_TRACK_STEP_SECONDS
+        ),
+      }));
+    setSatellitesUp(up);
+  }, [location, satelliteCatalog, satelliteClock, skyEpoch]);
+
+  // Alignment candidates above the horizon at the real current time (the camera shows the real sky),
+  // nearest to where the device points first
+  const getAlignmentCandidates = (observations = alignmentObservations) => {
+    if (!location) return [];
+
+    const now = new Date();
+    const alreadyUsed = observations.map(observation => observation.starName);
+    const currentHeading = isSupported ? heading : 0;
+
+    return ALIGNMENT_STARS
+      .filter(star => !alreadyUsed.includes(star.name))
+      .map(star => ({
+        ...star,
+        position: AstronomyCalculator.getApparentPosition(star, location, now),
+      }))
+      .filter(star => star.position.altitude > MIN_ALIGNMENT_ALTITUDE)
+      .map(star => {
+        let azimuthDifference = Math.abs(star.position.azimuth - currentHeading) % 360;
+        if (azimuthDifference > 180) azimuthDifference = 360 - azimuthDifference;
+        return { ...star, distance: azimuthDifference + Math.abs(star.position.altitude + pitch) };
+      })
+      .sort((a, b) => a.distance - b.distance);
+  };
+
+  // Looked up by ID so the details follow the object's position as time moves on
+  const selectedDeepSky = deepSkyPositions.find(object => object.id === selectedDeepSkyId) || null;
+
+  const alignmentCandidates = isAligning ? getAlignmentCandidates() : [];
+  const alignmentTarget = alignmentCandidates.find(star => star.name === alignmentTargetName) || null;
+
+  // Lock onto the nearest candidate so the target does not jump as the device moves
+  const chooseNearestTarget = (observations) => {
+    setAlignmentTargetName(getAlignmentCandidates(observations)[0]?.name || null);
+  };
+
+  const chooseNextTarget = () => {
+    if (alignmentCandidates.length === 0) return;
+    const index = alignmentCandidates.findIndex(star => star.name === alignmentTargetName);
+    setAlignmentTargetName(alignmentCandidates[(index + 1) % alignmentCandidates.length].name);
+  };
+
+  const startAlignment = () => {
+    setAlignmentObservations([]);
+    chooseNearestTarget([]);
+    setShowTimeControls(false);
+    setIsAligning(true);
+  };
+
+  // Record the raw sensor direction while the target star sits in the reticle
+  const confirmAlignmentStar = () => {
+    if (!alignmentTarget) return;
+
+    const observations = [
+      ...alignmentObservations,
+      {
+        starName: alignmentTarget.name,
+        predicted: alignmentTarget.position,
+        observed: { azimuth: isSupported ? heading : 0, altitude: -pitch },
+      },
+    ];
+    const offsets = solveAlignment(observations);
+    setSessionAlignment(offsets);
+
+    if (observations.length >= 2) {
+      setIsAligning(false);
+      setAlignmentObservations([]);
+      Alert.alert(
+        'Aligned',
+        `Heading ${offsets.azimuth.toFixed(1)}°, tilt ${offsets.altitude.toFixed(1)}°, roll ${offsets.roll.toFixed(1)}°` +
+        (offsets.starNames.length < 2 ? '\nThe stars were too close together to correct roll.' : '')
+      );
+    } else {
+      setAlignmentObservations(observations);
+      chooseNearestTarget(observations);
+    }
+  };
+
+  const finishAlignment = () => {
+    setIsAligning(false);
+    setAlignmentObservations([]);
+  };
+
+  const resetAlignment = () => {
+    setSessionAlignment(null);
+    finishAlignment();
+  };
 
   const requestCameraPermission = async () => {
     try {
@@ -110,12 +313,11 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
     }
   };
 
-  // Convert azimuth/altitude to screen coordinates using roll-based positioning
+  // Convert azimuth/altitude to screen coordinates through the camera projection
   const getScreenPosition = (azimuth, altitude) => {
     // Use compass heading if available, otherwise use 0 (North)
     const currentHeading = isSupported ? heading : 0;
 
-    // Use the new astronomy calculator method with roll compensation
     const result = AstronomyCalculator.horizontalToScreen(
       azimuth, 
       altitude, 
@@ -124,7 +326,7 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
       roll, 
       screenWidth, 
       screenHeight,
-      60 // Field of view in degrees
+      cameraIntrinsics
     );
     
     // Debug logging for first few calls - increased frequency for debugging
@@ -159,6 +361,8 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
     if (isDayTime && showDaytimeOverlay) {
       // During daytime, brighter stars are more visible
       opacity = Math.max(0.3, 0.9 - (magnitude - 1) * 0.1);
+    } else if (isBrightTwilight && showDaytimeOverlay) {
+      opacity = Math.max(0.5, 0.9 - (magnitude - 2) * 0.1);
     }
     
     return { size, opacity };
@@ -171,6 +375,20 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
     return 0.6;
   };
 
+  const getModeLabel = () => {
+    if (!twilight || twilight.phase === TWILIGHT_PHASES.NIGHT) return '🌙 Night Mode';
+    if (isDayTime) return '☀️ Day Mode';
+    return `🌆 ${TWILIGHT_PHASE_LABELS[twilight.phase]}`;
+  };
+
+  const getDarknessText = () => {
+    if (!twilight) return null;
+    if (twilight.polarDay) return 'Polar day: the Sun stays up';
+    if (twilight.polarNight) return 'Polar night: the Sun stays down';
+    if (!twilight.astronomicalDusk) return 'No full darkness tonight';
+    return `Dark from ${twilight.astronomicalDusk.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  };
+
   const renderStarsAndLabels = () => {
     // Show permission prompt if needed
     if (showPermissionPrompt) {
@@ -299,11 +517,11 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
           x={screenWidth / 2}
           y={95}
           textAnchor="middle"
-          fill={isDayTime ? "#FFA500" : "#FFD700"}
+          fill={isDayTime || isBrightTwilight ? "#FFA500" : "#FFD700"}
           fontSize="14"
           fontWeight="bold"
         >
-          {isDayTime ? '☀️ Day Mode' : '🌙 Night Mode'}
+          {getModeLabel()}
         </SvgText>
 
         {/* Star positions and connections */}
@@ -376,6 +594,154 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
           </View>
         ))}
 
+        {/* Galaxies, clusters and nebulae */}
+        {filterDeepSkyObjects(deepSkyPositions, deepSkyFilter).map((object) => {
+          if (!object.visible) return null;
+
+          const pos = getScreenPosition(
+            object.horizontalPosition.azimuth,
+            object.horizontalPosition.altitude
+          );
+
+          // Skip objects that are off-screen
+          if (pos.x < 0 || pos.x > screenWidth || pos.y < 0 || pos.y > screenHeight) {
+            return null;
+          }
+
+          return (
+            <DeepSkySymbol
+              key={`dso-${object.id}`}
+              object={object}
+              x={pos.x}
+              y={pos.y}
+              pixelsPerDegree={pixelsPerDegree}
+              opacity={isDayTime ? 0.5 : 0.9}
+              onPress={() => setSelectedDeepSkyId(object.id)}
+            />
+          );
+        })}
+
+        {/* Satellite tracks: solid where sunlit, dashed in Earth's shadow */}
+        {satellitesUp.map(({ satellite, position, visible, track }) => {
+          const points = track.map(point => ({
+            ...point,
+            screen: getScreenPosition(point.azimuth, point.altitude),
+          }));
+          const pos = getScreenPosition(position.azimuth, position.altitude);
+          const isOnScreen = pos.x >= 0 && pos.x <= screenWidth && pos.y >= 0 && pos.y <= screenHeight;
+
+          return (
+            <G key={`satellite-${satellite.noradId}`}>
+              {points.slice(1).map((point, index) => {
+                const previous = points[index];
+                if (previous.screen.x < 0 || point.screen.x < 0) return null; // Off screen or below the horizon
+                return (
+                  <Line
+                    key={`satellite-${satellite.noradId}-track-${index}`}
+                    x1={previous.screen.x}
+                    y1={previous.screen.y}
+                    x2={point.screen.x}
+                    y2={point.screen.y}
+                    stroke={SATELLITE_COLOR}
+                    strokeWidth="1.5"
+                    strokeDasharray={point.sunlit ? undefined : '4,4'}
+                    opacity={0.6}
+                  />
+                );
+              })}
+              {isOnScreen && (
+                <>
+                  <Circle cx={pos.x} cy={pos.y} r={4} fill={visible ? SATELLITE_COLOR : '#888'} />
+                  <SvgText
+                    x={pos.x + 8}
+                    y={pos.y - 8}
+                    fill={SATELLITE_COLOR}
+                    fontSize="11"
+                    fontWeight="bold"
+                  >
+                    {satellite.name}
+                  </SvgText>
+                </>
+              )}
+            </G>
+          );
+        })}
+
+        {/* Radiants of active meteor showers */}
+        {activeShowers.map((shower) => {
+          if (shower.radiantPosition.altitude <= 0) return null;
+
+          const pos = getScreenPosition(shower.radiantPosition.azimuth, shower.radiantPosition.altitude);
+          if (pos.x < 0 || pos.x > screenWidth || pos.y < 0 || pos.y > screenHeight) {
+            return null;
+          }
+
+          return (
+            <G key={`radiant-${shower.code}`} opacity={isDayTime ? 0.5 : 0.9}>
+              {Array.from({ length: METEOR_RADIANT_RAYS }, (_, index) => {
+                const angle = (index / METEOR_RADIANT_RAYS) * 2 * Math.PI;
+                return (
+                  <Line
+                    key={`radiant-${shower.code}-ray-${index}`}
+                    x1={pos.x + Math.cos(angle) * METEOR_RADIANT_RADIUS * 0.3}
+                    y1={pos.y + Math.sin(angle) * METEOR_RADIANT_RADIUS * 0.3}
+                    x2={pos.x + Math.cos(angle) * METEOR_RADIANT_RADIUS}
+                    y2={pos.y + Math.sin(angle) * METEOR_RADIANT_RADIUS}
+                    stroke={METEOR_RADIANT_COLOR}
+                    strokeWidth="1.5"
+                  />
+                );
+              })}
+              <SvgText
+                x={pos.x + METEOR_RADIANT_RADIUS + 4}
+                y={pos.y + 4}
+                fill={METEOR_RADIANT_COLOR}
+                fontSize="11"
+                fontWeight="bold"
+              >
+                {shower.name} ~{Math.round(shower.hourlyRate)}/h
+              </SvgText>
+            </G>
+          );
+        })}
+
+        {/* Sun, Moon and planets */}
+        {solarSystemBodies.map((body) => {
+          if (!body.visible) return null;
+
+          const pos = getScreenPosition(
+            body.horizontalPosition.azimuth,
+            body.horizontalPosition.altitude
+          );
+
+          // Skip bodies that are off-screen
+          if (pos.x < 0 || pos.x > screenWidth || pos.y < 0 || pos.y > screenHeight) {
+            return null;
+          }
+
+          return (
+            <G key={`body-${body.id}`}>
+              <Circle
+                cx={pos.x}
+                cy={pos.y}
+                r={SolarSystemCalculator.getMarkerSize(body)}
+                fill={body.color}
+                opacity={0.95}
+              />
+              <SvgText
+                x={pos.x}
+                y={pos.y - SolarSystemCalculator.getMarkerSize(body) - 6}
+                textAnchor="middle"
+                fill={body.color}
+                fontSize="12"
+                fontWeight="bold"
+              >
+                {body.name}
+              </SvgText>
+            </G>
+          );
+        })}
+
         {/* Constellation labels */}
         {visibleStars.map((constellation, constellationIndex) => {
           // Use the position of the first visible star for the label
@@ -399,6 +765,12 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
                 opacity={isDayTime ? 0.8 : 1}
               >
                 {constellation.name}
+                {/* Sky-culture figures also carry their meaning in English */}
+                {constellation.englishName && (
+                  <TSpan x={pos.x} dy="13" fontSize="10" fontWeight="normal">
+                    {constellation.englishName}
+                  </TSpan>
+                )}
               </SvgText>
             );
           }
@@ -408,6 +780,79 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
     );
   };
 
+  // Reticle to centre the target star in, a ring where the target is predicted, and instructions
+  const renderAlignmentGuide = () => {
+    const predicted = alignmentTarget
+      ? getScreenPosition(alignmentTarget.position.azimuth, alignmentTarget.position.altitude)
+      : null;
+    const predictedOnScreen = predicted && predicted.x >= 0 && predicted.x <= screenWidth &&
+      predicted.y >= 0 && predicted.y <= screenHeight;
+
+    return (
+      <>
+        <Svg width={screenWidth} height={screenHeight} style={styles.svg} pointerEvents="none">
+          <Circle
+            cx={screenWidth / 2}
+            cy={screenHeight / 2}
+            r={ALIGNMENT_RETICLE_RADIUS}
+            stroke="#00FF00"
+            strokeWidth="2"
+            fill="none"
+          />
+          <Line x1={screenWidth / 2 - 8} y1={screenHeight / 2} x2={screenWidth / 2 + 8} y2={screenHeight / 2} stroke="#00FF00" strokeWidth="1" />
+          <Line x1={screenWidth / 2} y1={screenHeight / 2 - 8} x2={screenWidth / 2} y2={screenHeight / 2 + 8} stroke="#00FF00" strokeWidth="1" />
+          {predictedOnScreen && (
+            <Circle cx={predicted.x} cy={predicted.y} r={14} stroke="#FFD700" strokeWidth="1.5" strokeDasharray="4,3" fill="none" />
+          )}
+        </Svg>
+        <View style={styles.alignmentPanel}>
+          {alignmentTarget ? (
+            <>
+              <Text style={styles.alignmentTitle}>
+                {alignmentObservations.length === 0 ? 'Star 1' : 'Star 2 (optional, fixes roll)'}: {alignmentTarget.name}
+              </Text>
+              <Text style={styles.alignmentText}>
+                Centre {alignmentTarget.name} in the green circle, then confirm.
+                {` Look toward ${Math.round(alignmentTarget.position.azimuth)}°, ${Math.round(alignmentTarget.position.altitude)}° up.`}
+              </Text>
+              <View style={styles.alignmentButtons}>
+                <TouchableOpacity style={styles.alignmentButton} onPress={chooseNextTarget}>
+                  <Text style={styles.alignmentButtonText}>Other Star</Text>
+                </TouchableOpacity>
+                {alignmentObservations.length > 0 && (
+                  <TouchableOpacity style={styles.alignmentButton} onPress={finishAlignment}>
+                    <Text style={styles.alignmentButtonText}>Done</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity style={[styles.alignmentButton, styles.alignmentConfirm]} onPress={confirmAlignmentStar}>
+                  <Text style={styles.alignmentButtonText}>Confirm</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <>
+              <Text style={styles.alignmentText}>
+                {alignmentCandidates.length > 0
+                  ? 'Choose a bright star to centre.'
+                  : 'No bright stars are high enough above the horizon right now.'}
+              </Text>
+              {alignmentCandidates.length > 0 && (
+                <TouchableOpacity style={styles.alignmentButton} onPress={chooseNextTarget}>
+                  <Text style={styles.alignmentButtonText}>Pick Star</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+          {alignment && (
+            <TouchableOpacity onPress={resetAlignment}>
+              <Text style={styles.alignmentReset}>Reset alignment</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </>
+    );
+  };
+
   if (cameraMode && hasPermission === null) {
     return (
       <View style={styles.overlay}>
@@ -427,6 +872,12 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
     );
   }
 
+  // Same aligned device rotation the stars are projected with, for the "find it" guidance
+  const alignedOrientation = AstronomyCalculator.applyAlignment(isSupported ? heading : 0, pitch, roll);
+  const cameraPose = AstronomyCalculator.getCameraPose(
+    alignedOrientation.heading, alignedOrientation.pitch, alignedOrientation.roll
+  );
+
   return (
     <View style={styles.overlay}>
       {/* Camera View */}
@@ -439,6 +890,14 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
         {renderStarsAndLabels()}
       </View>
 
+      {/* "Find it" target lock */}
+      <TargetGuidanceOverlay
+        location={location?.coords || null}
+        date={skyTime}
+        deviceQuaternion={cameraPose}
+        intrinsics={cameraIntrinsics}
+      />
+
       {/* Debug info */}
       <View style={styles.debugInfo}>
         <Text style={styles.debugText}>
@@ -455,22 +914,126 @@ export const ARStarOverlay = ({ location, cameraMode = true, showDaytimeOverlay
         </Text>
         <Text style={styles.debugText}>
           Compass: {isSupported ? '✅ True North' : '❌ Inaccurate'}
+          {magnetometerCalibration ? ` • Calibrated ${magnetometerCalibration.quality}%` : ' • Not calibrated'}
         </Text>
+        {alignment && (
+          <Text style={styles.debugText}>
+            Aligned on {alignment.starNames.join(' + ')}: {alignment.azimuth.toFixed(1)}° / {alignment.altitude.toFixed(1)}° / {alignment.roll.toFixed(1)}°
+          </Text>
+        )}
         <Text style={styles.debugText}>
           Visible Stars: {visibleStars.length}
         </Text>
+        <Text style={styles.debugText}>
+          Planets Up: {solarSystemBodies.filter(body => body.visible && body.type === 'planet').length}
+        </Text>
+        <Text style={styles.debugText}>
+          Satellites Up: {satellitesUp.length}
+          {satellitesUp.some(({ visible }) => visible) ? ' • 🛰 visible now' : ''}
+          {staleSatelliteCount > 0 ? ` • ${staleSatelliteCount} hidden, elements out of date` : ''}
+        </Text>
+        {activeShowers.length > 0 && (
+          <Text style={styles.debugText}>
+            Meteor Showers: {activeShowers.map(shower => shower.code).join(', ')}
+          </Text>
+        )}
         <Text style={styles.debugText}>
           Location: {location ? `${location.coords.latitude.toFixed(2)}, ${location.coords.longitude.toFixed(2)}` : 'Unknown'}
         </Text>
         <Text style={styles.debugText}>
           Mode: {cameraMode ? '📷 Camera' : '🌟 Map Only'}
         </Text>
+        <Text style={styles.debugText}>
+          Time: {time.toLocaleString()} {timeControl.isLive ? '' : '⏱ Simulated'}
+          {skyEpoch !== null ? ` • Sky of ${formatSkyEpoch(skyEpoch)}` : ''}
+        </Text>
         {isDayTime && (
           <Text style={[styles.debugText, { color: '#FFA500' }]}>
             Daytime viewing enabled
           </Text>
         )}
+        {twilight && (
+          <Text style={styles.debugText}>
+            {getDarknessText()}
+          </Text>
+        )}
       </View>
+
+      {/* Time travel controls */}
+      <TouchableOpacity
+        style={styles.timeToggle}
+        onPress={() => setShowTimeControls(!showTimeControls)}
+      >
+        <Text style={styles.timeToggleText}>{showTimeControls ? 'Hide Time' : '⏱ Time'}</Text>
+      </TouchableOpacity>
+      {showTimeControls && (
+        <TimeControls timeControl={timeControl} style={styles.timeControls} />
+      )}
+
+      {/* Magnetometer calibration */}
+      <TouchableOpacity
+        style={styles.calibrateToggle}
+        onPress={() => setShowCalibration(true)}
+      >
+        <Text style={styles.timeToggleText}>🧭 Calibrate</Text>
+      </TouchableOpacity>
+      <CompassCalibrationWizard
+        visible={showCalibration}
+        onClose={() => setShowCalibration(false)}
+      />
+
+      {/* Star alignment */}
+      <TouchableOpacity
+        style={styles.alignToggle}
+        onPress={isAligning ? finishAlignment : startAlignment}
+      >
+        <Text style={styles.timeToggleText}>{isAligning ? 'Cancel Align' : '✦ Align'}</Text>
+      </TouchableOpacity>
+      {isAligning && renderAlignmentGuide()}
+
+      {/* Deep-sky objects */}
+      <TouchableOpacity
+        style={styles.deepSkyToggle}
+        onPress={() => setShowDeepSkyFilter(true)}
+      >
+        <Text style={styles.timeToggleText}>🌌 Deep Sky</Text>
+      </TouchableOpacity>
+      {/* Satellite passes */}
+      <TouchableOpacity
+        style={styles.satelliteToggle}
+        onPress={() => setShowSatellitePasses(true)}
+      >
+        <Text style={styles.timeToggleText}>🛰 Passes{staleSatelliteCount > 0 ? ' ⚠️' : ''}</Text>
+      </TouchableOpacity>
+      {/* Meteor showers */}
+      <TouchableOpacity
+        style={styles.meteorToggle}
+        onPress={() => setShowMeteorShowers(true)}
+      >
+        <Text style={styles.timeToggleText}>☄️ Meteors</Text>
+      </TouchableOpacity>
+      <MeteorShowerPanel
+        visible={showMeteorShowers}
+        onClose={() => setShowMeteorShowers(false)}
+        location={location}
+        date={time}
+      />
+      <SatellitePassesPanel
+        visible={showSatellitePasses}
+        onClose={() => setShowSatellitePasses(false)}
+        location={location}
+        catalog={satelliteCatalog}
+        date={satelliteClock}
+      />
+      <DeepSkyFilterPanel
+        visible={showDeepSkyFilter}
+        onClose={() => setShowDeepSkyFilter(false)}
+      />
+      <DeepSkyInfoOverlay
+        object={selectedDeepSky}
+        horizontalPosition={selectedDeepSky?.horizontalPosition}
+        onClose={() => setSelectedDeepSkyId(null)}
+      />
     </View>
   );
 };
@@ -516,6 +1079,118 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginBottom: 2,
   },
+  timeToggle: {
+    position: 'absolute',
+    top: 100,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 5,
+  },
+  calibrateToggle: {
+    position: 'absolute',
+    top: 145,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 5,
+  },
+  alignToggle: {
+    position: 'absolute',
+    top: 190,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 5,
+  },
+  deepSkyToggle: {
+    position: 'absolute',
+    top: 235,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 5,
+  },
+  satelliteToggle: {
+    position: 'absolute',
+    top: 280,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 5,
+  },
+  meteorToggle: {
+    position: 'absolute',
+    top: 325,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 5,
+  },
+  alignmentPanel: {
+    position: 'absolute',
+    bottom: 40,
+    left: 20,
+    right: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+    padding: 12,
+    borderRadius: 8,
+  },
+  alignmentTitle: {
+    color: '#FFD700',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  alignmentText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  alignmentButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  alignmentButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 5,
+    borderWidth: 1,
+    borderColor: '#FFD700',
+    marginLeft: 8,
+  },
+  alignmentConfirm: {
+    backgroundColor: 'rgba(0, 128, 0, 0.6)',
+    borderColor: '#00FF00',
+  },
+  alignmentButtonText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  alignmentReset: {
+    color: '#FFA500',
+    fontSize: 12,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  timeToggleText: {
+    color: '#FFD700',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  timeControls: {
+    position: 'absolute',
+    bottom: 40,
+    left: 20,
+    right: 20,
+  },
   permissionText: {
     color: '#FFD700',
     fontSize: 18,
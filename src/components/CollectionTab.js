@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -14,6 +14,8 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { PhotoService } from '../services/PhotoService';
+import { PhotoUploadQueue } from '../services/PhotoUploadQueue';
+import { TWILIGHT_PHASES, TWILIGHT_PHASE_LABELS } from '../utils/twilight';
 import { useAuth } from '../contexts/AuthContext';
 import theme from '../styles/theme';
 
@@ -25,6 +27,8 @@ export const CollectionTab = () => {
   const [loading, setLoading] = useState(true);
   const [selectedPhoto, setSelectedPhoto] = useState(null);
   const [photoUrls, setPhotoUrls] = useState({});
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const pendingCountRef = useRef(0);
 
   useEffect(() => {
     if (user) {
@@ -32,6 +36,19 @@ export const CollectionTab = () => {
     }
   }, [user]);
 
+  // Show queued uploads and refresh once any of them reaches the server
+  useEffect(() => {
+    const unsubscribe = PhotoUploadQueue.subscribe((allItems) => {
+      const queue = PhotoUploadQueue.getItemsForUser(allItems, user?.id);
+      if (user && queue.length < pendingCountRef.current) {
+        loadPhotos();
+      }
+      pendingCountRef.current = queue.length;
+      setPendingUploads(queue);
+    });
+    return unsubscribe;
+  }, [user]);
+
   const loadPhotos = async () => {
     setLoading(true);
     try {
@@ -58,7 +75,41 @@ export const CollectionTab = () => {
     }
   };
 
+  const retryPendingUploads = () => {
+    PhotoUploadQueue.processQueue({ force: true });
+  };
+
+  const renderPendingItem = (item) => (
+    <TouchableOpacity
+      style={styles.photoItem}
+      onPress={retryPendingUploads}
+      activeOpacity={0.8}
+    >
+      <View style={styles.photoContainer}>
+        <Image source={{ uri: item.photoData.uri }} style={[styles.photoImage, styles.pendingImage]} />
+
+        <View style={styles.pendingBadge}>
+          <Ionicons name="cloud-upload-outline" size={14} color={theme.colors.black} />
+          <Text style={styles.pendingBadgeText}>Pending</Text>
+        </View>
+      </View>
+
+      <View style={styles.photoInfo}>
+        <Text style={styles.photoDate}>
+          {new Date(item.createdAt).toLocaleDateString()}
+        </Text>
+        <Text style={styles.photoTime}>
+          {item.attempts > 0 ? `Retry ${item.attempts} • tap to retry now` : 'Waiting for connection'}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+
   const renderPhotoItem = ({ item }) => {
+    if (item.pending) {
+      return renderPendingItem(item);
+    }
+
     const photoUrl = photoUrls[item.id];
 
     return (
@@ -147,16 +198,17 @@ export const CollectionTab = () => {
         <Text style={styles.title}>My Collection</Text>
         <Text style={styles.subtitle}>
           {photos.length} photo{photos.length !== 1 ? 's' : ''} captured
+          {pendingUploads.length > 0 && ` • ${pendingUploads.length} pending upload`}
         </Text>
       </View>
 
-      {photos.length === 0 ? (
+      {photos.length === 0 && pendingUploads.length === 0 ? (
         renderEmptyState()
       ) : (
         <FlatList
-          data={photos}
+          data={[...pendingUploads.map(item => ({ ...item, pending: true })), ...photos]}
           renderItem={renderPhotoItem}
-          keyExtractor={(item) => item.id.toString()}
+          keyExtractor={(item) => (item.pending ? `pending-${item.id}` : item.id.toString())}
           numColumns={2}
           contentContainerStyle={styles.photoGrid}
           showsVerticalScrollIndicator={false}
@@ -193,6 +245,15 @@ export const CollectionTab = () => {
                 <Text style={styles.photoDetailsTime}>
                   {selectedPhoto && new Date(selectedPhoto.created_at).toLocaleTimeString()}
                 </Text>
+                {selectedPhoto?.estimated_bortle != null && (
+                  <Text style={styles.photoDetailsTime}>
+                    Sky quality: Bortle {selectedPhoto.estimated_bortle}
+                    {selectedPhoto.limiting_magnitude != null && ` • Limiting mag ${selectedPhoto.limiting_magnitude.toFixed(1)}`}
+                    {selectedPhoto.brightness_rating != null && ` • Your rating ${selectedPhoto.brightness_rating}/5`}
+                    {selectedPhoto.twilight_phase && selectedPhoto.twilight_phase !== TWILIGHT_PHASES.NIGHT
+                      && ` • ${TWILIGHT_PHASE_LABELS[selectedPhoto.twilight_phase]}`}
+                  </Text>
+                )}
               </View>
             </View>
           </TouchableOpacity>
@@ -279,6 +340,27 @@ const styles = StyleSheet.create({
     fontWeight: theme.typography.bold,
     fontFamily: theme.typography.fontFamily,
   },
+  pendingImage: {
+    opacity: 0.6,
+  },
+  pendingBadge: {
+    position: 'absolute',
+    top: theme.spacing.md,
+    right: theme.spacing.md,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.warning,
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+    borderRadius: theme.borderRadius.md,
+  },
+  pendingBadgeText: {
+    color: theme.colors.black,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    marginLeft: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
   photoInfo: {
     padding: theme.spacing.lg,
   },
@@ -0,0 +1,331 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Magnetometer } from 'expo-sensors';
+import {
+  fitMagnetometerCalibration,
+  measureCoverage,
+  estimateCenter,
+  MIN_CALIBRATION_SAMPLES,
+} from '../core/utils/magnetometerCalibration';
+import { MagnetometerCalibrationService } from '../services/MagnetometerCalibrationService';
+import theme from '../styles/theme';
+
+const SAMPLE_INTERVAL_MS = 50;
+const PROGRESS_INTERVAL_MS = 500;
+// Capture stops once this much of the sphere is covered, or after the time limit
+const TARGET_COVERAGE = 0.9;
+const MAX_CAPTURE_MS = 45 * 1000;
+// Below this a calibration is as likely to skew the heading as to correct it
+const MIN_SAVE_QUALITY = 60;
+
+const getQualityLabel = (quality) => {
+  if (quality >= 80) return { text: 'Excellent', color: theme.colors.success };
+  if (quality >= 60) return { text: 'Good', color: theme.colors.success };
+  if (quality >= 40) return { text: 'Fair', color: theme.colors.warning };
+  return { text: 'Poor', color: theme.colors.error };
+};
+
+/**
+ * Guided magnetometer calibration: the user waves the phone in a figure-eight while raw
+ * readings are collected, then hard-iron and soft-iron corrections are fitted and saved.
+ */
+export const CompassCalibrationWizard = ({ visible, onClose }) => {
+  const [step, setStep] = useState('intro'); // intro, capturing, result
+  const [coverage, setCoverage] = useState(0);
+  const [sampleCount, setSampleCount] = useState(0);
+  const [result, setResult] = useState(null);
+  const [existing, setExisting] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const samplesRef = useRef([]);
+  const captureStartRef = useRef(0);
+
+  useEffect(() => {
+    if (!visible) return;
+    setStep('intro');
+    setResult(null);
+    return MagnetometerCalibrationService.subscribe(setExisting);
+  }, [visible]);
+
+  useEffect(() => {
+    if (step !== 'capturing') return;
+
+    samplesRef.current = [];
+    captureStartRef.current = Date.now();
+    setCoverage(0);
+    setSampleCount(0);
+
+    Magnetometer.setUpdateInterval(SAMPLE_INTERVAL_MS);
+    const subscription = Magnetometer.addListener(({ x, y, z }) => {
+      samplesRef.current.push({ x, y, z });
+    });
+
+    const progressTimer = setInterval(() => {
+      const samples = samplesRef.current;
+      const currentCoverage = samples.length > 0 ? measureCoverage(samples, estimateCenter(samples)) : 0;
+      setCoverage(currentCoverage);
+      setSampleCount(samples.length);
+
+      const elapsed = Date.now() - captureStartRef.current;
+      const hasEnough = samples.length >= MIN_CALIBRATION_SAMPLES && currentCoverage >= TARGET_COVERAGE;
+      if (hasEnough || elapsed >= MAX_CAPTURE_MS) {
+        finishCapture();
+      }
+    }, PROGRESS_INTERVAL_MS);
+
+    return () => {
+      subscription.remove();
+      clearInterval(progressTimer);
+    };
+  }, [step]);
+
+  const startCapture = async () => {
+    const available = await Magnetometer.isAvailableAsync();
+    if (!available) {
+      Alert.alert('Compass Unavailable', 'This device does not have a magnetometer to calibrate.');
+      return;
+    }
+    setStep('capturing');
+  };
+
+  const finishCapture = () => {
+    setResult(fitMagnetometerCalibration(samplesRef.current));
+    setStep('result');
+  };
+
+  const saveResult = async () => {
+    if (!result) return;
+    setIsSaving(true);
+    const { error } = await MagnetometerCalibrationService.saveCalibration(result);
+    setIsSaving(false);
+
+    if (error) {
+      Alert.alert('Error', 'Could not save the calibration. Please try again.');
+      return;
+    }
+    onClose();
+  };
+
+  const clearExisting = async () => {
+    await MagnetometerCalibrationService.clearCalibration();
+  };
+
+  const renderIntro = () => (
+    <>
+      <Ionicons name="compass-outline" size={56} color={theme.colors.textPrimary} style={styles.icon} />
+      <Text style={styles.title}>Calibrate Compass</Text>
+      <Text style={styles.body}>
+        Move away from metal objects, then slowly wave your phone in a figure-eight while turning
+        your wrist so the phone faces every direction.
+      </Text>
+      {existing && (
+        <View style={styles.existingRow}>
+          <Text style={styles.caption}>
+            Current calibration: {existing.quality}% • {new Date(existing.createdAt).toLocaleDateString()}
+          </Text>
+          <TouchableOpacity onPress={clearExisting}>
+            <Text style={styles.linkText}>Remove</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      <TouchableOpacity style={styles.primaryButton} onPress={startCapture}>
+        <Text style={styles.primaryButtonText}>Start</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderCapturing = () => (
+    <>
+      <Ionicons name="infinite-outline" size={56} color={theme.colors.textPrimary} style={styles.icon} />
+      <Text style={styles.title}>Keep Moving</Text>
+      <Text style={styles.body}>Trace a figure-eight and tilt the phone through every angle.</Text>
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${Math.round(Math.min(1, coverage / TARGET_COVERAGE) * 100)}%` }]} />
+      </View>
+      <Text style={styles.caption}>
+        {Math.round(coverage * 100)}% of orientations covered • {sampleCount} samples
+      </Text>
+      <TouchableOpacity
+        style={[styles.secondaryButton, sampleCount < MIN_CALIBRATION_SAMPLES && styles.disabledButton]}
+        onPress={finishCapture}
+        disabled={sampleCount < MIN_CALIBRATION_SAMPLES}
+      >
+        <Text style={styles.secondaryButtonText}>Finish Now</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderResult = () => {
+    if (!result) {
+      return (
+        <>
+          <Ionicons name="alert-circle-outline" size={56} color={theme.colors.warning} style={styles.icon} />
+          <Text style={styles.title}>Not Enough Data</Text>
+          <Text style={styles.body}>
+            We could not fit a calibration. Move the phone through more orientations and try again.
+          </Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => setStep('capturing')}>
+            <Text style={styles.primaryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        </>
+      );
+    }
+
+    const label = getQualityLabel(result.quality);
+    // Saving must improve on the calibration in use, not replace it with a worse one
+    const improves = result.quality >= MIN_SAVE_QUALITY && (!existing || result.quality > existing.quality);
+    return (
+      <>
+        <Text style={[styles.score, { color: label.color }]}>{result.quality}%</Text>
+        <Text style={styles.title}>{label.text} Calibration</Text>
+        <Text style={styles.caption}>
+          Coverage {Math.round(result.coverage * 100)}% • Fit error {(result.residual * 100).toFixed(1)}% •
+          Field {result.fieldStrength.toFixed(0)} µT
+        </Text>
+        {result.quality < MIN_SAVE_QUALITY && (
+          <Text style={styles.body}>
+            Try again away from metal and cover more orientations for a better result.
+          </Text>
+        )}
+        {result.quality >= MIN_SAVE_QUALITY && !improves && (
+          <Text style={styles.body}>
+            Your current calibration scored {existing.quality}%. Try again to beat it.
+          </Text>
+        )}
+        <TouchableOpacity
+          style={[styles.primaryButton, !improves && styles.disabledButton]}
+          onPress={saveResult}
+          disabled={isSaving || !improves}
+        >
+          <Text style={styles.primaryButtonText}>{isSaving ? 'Saving...' : 'Save'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => setStep('capturing')}>
+          <Text style={styles.secondaryButtonText}>Try Again</Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+          {step === 'intro' && renderIntro()}
+          {step === 'capturing' && renderCapturing()}
+          {step === 'result' && renderResult()}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: theme.colors.overlay,
+    justifyContent: 'center',
+    padding: theme.spacing.xl,
+  },
+  card: {
+    backgroundColor: theme.colors.cardBackgroundSolid,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    padding: theme.spacing.xxl,
+    alignItems: 'center',
+    ...theme.shadows.large,
+  },
+  closeButton: {
+    position: 'absolute',
+    top: theme.spacing.md,
+    right: theme.spacing.md,
+    padding: theme.spacing.xs,
+  },
+  icon: {
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.h4,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.sm,
+    textAlign: 'center',
+    fontFamily: theme.typography.fontFamily,
+  },
+  body: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.body,
+    textAlign: 'center',
+    marginBottom: theme.spacing.lg,
+    fontFamily: theme.typography.fontFamily,
+  },
+  caption: {
+    color: theme.colors.textMuted,
+    fontSize: theme.typography.small,
+    textAlign: 'center',
+    marginBottom: theme.spacing.lg,
+    fontFamily: theme.typography.fontFamily,
+  },
+  score: {
+    fontSize: theme.typography.h1,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  existingRow: {
+    alignItems: 'center',
+  },
+  linkText: {
+    color: theme.colors.warning,
+    fontSize: theme.typography.small,
+    marginTop: -theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+    fontFamily: theme.typography.fontFamily,
+  },
+  progressTrack: {
+    width: '100%',
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: theme.colors.cardBackground,
+    overflow: 'hidden',
+    marginBottom: theme.spacing.sm,
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: theme.colors.success,
+  },
+  primaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  primaryButtonText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.body,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  secondaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  secondaryButtonText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.body,
+    fontFamily: theme.typography.fontFamily,
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+});
@@ -13,6 +13,13 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { indigenousService } from '../core/services/indigenousCulturalService';
+import { setSkyTarget } from '../core/utils/skyTarget';
+import { setSkyEpoch, formatSkyEpoch } from '../core/utils/skyEpoch';
+import { findSkyTarget } from '../core/utils/targetGuidance';
+import { SkyCulturePackageService } from '../services/SkyCulturePackageService';
+import { StorySubmissionService } from '../services/StorySubmissionService';
+import { SkyCulturePackagePanel } from './SkyCulturePackagePanel';
+import { StorySubmissionForm } from './StorySubmissionForm';
 import theme from '../styles/theme';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
@@ -31,16 +38,25 @@ const FEATURED_CONSTELLATIONS = [
   'Taurus'
 ];
 
-export const CultureTab = ({ location }) => {
+export const CultureTab = ({ location, params, onNavigate }) => {
   const [selectedStory, setSelectedStory] = useState(null);
   const [constellationStories, setConstellationStories] = useState([]);
   const [selectedCulture, setSelectedCulture] = useState('All Cultures');
   const [availableCultures, setAvailableCultures] = useState([]);
   const [modalY] = useState(new Animated.Value(screenHeight));
+  const [showPackages, setShowPackages] = useState(false);
+  const [showStoryForm, setShowStoryForm] = useState(false);
 
+  // Reloaded whenever a sky-culture package adds or removes stories
+  useEffect(() => SkyCulturePackageService.subscribe(() => loadIndigenousStories()), []);
+  useEffect(() => StorySubmissionService.subscribe(() => loadIndigenousStories()), []);
+
+  // Opened from another tab (e.g. the planner) to show a particular story
   useEffect(() => {
-    loadIndigenousStories();
-  }, []);
+    if (params?.story) {
+      showStoryDetails(params.story);
+    }
+  }, [params]);
 
   const loadIndigenousStories = () => {
     const stories = [];
@@ -93,6 +109,59 @@ export const CultureTab = ({ location }) => {
     });
   };
 
+  // Lock the AR guidance onto the object and switch to the scanner to look for it
+  const findInSky = (target) => {
+    setSkyTarget(target);
+    if (selectedStory) hideModal();
+    onNavigate?.('scanner');
+  };
+
+  const renderFindButton = (target) => target && (
+    <TouchableOpacity style={styles.findButton} onPress={() => findInSky(target)}>
+      <Ionicons name="navigate" size={16} color={theme.colors.black} />
+      <Text style={styles.findButtonText}>Find in sky</Text>
+    </TouchableOpacity>
+  );
+
+  // Turn the sky back to the year the story was told in and show it in the scanner
+  const viewHistoricalSky = (epoch) => {
+    setSkyEpoch(epoch);
+    hideModal();
+    onNavigate?.('scanner');
+  };
+
+  const renderEpochButton = (epoch) => epoch !== undefined && (
+    <TouchableOpacity style={styles.epochButton} onPress={() => viewHistoricalSky(epoch)}>
+      <Ionicons name="hourglass-outline" size={16} color={theme.colors.primary} />
+      <Text style={styles.epochButtonText}>See the sky of {formatSkyEpoch(epoch)}</Text>
+    </TouchableOpacity>
+  );
+
+  // Who shared the story, in which language, and where it was recorded
+  const renderKnowledgeDetails = (story) => {
+    const { attribution, language, sources } = story;
+    const resolvedSources = sources.filter(source => source.resolved);
+    const unresolvedCount = sources.length - resolvedSources.length;
+    return (
+      <View style={styles.knowledgeContainer}>
+        <Text style={styles.knowledgeText}>Community: {attribution.community}</Text>
+        {attribution.contributors.length > 0 && (
+          <Text style={styles.knowledgeText}>Shared by: {attribution.contributors.join(', ')}</Text>
+        )}
+        {language && <Text style={styles.knowledgeText}>Language: {language.name}</Text>}
+        {attribution.permission && <Text style={styles.knowledgeText}>{attribution.permission}</Text>}
+        {resolvedSources.map(source => (
+          <Text key={source.citation} style={styles.sourceText}>{source.citation}</Text>
+        ))}
+        {unresolvedCount > 0 && (
+          <Text style={styles.sourceText}>
+            {unresolvedCount} source{unresolvedCount === 1 ? '' : 's'} still to be traced
+          </Text>
+        )}
+      </View>
+    );
+  };
+
   const renderCultureFilter = () => (
     <View style={styles.cultureFilter}>
       <Text style={styles.filterLabel}>Cultural Perspective:</Text>
@@ -123,7 +192,10 @@ export const CultureTab = ({ location }) => {
     
     return (
       <View key={constellation} style={styles.constellationSection}>
-        <Text style={styles.constellationTitle}>{constellation}</Text>
+        <View style={styles.constellationTitleRow}>
+          <Text style={styles.constellationTitle}>{constellation}</Text>
+          {renderFindButton(findSkyTarget(constellation))}
+        </View>
         <View style={styles.storiesContainer}>
           {stories.map((story, index) => (
             <TouchableOpacity
@@ -182,6 +254,16 @@ export const CultureTab = ({ location }) => {
                       </View>
                     </LinearGradient>
                   </View>
+
+                  <TouchableOpacity style={styles.packagesButton} onPress={() => setShowPackages(true)}>
+                    <Ionicons name="swap-vertical-outline" size={16} color={theme.colors.primary} />
+                    <Text style={styles.packagesButtonText}>Import or export Stellarium sky cultures</Text>
+                  </TouchableOpacity>
+
+                  <TouchableOpacity style={styles.packagesButton} onPress={() => setShowStoryForm(true)}>
+                    <Ionicons name="chatbubbles-outline" size={16} color={theme.colors.primary} />
+                    <Text style={styles.packagesButtonText}>Share a story from your culture</Text>
+                  </TouchableOpacity>
                 </View>
 
         {renderCultureFilter()}
@@ -191,6 +273,9 @@ export const CultureTab = ({ location }) => {
         </View>
       </ScrollView>
 
+      <SkyCulturePackagePanel visible={showPackages} onClose={() => setShowPackages(false)} />
+      <StorySubmissionForm visible={showStoryForm} onClose={() => setShowStoryForm(false)} />
+
       {/* Story Details Modal */}
       <Modal visible={!!selectedStory} transparent animationType="none">
         <View style={styles.modalOverlay}>
@@ -217,6 +302,8 @@ export const CultureTab = ({ location }) => {
                   <Text style={styles.westernName}>
                     Western Name: {selectedStory.western_name}
                   </Text>
+                  {renderFindButton(findSkyTarget(selectedStory.western_name))}
+                  {renderEpochButton(selectedStory.recommended_epoch)}
                 </View>
 
                 <View style={styles.storyContainer}>
@@ -224,6 +311,8 @@ export const CultureTab = ({ location }) => {
                     {selectedStory.story_or_meaning}
                   </Text>
                 </View>
+
+                {renderKnowledgeDetails(selectedStory)}
               </ScrollView>
             )}
           </Animated.View>
@@ -301,6 +390,22 @@ const styles = StyleSheet.create({
     lineHeight: 18,
     fontFamily: theme.typography.fontFamily,
   },
+  packagesButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.lg,
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  packagesButtonText: {
+    marginLeft: theme.spacing.sm,
+    fontSize: theme.typography.small,
+    color: theme.colors.textSecondary,
+    fontFamily: theme.typography.fontFamily,
+  },
   cultureFilter: {
     marginBottom: theme.spacing.xl,
   },
@@ -343,11 +448,51 @@ const styles = StyleSheet.create({
   constellationSection: {
     marginBottom: theme.spacing.xxxl,
   },
+  constellationTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.lg,
+  },
   constellationTitle: {
     fontSize: theme.typography.h4,
     fontWeight: theme.typography.bold,
     color: theme.colors.primary,
-    marginBottom: theme.spacing.lg,
+    fontFamily: theme.typography.fontFamily,
+  },
+  findButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    marginTop: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.primary,
+  },
+  findButtonText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    color: theme.colors.black,
+    fontFamily: theme.typography.fontFamily,
+  },
+  epochButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    marginTop: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  epochButtonText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    color: theme.colors.primary,
     fontFamily: theme.typography.fontFamily,
   },
   storiesContainer: {
@@ -475,4 +620,21 @@ const styles = StyleSheet.create({
     textAlign: 'left',
     fontFamily: theme.typography.fontFamily,
   },
+  knowledgeContainer: {
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.xl,
+  },
+  knowledgeText: {
+    fontSize: theme.typography.caption,
+    color: theme.colors.textSecondary,
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  sourceText: {
+    fontSize: theme.typography.small,
+    color: theme.colors.textMuted,
+    fontStyle: 'italic',
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
 });
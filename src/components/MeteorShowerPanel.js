@@ -0,0 +1,370 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, ScrollView, Share } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AstronomyCalculator } from '../utils/astronomy';
+import { MeteorShowerCalculator, SPORADIC, DEFAULT_LIMITING_MAGNITUDE } from '../utils/meteorShowers';
+import { MeteorObservationService } from '../services/MeteorObservationService';
+import theme from '../styles/theme';
+
+const LIMITING_MAGNITUDE_RANGE = { min: 3, max: 7.5, step: 0.1 };
+const CLOUD_COVER_STEP = 10;
+
+const formatPeak = (date) => date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+const formatElapsed = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+const Stepper = ({ label, value, format, onDecrease, onIncrease }) => (
+  <View style={styles.stepperRow}>
+    <Text style={styles.stepperLabel}>{label}</Text>
+    <TouchableOpacity style={styles.stepperButton} onPress={onDecrease}>
+      <Ionicons name="remove" size={16} color={theme.colors.textSecondary} />
+    </TouchableOpacity>
+    <Text style={styles.stepperValue}>{format(value)}</Text>
+    <TouchableOpacity style={styles.stepperButton} onPress={onIncrease}>
+      <Ionicons name="add" size={16} color={theme.colors.textSecondary} />
+    </TouchableOpacity>
+  </View>
+);
+
+/**
+ * Meteor shower calendar with expected rates for the observer, and a counter that logs
+ * a counting period per shower in the IMO format.
+ */
+export const MeteorShowerPanel = ({ visible, onClose, location, date = new Date() }) => {
+  const [limitingMagnitude, setLimitingMagnitude] = useState(DEFAULT_LIMITING_MAGNITUDE);
+  const [cloudCover, setCloudCover] = useState(0);
+  const [session, setSession] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const [report, setReport] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) setReport(null);
+  }, [visible]);
+
+  // Elapsed counting time
+  useEffect(() => {
+    if (!session) return undefined;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [session]);
+
+  const calendar = useMemo(() => {
+    if (!visible) return [];
+    return MeteorShowerCalculator.getShowerCalendar(location, date, limitingMagnitude);
+  }, [visible, location, date, limitingMagnitude]);
+  const moon = useMemo(
+    () => (visible && location ? MeteorShowerCalculator.getMoonConditions(location, date) : null),
+    [visible, location, date]
+  );
+
+  const clamp = (value) => Math.max(LIMITING_MAGNITUDE_RANGE.min, Math.min(LIMITING_MAGNITUDE_RANGE.max, value));
+  const changeLimitingMagnitude = (delta) => setLimitingMagnitude(value => Math.round(clamp(value + delta) * 10) / 10);
+  const changeCloudCover = (delta) => setCloudCover(value => Math.max(0, Math.min(90, value + delta)));
+
+  // Counts start at zero for every active shower: a zero is a result too
+  const startCounting = () => {
+    const codes = [...calendar.filter(shower => shower.active).map(shower => shower.code), SPORADIC.code];
+    setSession({ startedAt: new Date(), counts: Object.fromEntries(codes.map(code => [code, 0])) });
+    setNow(new Date());
+    setReport(null);
+  };
+
+  const addMeteor = (code, delta = 1) => {
+    setSession(current => ({
+      ...current,
+      counts: { ...current.counts, [code]: Math.max(0, current.counts[code] + delta) },
+    }));
+  };
+
+  const finishCounting = async () => {
+    setIsSaving(true);
+    const { error } = await MeteorObservationService.saveObservation({
+      startedAt: session.startedAt,
+      endedAt: new Date(),
+      latitude: location?.coords.latitude ?? null,
+      longitude: location?.coords.longitude ?? null,
+      limitingMagnitude,
+      cloudCover,
+      counts: session.counts,
+    });
+    setIsSaving(false);
+
+    if (error) {
+      setReport({ ok: false, message: error.message });
+      return;
+    }
+    const total = Object.values(session.counts).reduce((sum, count) => sum + count, 0);
+    setReport({ ok: true, message: `Saved ${total} meteor${total === 1 ? '' : 's'} over ${formatElapsed(new Date() - session.startedAt)}` });
+    setSession(null);
+  };
+
+  const exportReport = async () => {
+    const { data, error } = await MeteorObservationService.getUserObservations();
+    if (error) {
+      setReport({ ok: false, message: error.message });
+      return;
+    }
+    if (data.length === 0) {
+      setReport({ ok: false, message: 'No counting periods logged yet' });
+      return;
+    }
+    await Share.share({ message: MeteorObservationService.formatImoRateReport(data) });
+  };
+
+  const renderShower = (shower) => (
+    <View key={shower.code} style={styles.showerRow}>
+      <View style={styles.showerHeader}>
+        <Text style={styles.showerName}>{shower.name} ({shower.code})</Text>
+        {shower.active && <Text style={[styles.showerBadge, { color: theme.colors.success }]}>Active</Text>}
+      </View>
+      <Text style={styles.showerText}>
+        Peak {formatPeak(shower.nextPeak)} • ZHR {shower.zhr} • {shower.velocity} km/s
+      </Text>
+      {shower.active && shower.radiantPosition && (
+        <Text style={styles.showerText}>
+          {shower.radiantPosition.altitude > 0
+            ? `Radiant ${Math.round(shower.radiantPosition.altitude)}° ${AstronomyCalculator.getCompassPoint(shower.radiantPosition.azimuth)} • about ${Math.round(shower.hourlyRate)} per hour now`
+            : 'Radiant below the horizon'}
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderCounter = () => (
+    <>
+      <Text style={styles.caption}>
+        Counting for {formatElapsed(now - session.startedAt)}. Tap each meteor as you see it.
+      </Text>
+      <View style={styles.counterGrid}>
+        {Object.entries(session.counts).map(([code, count]) => (
+          <TouchableOpacity
+            key={code}
+            style={styles.counterButton}
+            onPress={() => addMeteor(code)}
+            onLongPress={() => addMeteor(code, -1)}
+          >
+            <Text style={styles.counterCode}>{code}</Text>
+            <Text style={styles.counterValue}>{count}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.caption}>Long-press to undo a miscount.</Text>
+      <Stepper
+        label="Cloud cover"
+        value={cloudCover}
+        format={value => `${value}%`}
+        onDecrease={() => changeCloudCover(-CLOUD_COVER_STEP)}
+        onIncrease={() => changeCloudCover(CLOUD_COVER_STEP)}
+      />
+    </>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+          <Text style={styles.title}>Meteor Showers</Text>
+
+          {moon && (
+            <Text style={styles.caption}>
+              Moon {Math.round(moon.illumination * 100)}% lit, {moon.altitude > 0 ? 'above the horizon' : 'below the horizon'}
+            </Text>
+          )}
+          <Stepper
+            label="Limiting magnitude"
+            value={limitingMagnitude}
+            format={value => value.toFixed(1)}
+            onDecrease={() => changeLimitingMagnitude(-LIMITING_MAGNITUDE_RANGE.step)}
+            onIncrease={() => changeLimitingMagnitude(LIMITING_MAGNITUDE_RANGE.step)}
+          />
+
+          <ScrollView style={styles.showerList}>
+            {session ? renderCounter() : calendar.map(renderShower)}
+          </ScrollView>
+
+          {report && (
+            <Text style={[styles.caption, { color: report.ok ? theme.colors.success : theme.colors.error }]}>
+              {report.message}
+            </Text>
+          )}
+
+          {session ? (
+            <>
+              <TouchableOpacity
+                style={[styles.primaryButton, isSaving && styles.disabledButton]}
+                onPress={finishCounting}
+                disabled={isSaving}
+              >
+                <Text style={styles.primaryButtonText}>{isSaving ? 'Saving...' : 'Finish & Save'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.secondaryButton} onPress={() => setSession(null)}>
+                <Text style={styles.secondaryButtonText}>Discard</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <TouchableOpacity style={styles.primaryButton} onPress={startCounting}>
+                <Text style={styles.primaryButtonText}>Start Counting</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.secondaryButton} onPress={exportReport}>
+                <Text style={styles.secondaryButtonText}>Export IMO Report</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: theme.colors.overlay,
+    justifyContent: 'center',
+    padding: theme.spacing.xl,
+  },
+  card: {
+    backgroundColor: theme.colors.cardBackgroundSolid,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    padding: theme.spacing.xxl,
+    maxHeight: '90%',
+    ...theme.shadows.large,
+  },
+  closeButton: {
+    position: 'absolute',
+    top: theme.spacing.md,
+    right: theme.spacing.md,
+    padding: theme.spacing.xs,
+    zIndex: 1,
+  },
+  title: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.h4,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  caption: {
+    color: theme.colors.textMuted,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  stepperLabel: {
+    flex: 1,
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.caption,
+    fontFamily: theme.typography.fontFamily,
+  },
+  stepperButton: {
+    padding: theme.spacing.xs,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    borderRadius: theme.borderRadius.sm,
+  },
+  stepperValue: {
+    minWidth: 48,
+    textAlign: 'center',
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.caption,
+    fontFamily: theme.typography.fontFamily,
+  },
+  showerList: {
+    marginBottom: theme.spacing.md,
+  },
+  showerRow: {
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.cardBorder,
+  },
+  showerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  showerName: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.caption,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  showerBadge: {
+    fontSize: theme.typography.small,
+    fontFamily: theme.typography.fontFamily,
+  },
+  showerText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    marginTop: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  counterGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  counterButton: {
+    width: '48%',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  counterCode: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.caption,
+    fontFamily: theme.typography.fontFamily,
+  },
+  counterValue: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.h3,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  primaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  primaryButtonText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.body,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  secondaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  secondaryButtonText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.body,
+    fontFamily: theme.typography.fontFamily,
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+});
@@ -0,0 +1,443 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, ScrollView, TextInput, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import { StorySubmissionService, SUBMISSION_STATUS, REVIEW_DECISIONS } from '../services/StorySubmissionService';
+import { StorySubmissionForm } from './StorySubmissionForm';
+import theme from '../styles/theme';
+
+const STATUS_LABELS = {
+  [SUBMISSION_STATUS.PENDING]: 'Pending',
+  [SUBMISSION_STATUS.CHANGES_REQUESTED]: 'Changes requested',
+  [SUBMISSION_STATUS.APPROVED]: 'Approved',
+  [SUBMISSION_STATUS.REJECTED]: 'Rejected',
+};
+
+const DECISION_LABELS = {
+  [SUBMISSION_STATUS.APPROVED]: 'Approve',
+  [SUBMISSION_STATUS.CHANGES_REQUESTED]: 'Request changes',
+  [SUBMISSION_STATUS.REJECTED]: 'Reject',
+};
+
+const DECISION_COLORS = {
+  [SUBMISSION_STATUS.APPROVED]: theme.colors.success,
+  [SUBMISSION_STATUS.CHANGES_REQUESTED]: theme.colors.warning,
+  [SUBMISSION_STATUS.REJECTED]: theme.colors.error,
+};
+
+const ACTION_LABELS = {
+  submitted: 'Submitted',
+  edited: 'Edited',
+  resubmitted: 'Resubmitted',
+  approved: 'Approved',
+  changes_requested: 'Changes requested',
+  rejected: 'Rejected',
+};
+
+// Story fields named in the audit trail when an edit changes them
+const STORY_FIELD_LABELS = {
+  indigenous_name: 'name',
+  western_name: 'sky object',
+  culture: 'culture',
+  story_or_meaning: 'story',
+  object_type: 'kind',
+  consent: 'consent',
+  attribution: 'attribution',
+  language: 'language',
+  sources: 'sources',
+};
+
+const formatTime = (value) => new Date(value).toLocaleString();
+
+const getChangedFields = (before, after) => Object.keys(STORY_FIELD_LABELS)
+  .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after[field]))
+  .map(field => STORY_FIELD_LABELS[field]);
+
+/**
+ * Reviewers' queue of community story submissions: read each story with its sources and
+ * history, then approve it, reject it or ask the submitter for changes.
+ */
+export const ModerationQueue = ({ visible, onClose }) => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(SUBMISSION_STATUS.PENDING);
+  const [submissions, setSubmissions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [note, setNote] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showEditor, setShowEditor] = useState(false);
+
+  const loadQueue = useCallback(async () => {
+    setIsLoading(true);
+    const { data, error: loadError } = await StorySubmissionService.getModerationQueue(status);
+    setIsLoading(false);
+    setSubmissions(data || []);
+    setError(loadError ? loadError.message : null);
+  }, [status]);
+
+  useEffect(() => {
+    if (visible) loadQueue();
+  }, [visible, loadQueue]);
+
+  const openSubmission = async (submission) => {
+    setSelected(submission);
+    setNote('');
+    setError(null);
+    setHistory([]);
+    const { data } = await StorySubmissionService.getSubmissionHistory(submission.id);
+    setHistory(data || []);
+  };
+
+  const closeSubmission = () => {
+    setSelected(null);
+    loadQueue();
+  };
+
+  const decide = async (decision) => {
+    setIsLoading(true);
+    const { error: reviewError } = await StorySubmissionService.reviewSubmission(selected.id, decision, note);
+    setIsLoading(false);
+
+    if (reviewError) {
+      setError(reviewError.message);
+      return;
+    }
+    closeSubmission();
+  };
+
+  const renderHistory = () => history.map((event, index) => {
+    const actor = event.actor_id === user?.id ? 'you' : event.actor_id === selected.submitted_by ? 'the submitter' : 'a reviewer';
+    const changed = event.action === 'edited' || event.action === 'resubmitted'
+      ? getChangedFields(history[index - 1]?.story, event.story)
+      : [];
+    return (
+      <View key={event.id} style={styles.event}>
+        <Text style={styles.eventTitle}>
+          {ACTION_LABELS[event.action] || event.action} by {actor}
+        </Text>
+        <Text style={styles.caption}>{formatTime(event.created_at)}</Text>
+        {changed.length > 0 && <Text style={styles.caption}>Changed {changed.join(', ')}</Text>}
+        {event.note && <Text style={styles.eventNote}>{event.note}</Text>}
+      </View>
+    );
+  });
+
+  const renderDetail = () => {
+    const { story } = selected;
+    const ownStory = selected.submitted_by === user?.id;
+    return (
+      <ScrollView style={styles.list}>
+        <TouchableOpacity style={styles.backButton} onPress={closeSubmission}>
+          <Ionicons name="chevron-back" size={20} color={theme.colors.textSecondary} />
+          <Text style={styles.backText}>Queue</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.storyName}>{story.indigenous_name}</Text>
+        <Text style={styles.caption}>
+          {story.culture} • {story.object_type} • {story.western_name} • {story.consent}
+        </Text>
+        <Text style={styles.storyText}>{story.story_or_meaning}</Text>
+
+        <Text style={styles.label}>Attribution</Text>
+        <Text style={styles.detailText}>Community: {story.attribution.community}</Text>
+        {story.attribution.contributors.length > 0 && (
+          <Text style={styles.detailText}>Shared by: {story.attribution.contributors.join(', ')}</Text>
+        )}
+        <Text style={styles.detailText}>Permission: {story.attribution.permission || 'not recorded'}</Text>
+        {story.language && <Text style={styles.detailText}>Language: {story.language.name}</Text>}
+        <Text style={styles.detailText}>Linked stars: {story.star_ids.length}</Text>
+
+        <Text style={styles.label}>Sources</Text>
+        {story.sources.length > 0
+          ? story.sources.map(source => <Text key={source.citation} style={styles.detailText}>{source.citation}</Text>)
+          : <Text style={styles.warning}>No sources given</Text>}
+
+        <Text style={styles.label}>History</Text>
+        {renderHistory()}
+
+        <TouchableOpacity style={styles.editButton} onPress={() => setShowEditor(true)}>
+          <Ionicons name="create-outline" size={16} color={theme.colors.textSecondary} />
+          <Text style={styles.backText}>Edit story</Text>
+        </TouchableOpacity>
+
+        {ownStory ? (
+          <Text style={styles.warning}>Another reviewer has to decide on your own story.</Text>
+        ) : (
+          <>
+            <TextInput
+              style={styles.noteInput}
+              value={note}
+              onChangeText={setNote}
+              placeholder="Note for the submitter (needed unless approving)"
+              placeholderTextColor={theme.colors.textMuted}
+              multiline
+            />
+            <View style={styles.decisions}>
+              {REVIEW_DECISIONS.map(decision => (
+                <TouchableOpacity
+                  key={decision}
+                  style={[
+                    styles.decisionButton,
+                    { borderColor: DECISION_COLORS[decision] },
+                    (isLoading || decision === selected.status) && styles.disabledButton,
+                  ]}
+                  onPress={() => decide(decision)}
+                  disabled={isLoading || decision === selected.status}
+                >
+                  <Text style={[styles.decisionText, { color: DECISION_COLORS[decision] }]}>{DECISION_LABELS[decision]}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+      </ScrollView>
+    );
+  };
+
+  const renderQueue = () => (
+    <>
+      <View style={styles.statusTabs}>
+        {Object.values(SUBMISSION_STATUS).map(value => (
+          <TouchableOpacity
+            key={value}
+            style={[styles.statusTab, status === value && styles.activeStatusTab]}
+            onPress={() => setStatus(value)}
+          >
+            <Text style={[styles.statusTabText, status === value && styles.activeStatusTabText]}>{STATUS_LABELS[value]}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {isLoading ? (
+        <ActivityIndicator color={theme.colors.primary} />
+      ) : (
+        <ScrollView style={styles.list}>
+          {submissions.length === 0 && <Text style={styles.caption}>Nothing here.</Text>}
+          {submissions.map(submission => (
+            <TouchableOpacity key={submission.id} style={styles.row} onPress={() => openSubmission(submission)}>
+              <View style={styles.rowText}>
+                <Text style={styles.storyTitle}>{submission.story.indigenous_name}</Text>
+                <Text style={styles.caption}>
+                  {submission.story.culture} • {submission.story.consent} • {formatTime(submission.updated_at)}
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={theme.colors.textMuted} />
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+    </>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+          <Text style={styles.title}>Story Review</Text>
+          {error && <Text style={styles.error}>{error}</Text>}
+          {selected ? renderDetail() : renderQueue()}
+        </View>
+      </View>
+
+      <StorySubmissionForm
+        visible={showEditor}
+        onClose={() => setShowEditor(false)}
+        submission={selected}
+        reviewing
+        onSaved={openSubmission}
+      />
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: theme.colors.overlay,
+    justifyContent: 'center',
+    padding: theme.spacing.xl,
+  },
+  card: {
+    backgroundColor: theme.colors.cardBackgroundSolid,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    padding: theme.spacing.xxl,
+    maxHeight: '90%',
+    ...theme.shadows.large,
+  },
+  closeButton: {
+    position: 'absolute',
+    top: theme.spacing.md,
+    right: theme.spacing.md,
+    padding: theme.spacing.xs,
+    zIndex: 1,
+  },
+  title: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.h4,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.md,
+    fontFamily: theme.typography.fontFamily,
+  },
+  caption: {
+    color: theme.colors.textMuted,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  warning: {
+    color: theme.colors.warning,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  error: {
+    color: theme.colors.error,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  statusTabs: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: theme.spacing.md,
+  },
+  statusTab: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+    marginRight: theme.spacing.sm,
+    marginBottom: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  activeStatusTab: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  statusTabText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    fontFamily: theme.typography.fontFamily,
+  },
+  activeStatusTabText: {
+    color: theme.colors.textPrimary,
+    fontWeight: theme.typography.bold,
+  },
+  list: {
+    maxHeight: 520,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.cardBorder,
+  },
+  rowText: {
+    flex: 1,
+  },
+  storyTitle: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.caption,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  backText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    marginLeft: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  storyName: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.body,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  storyText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.caption,
+    lineHeight: 20,
+    marginVertical: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  label: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  detailText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  event: {
+    paddingLeft: theme.spacing.sm,
+    marginBottom: theme.spacing.sm,
+    borderLeftWidth: 2,
+    borderLeftColor: theme.colors.cardBorder,
+  },
+  eventTitle: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  eventNote: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    fontStyle: 'italic',
+    fontFamily: theme.typography.fontFamily,
+  },
+  editButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: theme.spacing.md,
+  },
+  noteInput: {
+    minHeight: 60,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.sm,
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.caption,
+    textAlignVertical: 'top',
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  decisions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  decisionButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    marginHorizontal: theme.spacing.xs,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+  },
+  decisionText: {
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+});
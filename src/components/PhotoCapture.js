@@ -11,21 +11,31 @@ import {
   Animated,
   Dimensions,
   Image,
+  InteractionManager,
 } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
-import { PhotoService } from '../services/PhotoService';
+import { PhotoUploadQueue } from '../services/PhotoUploadQueue';
+import { SkyQualityAnalyzer } from '../utils/skyQuality';
+import { TwilightCalculator, TWILIGHT_PHASES, TWILIGHT_PHASE_LABELS } from '../utils/twilight';
+import { solvePlate } from '../core/utils/plateSolver';
+import { useCompass } from '../hooks/useCompass';
 import { useAuth } from '../contexts/AuthContext';
 
 const { height: screenHeight } = Dimensions.get('window');
 
 export const PhotoCapture = ({ visible, onClose, constellation, location }) => {
   const { user } = useAuth();
+  const { heading, pitch, isSupported: compassSupported } = useCompass(location);
   const [cameraRef, setCameraRef] = useState(null);
   const isMountedRef = useRef(true);
   const [capturing, setCapturing] = useState(false);
   const [brightnessRating, setBrightnessRating] = useState(3);
   const [showRatingModal, setShowRatingModal] = useState(false);
   const [capturedPhotoUri, setCapturedPhotoUri] = useState(null);
+  const [skyQuality, setSkyQuality] = useState(null);
+  const [plateSolution, setPlateSolution] = useState(null);
+  const [analyzingSky, setAnalyzingSky] = useState(false);
+  const analysisRef = useRef(null);
   const [showDropdown, setShowDropdown] = useState(false);
   const [photoFrozen, setPhotoFrozen] = useState(false);
   const [cameraReady, setCameraReady] = useState(false);
@@ -51,6 +61,8 @@ export const PhotoCapture = ({ visible, onClose, constellation, location }) => {
       // Reset all states when modal is closed
       setCapturing(false);
       setCapturedPhotoUri(null);
+      setSkyQuality(null);
+      setPlateSolution(null);
       setShowDropdown(false);
       setPhotoFrozen(false);
       setCameraRef(null);
@@ -102,6 +114,15 @@ export const PhotoCapture = ({ visible, onClose, constellation, location }) => {
         return;
       }
 
+      // Pointing at the moment of capture narrows the plate-solve search
+      const capturePrior = location ? {
+        azimuth: compassSupported ? heading : null,
+        altitude: -pitch,
+        latitude: location.coords.latitude,
+        longitude: location.coords.longitude,
+        time: new Date(),
+      } : null;
+
       const photo = await cameraRef.takePictureAsync({
         quality: 0.8,
         base64: false,
@@ -127,6 +148,8 @@ export const PhotoCapture = ({ visible, onClose, constellation, location }) => {
       }).start();
 
       console.log('=== PICTURE TAKEN SUCCESSFULLY ===');
+
+      analysisRef.current = analyzePhoto(photo.uri, capturePrior);
     } catch (error) {
       // Check if it's the unmounted error specifically first
       if (error.message && error.message.includes('unmounted')) {
@@ -142,33 +165,90 @@ export const PhotoCapture = ({ visible, onClose, constellation, location }) => {
     }
   };
 
+  // Objective sky quality estimate shown next to the manual rating, plus plate-solved constellations
+  const analyzePhoto = async (uri, prior) => {
+    setSkyQuality(null);
+    setPlateSolution(null);
+    setAnalyzingSky(true);
+
+    let quality = null;
+    let solution = null;
+    try {
+      // Let the rating screen appear before decoding takes the JS thread
+      await new Promise(resolve => InteractionManager.runAfterInteractions(resolve));
+      const image = await SkyQualityAnalyzer.decodePhoto(uri);
+      const detection = SkyQualityAnalyzer.detectPointSources(image);
+      quality = SkyQualityAnalyzer.analyzeImage(image, detection);
+
+      // Twilight brightens the background, so the estimate only describes the site once it is fully dark
+      if (prior) {
+        const sunAltitude = TwilightCalculator.getSunAltitude(prior.latitude, prior.longitude, prior.time);
+        quality = { ...quality, twilightPhase: TwilightCalculator.getPhase(sunAltitude) };
+      }
+
+      // Without a compass heading the prior is too weak to narrow the catalog search
+      if (prior && prior.azimuth !== null) {
+        solution = solvePlate(detection.sources, image.width, image.height, prior);
+      }
+    } catch (error) {
+      console.error('Photo analysis error:', error);
+    }
+
+    if (isMountedRef.current) {
+      setSkyQuality(quality);
+      setPlateSolution(solution);
+      setAnalyzingSky(false);
+    }
+    return { quality, solution };
+  };
+
   const savePhoto = async () => {
     if (!capturedPhotoUri || !location) return;
 
     try {
+      // Give an in-progress analysis the chance to finish so its results are saved too
+      const analysis = analysisRef.current ? await analysisRef.current : {};
+      const quality = analysis.quality ?? skyQuality;
+      const solution = analysis.solution ?? plateSolution;
+
       const photoData = {
         uri: capturedPhotoUri,
         latitude: location.coords.latitude,
         longitude: location.coords.longitude,
         constellation: constellation ? [constellation.name] : [], // Array of constellation names
         brightnessRating: brightnessRating,
+        skyQuality: quality,
+        plateSolution: solution ? {
+          ra: solution.ra,
+          dec: solution.dec,
+          rotation: solution.rotation,
+          fieldOfView: solution.fieldOfView,
+          matchedStarCount: solution.matchedStars.length,
+          constellations: solution.constellations,
+        } : null,
         timestamp: new Date().toISOString(),
       };
 
-      const { data, error } = await PhotoService.uploadPhoto(photoData);
+      // Queue first so the capture survives having no signal, then try to upload right away
+      const queued = await PhotoUploadQueue.enqueue(photoData);
+      await PhotoUploadQueue.processQueue({ force: true });
+      const stillQueued = (await PhotoUploadQueue.getQueue()).some(item => item.id === queued.id);
 
-      if (error) {
-        Alert.alert('Error', 'Failed to save photo: ' + error.message);
+      if (stillQueued) {
+        Alert.alert('Saved Offline', 'Photo saved to your device and will upload automatically when you have a connection.');
       } else {
         Alert.alert('Success', 'Photo saved successfully!');
-        hideDropdown();
-        onClose();
       }
+      hideDropdown();
+      onClose();
     } catch (error) {
       console.error('Error saving photo:', error);
       Alert.alert('Error', 'Failed to save photo');
     } finally {
       setCapturedPhotoUri(null);
+      setSkyQuality(null);
+      setPlateSolution(null);
+      analysisRef.current = null;
       setShowRatingModal(false);
     }
   };
@@ -351,6 +431,29 @@ export const PhotoCapture = ({ visible, onClose, constellation, location }) => {
                 ))}
               </View>
 
+              <View style={styles.skyQualityRow}>
+                {analyzingSky ? (
+                  <>
+                    <ActivityIndicator size="small" color="#FFD700" />
+                    <Text style={styles.skyQualityText}>Measuring sky quality...</Text>
+                  </>
+                ) : skyQuality ? (
+                  <Text style={styles.skyQualityText}>
+                    Estimated: Bortle {skyQuality.bortleClass} • Limiting mag {skyQuality.limitingMagnitude.toFixed(1)} • {skyQuality.starCount} stars
+                  </Text>
+                ) : null}
+              </View>
+              {!analyzingSky && skyQuality?.twilightPhase && skyQuality.twilightPhase !== TWILIGHT_PHASES.NIGHT && (
+                <Text style={[styles.skyQualityText, styles.twilightWarningText]}>
+                  Taken in {TWILIGHT_PHASE_LABELS[skyQuality.twilightPhase].toLowerCase()}: the sky will be darker later
+                </Text>
+              )}
+              {plateSolution && (
+                <Text style={[styles.skyQualityText, styles.plateSolutionText]}>
+                  Identified: {plateSolution.constellations.join(', ')}
+                </Text>
+              )}
+
               <View style={styles.ratingActions}>
                 <TouchableOpacity style={styles.cancelButton} onPress={cancelCapture}>
                   <Text style={styles.cancelButtonText}>Cancel</Text>
@@ -539,6 +642,32 @@ const styles = StyleSheet.create({
   ratingButtonTextSelected: {
     color: '#0c1445',
   },
+  skyQualityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 20,
+    marginTop: -15,
+    marginBottom: 20,
+  },
+  skyQualityText: {
+    color: '#FFD700',
+    fontSize: 14,
+    textAlign: 'center',
+    marginLeft: 8,
+  },
+  twilightWarningText: {
+    color: '#FFA500',
+    fontSize: 12,
+    marginLeft: 0,
+    marginTop: -10,
+    marginBottom: 20,
+  },
+  plateSolutionText: {
+    marginLeft: 0,
+    marginTop: -10,
+    marginBottom: 20,
+  },
   ratingActions: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -14,12 +14,25 @@ import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useAuth } from '../contexts/AuthContext';
 import { PhotoService } from '../services/PhotoService';
+import { StorySubmissionService, SUBMISSION_STATUS } from '../services/StorySubmissionService';
+import { StorySubmissionForm } from './StorySubmissionForm';
+import { ModerationQueue } from './ModerationQueue';
 import * as Notifications from 'expo-notifications';
 import * as Location from 'expo-location';
 import theme from '../styles/theme';
 
 const { height: screenHeight } = Dimensions.get('window');
 
+const SUBMISSION_STATUS_LABELS = {
+  [SUBMISSION_STATUS.PENDING]: 'Waiting for review',
+  [SUBMISSION_STATUS.CHANGES_REQUESTED]: 'Changes requested',
+  [SUBMISSION_STATUS.APPROVED]: 'Published',
+  [SUBMISSION_STATUS.REJECTED]: 'Declined',
+};
+
+// Submitters can still edit these; approved and rejected stories are final
+const EDITABLE_STATUSES = [SUBMISSION_STATUS.PENDING, SUBMISSION_STATUS.CHANGES_REQUESTED];
+
 export const ProfileTab = () => {
   const { user, profile, signOut } = useAuth();
   const [showSettings, setShowSettings] = useState(false);
@@ -34,11 +47,21 @@ export const ProfileTab = () => {
     locationServices: true,
     cameraEnabled: true,
   });
+  const [submissions, setSubmissions] = useState([]);
+  // null when closed, {} for a new story, or the submission being edited
+  const [storyForm, setStoryForm] = useState(null);
+  const [showModeration, setShowModeration] = useState(false);
 
   useEffect(() => {
     loadUserStats();
+    loadSubmissions();
   }, [user]);
 
+  const loadSubmissions = async () => {
+    const { data } = await StorySubmissionService.getUserSubmissions();
+    setSubmissions(data || []);
+  };
+
   const loadUserStats = async () => {
     try {
       setLoading(true);
@@ -258,6 +281,54 @@ export const ProfileTab = () => {
     </View>
   );
 
+  const renderCommunityStories = () => (
+    <View style={styles.settingsSection}>
+      <Text style={styles.sectionTitle}>Community Stories</Text>
+
+      <TouchableOpacity style={styles.settingItem} onPress={() => setStoryForm({})}>
+        <Ionicons name="chatbubbles-outline" size={24} color={theme.colors.primary} />
+        <View style={styles.settingContent}>
+          <Text style={styles.settingTitle}>Share a Sky Story</Text>
+          <Text style={styles.settingDescription}>Send a story from your culture for review</Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color={theme.colors.textMuted} />
+      </TouchableOpacity>
+
+      {StorySubmissionService.isReviewer(profile) && (
+        <TouchableOpacity style={styles.settingItem} onPress={() => setShowModeration(true)}>
+          <Ionicons name="shield-checkmark-outline" size={24} color={theme.colors.primary} />
+          <View style={styles.settingContent}>
+            <Text style={styles.settingTitle}>Story Review</Text>
+            <Text style={styles.settingDescription}>Moderate submitted stories</Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color={theme.colors.textMuted} />
+        </TouchableOpacity>
+      )}
+
+      {submissions.map(submission => {
+        const editable = EDITABLE_STATUSES.includes(submission.status);
+        return (
+          <TouchableOpacity
+            key={submission.id}
+            style={styles.settingItem}
+            onPress={() => setStoryForm(submission)}
+            disabled={!editable}
+          >
+            <Ionicons name="document-text-outline" size={24} color={theme.colors.primary} />
+            <View style={styles.settingContent}>
+              <Text style={styles.settingTitle}>{submission.story.indigenous_name}</Text>
+              <Text style={styles.settingDescription}>{SUBMISSION_STATUS_LABELS[submission.status]}</Text>
+              {submission.review_note && (
+                <Text style={styles.settingDescription}>Reviewer: {submission.review_note}</Text>
+              )}
+            </View>
+            {editable && <Ionicons name="create-outline" size={20} color={theme.colors.textMuted} />}
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
   const renderAccountActions = () => (
     <View style={styles.actionsSection}>
       <TouchableOpacity style={styles.actionButton} onPress={handleSignOut}>
@@ -276,9 +347,18 @@ export const ProfileTab = () => {
     <View style={styles.container}>
       <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
         {renderProfileInfo()}
+        {renderCommunityStories()}
         {renderSettings()}
         {renderAccountActions()}
       </ScrollView>
+
+      <StorySubmissionForm
+        visible={!!storyForm}
+        onClose={() => setStoryForm(null)}
+        submission={storyForm?.id ? storyForm : null}
+        onSaved={loadSubmissions}
+      />
+      <ModerationQueue visible={showModeration} onClose={() => setShowModeration(false)} />
     </View>
   );
 };
@@ -0,0 +1,299 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, ScrollView, TextInput } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AstronomyCalculator } from '../utils/astronomy';
+import { SatelliteCalculator, TLE_STALE_DAYS } from '../utils/satellites';
+import { SatelliteTleService } from '../services/SatelliteTleService';
+import theme from '../styles/theme';
+
+const PASS_SEARCH_HOURS = 24;
+
+const formatClock = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Upcoming satellite passes for the observer, from the bundled or imported TLE file.
+ * TLE text can be pasted in to replace the bundled snapshot; nothing needs a network connection.
+ */
+export const SatellitePassesPanel = ({ visible, onClose, location, catalog, date = new Date() }) => {
+  const [visibleOnly, setVisibleOnly] = useState(true);
+  const [showImport, setShowImport] = useState(false);
+  const [tleText, setTleText] = useState('');
+  const [importReport, setImportReport] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  useEffect(() => {
+    if (!visible) {
+      setShowImport(false);
+      setImportReport(null);
+    }
+  }, [visible]);
+
+  // Passes are searched once per opening, not on every clock tick
+  const passes = useMemo(() => {
+    if (!visible || !location || !catalog) return [];
+    return SatelliteCalculator.predictAllPasses(catalog.satellites, location, date, {
+      hours: PASS_SEARCH_HOURS,
+      visibleOnly,
+    });
+  }, [visible, location, catalog, visibleOnly]);
+
+  const staleCount = catalog ? catalog.satellites.filter(satellite => SatelliteCalculator.isStale(satellite, date)).length : 0;
+  const newestEpoch = catalog && catalog.satellites.length > 0
+    ? new Date(Math.max(...catalog.satellites.map(satellite => satellite.epoch.getTime())))
+    : null;
+
+  const importPastedTle = async () => {
+    setIsImporting(true);
+    const { data, error } = await SatelliteTleService.importTle(tleText, 'Pasted TLE');
+    setIsImporting(false);
+
+    if (error) {
+      setImportReport({ ok: false, message: error.message });
+      return;
+    }
+    setImportReport({
+      ok: true,
+      message: `Imported ${data.satellites.length} satellite${data.satellites.length === 1 ? '' : 's'}` +
+        (data.errors.length > 0 ? `; skipped ${data.errors.length} invalid set${data.errors.length === 1 ? '' : 's'} (line ${data.errors.map(e => e.line).join(', ')})` : ''),
+    });
+    setTleText('');
+    setShowImport(false);
+  };
+
+  const renderPass = (pass) => (
+    <View key={`${pass.noradId}-${pass.rise.time.getTime()}`} style={styles.passRow}>
+      <View style={styles.passHeader}>
+        <Text style={styles.passName}>{pass.satelliteName}</Text>
+        <Text style={[styles.passBadge, { color: pass.visible ? theme.colors.success : theme.colors.textMuted }]}>
+          {pass.visible ? 'Visible' : 'In daylight or shadow'}
+        </Text>
+      </View>
+      <Text style={styles.passText}>
+        {formatClock(pass.rise.time)} {AstronomyCalculator.getCompassPoint(pass.rise.azimuth)} →{' '}
+        {formatClock(pass.culmination.time)} {Math.round(pass.culmination.altitude)}° {AstronomyCalculator.getCompassPoint(pass.culmination.azimuth)} →{' '}
+        {formatClock(pass.set.time)} {AstronomyCalculator.getCompassPoint(pass.set.azimuth)}
+      </Text>
+      {pass.visible && (
+        <Text style={styles.caption}>
+          Look from {formatClock(pass.visibleStart)} to {formatClock(pass.visibleEnd)}
+        </Text>
+      )}
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+          <Text style={styles.title}>Satellite Passes</Text>
+
+          {catalog && (
+            <Text style={styles.caption}>
+              {catalog.isBundled ? 'Bundled snapshot' : catalog.source} • {catalog.satellites.length} satellite{catalog.satellites.length === 1 ? '' : 's'}
+              {newestEpoch ? ` • elements from ${newestEpoch.toLocaleDateString()}` : ''}
+            </Text>
+          )}
+          {staleCount > 0 && (
+            <Text style={styles.warning}>
+              {staleCount === catalog.satellites.length ? 'All' : staleCount} element set{staleCount === 1 ? ' is' : 's are'} more
+              than {TLE_STALE_DAYS} days old, so pass times may be off. Import a current TLE file.
+            </Text>
+          )}
+
+          <TouchableOpacity style={styles.toggleRow} onPress={() => setVisibleOnly(!visibleOnly)}>
+            <Ionicons name={visibleOnly ? 'checkbox' : 'square-outline'} size={18} color={theme.colors.textSecondary} />
+            <Text style={styles.toggleText}>Only passes you can see</Text>
+          </TouchableOpacity>
+
+          <ScrollView style={styles.passList}>
+            {passes.length > 0 ? passes.map(renderPass) : (
+              <Text style={styles.body}>
+                No {visibleOnly ? 'visible ' : ''}passes in the next {PASS_SEARCH_HOURS} hours.
+              </Text>
+            )}
+          </ScrollView>
+
+          {importReport && (
+            <Text style={[styles.caption, { color: importReport.ok ? theme.colors.success : theme.colors.error }]}>
+              {importReport.message}
+            </Text>
+          )}
+
+          {showImport ? (
+            <>
+              <TextInput
+                style={styles.tleInput}
+                value={tleText}
+                onChangeText={setTleText}
+                placeholder="Paste TLE lines (name, line 1, line 2)"
+                placeholderTextColor={theme.colors.textMuted}
+                multiline
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TouchableOpacity
+                style={[styles.primaryButton, (!tleText.trim() || isImporting) && styles.disabledButton]}
+                onPress={importPastedTle}
+                disabled={!tleText.trim() || isImporting}
+              >
+                <Text style={styles.primaryButtonText}>{isImporting ? 'Importing...' : 'Import'}</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setShowImport(true)}>
+              <Text style={styles.secondaryButtonText}>Import TLE</Text>
+            </TouchableOpacity>
+          )}
+          {catalog && !catalog.isBundled && (
+            <TouchableOpacity onPress={() => SatelliteTleService.clearImported()}>
+              <Text style={styles.linkText}>Use bundled snapshot</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: theme.colors.overlay,
+    justifyContent: 'center',
+    padding: theme.spacing.xl,
+  },
+  card: {
+    backgroundColor: theme.colors.cardBackgroundSolid,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    padding: theme.spacing.xxl,
+    maxHeight: '90%',
+    ...theme.shadows.large,
+  },
+  closeButton: {
+    position: 'absolute',
+    top: theme.spacing.md,
+    right: theme.spacing.md,
+    padding: theme.spacing.xs,
+    zIndex: 1,
+  },
+  title: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.h4,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  body: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.body,
+    textAlign: 'center',
+    marginVertical: theme.spacing.lg,
+    fontFamily: theme.typography.fontFamily,
+  },
+  caption: {
+    color: theme.colors.textMuted,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  warning: {
+    color: theme.colors.warning,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  toggleText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.caption,
+    marginLeft: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  passList: {
+    marginBottom: theme.spacing.md,
+  },
+  passRow: {
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.cardBorder,
+  },
+  passHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  passName: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.caption,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  passBadge: {
+    fontSize: theme.typography.small,
+    fontFamily: theme.typography.fontFamily,
+  },
+  passText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    marginTop: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  tleInput: {
+    minHeight: 90,
+    maxHeight: 160,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.sm,
+    color: theme.colors.textPrimary,
+    fontFamily: 'Courier',
+    fontSize: 10,
+    textAlignVertical: 'top',
+    marginBottom: theme.spacing.sm,
+  },
+  primaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  primaryButtonText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.body,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  secondaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  secondaryButtonText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.body,
+    fontFamily: theme.typography.fontFamily,
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+  linkText: {
+    color: theme.colors.warning,
+    fontSize: theme.typography.small,
+    textAlign: 'center',
+    marginTop: theme.spacing.md,
+  },
+});
@@ -0,0 +1,275 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, ScrollView, TextInput } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SkyCulturePackageService } from '../services/SkyCulturePackageService';
+import { skyCultures } from '../core/data/skyCultures';
+import { STELLARIUM_FILES } from '../core/utils/stellariumSkyCulture';
+import theme from '../styles/theme';
+
+// Issues listed under a report; the rest are counted
+const MAX_LISTED_ISSUES = 8;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Import Stellarium sky-culture packages (a folder of .fab files or an index.json) and export any
+ * sky culture back to one. Every import and export shows a validation report of the stars that
+ * could not be mapped between Hipparcos numbers and our catalog.
+ */
+export const SkyCulturePackagePanel = ({ visible, onClose }) => {
+  const [importedPackages, setImportedPackages] = useState([]);
+  const [packageInput, setPackageInput] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => SkyCulturePackageService.subscribe(setImportedPackages), []);
+
+  useEffect(() => {
+    if (!visible) {
+      setResult(null);
+    }
+  }, [visible]);
+
+  // Pasted JSON is an index.json; anything else is the path of a package folder or index.json file
+  const importPackage = async () => {
+    const input = packageInput.trim();
+    setIsWorking(true);
+    const { data, error } = input.startsWith('{')
+      ? await SkyCulturePackageService.importPackage({ [STELLARIUM_FILES.INDEX]: input }, 'Pasted package')
+      : await SkyCulturePackageService.importPackageFromUri(input);
+    setIsWorking(false);
+
+    if (error) {
+      setResult({ ok: false, message: error.message });
+      return;
+    }
+    setResult({
+      ok: true,
+      message: `Imported ${data.name}: ${plural(data.report.figureCount, 'figure')}, ` +
+        `${plural(data.report.starNameCount, 'star name')}, ${plural(data.report.newStoryCount, 'new story')}`,
+      report: data.report,
+    });
+    setPackageInput('');
+  };
+
+  const exportPackage = async (culture) => {
+    setIsWorking(true);
+    const { data, error } = await SkyCulturePackageService.exportPackage(culture.id);
+    setIsWorking(false);
+
+    if (error) {
+      setResult({ ok: false, message: error.message });
+      return;
+    }
+    setResult({
+      ok: true,
+      message: `Exported ${culture.name} (${plural(data.report.figureCount, 'figure')}) to ${data.uri}`,
+      report: data.report,
+    });
+  };
+
+  const renderReport = (report) => {
+    if (report.issues.length === 0) {
+      return <Text style={styles.caption}>Every star mapped to the catalog.</Text>;
+    }
+    return (
+      <ScrollView style={styles.reportBox}>
+        <Text style={styles.warning}>
+          {plural(report.issues.length, 'issue')}
+          {report.droppedLineCount > 0 ? ` • ${plural(report.droppedLineCount, 'line')} dropped` : ''}
+        </Text>
+        {report.issues.slice(0, MAX_LISTED_ISSUES).map((issue, index) => (
+          <Text key={`${issue.kind}-${index}`} style={styles.issueText}>
+            {issue.file}{issue.line ? `:${issue.line}` : ''}{issue.figure ? ` (${issue.figure})` : ''} — {issue.message}
+          </Text>
+        ))}
+        {report.issues.length > MAX_LISTED_ISSUES && (
+          <Text style={styles.issueText}>and {report.issues.length - MAX_LISTED_ISSUES} more</Text>
+        )}
+      </ScrollView>
+    );
+  };
+
+  const renderCulture = (culture) => {
+    const imported = importedPackages.find(importedPackage => importedPackage.id === culture.id);
+    return (
+      <View key={culture.id} style={styles.cultureRow}>
+        <View style={styles.cultureText}>
+          <Text style={styles.cultureName}>{culture.name}</Text>
+          <Text style={styles.caption}>
+            {plural(culture.figures.length, 'figure')}
+            {imported ? ` • imported from ${imported.source}` : ''}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => exportPackage(culture)}
+          disabled={isWorking}
+        >
+          <Ionicons name="share-outline" size={20} color={theme.colors.primary} />
+        </TouchableOpacity>
+        {imported && (
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => SkyCulturePackageService.removeImported(culture.id)}
+            disabled={isWorking}
+          >
+            <Ionicons name="trash-outline" size={20} color={theme.colors.textMuted} />
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+          <Text style={styles.title}>Sky Culture Packages</Text>
+          <Text style={styles.caption}>
+            Share figures and stories with Stellarium. Exports go to the app's documents folder.
+          </Text>
+
+          <ScrollView style={styles.cultureList}>
+            {skyCultures.map(renderCulture)}
+          </ScrollView>
+
+          {result && (
+            <View>
+              <Text style={[styles.caption, { color: result.ok ? theme.colors.success : theme.colors.error }]}>
+                {result.message}
+              </Text>
+              {result.report && renderReport(result.report)}
+            </View>
+          )}
+
+          <TextInput
+            style={styles.packageInput}
+            value={packageInput}
+            onChangeText={setPackageInput}
+            placeholder="Package folder or index.json path, or paste index.json"
+            placeholderTextColor={theme.colors.textMuted}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TouchableOpacity
+            style={[styles.primaryButton, (!packageInput.trim() || isWorking) && styles.disabledButton]}
+            onPress={importPackage}
+            disabled={!packageInput.trim() || isWorking}
+          >
+            <Text style={styles.primaryButtonText}>{isWorking ? 'Working...' : 'Import'}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: theme.colors.overlay,
+    justifyContent: 'center',
+    padding: theme.spacing.xl,
+  },
+  card: {
+    backgroundColor: theme.colors.cardBackgroundSolid,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    padding: theme.spacing.xxl,
+    maxHeight: '90%',
+    ...theme.shadows.large,
+  },
+  closeButton: {
+    position: 'absolute',
+    top: theme.spacing.md,
+    right: theme.spacing.md,
+    padding: theme.spacing.xs,
+    zIndex: 1,
+  },
+  title: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.h4,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  caption: {
+    color: theme.colors.textMuted,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  warning: {
+    color: theme.colors.warning,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  cultureList: {
+    maxHeight: 220,
+    marginBottom: theme.spacing.md,
+  },
+  cultureRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.cardBorder,
+  },
+  cultureText: {
+    flex: 1,
+  },
+  cultureName: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.caption,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  iconButton: {
+    padding: theme.spacing.sm,
+  },
+  reportBox: {
+    maxHeight: 140,
+    marginBottom: theme.spacing.sm,
+  },
+  issueText: {
+    color: theme.colors.textSecondary,
+    fontSize: 10,
+    fontFamily: 'Courier',
+  },
+  packageInput: {
+    minHeight: 60,
+    maxHeight: 120,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.sm,
+    color: theme.colors.textPrimary,
+    fontFamily: 'Courier',
+    fontSize: 10,
+    textAlignVertical: 'top',
+    marginBottom: theme.spacing.sm,
+  },
+  primaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.primary,
+  },
+  primaryButtonText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.body,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -8,29 +8,63 @@ import {
   Animated,
   Dimensions,
 } from 'react-native';
-import Svg, { Line, Circle, Text as SvgText, G, Defs, LinearGradient as SvgLinearGradient, Stop, Rect } from 'react-native-svg';
+import Svg, { Line, Circle, Text as SvgText, TSpan, G, Defs, LinearGradient as SvgLinearGradient, Stop, Rect } from 'react-native-svg';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { AstronomyCalculator } from '../utils/astronomy';
+import { SolarSystemCalculator } from '../utils/solarSystem';
+import { useSimulatedTime } from '../hooks/useSimulatedTime';
+import { TimeControls } from './TimeControls';
+import { filterDeepSkyObjects } from '../core/utils/deepSkyFilter';
+import { DeepSkySymbol } from '../core/components/DeepSkySymbol';
+import { DeepSkyInfoOverlay } from '../core/components/DeepSkyInfoOverlay';
+import { DeepSkyFilterPanel, useDeepSkyFilter } from '../core/components/DeepSkyFilterPanel';
+import { useSkyCulture } from '../core/components/CulturalInfoOverlay';
+import { useSkyEpoch } from '../core/components/SkyEpochPanel';
+import { getEpochDate, formatSkyEpoch } from '../core/utils/skyEpoch';
+import { STANDARD_ATMOSPHERE } from '../core/utils/apparentPlace';
+import { indigenousService } from '../core/services/indigenousCulturalService';
 import theme from '../styles/theme';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
+// Movement (pixels) before a touch becomes a pan; shorter touches stay taps on the map symbols
+const TAP_SLOP = 8;
+
+const formatCoordinates = ({ latitude, longitude }) => (
+  `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}, ${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`
+);
+
+const formatSeason = (season) => season.charAt(0).toUpperCase() + season.slice(1);
+
 export const SkyMapTab = ({ location }) => {
   const [starPositions, setStarPositions] = useState([]);
+  const [solarSystemBodies, setSolarSystemBodies] = useState([]);
   const [selectedConstellation, setSelectedConstellation] = useState(null);
   const [scale] = useState(new Animated.Value(1));
   const [translateX] = useState(new Animated.Value(0));
   const [translateY] = useState(new Animated.Value(0));
-  const [currentTime, setCurrentTime] = useState(new Date());
   const [showLabels, setShowLabels] = useState(true);
   const [showDirections, setShowDirections] = useState(true);
+  const [showTimeControls, setShowTimeControls] = useState(false);
+  const [deepSkyObjects, setDeepSkyObjects] = useState([]);
+  const [selectedDeepSkyId, setSelectedDeepSkyId] = useState(null);
+  const [showDeepSkyFilter, setShowDeepSkyFilter] = useState(false);
+  const timeControl = useSimulatedTime();
+  const currentTime = timeControl.time;
+  const deepSkyFilter = useDeepSkyFilter();
+  const skyCulture = useSkyCulture();
+  const skyEpoch = useSkyEpoch();
+  // The map is drawn for the simulated time, moved into the historical sky's year when one is set
+  const skyTime = useMemo(() => getEpochDate(currentTime, skyEpoch), [currentTime, skyEpoch]);
 
   // Pan responder for map interaction
   const panResponder = useRef(
     PanResponder.create({
-      onStartShouldSetPanResponder: () => true,
-      onMoveShouldSetPanResponder: () => true,
+      onStartShouldSetPanResponder: () => false,
+      onMoveShouldSetPanResponder: (evt, gestureState) => (
+        Math.abs(gestureState.dx) > TAP_SLOP || Math.abs(gestureState.dy) > TAP_SLOP
+      ),
       onPanResponderMove: (evt, gestureState) => {
         translateX.setValue(gestureState.dx / scale._value);
         translateY.setValue(gestureState.dy / scale._value);
@@ -41,17 +75,9 @@ export const SkyMapTab = ({ location }) => {
     })
   );
 
-  // Update time every minute
-  useEffect(() => {
-    const timer = setInterval(() => {
-      setCurrentTime(new Date());
-    }, 60000);
-    return () => clearInterval(timer);
-  }, []);
-
   useEffect(() => {
     if (location) {
-      const positions = AstronomyCalculator.calculateStarPositions(location, currentTime);
+      const positions = AstronomyCalculator.calculateStarPositions(location, skyTime, STANDARD_ATMOSPHERE, skyCulture.figures);
       // Convert horizontal coordinates to screen coordinates for 2D sky map
       const screenPositions = positions.map(constellation => {
         const screenStars = constellation.stars.map(star => {
@@ -86,8 +112,24 @@ export const SkyMapTab = ({ location }) => {
       });
 
       setStarPositions(screenPositions);
+
+      // Sun, Moon and planets share the same azimuth/altitude projection as the stars
+      const bodies = AstronomyCalculator.calculateSolarSystemPositions(location, skyTime).map(body => ({
+        ...body,
+        x: (body.horizontalPosition.azimuth / 360) * screenWidth,
+        y: ((90 - body.horizontalPosition.altitude) / 90) * (screenHeight * 0.7),
+      }));
+      setSolarSystemBodies(bodies);
+
+      // Galaxies, clusters and nebulae on the same projection
+      const deepSky = AstronomyCalculator.calculateDeepSkyPositions(location, skyTime).map(object => ({
+        ...object,
+        x: (object.horizontalPosition.azimuth / 360) * screenWidth,
+        y: ((90 - object.horizontalPosition.altitude) / 90) * (screenHeight * 0.7),
+      }));
+      setDeepSkyObjects(deepSky);
     }
-  }, [location, currentTime]);
+  }, [location, skyTime, skyCulture]);
 
   const handlePinchGesture = (event) => {
     if (event.nativeEvent.touches.length === 2) {
@@ -150,10 +192,24 @@ export const SkyMapTab = ({ location }) => {
     setShowDirections(!showDirections);
   };
 
+  const toggleTimeControls = () => {
+    setShowTimeControls(!showTimeControls);
+  };
+
   const handleConstellationPress = (constellation) => {
     setSelectedConstellation(constellation);
   };
 
+  // Story for the selected constellation, from the chosen sky culture when it tells one
+  const selectedStory = useMemo(() => {
+    if (!selectedConstellation) return null;
+    const stories = indigenousService.findStoriesWithMappings(selectedConstellation.name);
+    return stories.find(story => skyCulture.storyCultures.includes(story.culture)) || stories[0] || null;
+  }, [selectedConstellation, skyCulture]);
+
+  // Looked up by ID so the details follow the object as simulated time moves
+  const selectedDeepSky = deepSkyObjects.find(object => object.id === selectedDeepSkyId) || null;
+
   const renderStarMap = () => {
     if (!starPositions || starPositions.length === 0) {
       return (
@@ -271,6 +327,58 @@ export const SkyMapTab = ({ location }) => {
                       fontWeight="bold"
                     >
                       {constellation.name}
+                      {constellation.englishName && (
+                        <TSpan x={constellation.centerX || screenWidth / 2} dy="13" fontSize="10" fontWeight="normal">
+                          {constellation.englishName}
+                        </TSpan>
+                      )}
+                    </SvgText>
+                  )}
+                </G>
+              );
+            })}
+
+            {/* Galaxies, clusters and nebulae */}
+            {filterDeepSkyObjects(deepSkyObjects, deepSkyFilter).map((object) => {
+              if (!object.visible) return null;
+
+              return (
+                <DeepSkySymbol
+                  key={`dso-${object.id}`}
+                  object={object}
+                  x={object.x}
+                  y={object.y}
+                  pixelsPerDegree={screenWidth / 360}
+                  showLabel={showLabels}
+                  onPress={() => setSelectedDeepSkyId(object.id)}
+                />
+              );
+            })}
+
+            {/* Sun, Moon and planets */}
+            {solarSystemBodies.map((body) => {
+              if (!body.visible) return null;
+
+              const radius = SolarSystemCalculator.getMarkerSize(body, 0.6);
+
+              return (
+                <G key={`body-${body.id}`}>
+                  <Circle
+                    cx={body.x}
+                    cy={body.y}
+                    r={radius}
+                    fill={body.color}
+                    opacity="0.95"
+                  />
+                  {showLabels && (
+                    <SvgText
+                      x={body.x}
+                      y={body.y - radius - 4}
+                      fontSize="10"
+                      fill={body.color}
+                      textAnchor="middle"
+                    >
+                      {body.name}
                     </SvgText>
                   )}
                 </G>
@@ -290,6 +398,16 @@ export const SkyMapTab = ({ location }) => {
             <View style={[styles.legendLine, { backgroundColor: theme.colors.primary }]} />
             <Text style={styles.legendText}>Constellation Lines</Text>
           </View>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendDot, { backgroundColor: '#E8C89A' }]} />
+            <Text style={styles.legendText}>Sun, Moon & Planets</Text>
+          </View>
+          {deepSkyFilter.enabled && (
+            <View style={styles.legendItem}>
+              <View style={[styles.legendRing, { borderColor: '#FFB86C' }]} />
+              <Text style={styles.legendText}>Deep-Sky Objects (tap)</Text>
+            </View>
+          )}
           {showLabels && (
             <View style={styles.legendItem}>
               <Ionicons name="text" size={12} color={theme.colors.primary} />
@@ -301,12 +419,29 @@ export const SkyMapTab = ({ location }) => {
         {/* Location and Time Info */}
         <View style={styles.infoPanel}>
           <Text style={styles.infoText}>
-            {location ? `${location.coords.latitude.toFixed(2)}°N, ${location.coords.longitude.toFixed(2)}°W` : 'Location unavailable'}
+            {location ? formatCoordinates(location.coords) : 'Location unavailable'}
+          </Text>
+          {location && (
+            <Text style={styles.infoText}>
+              {formatSeason(AstronomyCalculator.getCurrentSeason(currentTime, location.coords.latitude))} sky
+            </Text>
+          )}
+          <Text style={styles.infoText}>
+            {currentTime.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' })}
           </Text>
           <Text style={styles.infoText}>
             {currentTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            {!timeControl.isLive && ' (simulated)'}
           </Text>
+          {skyEpoch !== null && (
+            <Text style={styles.infoText}>Sky of {formatSkyEpoch(skyEpoch)}</Text>
+          )}
         </View>
+
+        {/* Time travel controls */}
+        {showTimeControls && (
+          <TimeControls timeControl={timeControl} style={styles.timeControls} />
+        )}
       </View>
     );
   };
@@ -448,8 +583,32 @@ export const SkyMapTab = ({ location }) => {
           <Ionicons name="compass" size={20} color={showDirections ? theme.colors.black : theme.colors.primary} />
           <Text style={[styles.controlText, showDirections && styles.activeControlText]}>Directions</Text>
         </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[styles.controlButton, showTimeControls && styles.activeControlButton]} 
+          onPress={toggleTimeControls}
+        >
+          <Ionicons name="time" size={20} color={showTimeControls ? theme.colors.black : theme.colors.primary} />
+          <Text style={[styles.controlText, showTimeControls && styles.activeControlText]}>Time</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.controlButton} onPress={() => setShowDeepSkyFilter(true)}>
+          <Ionicons name="planet" size={20} color={theme.colors.primary} />
+          <Text style={styles.controlText}>Deep Sky</Text>
+        </TouchableOpacity>
       </View>
 
+      {/* Deep-sky filter and object details */}
+      <DeepSkyFilterPanel
+        visible={showDeepSkyFilter}
+        onClose={() => setShowDeepSkyFilter(false)}
+      />
+      <DeepSkyInfoOverlay
+        object={selectedDeepSky}
+        horizontalPosition={selectedDeepSky?.horizontalPosition}
+        onClose={() => setSelectedDeepSkyId(null)}
+      />
+
       {/* Constellation Details Modal */}
       {selectedConstellation && (
         <View style={styles.modalOverlay}>
@@ -462,7 +621,14 @@ export const SkyMapTab = ({ location }) => {
             </TouchableOpacity>
             
             <Text style={styles.modalTitle}>{selectedConstellation.name}</Text>
-            <Text style={styles.modalStory}>{selectedConstellation.story}</Text>
+            {selectedStory && (
+              <>
+                <Text style={styles.modalStoryTitle}>
+                  {selectedStory.indigenous_name} • {selectedStory.culture}
+                </Text>
+                <Text style={styles.modalStory}>{selectedStory.story_or_meaning}</Text>
+              </>
+            )}
             
             <View style={styles.starList}>
               <Text style={styles.starListTitle}>Brightest Stars:</Text>
@@ -549,6 +715,13 @@ const styles = StyleSheet.create({
     borderRadius: 4,
     marginRight: theme.spacing.sm,
   },
+  legendRing: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    borderWidth: 1.5,
+    marginRight: theme.spacing.sm,
+  },
   legendLine: {
     width: 12,
     height: 2,
@@ -575,6 +748,12 @@ const styles = StyleSheet.create({
     fontFamily: theme.typography.fontFamily,
     marginBottom: theme.spacing.xs,
   },
+  timeControls: {
+    position: 'absolute',
+    bottom: theme.spacing.xl,
+    left: theme.spacing.xl,
+    right: theme.spacing.xl,
+  },
   controls: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -642,6 +821,13 @@ const styles = StyleSheet.create({
     marginBottom: theme.spacing.md,
     fontFamily: theme.typography.fontFamily,
   },
+  modalStoryTitle: {
+    fontSize: theme.typography.caption,
+    color: theme.colors.textSecondary,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
   modalStory: {
     fontSize: theme.typography.body,
     color: theme.colors.textPrimary,
@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, ScrollView, TextInput } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  StorySubmissionService,
+  STORY_OBJECT_TYPES,
+  SUBMITTABLE_CONSENT_LEVELS,
+} from '../services/StorySubmissionService';
+import theme from '../styles/theme';
+
+const EMPTY_FIELDS = {
+  indigenousName: '',
+  westernName: '',
+  culture: '',
+  story: '',
+  objectType: 'Constellation',
+  consent: null,
+  community: '',
+  contributors: '',
+  permission: '',
+  language: '',
+  sources: '',
+};
+
+const CONSENT_DESCRIPTIONS = {
+  public: 'Anyone using Skylore may read it, and it can be shared in sky-culture exports.',
+  restricted: 'Only reviewers and people the community gives access to may read it. It never appears in public views.',
+};
+
+/**
+ * Send a sky story for review, or edit one already sent. Stories reach other stargazers only once
+ * a reviewer approves them.
+ * @param {Object} [submission] - Submission row to edit; a new story is started when absent
+ * @param {boolean} [reviewing] - A reviewer is editing, so saving keeps the submission's status
+ * @param {Function} [onSaved] - Called with the saved submission row
+ */
+export const StorySubmissionForm = ({ visible, onClose, submission, reviewing = false, onSaved }) => {
+  const [fields, setFields] = useState(EMPTY_FIELDS);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setFields(submission ? StorySubmissionService.getFormFields(submission.story) : EMPTY_FIELDS);
+      setError(null);
+    }
+  }, [visible, submission]);
+
+  const setField = (name) => (value) => setFields(current => ({ ...current, [name]: value }));
+
+  const save = async () => {
+    setIsSaving(true);
+    const { data, error: saveError } = submission
+      ? await StorySubmissionService.updateSubmission(submission.id, fields)
+      : await StorySubmissionService.submitStory(fields);
+    setIsSaving(false);
+
+    if (saveError) {
+      setError(saveError.message);
+      return;
+    }
+    onSaved?.(data);
+    onClose();
+  };
+
+  const renderInput = (name, label, placeholder, options = {}) => (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={[styles.input, options.multiline && styles.multilineInput]}
+        value={fields[name]}
+        onChangeText={setField(name)}
+        placeholder={placeholder}
+        placeholderTextColor={theme.colors.textMuted}
+        {...options}
+      />
+    </View>
+  );
+
+  const renderChoices = (name, choices, label = choice => choice) => (
+    <View style={styles.choices}>
+      {choices.map(choice => (
+        <TouchableOpacity
+          key={choice}
+          style={[styles.choice, fields[name] === choice && styles.activeChoice]}
+          onPress={() => setField(name)(choice)}
+        >
+          <Text style={[styles.choiceText, fields[name] === choice && styles.activeChoiceText]}>{label(choice)}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+          <Text style={styles.title}>{reviewing ? 'Edit Story' : submission ? 'Edit Your Story' : 'Share a Sky Story'}</Text>
+          <Text style={styles.caption}>
+            Only share knowledge your community has agreed may be shared. Sacred knowledge does not belong here.
+          </Text>
+          {submission && !reviewing && (
+            <Text style={styles.caption}>Saving sends the story back to the reviewers.</Text>
+          )}
+          {submission?.review_note && !reviewing && (
+            <Text style={styles.reviewNote}>Reviewer: {submission.review_note}</Text>
+          )}
+
+          <ScrollView style={styles.form} keyboardShouldPersistTaps="handled">
+            {renderInput('indigenousName', 'Name', 'What your culture calls it')}
+            {renderInput('westernName', 'In the sky', "Western name, e.g. Pleiades or Scorpius (Antares)")}
+            {renderInput('culture', 'Culture', 'e.g. Cree or Aboriginal Australian (Boorong)')}
+            {renderInput('story', 'Story or meaning', 'The story as it may be told', { multiline: true })}
+
+            <Text style={styles.label}>Kind of object</Text>
+            {renderChoices('objectType', STORY_OBJECT_TYPES)}
+
+            <Text style={styles.label}>Who may read it</Text>
+            {renderChoices('consent', SUBMITTABLE_CONSENT_LEVELS, level => level.charAt(0).toUpperCase() + level.slice(1))}
+            {fields.consent && <Text style={styles.caption}>{CONSENT_DESCRIPTIONS[fields.consent]}</Text>}
+
+            {renderInput('community', 'Community', 'Nation or group the knowledge belongs to, if not the culture')}
+            {renderInput('contributors', 'Shared by', 'Knowledge holders, as they wish to be named (comma-separated)')}
+            {renderInput('permission', 'Permission', 'How the community agreed to share it')}
+            {renderInput('language', 'Language', 'Language of the name and story')}
+            {renderInput('sources', 'Sources', 'One per line: book, article, recording or link', {
+              multiline: true,
+              autoCapitalize: 'none',
+            })}
+          </ScrollView>
+
+          {error && <Text style={styles.error}>{error}</Text>}
+          <TouchableOpacity
+            style={[styles.primaryButton, isSaving && styles.disabledButton]}
+            onPress={save}
+            disabled={isSaving}
+          >
+            <Text style={styles.primaryButtonText}>
+              {isSaving ? 'Saving...' : submission ? 'Save changes' : 'Send for review'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: theme.colors.overlay,
+    justifyContent: 'center',
+    padding: theme.spacing.xl,
+  },
+  card: {
+    backgroundColor: theme.colors.cardBackgroundSolid,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    padding: theme.spacing.xxl,
+    maxHeight: '90%',
+    ...theme.shadows.large,
+  },
+  closeButton: {
+    position: 'absolute',
+    top: theme.spacing.md,
+    right: theme.spacing.md,
+    padding: theme.spacing.xs,
+    zIndex: 1,
+  },
+  title: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.h4,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  caption: {
+    color: theme.colors.textMuted,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  reviewNote: {
+    color: theme.colors.warning,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  form: {
+    marginBottom: theme.spacing.md,
+  },
+  field: {
+    marginBottom: theme.spacing.md,
+  },
+  label: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    marginBottom: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.sm,
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.caption,
+    fontFamily: theme.typography.fontFamily,
+  },
+  multilineInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  choices: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: theme.spacing.sm,
+  },
+  choice: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+    marginRight: theme.spacing.sm,
+    marginBottom: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  activeChoice: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  choiceText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    fontFamily: theme.typography.fontFamily,
+  },
+  activeChoiceText: {
+    color: theme.colors.textPrimary,
+    fontWeight: theme.typography.bold,
+  },
+  error: {
+    color: theme.colors.error,
+    fontSize: theme.typography.small,
+    marginBottom: theme.spacing.sm,
+    fontFamily: theme.typography.fontFamily,
+  },
+  primaryButton: {
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.primary,
+  },
+  primaryButtonText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.body,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+});
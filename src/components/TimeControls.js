@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { TIME_STEP_UNITS, PLAYBACK_SPEEDS } from '../hooks/useSimulatedTime';
+import { SkyEpochPanel, useSkyEpoch } from '../core/components/SkyEpochPanel';
+import { formatSkyEpoch } from '../core/utils/skyEpoch';
+import theme from '../styles/theme';
+
+const UNIT_LABELS = {
+  minute: 'Min',
+  hour: 'Hour',
+  day: 'Day',
+  year: 'Year',
+};
+
+// Time scrubber for the simulated clock returned by useSimulatedTime, with the historical sky's epoch
+export const TimeControls = ({ timeControl, style }) => {
+  const skyEpoch = useSkyEpoch();
+  const [showSkyEpoch, setShowSkyEpoch] = useState(false);
+
+  const {
+    time,
+    isPlaying,
+    isLive,
+    speed,
+    stepUnit,
+    setStepUnit,
+    stepForward,
+    stepBackward,
+    togglePlaying,
+    cycleSpeed,
+    resetToNow,
+  } = timeControl;
+
+  const speedLabel = PLAYBACK_SPEEDS.find(option => option.value === speed)?.label || `${speed}×`;
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.timeRow}>
+        <View>
+          <Text style={styles.timeText}>
+            {time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </Text>
+          <Text style={styles.dateText}>
+            {time.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' })}
+          </Text>
+        </View>
+
+        {isLive ? (
+          <View style={styles.liveBadge}>
+            <View style={styles.liveDot} />
+            <Text style={styles.liveText}>LIVE</Text>
+          </View>
+        ) : (
+          <TouchableOpacity style={styles.nowButton} onPress={resetToNow}>
+            <Ionicons name="refresh" size={14} color={theme.colors.textPrimary} />
+            <Text style={styles.nowButtonText}>Now</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.unitRow}>
+        {TIME_STEP_UNITS.map(unit => (
+          <TouchableOpacity
+            key={unit}
+            style={[styles.unitButton, stepUnit === unit && styles.activeUnitButton]}
+            onPress={() => setStepUnit(unit)}
+          >
+            <Text style={[styles.unitText, stepUnit === unit && styles.activeUnitText]}>
+              {UNIT_LABELS[unit]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.playbackRow}>
+        <TouchableOpacity style={styles.iconButton} onPress={stepBackward}>
+          <Ionicons name="play-back" size={20} color={theme.colors.textPrimary} />
+        </TouchableOpacity>
+
+        <TouchableOpacity style={[styles.iconButton, styles.playButton]} onPress={togglePlaying}>
+          <Ionicons name={isPlaying ? 'pause' : 'play'} size={22} color={theme.colors.textPrimary} />
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.iconButton} onPress={stepForward}>
+          <Ionicons name="play-forward" size={20} color={theme.colors.textPrimary} />
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.speedButton} onPress={cycleSpeed}>
+          <Ionicons name="speedometer-outline" size={14} color={theme.colors.textPrimary} />
+          <Text style={styles.speedText}>{speedLabel}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.epochButton, skyEpoch !== null && styles.activeEpochButton]}
+        onPress={() => setShowSkyEpoch(true)}
+      >
+        <Ionicons name="hourglass-outline" size={14} color={theme.colors.textPrimary} />
+        <Text style={styles.speedText}>
+          {skyEpoch === null ? 'Historical sky' : `Sky of ${formatSkyEpoch(skyEpoch)}`}
+        </Text>
+      </TouchableOpacity>
+
+      <SkyEpochPanel visible={showSkyEpoch} onClose={() => setShowSkyEpoch(false)} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.overlayDark,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    padding: theme.spacing.md,
+    ...theme.shadows.medium,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.sm,
+  },
+  timeText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.body,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  dateText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    fontFamily: theme.typography.fontFamily,
+  },
+  liveBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+    borderRadius: theme.borderRadius.sm,
+    backgroundColor: theme.colors.cardBackground,
+  },
+  liveDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: theme.colors.success,
+    marginRight: theme.spacing.xs,
+  },
+  liveText: {
+    color: theme.colors.success,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    fontFamily: theme.typography.fontFamily,
+  },
+  nowButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+    borderRadius: theme.borderRadius.sm,
+    backgroundColor: theme.colors.primary,
+  },
+  nowButtonText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    marginLeft: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  unitRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.sm,
+  },
+  unitButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs,
+    marginHorizontal: 2,
+    borderRadius: theme.borderRadius.sm,
+    backgroundColor: theme.colors.cardBackground,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  activeUnitButton: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  unitText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.small,
+    fontFamily: theme.typography.fontFamily,
+  },
+  activeUnitText: {
+    color: theme.colors.textPrimary,
+    fontWeight: theme.typography.bold,
+  },
+  playbackRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  iconButton: {
+    width: 40,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: theme.borderRadius.sm,
+    backgroundColor: theme.colors.cardBackground,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  playButton: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  speedButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 36,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.sm,
+    backgroundColor: theme.colors.cardBackground,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  epochButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    height: 32,
+    marginTop: theme.spacing.sm,
+    borderRadius: theme.borderRadius.sm,
+    backgroundColor: theme.colors.cardBackground,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  activeEpochButton: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  speedText: {
+    color: theme.colors.textPrimary,
+    fontSize: theme.typography.small,
+    marginLeft: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+});
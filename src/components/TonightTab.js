@@ -0,0 +1,320 @@
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useAuth } from '../contexts/AuthContext';
+import { ObservingPlanner, PLANNER_KINDS } from '../utils/observingPlanner';
+import { TWILIGHT_PHASE_LABELS } from '../utils/twilight';
+import { setSkyTarget } from '../core/utils/skyTarget';
+import theme from '../styles/theme';
+
+const KIND_FILTERS = [
+  { id: 'all', label: 'Everything' },
+  { id: PLANNER_KINDS.CONSTELLATION, label: 'Constellations' },
+  { id: PLANNER_KINDS.PLANET, label: 'Moon & Planets' },
+  { id: PLANNER_KINDS.DEEP_SKY, label: 'Deep Sky' },
+];
+
+// The ranked list is long once faint deep-sky objects are included
+const MAX_ENTRIES = 60;
+
+const formatClock = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export const TonightTab = ({ location, onNavigate }) => {
+  const { profile } = useAuth();
+  const profileCultures = profile?.cultures?.filter(Boolean) || [];
+  const [kindFilter, setKindFilter] = useState('all');
+  const [myCulturesOnly, setMyCulturesOnly] = useState(true);
+  const [planDate] = useState(() => new Date());
+
+  const useCultures = myCulturesOnly && profileCultures.length > 0;
+  const plan = useMemo(
+    () => ObservingPlanner.planNight(location, planDate, { cultures: useCultures ? profileCultures : [] }),
+    [location, planDate, useCultures, profileCultures.join(',')]
+  );
+
+  const entries = plan.entries
+    .filter(entry => kindFilter === 'all' || entry.kind === kindFilter)
+    .slice(0, MAX_ENTRIES);
+
+  const findInSky = (entry) => {
+    setSkyTarget(entry.target);
+    onNavigate?.('scanner');
+  };
+
+  const openStory = (story) => {
+    onNavigate?.('culture', { story });
+  };
+
+  const renderEvents = (entry) => {
+    if (entry.circumpolar) {
+      return `Never sets • Highest ${formatClock(entry.transit)}`;
+    }
+    return [
+      entry.rise && `Rises ${formatClock(entry.rise)}`,
+      `Highest ${formatClock(entry.transit)}`,
+      entry.set && `Sets ${formatClock(entry.set)}`,
+    ].filter(Boolean).join(' • ');
+  };
+
+  const renderEntry = (entry, index) => (
+    <View key={entry.key} style={styles.entryCard}>
+      <LinearGradient colors={theme.gradients.card} style={styles.cardGradient}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.rank}>{index + 1}</Text>
+          <View style={styles.cardTitleBlock}>
+            <Text style={styles.entryName}>{entry.name}</Text>
+            <Text style={styles.entryDescription}>
+              {entry.description}
+              {entry.magnitude !== null && entry.magnitude !== undefined ? ` • mag ${entry.magnitude.toFixed(1)}` : ''}
+            </Text>
+          </View>
+          <TouchableOpacity style={styles.findButton} onPress={() => findInSky(entry)}>
+            <Ionicons name="navigate" size={16} color={theme.colors.black} />
+            <Text style={styles.findButtonText}>Find it</Text>
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.entryText}>{renderEvents(entry)}</Text>
+        <Text style={styles.entryText}>
+          Peak {Math.round(entry.peakAltitude)}° at {formatClock(entry.peakTime)}
+          {entry.bestWindow
+            ? ` • Best ${formatClock(entry.bestWindow.start)}–${formatClock(entry.bestWindow.end)}`
+            : ' • Low in the sky all night'}
+        </Text>
+
+        {entry.stories.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.storyRow}>
+            {entry.stories.map((story, storyIndex) => (
+              <TouchableOpacity
+                key={`${story.culture}-${storyIndex}`}
+                style={styles.storyChip}
+                onPress={() => openStory(story)}
+              >
+                <Ionicons name="book-outline" size={12} color={theme.colors.primary} />
+                <Text style={styles.storyChipText}>{story.culture}: {story.indigenous_name}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+      </LinearGradient>
+    </View>
+  );
+
+  const renderEmpty = () => {
+    if (!location) {
+      return <Text style={styles.emptyText}>Waiting for your location...</Text>;
+    }
+    if (!plan.darkWindow) {
+      return <Text style={styles.emptyText}>The Sun does not set tonight, so there are no dark hours to plan.</Text>;
+    }
+    if (useCultures) {
+      return (
+        <>
+          <Text style={styles.emptyText}>Nothing with stories from your cultures is up tonight.</Text>
+          <TouchableOpacity style={styles.filterButton} onPress={() => setMyCulturesOnly(false)}>
+            <Text style={styles.filterButtonText}>Show all cultures</Text>
+          </TouchableOpacity>
+        </>
+      );
+    }
+    return <Text style={styles.emptyText}>Nothing of this kind is up tonight.</Text>;
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        <View style={styles.header}>
+          <Text style={styles.title}>What's Up Tonight</Text>
+          {plan.darkWindow && (
+            <Text style={styles.subtitle}>
+              Dark from {formatClock(plan.darkWindow.start)} to {formatClock(plan.darkWindow.end)}
+              {' '}• Darkest sky: {TWILIGHT_PHASE_LABELS[plan.darkWindow.darkness]}
+            </Text>
+          )}
+        </View>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterRow}>
+          {KIND_FILTERS.map(filter => (
+            <TouchableOpacity
+              key={filter.id}
+              style={[styles.filterButton, kindFilter === filter.id && styles.activeFilterButton]}
+              onPress={() => setKindFilter(filter.id)}
+            >
+              <Text style={[styles.filterButtonText, kindFilter === filter.id && styles.activeFilterButtonText]}>
+                {filter.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          {profileCultures.length > 0 && (
+            <TouchableOpacity
+              style={[styles.filterButton, myCulturesOnly && styles.activeFilterButton]}
+              onPress={() => setMyCulturesOnly(!myCulturesOnly)}
+            >
+              <Text style={[styles.filterButtonText, myCulturesOnly && styles.activeFilterButtonText]}>
+                My cultures ({profileCultures.join(', ')})
+              </Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+
+        <View style={styles.entryList}>
+          {entries.length > 0 ? entries.map(renderEntry) : renderEmpty()}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.black,
+  },
+  scrollView: {
+    flex: 1,
+    padding: theme.spacing.xl,
+  },
+  header: {
+    marginBottom: theme.spacing.xl,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: theme.typography.h2,
+    fontWeight: theme.typography.bold,
+    color: theme.colors.primary,
+    marginBottom: theme.spacing.md,
+    textAlign: 'center',
+    fontFamily: theme.typography.fontFamily,
+  },
+  subtitle: {
+    fontSize: theme.typography.body,
+    color: theme.colors.textPrimary,
+    textAlign: 'center',
+    opacity: 0.9,
+    fontFamily: theme.typography.fontFamily,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    marginBottom: theme.spacing.xl,
+  },
+  filterButton: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.md,
+    marginRight: theme.spacing.md,
+    backgroundColor: theme.colors.cardBackground,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    alignSelf: 'center',
+  },
+  activeFilterButton: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  filterButtonText: {
+    fontSize: theme.typography.caption,
+    color: theme.colors.textPrimary,
+    fontWeight: theme.typography.medium,
+    fontFamily: theme.typography.fontFamily,
+  },
+  activeFilterButtonText: {
+    color: theme.colors.black,
+    fontWeight: theme.typography.bold,
+  },
+  entryList: {
+    gap: theme.spacing.lg,
+    paddingBottom: theme.spacing.xxxl,
+  },
+  entryCard: {
+    borderRadius: theme.borderRadius.lg,
+    overflow: 'hidden',
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+    ...theme.shadows.medium,
+  },
+  cardGradient: {
+    padding: theme.spacing.lg,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  rank: {
+    width: 28,
+    fontSize: theme.typography.h4,
+    fontWeight: theme.typography.bold,
+    color: theme.colors.textMuted,
+    fontFamily: theme.typography.fontFamily,
+  },
+  cardTitleBlock: {
+    flex: 1,
+  },
+  entryName: {
+    fontSize: theme.typography.h4,
+    fontWeight: theme.typography.bold,
+    color: theme.colors.textPrimary,
+    fontFamily: theme.typography.fontFamily,
+  },
+  entryDescription: {
+    fontSize: theme.typography.small,
+    color: theme.colors.textMuted,
+    fontStyle: 'italic',
+    fontFamily: theme.typography.fontFamily,
+  },
+  findButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.primary,
+  },
+  findButtonText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.typography.small,
+    fontWeight: theme.typography.bold,
+    color: theme.colors.black,
+    fontFamily: theme.typography.fontFamily,
+  },
+  entryText: {
+    fontSize: theme.typography.caption,
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+  storyRow: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.md,
+  },
+  storyChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+    marginRight: theme.spacing.sm,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.cardBorder,
+  },
+  storyChipText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.typography.small,
+    color: theme.colors.textPrimary,
+    fontFamily: theme.typography.fontFamily,
+  },
+  emptyText: {
+    fontSize: theme.typography.body,
+    color: theme.colors.textSecondary,
+    textAlign: 'center',
+    marginVertical: theme.spacing.xl,
+    fontFamily: theme.typography.fontFamily,
+  },
+});
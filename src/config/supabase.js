@@ -24,6 +24,15 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
 export const TABLES = {
   PROFILES: 'profiles',
   PHOTOS: 'photos',
+  METEOR_OBSERVATIONS: 'meteor_observations',
+  STORY_SUBMISSIONS: 'story_submissions',
+  STORY_SUBMISSION_EVENTS: 'story_submission_events',
+};
+
+// Profile roles; reviewers moderate community story submissions
+export const PROFILE_ROLES = {
+  MEMBER: 'member',
+  REVIEWER: 'reviewer',
 };
 
 // Storage bucket names
@@ -14,6 +14,8 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { indigenousService } from '../services/indigenousCulturalService';
+import { SkyTarget } from '../utils/skyTarget';
+import { findSkyTarget } from '../utils/targetGuidance';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
@@ -21,6 +23,7 @@ interface ConstellationSelectorProps {
   visible: boolean;
   onClose: () => void;
   onSelectConstellation: (constellationName: string) => void;
+  onFindTarget?: (target: SkyTarget) => void; // Locks the AR guidance onto the constellation
 }
 
 interface ConstellationOption {
@@ -28,12 +31,14 @@ interface ConstellationOption {
   displayName: string;
   storyCount: number;
   cultures: string[];
+  target: SkyTarget | null; // Where it is in the sky, when it has a single position
 }
 
 export const ConstellationSelector: React.FC<ConstellationSelectorProps> = ({
   visible,
   onClose,
   onSelectConstellation,
+  onFindTarget,
 }) => {
   const [slideAnim] = useState(new Animated.Value(screenHeight));
   const [constellations, setConstellations] = useState<ConstellationOption[]>([]);
@@ -54,6 +59,7 @@ export const ConstellationSelector: React.FC<ConstellationSelectorProps> = ({
               displayName: key,
               storyCount: 0,
               cultures: [],
+              target: findSkyTarget(key),
             });
           }
           const option = constellationMap.get(key)!;
@@ -91,6 +97,11 @@ export const ConstellationSelector: React.FC<ConstellationSelectorProps> = ({
     onClose();
   };
 
+  const handleFind = (target: SkyTarget) => {
+    onFindTarget?.(target);
+    onClose();
+  };
+
   const handleClose = () => {
     Animated.timing(slideAnim, {
       toValue: screenHeight,
@@ -117,6 +128,11 @@ export const ConstellationSelector: React.FC<ConstellationSelectorProps> = ({
         {constellation.cultures.slice(0, 3).join(', ')}
         {constellation.cultures.length > 3 && ` +${constellation.cultures.length - 3} more`}
       </Text>
+      {onFindTarget && constellation.target && (
+        <TouchableOpacity style={styles.findButton} onPress={() => handleFind(constellation.target!)}>
+          <Ionicons name="locate" size={20} color="#FFD700" />
+        </TouchableOpacity>
+      )}
       <Ionicons name="chevron-forward" size={16} color="#888" style={styles.chevron} />
     </TouchableOpacity>
   );
@@ -167,6 +183,7 @@ export const ConstellationSelector: React.FC<ConstellationSelectorProps> = ({
           <View style={styles.footer}>
             <Text style={styles.footerText}>
               Tap any constellation to explore its cultural stories from indigenous traditions around the world.
+              {onFindTarget ? ' Tap the target icon to find it in the sky.' : ''}
             </Text>
           </View>
         </Animated.View>
@@ -263,6 +280,10 @@ const styles = StyleSheet.create({
   chevron: {
     marginLeft: 8,
   },
+  findButton: {
+    padding: 6,
+    marginLeft: 8,
+  },
   loadingContainer: {
     alignItems: 'center',
     paddingVertical: 40,
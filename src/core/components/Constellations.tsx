@@ -1,13 +1,15 @@
 // Constellations component for react-three-fiber
-// Renders constellation lines between stars
+// Renders constellation lines between stars, in the figures of the selected sky culture
 
 import React from 'react';
 import { Line } from '@react-three/drei/native';
 // Import Three.js more specifically to avoid multiple instances
 import { Vector3, BufferGeometry, BufferAttribute } from 'three';
 
-import { constellations } from '../data/starCatalog';
-import { stars } from '../data/starCatalog';
+import { getStarById } from '../data/starCatalog';
+import { useSkyCulture } from './CulturalInfoOverlay';
+import { useSkyEpoch } from './SkyEpochPanel';
+import { getStarVectorAtEpoch } from '../utils/skyEpoch';
 import { RENDERING_CONFIG } from '../config/constants';
 import { debugLog, error } from '../../config/debug';
 
@@ -16,9 +18,13 @@ interface ConstellationsProps {
 }
 
 export const Constellations: React.FC<ConstellationsProps> = () => {
+  const skyCulture = useSkyCulture();
+  const skyEpoch = useSkyEpoch();
+
   // Calculate all line points in a single memoized array
   const allLinePoints = React.useMemo(() => {
-    debugLog('CONSTELLATION_DATA', `Calculating points for ${constellations.length} constellations`);
+    const constellations = skyCulture.figures;
+    debugLog('CONSTELLATION_DATA', `Calculating points for ${constellations.length} ${skyCulture.name} constellations`);
     debugLog('CONSTELLATION_DATA', `RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS: ${RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS} (${typeof RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS})`);
     
     // Validate the radius constant
@@ -33,10 +39,15 @@ export const Constellations: React.FC<ConstellationsProps> = () => {
 
     // Loop through each constellation
     for (const constellation of constellations) {
-      // Loop through the line pairs for that constellation
-      for (const [starId1, starId2] of constellation.lines) {
-        const star1 = stars.find(s => s.id === starId1);
-        const star2 = stars.find(s => s.id === starId2);
+      // Loop through the line pairs for that constellation (indices into its stars)
+      for (const [index1, index2] of constellation.lines) {
+        const starId1 = constellation.stars[index1].id;
+        const starId2 = constellation.stars[index2].id;
+        const catalogStar1 = getStarById(starId1);
+        const catalogStar2 = getStarById(starId2);
+        // Where the stars were in the epoch's sky, so the figure lines follow their proper motion
+        const star1 = catalogStar1 && getStarVectorAtEpoch(catalogStar1, skyEpoch);
+        const star2 = catalogStar2 && getStarVectorAtEpoch(catalogStar2, skyEpoch);
 
         if (star1 && star2) {
           // Validate that star coordinates are valid numbers
@@ -83,7 +94,7 @@ export const Constellations: React.FC<ConstellationsProps> = () => {
     
     debugLog('CONSTELLATION_DATA', `Generated ${points.length} line points for constellations`);
     return points;
-  }, []); // Empty dependency array means this runs only once
+  }, [skyCulture, skyEpoch]); // Rebuilt only when the culture selector changes the figures or the epoch moves the stars
 
   if (allLinePoints.length === 0) {
     debugLog('CONSTELLATION_DATA', 'No valid constellation line points found');
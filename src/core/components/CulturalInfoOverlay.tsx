@@ -14,6 +14,9 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { indigenousService, IndigenousStory, CulturalGroup } from '../services/indigenousCulturalService';
+import { SkyCulture, skyCultures, getSkyCulture, getSkyCultureForStoryCulture } from '../data/skyCultures';
+import { getSkyCultureId, subscribeToSkyCulture } from '../utils/skyCulture';
+import { setSkyEpoch, formatSkyEpoch } from '../utils/skyEpoch';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
@@ -25,6 +28,15 @@ interface CulturalInfoOverlayProps {
   onCultureChange?: (culture: string) => void;
 }
 
+/**
+ * Sky culture whose figures the views draw, re-rendering when the culture selector changes it
+ */
+export function useSkyCulture(): SkyCulture {
+  const [skyCultureId, setSkyCultureIdState] = useState(getSkyCultureId());
+  useEffect(() => subscribeToSkyCulture(setSkyCultureIdState), []);
+  return getSkyCulture(skyCultureId);
+}
+
 export const CulturalInfoOverlay: React.FC<CulturalInfoOverlayProps> = ({
   visible,
   constellationName,
@@ -39,7 +51,11 @@ export const CulturalInfoOverlay: React.FC<CulturalInfoOverlayProps> = ({
   useEffect(() => {
     if (visible && constellationName) {
       const groups = indigenousService.getCulturalGroupsForConstellation(constellationName);
-      const cultures = indigenousService.getAllCultures();
+      // Imported sky cultures can have figures but no stories yet; they are still selectable
+      const cultures = Array.from(new Set([
+        ...indigenousService.getAllCultures(),
+        ...skyCultures.flatMap(skyCulture => skyCulture.storyCultures),
+      ])).sort();
       setCulturalGroups(groups);
       setAllCultures(cultures);
       
@@ -70,7 +86,7 @@ export const CulturalInfoOverlay: React.FC<CulturalInfoOverlayProps> = ({
   };
 
   const renderStoryCard = (story: IndigenousStory) => (
-    <View key={`${story.culture}-${story.indigenous_name}`} style={styles.storyCard}>
+    <View key={story.id} style={styles.storyCard}>
       <View style={styles.storyHeader}>
         <Text style={styles.indigenousName}>{story.indigenous_name}</Text>
         <Text style={styles.cultureName}>{story.culture}</Text>
@@ -84,6 +100,12 @@ export const CulturalInfoOverlay: React.FC<CulturalInfoOverlayProps> = ({
           </View>
         )}
       </View>
+      {story.recommended_epoch !== undefined && (
+        <TouchableOpacity style={styles.epochButton} onPress={() => setSkyEpoch(story.recommended_epoch!)}>
+          <Ionicons name="hourglass-outline" size={14} color="#FFA500" />
+          <Text style={styles.epochButtonText}>{`See the sky of ${formatSkyEpoch(story.recommended_epoch)}`}</Text>
+        </TouchableOpacity>
+      )}
     </View>
   );
 
@@ -107,6 +129,8 @@ export const CulturalInfoOverlay: React.FC<CulturalInfoOverlayProps> = ({
     ? culturalGroups.filter(group => group.culture === selectedCulture)
     : culturalGroups;
 
+  const skyCulture = useSkyCulture();
+
   return (
     <Modal
       visible={visible}
@@ -168,6 +192,14 @@ export const CulturalInfoOverlay: React.FC<CulturalInfoOverlayProps> = ({
                   ]}
                   onPress={() => onCultureChange?.(culture)}
                 >
+                  {getSkyCultureForStoryCulture(culture) && (
+                    <Ionicons
+                      name="star"
+                      size={10}
+                      color="#FFD700"
+                      style={styles.skyFiguresIcon}
+                    />
+                  )}
                   <Text style={[
                     styles.cultureButtonText,
                     selectedCulture === culture && styles.cultureButtonTextActive
@@ -179,6 +211,14 @@ export const CulturalInfoOverlay: React.FC<CulturalInfoOverlayProps> = ({
             </ScrollView>
           )}
 
+          {/* Whose figures the sky is drawn with; cultures marked with a star have their own */}
+          <View style={styles.skyCultureRow}>
+            <Ionicons name="star" size={12} color="#FFD700" />
+            <Text style={styles.skyCultureText}>
+              {`Sky drawn with ${skyCulture.name} figures (${skyCulture.figures.length})`}
+            </Text>
+          </View>
+
           {/* Content */}
           <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
             {filteredGroups.length > 0 ? (
@@ -250,6 +290,8 @@ const styles = StyleSheet.create({
     borderBottomColor: 'rgba(139, 115, 85, 0.2)',
   },
   cultureButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
     paddingHorizontal: 16,
     paddingVertical: 8,
     marginRight: 8,
@@ -271,6 +313,22 @@ const styles = StyleSheet.create({
     color: '#f5e6d3',
     fontWeight: 'bold',
   },
+  skyFiguresIcon: {
+    marginRight: 4,
+  },
+  skyCultureRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(139, 115, 85, 0.2)',
+  },
+  skyCultureText: {
+    color: '#b5a792',
+    fontSize: 12,
+    marginLeft: 6,
+  },
   content: {
     flex: 1,
     paddingHorizontal: 20,
@@ -346,6 +404,23 @@ const styles = StyleSheet.create({
     color: '#f5e6d3',
     fontWeight: 'bold',
   },
+  epochButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#FFA500',
+  },
+  epochButtonText: {
+    marginLeft: 4,
+    fontSize: 12,
+    color: '#FFA500',
+    fontWeight: '500',
+  },
   noStoriesContainer: {
     alignItems: 'center',
     paddingVertical: 40,
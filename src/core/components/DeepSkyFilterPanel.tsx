@@ -0,0 +1,207 @@
+// Deep-Sky Filter Panel Component
+// Chooses which object types and how faint the deep-sky symbols go; edits the shared session filter
+
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, Switch } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { DEEP_SKY_TYPES, DEEP_SKY_TYPE_KEYS, DeepSkyType } from '../data/deepSkyCatalog';
+import {
+  DeepSkyFilter,
+  DEEP_SKY_MAGNITUDE_RANGE,
+  DEFAULT_DEEP_SKY_FILTER,
+  getDeepSkyFilter,
+  setDeepSkyFilter,
+  subscribeToDeepSkyFilter,
+} from '../utils/deepSkyFilter';
+
+interface DeepSkyFilterPanelProps {
+  visible: boolean;
+  onClose: () => void;
+}
+
+/**
+ * Current session deep-sky filter, re-rendering when any view changes it
+ */
+export function useDeepSkyFilter(): DeepSkyFilter {
+  const [filter, setFilter] = useState(getDeepSkyFilter());
+  useEffect(() => subscribeToDeepSkyFilter(setFilter), []);
+  return filter;
+}
+
+export const DeepSkyFilterPanel: React.FC<DeepSkyFilterPanelProps> = ({ visible, onClose }) => {
+  const filter = useDeepSkyFilter();
+
+  const update = (changes: Partial<DeepSkyFilter>) => setDeepSkyFilter({ ...filter, ...changes });
+
+  const toggleType = (type: DeepSkyType) => {
+    const types = filter.types.includes(type)
+      ? filter.types.filter(t => t !== type)
+      : [...filter.types, type];
+    update({ types });
+  };
+
+  const changeMagnitude = (delta: number) => {
+    const maxMagnitude = Math.max(
+      DEEP_SKY_MAGNITUDE_RANGE.min,
+      Math.min(DEEP_SKY_MAGNITUDE_RANGE.max, filter.maxMagnitude + delta)
+    );
+    update({ maxMagnitude });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Deep-Sky Objects</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Ionicons name="close" size={24} color="#fff" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.row}>
+            <Text style={styles.label}>Show galaxies, clusters and nebulae</Text>
+            <Switch value={filter.enabled} onValueChange={enabled => update({ enabled })} />
+          </View>
+
+          <Text style={styles.sectionTitle}>Types</Text>
+          <View style={styles.chips}>
+            {DEEP_SKY_TYPE_KEYS.map(type => {
+              const active = filter.types.includes(type);
+              return (
+                <TouchableOpacity
+                  key={type}
+                  style={[styles.chip, active && { borderColor: DEEP_SKY_TYPES[type].color }]}
+                  onPress={() => toggleType(type)}
+                  disabled={!filter.enabled}
+                >
+                  <Text style={[styles.chipText, active && { color: DEEP_SKY_TYPES[type].color }]}>
+                    {DEEP_SKY_TYPES[type].label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <Text style={styles.sectionTitle}>Faintest magnitude</Text>
+          <View style={styles.row}>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => changeMagnitude(-DEEP_SKY_MAGNITUDE_RANGE.step)}
+              disabled={!filter.enabled}
+            >
+              <Ionicons name="remove" size={20} color="#f5e6d3" />
+            </TouchableOpacity>
+            <Text style={styles.magnitude}>{filter.maxMagnitude.toFixed(0)}</Text>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => changeMagnitude(DEEP_SKY_MAGNITUDE_RANGE.step)}
+              disabled={!filter.enabled}
+            >
+              <Ionicons name="add" size={20} color="#f5e6d3" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.hint}>Most objects fainter than 8 need binoculars or a telescope.</Text>
+
+          <TouchableOpacity onPress={() => setDeepSkyFilter(DEFAULT_DEEP_SKY_FILTER)}>
+            <Text style={styles.reset}>Reset filter</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(26, 21, 18, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  container: {
+    backgroundColor: '#1a1512',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(139, 115, 85, 0.2)',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#f5e6d3',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+  },
+  label: {
+    fontSize: 14,
+    color: '#f5e6d3',
+    flex: 1,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#b5a792',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    backgroundColor: '#2a221b',
+    borderWidth: 1,
+    borderColor: 'rgba(139, 115, 85, 0.2)',
+  },
+  chipText: {
+    color: '#b5a792',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  stepButton: {
+    padding: 10,
+    borderRadius: 20,
+    backgroundColor: '#2a221b',
+  },
+  magnitude: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#f5e6d3',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#b5a792',
+    opacity: 0.7,
+    textAlign: 'center',
+  },
+  reset: {
+    color: '#FFA500',
+    fontSize: 12,
+    marginTop: 16,
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,157 @@
+// Deep-Sky Info Overlay Component
+// Details for a tapped galaxy, cluster or nebula
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { DeepSkyObject, DEEP_SKY_TYPES } from '../data/deepSkyCatalog';
+
+interface DeepSkyInfoOverlayProps {
+  object: DeepSkyObject | null;
+  horizontalPosition?: { altitude: number; azimuth: number }; // Where it is now, when known
+  onClose: () => void;
+}
+
+// Angular size in the most readable unit
+export function formatAngularSize(arcminutes: number): string {
+  if (arcminutes >= 60) return `${(arcminutes / 60).toFixed(1)}°`;
+  if (arcminutes < 1) return `${Math.round(arcminutes * 60)}″`;
+  return `${arcminutes.toFixed(arcminutes < 10 ? 1 : 0)}′`;
+}
+
+const formatRightAscension = (hours: number): string => {
+  const h = Math.floor(hours);
+  const m = (hours - h) * 60;
+  return `${h}h ${m.toFixed(1)}m`;
+};
+
+const formatDeclination = (degrees: number): string => {
+  const sign = degrees < 0 ? '−' : '+';
+  const d = Math.floor(Math.abs(degrees));
+  const m = Math.round((Math.abs(degrees) - d) * 60);
+  return `${sign}${d}° ${m}′`;
+};
+
+export const DeepSkyInfoOverlay: React.FC<DeepSkyInfoOverlayProps> = ({
+  object,
+  horizontalPosition,
+  onClose,
+}) => {
+  if (!object) return null;
+
+  const type = DEEP_SKY_TYPES[object.type];
+  const size = object.sizeMinor
+    ? `${formatAngularSize(object.size)} × ${formatAngularSize(object.sizeMinor)}`
+    : formatAngularSize(object.size);
+
+  const rows: Array<[string, string]> = [
+    ['Type', type.label],
+    ['Magnitude', object.mag !== null ? object.mag.toFixed(1) : '—'],
+    ['Size', size],
+    ['Constellation', object.constellation],
+    ['RA / Dec (J2000)', `${formatRightAscension(object.ra)}  ${formatDeclination(object.dec)}`],
+  ];
+  if (object.catalogId) rows.splice(1, 0, ['Catalog', object.catalogId]);
+  if (horizontalPosition) {
+    rows.push([
+      'Now',
+      horizontalPosition.altitude > 0
+        ? `${Math.round(horizontalPosition.altitude)}° up, azimuth ${Math.round(horizontalPosition.azimuth)}°`
+        : 'Below the horizon',
+    ]);
+  }
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <View style={styles.headerContent}>
+              <Text style={styles.title}>{object.name || object.id}</Text>
+              <Text style={[styles.subtitle, { color: type.color }]}>
+                {object.name ? `${object.id} · ${type.label}` : type.label}
+              </Text>
+            </View>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Ionicons name="close" size={24} color="#fff" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.content}>
+            {rows.map(([label, value]) => (
+              <View key={label} style={styles.row}>
+                <Text style={styles.label}>{label}</Text>
+                <Text style={styles.value}>{value}</Text>
+              </View>
+            ))}
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(26, 21, 18, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  container: {
+    backgroundColor: '#1a1512',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(139, 115, 85, 0.2)',
+  },
+  headerContent: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#f5e6d3',
+  },
+  subtitle: {
+    fontSize: 14,
+    marginTop: 2,
+  },
+  closeButton: {
+    padding: 8,
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(139, 115, 85, 0.1)',
+  },
+  label: {
+    fontSize: 14,
+    color: '#b5a792',
+  },
+  value: {
+    fontSize: 14,
+    color: '#f5e6d3',
+    fontWeight: '500',
+    flexShrink: 1,
+    textAlign: 'right',
+    marginLeft: 16,
+  },
+});
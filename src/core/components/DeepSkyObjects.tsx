@@ -0,0 +1,84 @@
+// Deep-sky objects for react-three-fiber
+// Flat markers on the celestial sphere, facing the camera at the origin, shaped and coloured by type
+
+import React, { useMemo } from 'react';
+import { DoubleSide, Object3D } from 'three';
+
+import { deepSkyObjects, DeepSkyObject, DeepSkyType, DEEP_SKY_TYPES } from '../data/deepSkyCatalog';
+import { filterDeepSkyObjects } from '../utils/deepSkyFilter';
+import { useDeepSkyFilter } from './DeepSkyFilterPanel';
+import { RENDERING_CONFIG } from '../config/constants';
+
+interface DeepSkyObjectsProps {
+  onSelect?: (object: DeepSkyObject) => void;
+}
+
+// Markers stay visible for objects smaller than this (degrees of radius)...
+const MIN_MARKER_RADIUS_DEGREES = 0.6;
+// ...and do not swamp the view for the Magellanic Clouds
+const MAX_MARKER_RADIUS_DEGREES = 4;
+
+// Ring outline per type: number of sides (few sides give a square or diamond) and start angle
+const MARKER_SHAPES: Record<DeepSkyType, { segments: number; thetaStart: number; filled?: boolean }> = {
+  galaxy: { segments: 32, thetaStart: 0 },
+  globular: { segments: 32, thetaStart: 0, filled: true },
+  open: { segments: 12, thetaStart: 0 },
+  nebula: { segments: 4, thetaStart: Math.PI / 4 },
+  planetary: { segments: 16, thetaStart: 0, filled: true },
+  remnant: { segments: 6, thetaStart: 0 },
+  dark: { segments: 4, thetaStart: Math.PI / 4 },
+  other: { segments: 4, thetaStart: 0 },
+};
+
+export const DeepSkyObjects: React.FC<DeepSkyObjectsProps> = ({ onSelect }) => {
+  const filter = useDeepSkyFilter();
+
+  const markers = useMemo(() => {
+    const radius = RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS;
+    const placer = new Object3D();
+
+    return filterDeepSkyObjects(deepSkyObjects, filter).map(object => {
+      placer.position.set(object.x * radius, object.y * radius, object.z * radius);
+      placer.lookAt(0, 0, 0);
+
+      const angularRadius = Math.min(MAX_MARKER_RADIUS_DEGREES, Math.max(MIN_MARKER_RADIUS_DEGREES, object.size / 120));
+      const size = (angularRadius * Math.PI / 180) * radius;
+      // Galaxies are drawn flattened by their axis ratio
+      const flattening = object.type === 'galaxy' && object.sizeMinor ? Math.max(0.35, object.sizeMinor / object.size) : 1;
+
+      return {
+        object,
+        position: placer.position.toArray() as [number, number, number],
+        quaternion: placer.quaternion.toArray() as [number, number, number, number],
+        size,
+        flattening,
+      };
+    });
+  }, [filter]);
+
+  return (
+    <>
+      {markers.map(({ object, position, quaternion, size, flattening }) => {
+        const shape = MARKER_SHAPES[object.type];
+        const innerRadius = shape.filled ? 0 : size * 0.8;
+        return (
+          <mesh
+            key={object.id}
+            position={position}
+            quaternion={quaternion}
+            scale={[1, flattening, 1]}
+            onClick={onSelect ? () => onSelect(object) : undefined}
+          >
+            <ringGeometry args={[innerRadius, size, shape.segments, 1, shape.thetaStart]} />
+            <meshBasicMaterial
+              color={DEEP_SKY_TYPES[object.type].color}
+              side={DoubleSide}
+              transparent
+              opacity={object.type === 'dark' ? 0.4 : shape.filled ? 0.5 : 0.8}
+            />
+          </mesh>
+        );
+      })}
+    </>
+  );
+};
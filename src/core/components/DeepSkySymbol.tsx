@@ -0,0 +1,100 @@
+// Deep-sky object marker for the 2D overlays (react-native-svg)
+// Uses the usual star-chart symbol for each object type so clusters, galaxies and nebulae
+// can be told apart at a glance.
+
+import React from 'react';
+import { G, Circle, Ellipse, Line, Rect, Polygon, Text as SvgText } from 'react-native-svg';
+import { DeepSkyObject, DEEP_SKY_TYPES } from '../data/deepSkyCatalog';
+
+// Symbols never shrink below a tappable size or grow to cover the view
+export const DEEP_SKY_SYMBOL_RADIUS = { min: 6, max: 40 };
+
+interface DeepSkySymbolProps {
+  object: DeepSkyObject;
+  x: number;
+  y: number;
+  pixelsPerDegree: number; // Scale of the view, used to draw the object at its angular size
+  showLabel?: boolean;
+  opacity?: number;
+  onPress?: (object: DeepSkyObject) => void;
+}
+
+/**
+ * Symbol radius in pixels for an object's angular size at the given scale
+ */
+export function getDeepSkySymbolRadius(object: DeepSkyObject, pixelsPerDegree: number): number {
+  const radius = (object.size / 60 / 2) * pixelsPerDegree;
+  return Math.max(DEEP_SKY_SYMBOL_RADIUS.min, Math.min(DEEP_SKY_SYMBOL_RADIUS.max, radius));
+}
+
+export const DeepSkySymbol: React.FC<DeepSkySymbolProps> = ({
+  object,
+  x,
+  y,
+  pixelsPerDegree,
+  showLabel = true,
+  opacity = 0.9,
+  onPress,
+}) => {
+  const r = getDeepSkySymbolRadius(object, pixelsPerDegree);
+  const color = DEEP_SKY_TYPES[object.type].color;
+  const stroke = { stroke: color, strokeWidth: 1.5, fill: 'none' };
+
+  const renderShape = () => {
+    switch (object.type) {
+      case 'galaxy': {
+        // Flattened like the galaxy itself, but never thinner than a readable ellipse
+        const ratio = object.sizeMinor ? Math.max(0.35, object.sizeMinor / object.size) : 0.5;
+        return <Ellipse cx={x} cy={y} rx={r} ry={r * ratio} {...stroke} />;
+      }
+      case 'globular':
+        return (
+          <>
+            <Circle cx={x} cy={y} r={r} {...stroke} />
+            <Line x1={x - r} y1={y} x2={x + r} y2={y} stroke={color} strokeWidth={1} />
+            <Line x1={x} y1={y - r} x2={x} y2={y + r} stroke={color} strokeWidth={1} />
+          </>
+        );
+      case 'open':
+        return <Circle cx={x} cy={y} r={r} {...stroke} strokeDasharray="3,3" />;
+      case 'nebula':
+        return <Rect x={x - r} y={y - r} width={r * 2} height={r * 2} {...stroke} />;
+      case 'planetary': {
+        const inner = Math.max(3, r * 0.5);
+        return (
+          <>
+            <Circle cx={x} cy={y} r={inner} {...stroke} />
+            <Line x1={x - r} y1={y} x2={x - inner} y2={y} stroke={color} strokeWidth={1} />
+            <Line x1={x + inner} y1={y} x2={x + r} y2={y} stroke={color} strokeWidth={1} />
+            <Line x1={x} y1={y - r} x2={x} y2={y - inner} stroke={color} strokeWidth={1} />
+            <Line x1={x} y1={y + inner} x2={x} y2={y + r} stroke={color} strokeWidth={1} />
+          </>
+        );
+      }
+      case 'remnant':
+        return (
+          <>
+            <Circle cx={x} cy={y} r={r} {...stroke} />
+            <Circle cx={x} cy={y} r={r * 0.55} {...stroke} strokeDasharray="2,2" />
+          </>
+        );
+      case 'dark':
+        return <Rect x={x - r} y={y - r} width={r * 2} height={r * 2} {...stroke} strokeDasharray="1,3" />;
+      default:
+        return <Polygon points={`${x},${y - r} ${x + r},${y} ${x},${y + r} ${x - r},${y}`} {...stroke} />;
+    }
+  };
+
+  return (
+    <G opacity={opacity} onPress={onPress ? () => onPress(object) : undefined}>
+      {/* Invisible disc so the whole symbol is tappable, not just its outline */}
+      {onPress && <Circle cx={x} cy={y} r={Math.max(r, 14)} fill="#000000" fillOpacity={0.01} />}
+      {renderShape()}
+      {showLabel && (
+        <SvgText x={x} y={y + r + 12} textAnchor="middle" fill={color} fontSize="10">
+          {object.id}
+        </SvgText>
+      )}
+    </G>
+  );
+};
@@ -6,6 +6,9 @@ import { Sphere } from '@react-three/drei/native';
 import { Mesh } from 'three';
 import { useRef } from 'react';
 import { debugLog } from '../../config/debug';
+import { getStarById } from '../data/starCatalog';
+
+const POLARIS_STAR_ID = '11734';
 
 interface PolarisMarkerProps {
   // No props needed - uses fixed position
@@ -15,9 +18,9 @@ export const PolarisMarker: React.FC<PolarisMarkerProps> = () => {
   const meshRef = useRef<Mesh>(null);
 
   // Polaris coordinates from the star catalog
-  const polarisX = 0.010128125287969003;
-  const polarisY = 0.007897668884809868;
-  const polarisZ = 0.9999175205507388;
+  const polaris = getStarById(POLARIS_STAR_ID);
+  if (!polaris) return null;
+  const { x: polarisX, y: polarisY, z: polarisZ } = polaris;
 
   // Scale to celestial sphere radius
   const radius = 0.5; // RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS
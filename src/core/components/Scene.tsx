@@ -11,28 +11,84 @@ import { AnimatedSensor, Value3D } from 'react-native-reanimated';
 import { Stars } from './Stars';
 import { Constellations } from './Constellations';
 import { PolarisMarker } from './PolarisMarker';
+import { DeepSkyObjects } from './DeepSkyObjects';
+import { DeepSkyObject } from '../data/deepSkyCatalog';
 import { SkyOrientation } from '../utils/skyOrientation';
 import { SENSOR_CONFIG } from '../config/constants';
+import {
+  Quaternion as PlainQuaternion,
+  Vector3D,
+  applyQuaternionToVector,
+  invertQuaternion,
+  quaternionToEuler,
+} from '../utils/quaternion';
+import { createSensorFilter, applyComplementaryFilter } from '../utils/sensorStabilization';
+import { getAbsoluteOrientation, fromGravitySensor } from '../utils/ahrs';
+import { getSessionAlignment, applyAlignmentToQuaternion } from '../utils/starAlignment';
 import { debugLog, log } from '../../config/debug';
 
 interface SceneComponentProps {
   skyOrientation: SkyOrientation;
-  rotationSensor: AnimatedSensor<Value3D>; // Sensor object passed from parent
+  rotationSensor: AnimatedSensor<Value3D>; // Gyroscope, rad/s
+  gravitySensor: AnimatedSensor<Value3D>; // Direction of gravity, reads -z when the device lies face up
+  magneticSensor: AnimatedSensor<Value3D>; // Magnetic field, µT
+  declination?: number; // Magnetic declination in degrees, east positive
   onSensorDataUpdate?: (data: { pitch: number; roll: number; yaw: number }) => void;
+  onDeviceOrientationUpdate?: (deviceQuaternion: PlainQuaternion) => void; // Device → east/north/up, every frame
+  onDeepSkySelect?: (object: DeepSkyObject) => void;
 }
 
-const Scene: React.FC<SceneComponentProps> = ({ skyOrientation, rotationSensor, onSensorDataUpdate }) => {
+// Vertical field of view of the scene camera
+export const SCENE_CAMERA_FOV_DEGREES = 60;
+
+const toPlain = (q: Quaternion): PlainQuaternion => ({ x: q.x, y: q.y, z: q.z, w: q.w });
+
+// Sensors that are missing or not yet started report all zeros
+const readVector = (value: Value3D | undefined): Vector3D | null =>
+  value && (value.x !== 0 || value.y !== 0 || value.z !== 0) ? { x: value.x, y: value.y, z: value.z } : null;
+
+const Scene: React.FC<SceneComponentProps> = ({
+  skyOrientation,
+  rotationSensor,
+  gravitySensor,
+  magneticSensor,
+  declination = 0,
+  onSensorDataUpdate,
+  onDeviceOrientationUpdate,
+  onDeepSkySelect,
+}) => {
   const cameraRef = useRef<ThreePerspectiveCamera>(null);
   
-  // Store the accumulated device rotation in a ref so it persists between frames
+  // Device → horizontal frame (east, north, up) rotation, integrated from the gyroscope every frame
   const deviceQuaternionRef = useRef(new Quaternion());
 
+  // Pulls the integrated rotation toward the absolute orientation; its first sample sets the initial alignment
+  const driftFilterRef = useRef(createSensorFilter());
+  // Smooths the corrected rotation before it reaches the camera
+  const stabilizationFilterRef = useRef(createSensorFilter(SENSOR_CONFIG.COMPLEMENTARY_FILTER_ALPHA));
+
   // Debug sensor initialization
   React.useEffect(() => {
     log('--- SCENE COMPONENT MOUNTED ---');
     debugLog('SENSOR_DATA', 'Rotation sensor object received:', rotationSensor);
   }, []);
 
+  // Drift-free orientation from gravity and magnetic north, or null until gravity is available
+  const readAbsoluteOrientation = (): PlainQuaternion | null => {
+    const gravityReading = readVector(gravitySensor.sensor.value);
+    if (!gravityReading) return null;
+    const gravity = fromGravitySensor(gravityReading);
+
+    const field = readVector(magneticSensor.sensor.value);
+    if (field) {
+      return getAbsoluteOrientation(gravity, field, declination);
+    }
+
+    // No magnetometer: correct tilt only and keep the gyro-integrated heading
+    const north = applyQuaternionToVector(invertQuaternion(toPlain(deviceQuaternionRef.current)), { x: 0, y: 1, z: 0 });
+    return getAbsoluteOrientation(gravity, north);
+  };
+
   // Quaternion-based rotation logic
   useFrame((state, delta) => {
     if (!cameraRef.current) return;
@@ -43,16 +99,6 @@ const Scene: React.FC<SceneComponentProps> = ({ skyOrientation, rotationSensor,
       if (gyroValue && typeof gyroValue.x !== 'undefined') {
         const { x: vx, y: vy, z: vz } = gyroValue;
 
-        // Extract Euler angles for debug display
-        if (onSensorDataUpdate) {
-          // Convert gyro values to approximate Euler angles for display
-          const pitch = Math.atan2(vy, Math.sqrt(vx * vx + vz * vz));
-          const roll = Math.atan2(-vx, vz);
-          const yaw = Math.atan2(vx, vy);
-          
-          onSensorDataUpdate({ pitch, roll, yaw });
-        }
-
         const axis = new Vector3(vx, vy, vz);
         const angle = axis.length() * delta;
 
@@ -64,6 +110,32 @@ const Scene: React.FC<SceneComponentProps> = ({ skyOrientation, rotationSensor,
           deviceQuaternionRef.current.multiply(deltaRotation);
           deviceQuaternionRef.current.normalize();
         }
+
+        // Complementary filter: keep the gyro's short-term motion, converge on the absolute
+        // orientation over DRIFT_CORRECTION_TIME_CONSTANT seconds
+        const absolute = readAbsoluteOrientation();
+        if (absolute) {
+          const driftFilter = driftFilterRef.current;
+          driftFilter.previousQuaternion = toPlain(deviceQuaternionRef.current);
+          driftFilter.alpha = 1 - Math.min(1, delta / SENSOR_CONFIG.DRIFT_CORRECTION_TIME_CONSTANT);
+
+          const corrected = applyComplementaryFilter(driftFilter, absolute);
+          deviceQuaternionRef.current.set(corrected.x, corrected.y, corrected.z, corrected.w);
+        }
+
+        const stabilizedQ = SENSOR_CONFIG.STABILIZATION_ENABLED
+          ? applyComplementaryFilter(stabilizationFilterRef.current, toPlain(deviceQuaternionRef.current))
+          : toPlain(deviceQuaternionRef.current);
+
+        // Star alignment offsets from the AR overlay fix residual heading and horizon tilt errors
+        const alignment = getSessionAlignment();
+        const deviceQ = alignment ? applyAlignmentToQuaternion(alignment, stabilizedQ) : stabilizedQ;
+
+        // Extract Euler angles for debug display
+        if (onSensorDataUpdate) {
+          onSensorDataUpdate(quaternionToEuler(deviceQ));
+        }
+        onDeviceOrientationUpdate?.(deviceQ);
         
         const skyQ = new Quaternion(
           skyOrientation.worldRotationQuaternion.x,
@@ -71,13 +143,16 @@ const Scene: React.FC<SceneComponentProps> = ({ skyOrientation, rotationSensor,
           skyOrientation.worldRotationQuaternion.z,
           skyOrientation.worldRotationQuaternion.w
         );
-        const finalCameraQuaternion = new Quaternion().multiplyQuaternions(skyQ, deviceQuaternionRef.current);
+        const finalCameraQuaternion = new Quaternion().multiplyQuaternions(
+          skyQ,
+          new Quaternion(deviceQ.x, deviceQ.y, deviceQ.z, deviceQ.w)
+        );
         
         // Debug: Log camera rotation occasionally
         if (Math.random() < 0.01) { // Log 1% of the time to avoid spam
           console.log('Camera rotation:', {
             skyQ: { x: skyQ.x, y: skyQ.y, z: skyQ.z, w: skyQ.w },
-            deviceQ: { x: deviceQuaternionRef.current.x, y: deviceQuaternionRef.current.y, z: deviceQuaternionRef.current.z, w: deviceQuaternionRef.current.w },
+            deviceQ,
             finalQ: { x: finalCameraQuaternion.x, y: finalCameraQuaternion.y, z: finalCameraQuaternion.z, w: finalCameraQuaternion.w }
           });
         }
@@ -95,13 +170,14 @@ const Scene: React.FC<SceneComponentProps> = ({ skyOrientation, rotationSensor,
         ref={cameraRef}
         makeDefault
         position={[0, 0, 0]}
-        fov={60}
+        fov={SCENE_CAMERA_FOV_DEGREES}
         near={0.01}
         far={1000}
       />
       <Stars />
       <Constellations />
       <PolarisMarker />
+      <DeepSkyObjects onSelect={onDeepSkySelect} />
     </>
   );
 };
@@ -0,0 +1,221 @@
+// Sky Epoch Panel Component
+// Picks the year of the historical sky; edits the shared session epoch
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { indigenousService } from '../services/indigenousCulturalService';
+import {
+  SKY_EPOCH_RANGE,
+  getSkyEpoch,
+  setSkyEpoch,
+  subscribeToSkyEpoch,
+  getEpochDate,
+  formatSkyEpoch,
+  getPoleStar,
+} from '../utils/skyEpoch';
+
+interface SkyEpochPanelProps {
+  visible: boolean;
+  onClose: () => void;
+}
+
+// Year steps offered by the panel
+const EPOCH_STEPS = [-1000, -100, 100, 1000];
+
+/**
+ * Current session sky epoch (null for the present sky), re-rendering when any view changes it
+ */
+export function useSkyEpoch(): number | null {
+  const [epoch, setEpoch] = useState(getSkyEpoch());
+  useEffect(() => subscribeToSkyEpoch(setEpoch), []);
+  return epoch;
+}
+
+export const SkyEpochPanel: React.FC<SkyEpochPanelProps> = ({ visible, onClose }) => {
+  const epoch = useSkyEpoch();
+
+  const poleStar = useMemo(() => getPoleStar(getEpochDate(new Date(), epoch)), [epoch]);
+  const storyEpochs = useMemo(() => (visible ? indigenousService.getRecommendedEpochs() : []), [visible]);
+
+  // Stepping from the present sky starts at this year
+  const current = epoch ?? new Date().getUTCFullYear();
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Historical Sky</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Ionicons name="close" size={24} color="#fff" />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.epoch}>{formatSkyEpoch(epoch)}</Text>
+          <Text style={styles.hint}>
+            {poleStar
+              ? `Pole star: ${poleStar.name}, ${poleStar.distance.toFixed(1)}° from the pole`
+              : 'No bright star near the north celestial pole'}
+          </Text>
+
+          <View style={styles.row}>
+            {EPOCH_STEPS.map(years => {
+              const disabled = current + years < SKY_EPOCH_RANGE.min || current + years > SKY_EPOCH_RANGE.max;
+              return (
+                <TouchableOpacity
+                  key={years}
+                  style={[styles.stepButton, disabled && styles.disabled]}
+                  onPress={() => setSkyEpoch(current + years)}
+                  disabled={disabled}
+                >
+                  <Text style={styles.stepText}>{years > 0 ? `+${years}` : years}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {storyEpochs.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>Skies the stories were told under</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chips}>
+                {storyEpochs.map(({ culture, epoch: storyEpoch }) => {
+                  const active = storyEpoch === epoch;
+                  return (
+                    <TouchableOpacity
+                      key={`${culture}-${storyEpoch}`}
+                      style={[styles.chip, active && styles.activeChip]}
+                      onPress={() => setSkyEpoch(storyEpoch)}
+                    >
+                      <Text style={[styles.chipText, active && styles.activeChipText]}>
+                        {culture} · {formatSkyEpoch(storyEpoch)}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            </>
+          )}
+
+          <Text style={styles.hint}>
+            Stars are moved by precession and their own motion. Satellites and meteor showers are hidden.
+          </Text>
+
+          {epoch !== null && (
+            <TouchableOpacity onPress={() => setSkyEpoch(null)}>
+              <Text style={styles.reset}>Back to the present sky</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(26, 21, 18, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  container: {
+    backgroundColor: '#1a1512',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 20,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(139, 115, 85, 0.2)',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#f5e6d3',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  epoch: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#f5e6d3',
+    textAlign: 'center',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+  },
+  stepButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 20,
+    backgroundColor: '#2a221b',
+  },
+  stepText: {
+    color: '#f5e6d3',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#b5a792',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  chips: {
+    flexGrow: 0,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 16,
+    backgroundColor: '#2a221b',
+    borderWidth: 1,
+    borderColor: 'rgba(139, 115, 85, 0.2)',
+  },
+  activeChip: {
+    borderColor: '#FFA500',
+  },
+  chipText: {
+    color: '#b5a792',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  activeChipText: {
+    color: '#FFA500',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#b5a792',
+    opacity: 0.7,
+    textAlign: 'center',
+  },
+  reset: {
+    color: '#FFA500',
+    fontSize: 12,
+    marginTop: 16,
+    textAlign: 'center',
+  },
+});
@@ -5,17 +5,33 @@ import React, { useMemo, useState, useRef } from 'react';
 import { View, StyleSheet, Dimensions, Text, TouchableOpacity, Platform } from 'react-native';
 import { Canvas } from '@react-three/fiber/native';
 import { useAnimatedSensor, SensorType } from 'react-native-reanimated';
+import geomagnetism from 'geomagnetism';
 
 import { ObserverData } from '../utils/observer';
 import { calculateSkyOrientation, SkyOrientation } from '../utils/skyOrientation';
 import { RENDERING_CONFIG, SENSOR_CONFIG } from '../config/constants';
-import { Scene } from './Scene';
+import { Scene, SCENE_CAMERA_FOV_DEGREES } from './Scene';
 import { TapDebouncer, StarNameDisplay } from '../utils/starInteraction';
-import { CulturalInfoOverlay } from './CulturalInfoOverlay';
+import { CulturalInfoOverlay, useSkyCulture } from './CulturalInfoOverlay';
 import { ConstellationSelector } from './ConstellationSelector';
+import { DeepSkyInfoOverlay } from './DeepSkyInfoOverlay';
+import { DeepSkyFilterPanel } from './DeepSkyFilterPanel';
+import { SkyEpochPanel, useSkyEpoch } from './SkyEpochPanel';
+import { TargetGuidanceOverlay } from './TargetGuidanceOverlay';
+import { DeepSkyObject } from '../data/deepSkyCatalog';
+import { Quaternion } from '../utils/quaternion';
+import { getIntrinsicsFromFov } from '../utils/projection';
+import { getSkyTarget, setSkyTarget, SkyTarget } from '../utils/skyTarget';
+import { getSkyCultureId, setSkyCultureId } from '../utils/skyCulture';
+import { getEpochDate, formatSkyEpoch } from '../utils/skyEpoch';
+import { getSkyCulture, getSkyCultureForStoryCulture, WESTERN_SKY_CULTURE_ID } from '../data/skyCultures';
 import { debugLog, log } from '../../config/debug';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
+// The canvas fills the window, so the scene camera's field of view maps straight onto the screen
+const sceneIntrinsics = getIntrinsicsFromFov(screenWidth, screenHeight, SCENE_CAMERA_FOV_DEGREES);
+// The scene reports orientation every frame; the "find it" guidance only needs a few updates a second
+const GUIDANCE_UPDATE_MS = 100;
 
 interface StargazerViewProps {
   onError?: (error: string) => void;
@@ -30,25 +46,47 @@ export const StargazerView: React.FC<StargazerViewProps> = ({
   blackBackgroundEnabled = false,
   onBlackBackgroundToggle 
 }) => {
-  // Calculate sky orientation once at startup
+  const skyEpoch = useSkyEpoch();
+
+  // Calculate sky orientation once at startup, and again when the historical sky changes
   const skyOrientation = useMemo(() => {
-    const orientation = calculateSkyOrientation(observerData);
+    const orientation = calculateSkyOrientation(observerData, skyEpoch);
     debugLog('CONSTELLATION_DATA', 'Sky orientation calculated:', {
       lst: observerData.lst,
       latitude: observerData.location.latitude,
       longitude: observerData.location.longitude,
+      epoch: skyEpoch,
       worldRotationQuaternion: orientation.worldRotationQuaternion
     });
     return orientation;
-  }, [observerData]);
+  }, [observerData, skyEpoch]);
+  const skyDate = useMemo(() => getEpochDate(observerData.utcTime, skyEpoch), [observerData, skyEpoch]);
 
   // Tap debouncer for star interaction
   const tapDebouncer = useRef<TapDebouncer>(new TapDebouncer(300));
 
-  // Initialize sensor hook outside of R3F Canvas to avoid context conflicts
+  // Initialize sensor hooks outside of R3F Canvas to avoid context conflicts
   const rotationSensor = useAnimatedSensor(SensorType.GYROSCOPE, {
     interval: 1000 / SENSOR_CONFIG.UPDATE_FREQUENCY,
   });
+  const gravitySensor = useAnimatedSensor(SensorType.GRAVITY, {
+    interval: 1000 / SENSOR_CONFIG.UPDATE_FREQUENCY,
+  });
+  const magneticSensor = useAnimatedSensor(SensorType.MAGNETIC_FIELD, {
+    interval: 1000 / SENSOR_CONFIG.UPDATE_FREQUENCY,
+  });
+
+  // Magnetic declination turns magnetometer north into true north
+  const declination = useMemo(() => {
+    try {
+      const { latitude, longitude } = observerData.location;
+      const decl = geomagnetism.model().point([latitude, longitude]).decl;
+      return Number.isFinite(decl) ? decl : 0;
+    } catch (error) {
+      console.error('Error calculating magnetic declination:', error);
+      return 0;
+    }
+  }, [observerData.location.latitude, observerData.location.longitude]);
 
   // State for sensor data and UI
   const [sensorData, setSensorData] = useState({ pitch: 0, roll: 0, yaw: 0 });
@@ -64,15 +102,40 @@ export const StargazerView: React.FC<StargazerViewProps> = ({
     setSensorData(data);
   }, []);
 
+  // Device orientation for the "find it" guidance, only tracked while a target is locked
+  const [deviceQuaternion, setDeviceQuaternion] = useState<Quaternion | null>(null);
+  const lastGuidanceUpdate = useRef(0);
+  const handleDeviceOrientationUpdate = React.useCallback((quaternion: Quaternion) => {
+    const now = Date.now();
+    if (!getSkyTarget() || now - lastGuidanceUpdate.current < GUIDANCE_UPDATE_MS) return;
+    lastGuidanceUpdate.current = now;
+    setDeviceQuaternion(quaternion);
+  }, []);
+
   // Star interaction state
   const [starNameDisplay, setStarNameDisplay] = useState<StarNameDisplay | null>(null);
   
   // Cultural info state
   const [showCulturalInfo, setShowCulturalInfo] = useState(false);
   const [selectedConstellation, setSelectedConstellation] = useState<string>('');
-  const [selectedCulture, setSelectedCulture] = useState<string>('');
+  // The selected culture also picks the figures the sky is drawn with, so it outlives the overlay
+  const [selectedCulture, setSelectedCulture] = useState<string>(
+    () => getSkyCulture(getSkyCultureId()).storyCultures[0] || ''
+  );
+  const skyCulture = useSkyCulture();
   const [showConstellationSelector, setShowConstellationSelector] = useState(false);
 
+  // Deep-sky object state
+  const [selectedDeepSkyObject, setSelectedDeepSkyObject] = useState<DeepSkyObject | null>(null);
+  const [showDeepSkyFilter, setShowDeepSkyFilter] = useState(false);
+  const [showSkyEpoch, setShowSkyEpoch] = useState(false);
+
+  const handleDeepSkySelect = React.useCallback((object: DeepSkyObject) => {
+    if (tapDebouncer.current.canProcessTap()) {
+      setSelectedDeepSkyObject(object);
+    }
+  }, []);
+
   // Debug sensor data updates
   React.useEffect(() => {
     debugLog('SENSOR_DATA', 'Sensor data updated:', sensorData);
@@ -96,11 +159,12 @@ export const StargazerView: React.FC<StargazerViewProps> = ({
   const handleCloseCulturalInfo = () => {
     setShowCulturalInfo(false);
     setSelectedConstellation('');
-    setSelectedCulture('');
   };
 
   const handleCultureChange = (culture: string) => {
     setSelectedCulture(culture);
+    // Cultures without figures of their own are shown over the Western ones
+    setSkyCultureId(getSkyCultureForStoryCulture(culture)?.id || WESTERN_SKY_CULTURE_ID);
   };
 
   const handleShowConstellationSelector = () => {
@@ -115,6 +179,10 @@ export const StargazerView: React.FC<StargazerViewProps> = ({
     handleShowCulturalInfo(constellationName);
   };
 
+  const handleFindTarget = (target: SkyTarget) => {
+    setSkyTarget(target);
+  };
+
   // Format LST for display
   const formatLST = (lst: number): string => {
     const hours = Math.floor(lst);
@@ -137,7 +205,12 @@ export const StargazerView: React.FC<StargazerViewProps> = ({
         <Scene 
           skyOrientation={skyOrientation}
           rotationSensor={rotationSensor}
+          gravitySensor={gravitySensor}
+          magneticSensor={magneticSensor}
+          declination={declination}
           onSensorDataUpdate={handleSensorDataUpdate}
+          onDeviceOrientationUpdate={handleDeviceOrientationUpdate}
+          onDeepSkySelect={handleDeepSkySelect}
         />
       </Canvas>
 
@@ -158,6 +231,14 @@ export const StargazerView: React.FC<StargazerViewProps> = ({
           </View>
         )}
 
+        {/* "Find it" target lock */}
+        <TargetGuidanceOverlay
+          location={observerData.location}
+          date={skyDate}
+          deviceQuaternion={deviceQuaternion}
+          intrinsics={sceneIntrinsics}
+        />
+
         {/* Camera Toggle Button - Removed, now handled in ARCoreView */}
 
         {/* Cultural Info Button */}
@@ -167,6 +248,37 @@ export const StargazerView: React.FC<StargazerViewProps> = ({
         >
           <Text style={styles.culturalInfoText}>Learn Cultural Stories</Text>
         </TouchableOpacity>
+
+        {/* Deep-Sky Filter Button */}
+        <TouchableOpacity
+          style={[styles.culturalInfoButton, styles.deepSkyButton]}
+          onPress={() => setShowDeepSkyFilter(true)}
+        >
+          <Text style={styles.culturalInfoText}>Deep Sky</Text>
+        </TouchableOpacity>
+
+        {/* Sky Culture Reset Button */}
+        {skyCulture.id !== WESTERN_SKY_CULTURE_ID && (
+          <TouchableOpacity
+            style={[styles.culturalInfoButton, styles.skyCultureButton]}
+            onPress={() => handleCultureChange('')}
+          >
+            <Text style={styles.culturalInfoText}>{`${skyCulture.name} sky  ✕`}</Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Historical Sky Button, below the sky culture reset when that is shown */}
+        <TouchableOpacity
+          style={[
+            styles.culturalInfoButton,
+            skyCulture.id !== WESTERN_SKY_CULTURE_ID ? styles.skyEpochButton : styles.skyCultureButton,
+          ]}
+          onPress={() => setShowSkyEpoch(true)}
+        >
+          <Text style={styles.culturalInfoText}>
+            {skyEpoch === null ? 'Historical Sky' : `Sky of ${formatSkyEpoch(skyEpoch)}`}
+          </Text>
+        </TouchableOpacity>
       </View>
 
       {/* Tap Handler - Temporarily disabled to test sensor */}
@@ -190,6 +302,25 @@ export const StargazerView: React.FC<StargazerViewProps> = ({
         visible={showConstellationSelector}
         onClose={handleCloseConstellationSelector}
         onSelectConstellation={handleSelectConstellation}
+        onFindTarget={handleFindTarget}
+      />
+
+      {/* Deep-Sky Object Details */}
+      <DeepSkyInfoOverlay
+        object={selectedDeepSkyObject}
+        onClose={() => setSelectedDeepSkyObject(null)}
+      />
+
+      {/* Deep-Sky Filter */}
+      <DeepSkyFilterPanel
+        visible={showDeepSkyFilter}
+        onClose={() => setShowDeepSkyFilter(false)}
+      />
+
+      {/* Historical Sky */}
+      <SkyEpochPanel
+        visible={showSkyEpoch}
+        onClose={() => setShowSkyEpoch(false)}
       />
     </View>
   );
@@ -235,6 +366,15 @@ const styles = StyleSheet.create({
     shadowRadius: 3.84,
     elevation: 5,
   },
+  deepSkyButton: {
+    top: 105,
+  },
+  skyCultureButton: {
+    top: 160,
+  },
+  skyEpochButton: {
+    top: 215,
+  },
   culturalInfoText: {
     color: '#f5e6d3',
     fontSize: 14,
@@ -9,6 +9,8 @@ import { useRef } from 'react';
 import { AdditiveBlending, Points as ThreePoints } from 'three';
 
 import { stars } from '../data/starCatalog';
+import { getStarVectorAtEpoch } from '../utils/skyEpoch';
+import { useSkyEpoch } from './SkyEpochPanel';
 import { RENDERING_CONFIG } from '../config/constants';
 import { debugLog, log } from '../../config/debug';
 
@@ -18,6 +20,7 @@ interface StarsProps {
 
 export const Stars: React.FC<StarsProps> = () => {
   const pointsRef = useRef<ThreePoints>(null);
+  const skyEpoch = useSkyEpoch();
 
   // For React Native, we'll use a simple approach without custom textures
   // We'll create star shapes using geometry instead
@@ -33,10 +36,11 @@ export const Stars: React.FC<StarsProps> = () => {
     stars.forEach((star, index) => {
       const i = index * 3;
       
-      // Scale star position to celestial sphere radius
-      positions[i] = star.x * RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS;
-      positions[i + 1] = star.y * RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS;
-      positions[i + 2] = star.z * RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS;
+      // Scale star position to celestial sphere radius, moved along its proper motion for a historical sky
+      const { x, y, z } = getStarVectorAtEpoch(star, skyEpoch);
+      positions[i] = x * RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS;
+      positions[i + 1] = y * RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS;
+      positions[i + 2] = z * RENDERING_CONFIG.CELESTIAL_SPHERE_RADIUS;
       
       // Special handling for Polaris (North Star) - make it EXTREMELY visible
       if (star.id === "11734") {
@@ -87,9 +91,9 @@ export const Stars: React.FC<StarsProps> = () => {
     }
     
     return { positions, colors, sizes };
-  }, []);
+  }, [skyEpoch]);
 
-  // Stars are now static - no rotation applied
+  // Stars are static apart from the epoch - no rotation applied
   debugLog('STAR_RENDERING', 'Stars component rendering with positions:', starPositions.positions.length, 'points');
 
   return (
@@ -0,0 +1,214 @@
+// Target Guidance Overlay Component
+// Target-lock mode for the AR views: an edge-of-screen arrow and the angular distance to the session
+// sky target, a ring once it is in view, haptic pulses while closing in, and its rise time when it is down
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, StyleProp, ViewStyle } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { SkyTarget, getSkyTarget, setSkyTarget, subscribeToSkyTarget } from '../utils/skyTarget';
+import {
+  GUIDANCE_PULSE_DISTANCES,
+  getTargetPosition,
+  getNextRise,
+  getTargetGuidance,
+  getEdgePosition,
+} from '../utils/targetGuidance';
+import { Quaternion } from '../utils/quaternion';
+import { CameraIntrinsics } from '../utils/projection';
+
+interface TargetGuidanceOverlayProps {
+  location: { latitude: number; longitude: number } | null;
+  date: Date;
+  deviceQuaternion: Quaternion | null; // Device → world (east/north/up), null until the sensors report
+  intrinsics: CameraIntrinsics;        // Intrinsics of the view underneath
+  bannerStyle?: StyleProp<ViewStyle>;  // Where the status banner sits, clear of the view's own controls
+}
+
+const ARROW_SIZE = 44;
+const MARKER_SIZE = 56;
+const TARGET_COLOR = '#FFD700';
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Current session sky target, re-rendering when any view changes it
+ */
+export function useSkyTarget(): SkyTarget | null {
+  const [target, setTarget] = useState(getSkyTarget());
+  useEffect(() => subscribeToSkyTarget(setTarget), []);
+  return target;
+}
+
+// Stronger pulses the closer the view gets; a success pattern once the target is centred
+const pulse = (level: number) => {
+  if (level >= GUIDANCE_PULSE_DISTANCES.length) {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    return;
+  }
+  const styles = [Haptics.ImpactFeedbackStyle.Light, Haptics.ImpactFeedbackStyle.Medium, Haptics.ImpactFeedbackStyle.Heavy];
+  Haptics.impactAsync(styles[Math.min(level, styles.length) - 1]);
+};
+
+const formatRiseTime = (rise: Date, now: Date): string => {
+  const clock = rise.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return rise.toDateString() === now.toDateString()
+    ? clock
+    : `${rise.toLocaleDateString([], { weekday: 'short' })} ${clock}`;
+};
+
+export const TargetGuidanceOverlay: React.FC<TargetGuidanceOverlayProps> = ({
+  location,
+  date,
+  deviceQuaternion,
+  intrinsics,
+  bannerStyle,
+}) => {
+  const target = useSkyTarget();
+  const [hapticsEnabled, setHapticsEnabled] = useState(true);
+  const lastLevelRef = useRef(0);
+
+  const position = useMemo(
+    () => (target && location ? getTargetPosition(target, location, date) : null),
+    [target, location?.latitude, location?.longitude, date]
+  );
+
+  // The rise search is the slow part, so it is only redone once a minute
+  const riseMinute = Math.floor(date.getTime() / MINUTE_MS);
+  const isBelowHorizon = !!position && position.altitude < 0;
+  const riseTime = useMemo(
+    () => (target && location && isBelowHorizon ? getNextRise(target, location, date) : null),
+    [target, location?.latitude, location?.longitude, isBelowHorizon, riseMinute]
+  );
+
+  const guidance = position && deviceQuaternion ? getTargetGuidance(position, deviceQuaternion, intrinsics) : null;
+  const level = guidance ? guidance.level : 0;
+  const isFound = level >= GUIDANCE_PULSE_DISTANCES.length;
+
+  useEffect(() => {
+    lastLevelRef.current = 0;
+  }, [target]);
+
+  // Pulse on each step closer; moving away resets the level so coming back pulses again
+  useEffect(() => {
+    if (hapticsEnabled && level > lastLevelRef.current) {
+      pulse(level);
+    }
+    lastLevelRef.current = level;
+  }, [level, hapticsEnabled]);
+
+  if (!target) return null;
+
+  const getStatusText = (): string => {
+    if (!location) return 'Waiting for your location...';
+    if (!position) return 'Not found in the star catalog';
+    if (isBelowHorizon) {
+      return riseTime
+        ? `Below the horizon • rises at ${formatRiseTime(riseTime, date)}`
+        : 'Below the horizon • never rises from here';
+    }
+    if (!guidance) return 'Waiting for the orientation sensors...';
+    if (isFound) return 'Found • centred in your view';
+    return `${Math.round(guidance.distance)}° away • ${guidance.screenPosition ? 'in view' : 'follow the arrow'}`;
+  };
+
+  const renderPointer = () => {
+    if (!guidance) return null;
+
+    if (guidance.screenPosition) {
+      return (
+        <View
+          style={[
+            styles.marker,
+            { left: guidance.screenPosition.x - MARKER_SIZE / 2, top: guidance.screenPosition.y - MARKER_SIZE / 2 },
+          ]}
+        />
+      );
+    }
+
+    const edge = getEdgePosition(guidance.direction, intrinsics.width, intrinsics.height, ARROW_SIZE);
+    return (
+      <View style={[styles.arrowContainer, { left: edge.x - ARROW_SIZE / 2, top: edge.y - ARROW_SIZE / 2 }]}>
+        <View style={{ transform: [{ rotate: `${guidance.direction}rad` }] }}>
+          <Ionicons name="arrow-up-circle" size={ARROW_SIZE} color={TARGET_COLOR} />
+        </View>
+        <Text style={styles.arrowText}>{Math.round(guidance.distance)}°</Text>
+      </View>
+    );
+  };
+
+  return (
+    <View style={StyleSheet.absoluteFill} pointerEvents="box-none">
+      {renderPointer()}
+
+      <View style={[styles.banner, bannerStyle]}>
+        <Ionicons name="locate" size={20} color={TARGET_COLOR} />
+        <View style={styles.bannerText}>
+          <Text style={styles.targetName}>{target.name}</Text>
+          <Text style={styles.statusText}>{getStatusText()}</Text>
+        </View>
+        <TouchableOpacity style={styles.bannerButton} onPress={() => setHapticsEnabled(!hapticsEnabled)}>
+          <Ionicons name={hapticsEnabled ? 'pulse' : 'pulse-outline'} size={20} color={hapticsEnabled ? TARGET_COLOR : '#b5a792'} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.bannerButton} onPress={() => setSkyTarget(null)}>
+          <Ionicons name="close" size={20} color="#f5e6d3" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  marker: {
+    position: 'absolute',
+    width: MARKER_SIZE,
+    height: MARKER_SIZE,
+    borderRadius: MARKER_SIZE / 2,
+    borderWidth: 2,
+    borderColor: TARGET_COLOR,
+  },
+  arrowContainer: {
+    position: 'absolute',
+    width: ARROW_SIZE,
+    alignItems: 'center',
+  },
+  arrowText: {
+    color: TARGET_COLOR,
+    fontSize: 12,
+    fontWeight: 'bold',
+    textShadowColor: 'rgba(0, 0, 0, 0.8)',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+  },
+  banner: {
+    position: 'absolute',
+    bottom: 120,
+    left: 20,
+    right: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(26, 21, 18, 0.85)',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 215, 0, 0.4)',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  bannerText: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  targetName: {
+    color: '#f5e6d3',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  statusText: {
+    color: '#b5a792',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  bannerButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
@@ -49,6 +49,9 @@ export const SENSOR_CONFIG = {
   ADAPTIVE_FILTER_ENABLED: true,
   MOTION_THRESHOLD: 0.05, // Threshold for detecting abrupt motion
   ABRUPT_CHANGE_THRESHOLD: 0.1, // Threshold for detecting sensor noise
+
+  // Gyro drift correction toward the gravity/magnetometer orientation
+  DRIFT_CORRECTION_TIME_CONSTANT: 2.0, // seconds; smaller = faster correction, more jitter
   
   // Calibration
   AUTO_CALIBRATION: true,
@@ -154,6 +157,10 @@ export const CAMERA_CONFIG = {
   RATIO: '16:9',
   QUALITY: 0.8,
   
+  // Typical phone main (back) camera field of view across the sensor in landscape (4:3).
+  // The preview fills the screen, so the visible FOV is cropped to the screen's aspect ratio.
+  BACK_CAMERA_FOV_DEGREES: { horizontal: 65, vertical: 50 },
+  
   // Permissions
   PERMISSION_MESSAGE: 'This app needs camera access to provide an augmented reality stargazing experience.',
   LOCATION_PERMISSION_MESSAGE: 'This app uses your location to calculate accurate star positions for the stargazing experience.',
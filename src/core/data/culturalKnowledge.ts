@@ -0,0 +1,280 @@
+// Cultural knowledge records: the stories behind the sky with their sources, the community they belong
+// to and how far that community has agreed to share them. assets/indigenous.json holds schema 2; the flat
+// records of schema 1 (and any package or backup still in that shape) are migrated when loaded.
+
+import { findSkyTarget, getConstellationStars } from '../utils/targetGuidance';
+import { getStarsByConstellation, stars } from './starCatalog';
+import { warn } from '../../config/debug';
+
+export const CULTURAL_KNOWLEDGE_SCHEMA_VERSION = 2;
+
+/**
+ * How widely the community has agreed to share a story:
+ * - public: anyone, in every view and export
+ * - restricted: only people the community has given access to, never in public views
+ * - sacred: not shared through the app at all; the loader withholds it
+ */
+export type ConsentLevel = 'public' | 'restricted' | 'sacred';
+
+export const CONSENT_LEVELS: ConsentLevel[] = ['public', 'restricted', 'sacred'];
+
+export interface KnowledgeSource {
+  citation: string; // Author, title and year, or where an unresolved reference came from
+  url?: string;
+  resolved: boolean; // False for references carried over from schema 1, whose reference list was lost
+}
+
+export interface CommunityAttribution {
+  community: string;      // Nation, people or group the knowledge belongs to
+  contributors: string[]; // Knowledge holders or authors who shared it, as they wish to be named
+  permission?: string;    // How the community agreed to share it, when recorded
+}
+
+export interface StoryLanguage {
+  name: string;
+  code?: string; // BCP 47 tag, when the language has one
+}
+
+export interface IndigenousStory {
+  id: string;
+  western_name: string;
+  culture: string;
+  indigenous_name: string;
+  story_or_meaning: string;
+  object_type: string;
+  constellation_type: string;
+  recommended_epoch?: number; // Year (0 = 1 BCE) whose sky the story was told under, for the historical sky
+  consent: ConsentLevel;
+  attribution: CommunityAttribution;
+  language: StoryLanguage | null; // Language of the indigenous name and story, when known
+  sources: KnowledgeSource[];
+  star_ids: string[]; // Catalog stars the story is about
+}
+
+// Shape of assets/indigenous.json; records are checked one by one, so any version can be passed in
+export interface CulturalKnowledgeFile {
+  schema_version?: number;
+  celestial_database: unknown[];
+}
+
+/**
+ * Communities whose restricted knowledge a viewer has been given access to
+ */
+export interface KnowledgeAccess {
+  communities: string[];
+}
+
+// What every public view shows: public knowledge only
+export const PUBLIC_ACCESS: KnowledgeAccess = { communities: [] };
+
+export interface CulturalKnowledgeLoadResult {
+  stories: IndigenousStory[]; // Public and restricted stories; sacred ones never leave the loader
+  withheldCount: number;      // Sacred stories withheld
+  skippedCount: number;       // Records too incomplete to show
+}
+
+// Languages of the cultures in the schema 1 data, where one language can be named with confidence
+const CULTURE_LANGUAGES: Record<string, StoryLanguage> = {
+  'Cree': { name: 'Cree', code: 'cr' },
+  'Snohomish': { name: 'Lushootseed', code: 'lut' },
+  'Arapaho': { name: 'Arapaho', code: 'arp' },
+  'Cherokee': { name: 'Cherokee', code: 'chr' },
+  'Blackfoot': { name: 'Blackfoot', code: 'bla' },
+  'Blackfeet': { name: 'Blackfoot', code: 'bla' },
+  'Tlingit': { name: 'Tlingit', code: 'tli' },
+  'Lakota': { name: 'Lakota', code: 'lkt' },
+  'Shawnee': { name: 'Shawnee', code: 'sjw' },
+  'Cheyenne': { name: 'Cheyenne', code: 'chy' },
+  'Navajo': { name: 'Navajo', code: 'nv' },
+  'Zuni': { name: 'Zuni', code: 'zun' },
+  'Pawnee': { name: 'Pawnee', code: 'paw' },
+  'Ancient Chinese': { name: 'Classical Chinese', code: 'lzh' },
+  'Ancient Egyptian': { name: 'Egyptian', code: 'egy' },
+  'Vedic (Hindu)': { name: 'Sanskrit', code: 'sa' },
+  'Norse/Viking': { name: 'Old Norse', code: 'non' },
+  'Maya': { name: 'Mayan', code: 'myn' },
+  'Inca': { name: 'Quechua', code: 'qu' },
+  'Aztec': { name: 'Classical Nahuatl', code: 'nci' },
+  'Aboriginal Australian (Yolŋu)': { name: 'Yolŋu Matha' },
+  'Aboriginal Australian (Arrernte)': { name: 'Arrernte' },
+};
+
+// Asterisms the catalog has no figure for, by the catalog names of their stars
+const ASTERISM_STARS: Record<string, string[]> = {
+  "orion's belt": ['Alnitak', 'Alnilam', 'Mintaka'],
+  'sword': ['Hatysa'],
+  'big dipper': ['Dubhe', 'Merak', 'Phecda', 'Megrez', 'Alioth', 'Mizar', 'Alkaid'],
+  'pleiades': ['Alcyone', 'Atlas', 'Electra', 'Maia', 'Merope', 'Taygeta', 'Pleione', 'Celaeno', 'Asterope'],
+  'hyades': ['Ain', 'Chamukuy', 'Prima Hyadum', 'Secunda Hyadum'],
+};
+
+// Faintest star linked to a story about a constellation without a figure, so faint catalog entries
+// such as nearby red dwarfs are left out
+const LINKED_STAR_MAX_MAGNITUDE = 5;
+
+// Bracketed reference numbers in schema 1 text, e.g. '[2]' or '[16, 17, 18]'
+const LEGACY_CITATION = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const isString = (value: unknown): value is string => typeof value === 'string' && value.trim().length > 0;
+
+// Letters NFD does not take apart, e.g. the ð of 'Óðins vagn' and the ŋ of 'Yolŋu'
+const TRANSLITERATIONS: Record<string, string> = { 'ð': 'd', 'þ': 'th', 'ŋ': 'ng', 'æ': 'ae', 'ø': 'o' };
+
+const slugify = (text: string): string =>
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[ðþŋæø]/g, letter => TRANSLITERATIONS[letter])
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Whether a viewer may see a story. Sacred knowledge is never shown, whoever asks.
+ */
+export function isVisibleTo(story: IndigenousStory, access: KnowledgeAccess = PUBLIC_ACCESS): boolean {
+  if (story.consent === 'public') return true;
+  if (story.consent === 'restricted') return access.communities.includes(story.attribution.community);
+  return false;
+}
+
+/**
+ * ID for a story from its culture and name, e.g. 'cree-mista-muskwa'
+ */
+export function getStoryId(culture: string, indigenousName: string): string {
+  return `${slugify(culture)}-${slugify(indigenousName)}`;
+}
+
+/**
+ * Catalog stars a story is about, from its western name: named stars first ('Scorpius (Antares)',
+ * 'Libra (Alpha Librae)'), then asterisms ('Orion's Belt'), then the stars of the constellations
+ * named: a figure's stars ('Cassiopeia'), or the naked-eye catalog stars inside the boundaries of one
+ * without a figure ('Sagittarius')
+ * @returns Star IDs; empty for the Milky Way, planets and anything the catalog has no stars for
+ */
+export function linkCatalogStars(westernName: string): string[] {
+  const parts = westernName
+    .replace(/\bparts of\b/gi, '')
+    .split(/[()/&]/)
+    .map(part => part.replace(/^\s*in\s+/i, '').trim())
+    .filter(Boolean);
+
+  // A constellation name would find its brightest star; constellations are linked whole below
+  const named = parts
+    .filter(part => getConstellationStars(part).length === 0)
+    .map(part => findSkyTarget(part))
+    .filter(target => target?.kind === 'star')
+    .map(target => target!.id);
+  if (named.length > 0) return Array.from(new Set(named));
+
+  const asterism = parts.flatMap(part => ASTERISM_STARS[part.toLowerCase()] || []);
+  if (asterism.length > 0) {
+    return asterism
+      .map(name => stars.find(star => star.name === name)?.id)
+      .filter((id): id is string => id !== undefined);
+  }
+
+  const constellationStars = parts.flatMap(part => {
+    const target = findSkyTarget(part);
+    return target?.kind === 'constellation'
+      ? getStarsByConstellation(target.id)
+      : getConstellationStars(part).filter(star => star.mag <= LINKED_STAR_MAX_MAGNITUDE);
+  });
+  return Array.from(new Set(constellationStars.map(star => star.id)));
+}
+
+/**
+ * Schema 2 record from a flat schema 1 one. The bracketed reference numbers are taken out of the
+ * text and kept as unresolved sources, since the reference list they pointed into was never shipped.
+ * Schema 1 stories were all published, so they stay public and are attributed to their culture.
+ * @returns The story, or null when a field every view needs is missing
+ */
+export function migrateLegacyStory(record: unknown): IndigenousStory | null {
+  const legacy = (record || {}) as Record<string, unknown>;
+  if (!isString(legacy.western_name) || !isString(legacy.culture) || !isString(legacy.indigenous_name)) return null;
+
+  const text = isString(legacy.story_or_meaning) ? legacy.story_or_meaning : '';
+  const references = Array.from(text.matchAll(LEGACY_CITATION))
+    .flatMap(match => match[1].split(','))
+    .map(reference => reference.trim());
+
+  return {
+    id: getStoryId(legacy.culture, legacy.indigenous_name),
+    western_name: legacy.western_name,
+    culture: legacy.culture,
+    indigenous_name: legacy.indigenous_name,
+    story_or_meaning: text.replace(LEGACY_CITATION, '').trim(),
+    object_type: isString(legacy.object_type) ? legacy.object_type : 'Constellation',
+    constellation_type: isString(legacy.constellation_type) ? legacy.constellation_type : 'Light',
+    ...(typeof legacy.recommended_epoch === 'number' ? { recommended_epoch: legacy.recommended_epoch } : {}),
+    consent: 'public',
+    attribution: { community: legacy.culture, contributors: [] },
+    language: CULTURE_LANGUAGES[legacy.culture] || null,
+    sources: Array.from(new Set(references)).map(reference => ({
+      citation: `Reference [${reference}] of the original story collection`,
+      resolved: false,
+    })),
+    star_ids: linkCatalogStars(legacy.western_name),
+  };
+}
+
+/**
+ * Check a schema 2 record. A consent level that is missing or unknown counts as restricted, so a
+ * record that does not say it may be shared is kept out of public views.
+ * @returns The story, or null when a field every view needs is missing
+ */
+export function normalizeStory(record: unknown): IndigenousStory | null {
+  const story = (record || {}) as Partial<IndigenousStory>;
+  if (!isString(story.western_name) || !isString(story.culture) || !isString(story.indigenous_name)) return null;
+  if (!isString(story.story_or_meaning)) return null;
+
+  const attribution = (story.attribution || {}) as Partial<CommunityAttribution>;
+  return {
+    id: isString(story.id) ? story.id : getStoryId(story.culture, story.indigenous_name),
+    western_name: story.western_name,
+    culture: story.culture,
+    indigenous_name: story.indigenous_name,
+    story_or_meaning: story.story_or_meaning,
+    object_type: isString(story.object_type) ? story.object_type : 'Constellation',
+    constellation_type: isString(story.constellation_type) ? story.constellation_type : 'Light',
+    ...(typeof story.recommended_epoch === 'number' ? { recommended_epoch: story.recommended_epoch } : {}),
+    consent: CONSENT_LEVELS.includes(story.consent as ConsentLevel) ? (story.consent as ConsentLevel) : 'restricted',
+    attribution: {
+      community: isString(attribution.community) ? attribution.community : story.culture,
+      contributors: Array.isArray(attribution.contributors) ? attribution.contributors.filter(isString) : [],
+      ...(isString(attribution.permission) ? { permission: attribution.permission } : {}),
+    },
+    language: story.language && isString(story.language.name) ? story.language : null,
+    sources: Array.isArray(story.sources)
+      ? story.sources.filter(source => source && isString(source.citation)).map(source => ({ ...source, resolved: source.resolved !== false }))
+      : [],
+    star_ids: Array.isArray(story.star_ids) ? story.star_ids.filter(isString) : [],
+  };
+}
+
+/**
+ * Read a cultural knowledge file of any schema version, migrating schema 1 records. Sacred stories
+ * are withheld here, so they never reach the service; restricted ones are returned for the service
+ * to keep out of public views.
+ */
+export function loadCulturalKnowledge(file: CulturalKnowledgeFile): CulturalKnowledgeLoadResult {
+  const migrate = (file.schema_version ?? 1) < CULTURAL_KNOWLEDGE_SCHEMA_VERSION ? migrateLegacyStory : normalizeStory;
+  const result: CulturalKnowledgeLoadResult = { stories: [], withheldCount: 0, skippedCount: 0 };
+  const ids = new Set<string>();
+
+  (file.celestial_database || []).forEach(record => {
+    const story = migrate(record);
+    if (!story) {
+      result.skippedCount++;
+    } else if (story.consent === 'sacred') {
+      result.withheldCount++;
+    } else {
+      // Two stories of a culture can share a name; their IDs must not
+      let id = story.id;
+      for (let suffix = 2; ids.has(id); suffix++) id = `${story.id}-${suffix}`;
+      ids.add(id);
+      result.stories.push({ ...story, id });
+    }
+  });
+
+  if (result.skippedCount > 0) {
+    warn(`Cultural knowledge: skipped ${result.skippedCount} record(s) missing a name, culture or story`);
+  }
+  return result;
+}
@@ -0,0 +1,75 @@
+// Deep-sky object catalog: all 110 Messier objects plus bright NGC/IC objects (mostly southern)
+// Positions are J2000, magnitudes visual, sizes the major and minor axes in arcminutes.
+// Shared by the three.js scene and the 2D overlays (ARStarOverlay, SkyMapTab)
+
+import deepSkyData from '../../../assets/deepSky.json';
+import { celestialToCartesian } from '../utils/coordinates';
+
+export type DeepSkyType = 'galaxy' | 'globular' | 'open' | 'nebula' | 'planetary' | 'remnant' | 'dark' | 'other';
+
+export interface DeepSkyObject {
+  id: string;               // "M31", "NGC 5139", ...
+  name: string | null;      // Common name, if any
+  catalogId: string | null; // NGC/IC cross-reference for Messier objects
+  type: DeepSkyType;
+  ra: number;               // Right Ascension in hours (J2000)
+  dec: number;              // Declination in degrees (J2000)
+  mag: number | null;       // Visual magnitude; null for dark nebulae
+  size: number;             // Major axis in arcminutes
+  sizeMinor?: number;       // Minor axis in arcminutes; round objects omit it
+  constellation: string;
+  x: number;                // Unit-sphere position, same frame as the star catalog
+  y: number;
+  z: number;
+}
+
+// Row of assets/deepSky.json
+interface DeepSkyRecord {
+  id: string;
+  name: string | null;
+  catalogId: string | null;
+  type: string;
+  ra: number;
+  dec: number;
+  mag: number | null;
+  size: number;
+  sizeMinor?: number;
+  constellation: string;
+}
+
+// Display label and symbol colour for each object type
+export const DEEP_SKY_TYPES: Record<DeepSkyType, { label: string; color: string }> = {
+  galaxy: { label: 'Galaxy', color: '#FFB86C' },
+  globular: { label: 'Globular cluster', color: '#FFE27A' },
+  open: { label: 'Open cluster', color: '#8BE9FD' },
+  nebula: { label: 'Nebula', color: '#FF79C6' },
+  planetary: { label: 'Planetary nebula', color: '#50FA7B' },
+  remnant: { label: 'Supernova remnant', color: '#FF5555' },
+  dark: { label: 'Dark nebula', color: '#B5A792' },
+  other: { label: 'Other', color: '#BD93F9' },
+};
+
+export const DEEP_SKY_TYPE_KEYS = Object.keys(DEEP_SKY_TYPES) as DeepSkyType[];
+
+export const deepSkyObjects: DeepSkyObject[] = (deepSkyData as DeepSkyRecord[]).map(object => {
+  const { x, y, z } = celestialToCartesian(object.ra, object.dec);
+  return {
+    ...object,
+    type: object.type in DEEP_SKY_TYPES ? (object.type as DeepSkyType) : 'other',
+    x,
+    y,
+    z,
+  };
+});
+
+const deepSkyById = new Map<string, DeepSkyObject>(deepSkyObjects.map(object => [object.id, object]));
+
+// Helper function to find a deep-sky object by ID
+export function getDeepSkyObjectById(id: string): DeepSkyObject | undefined {
+  return deepSkyById.get(id);
+}
+
+// Common name if it has one, otherwise the catalog designation
+export function getDeepSkyDisplayName(object: DeepSkyObject): string {
+  return object.name ? `${object.name} (${object.id})` : object.id;
+}
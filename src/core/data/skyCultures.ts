@@ -0,0 +1,120 @@
+// Sky cultures: each culture's own figures (asterisms) drawn over the catalog stars
+// 'western' is the stick figures from constellations.json; the others come from assets/skycultures.json
+
+import skyCulturesData from '../../../assets/skycultures.json';
+import {
+  CatalogValidationIssue,
+  ConstellationFigure,
+  constellationFigures,
+  filterCatalogLines,
+  buildConstellationFigure,
+} from './starCatalog';
+import { warn } from '../../config/debug';
+
+export interface SkyCulture {
+  id: string;
+  name: string;
+  storyCultures: string[]; // Culture names in assets/indigenous.json whose stories go with these figures
+  description: string;
+  figures: ConstellationFigure[];
+  starNames: Record<string, string>; // The culture's own star names by catalog star ID
+}
+
+// Row of assets/skycultures.json. Lines join catalog star IDs, like constellations.json.
+export interface SkyCultureRecord {
+  id: string;
+  name: string;
+  storyCultures: string[];
+  description: string;
+  figures: Array<{ name: string; english?: string; lines: string[][] }>;
+  starNames?: Record<string, string>;
+}
+
+export const WESTERN_SKY_CULTURE_ID = 'western';
+
+/**
+ * Sky culture from a record, dropping lines with unknown stars (recorded in `issues`) and figures left empty
+ */
+export function buildSkyCulture(record: SkyCultureRecord, issues: CatalogValidationIssue[]): SkyCulture {
+  const figures = record.figures
+    .map((figure, index) => ({
+      ...buildConstellationFigure(
+        index + 1,
+        figure.name,
+        filterCatalogLines(`${record.name}: ${figure.name}`, figure.lines, issues)
+      ),
+      englishName: figure.english,
+    }))
+    .filter(figure => figure.lines.length > 0);
+
+  return {
+    id: record.id,
+    name: record.name,
+    storyCultures: record.storyCultures,
+    description: record.description,
+    figures,
+    starNames: record.starNames || {},
+  };
+}
+
+// Sky-culture lines whose endpoints are not in the star catalog, collected while loading
+export const skyCultureValidationIssues: CatalogValidationIssue[] = [];
+
+// The Western figures and assets/skycultures.json, kept so removing an import gives back a culture it replaced
+const bundledSkyCultures: SkyCulture[] = [
+  {
+    id: WESTERN_SKY_CULTURE_ID,
+    name: 'Western',
+    storyCultures: [],
+    description: 'The Greek and Roman constellations used by the IAU.',
+    figures: constellationFigures,
+    starNames: {},
+  },
+  ...(skyCulturesData as SkyCultureRecord[]).map(record => buildSkyCulture(record, skyCultureValidationIssues)),
+];
+
+export const skyCultures: SkyCulture[] = [...bundledSkyCultures];
+
+if (skyCultureValidationIssues.length > 0) {
+  warn(`Sky cultures: dropped ${skyCultureValidationIssues.length} figure line(s) with unknown star IDs`, skyCultureValidationIssues);
+}
+
+/**
+ * Add a sky culture imported at runtime, replacing an earlier one with the same ID
+ */
+export function addSkyCulture(culture: SkyCulture): void {
+  const index = skyCultures.findIndex(skyCulture => skyCulture.id === culture.id);
+  if (index >= 0) {
+    skyCultures[index] = culture;
+  } else {
+    skyCultures.push(culture);
+  }
+}
+
+/**
+ * Remove a sky culture added at runtime, restoring the bundled one it replaced, if any
+ */
+export function removeSkyCulture(id: string): void {
+  const index = skyCultures.findIndex(skyCulture => skyCulture.id === id);
+  if (index <= 0) return; // The Western figures at index 0 always stay
+  const bundled = bundledSkyCultures.find(skyCulture => skyCulture.id === id);
+  if (bundled) {
+    skyCultures[index] = bundled;
+  } else {
+    skyCultures.splice(index, 1);
+  }
+}
+
+/**
+ * Sky culture by ID, falling back to the Western figures
+ */
+export function getSkyCulture(id: string): SkyCulture {
+  return skyCultures.find(culture => culture.id === id) || skyCultures[0];
+}
+
+/**
+ * Sky culture whose figures go with a story culture from assets/indigenous.json
+ */
+export function getSkyCultureForStoryCulture(culture: string): SkyCulture | undefined {
+  return skyCultures.find(skyCulture => skyCulture.storyCultures.includes(culture));
+}
@@ -1,16 +1,41 @@
 // Star catalog data loaded from JSON files
-// Based on HYG catalog with pre-computed Cartesian coordinates
+// Based on HYG catalog with pre-computed Cartesian coordinates; Hipparcos proper motions are included
+// for the bright stars that visibly move over the historical sky's few thousand years, and Bayer
+// designations for the named stars that have one, so stories can name stars either way
+// Single source for the three.js scene and the 2D overlays (ARStarOverlay, SkyMapTab)
 
 import starsData from '../../../assets/stars.json';
 import constellationsData from '../../../assets/constellations.json';
+import { cartesianToCelestial } from '../utils/coordinates';
+import { warn } from '../../config/debug';
 
 export interface Star {
   id: string;
+  hip?: number; // Hipparcos catalog number, for stars that have one
   name: string;
+  bayer?: string; // Bayer designation, e.g. 'Alpha2 Librae', for stars that have one
   mag: number;
   x: number;
   y: number;
   z: number;
+  ra: number;  // Right Ascension in hours (J2000), derived from x/y/z
+  dec: number; // Declination in degrees (J2000), derived from x/y/z
+  pmRa?: number;  // Proper motion in RA × cos(Dec), mas/yr, when the catalog provides it
+  pmDec?: number; // Proper motion in Dec, mas/yr
+}
+
+// Row of assets/stars.json
+interface StarRecord {
+  id: string;
+  hip?: number;
+  name: string;
+  bayer?: string;
+  mag: number;
+  x: number;
+  y: number;
+  z: number;
+  pmRa?: number;
+  pmDec?: number;
 }
 
 export interface Constellation {
@@ -18,22 +43,124 @@ export interface Constellation {
   lines: Array<[string, string]>; // Array of [starId1, starId2] pairs
 }
 
-// Load stars from JSON file
-export const stars: Star[] = starsData.map(star => ({
-  id: star.id,
-  name: star.name,
-  mag: star.mag,
-  x: star.x,
-  y: star.y,
-  z: star.z,
-}));
+// Star figure in the legacy overlay shape: stars carry RA/Dec and lines index into the stars array
+export interface ConstellationFigure {
+  id: number;
+  name: string;
+  englishName?: string; // Meaning of a sky-culture figure's name, for labels
+  stars: Array<{ id: string; name: string; ra: number; dec: number; pmRa?: number; pmDec?: number; magnitude: number }>;
+  lines: Array<[number, number]>;
+}
+
+export interface CatalogValidationIssue {
+  constellation: string;
+  line: [string, string];
+  missingStarIds: string[];
+}
+
+// HYG row 0 is the Sun at a fixed RA 0h / Dec 0°; solar system bodies are computed separately
+const SUN_STAR_ID = '0';
+
+// Load stars from JSON file, recovering RA/Dec from the unit-sphere coordinates
+export const stars: Star[] = (starsData as StarRecord[])
+  .filter(star => star.id !== SUN_STAR_ID)
+  .map(star => {
+    const { ra, dec } = cartesianToCelestial({ x: star.x, y: star.y, z: star.z });
+    return {
+      id: star.id,
+      hip: star.hip,
+      name: star.name,
+      bayer: star.bayer,
+      mag: star.mag,
+      x: star.x,
+      y: star.y,
+      z: star.z,
+      ra,
+      dec,
+      pmRa: star.pmRa,
+      pmDec: star.pmDec,
+    };
+  });
+
+const starsById = new Map<string, Star>(stars.map(star => [star.id, star]));
+
+// Components of a few doubles are listed separately but share a Hipparcos number; the brighter one is used
+const starsByHip = new Map<number, Star>();
+[...stars].sort((a, b) => b.mag - a.mag).forEach(star => {
+  if (star.hip !== undefined) starsByHip.set(star.hip, star);
+});
+
+/**
+ * Lines whose stars are all in the catalog. Lines that reference unknown stars are dropped and
+ * recorded in `issues` under `figureName`.
+ */
+export function filterCatalogLines(
+  figureName: string,
+  lines: string[][],
+  issues: CatalogValidationIssue[]
+): Array<[string, string]> {
+  return lines
+    .map(line => [line[0], line[1]] as [string, string])
+    .filter(line => {
+      const missingStarIds = line.filter(id => !starsById.has(id));
+      if (missingStarIds.length > 0) {
+        issues.push({ constellation: figureName, line, missingStarIds });
+        return false;
+      }
+      return true;
+    });
+}
+
+/**
+ * Figure in the overlay shape for lines between catalog stars (run the lines through filterCatalogLines first)
+ */
+export function buildConstellationFigure(id: number, name: string, lines: Array<[string, string]>): ConstellationFigure {
+  const figureStars: ConstellationFigure['stars'] = [];
+  const starIndex = new Map<string, number>();
 
-// Load constellations from JSON file
+  const indexOf = (starId: string): number => {
+    if (!starIndex.has(starId)) {
+      const star = starsById.get(starId)!;
+      starIndex.set(starId, figureStars.length);
+      figureStars.push({
+        id: star.id,
+        name: star.name,
+        ra: star.ra,
+        dec: star.dec,
+        pmRa: star.pmRa,
+        pmDec: star.pmDec,
+        magnitude: star.mag,
+      });
+    }
+    return starIndex.get(starId)!;
+  };
+
+  return {
+    id,
+    name,
+    stars: figureStars,
+    lines: lines.map(([id1, id2]) => [indexOf(id1), indexOf(id2)] as [number, number]),
+  };
+}
+
+// Lines whose endpoints are not in the star catalog, collected while loading
+export const catalogValidationIssues: CatalogValidationIssue[] = [];
+
+// Load constellations from JSON file, dropping lines that reference unknown stars
 export const constellations: Constellation[] = constellationsData.map(constellation => ({
   name: constellation.name,
-  lines: constellation.lines.map(line => [line[0], line[1]] as [string, string]),
+  lines: filterCatalogLines(constellation.name, constellation.lines, catalogValidationIssues),
 }));
 
+if (catalogValidationIssues.length > 0) {
+  warn(`Star catalog: dropped ${catalogValidationIssues.length} constellation line(s) with unknown star IDs`, catalogValidationIssues);
+}
+
+// Constellation figures for the 2D overlays, built once from the same catalog as the 3D scene
+export const constellationFigures: ConstellationFigure[] = constellations.map((constellation, index) => (
+  buildConstellationFigure(index + 1, constellation.name, constellation.lines)
+));
+
 // Helper function to get stars by constellation
 export function getStarsByConstellation(constellationName: string): Star[] {
   const constellation = constellations.find(c => c.name === constellationName);
@@ -55,7 +182,12 @@ export function getConstellationByName(name: string): Constellation | undefined
 
 // Helper function to find star by ID
 export function getStarById(id: string): Star | undefined {
-  return stars.find(star => star.id === id);
+  return starsById.get(id);
+}
+
+// Helper function to find star by Hipparcos number
+export function getStarByHip(hip: number): Star | undefined {
+  return starsByHip.get(hip);
 }
 
 // Helper function to get brightest stars
@@ -1,16 +1,19 @@
 // Indigenous Cultural Data Service
-// Maps western constellation names to indigenous cultural stories and meanings
+// Maps western constellation names to indigenous cultural stories and meanings, serving only what each
+// community has agreed to share (see ../data/culturalKnowledge)
 
 import indigenousData from '../../../assets/indigenous.json';
+import {
+  IndigenousStory,
+  KnowledgeAccess,
+  CulturalKnowledgeFile,
+  loadCulturalKnowledge,
+  normalizeStory,
+  isVisibleTo,
+} from '../data/culturalKnowledge';
+import { warn } from '../../config/debug';
 
-export interface IndigenousStory {
-  western_name: string;
-  culture: string;
-  indigenous_name: string;
-  story_or_meaning: string;
-  object_type: string;
-  constellation_type: string;
-}
+export type { IndigenousStory, KnowledgeAccess } from '../data/culturalKnowledge';
 
 export interface CulturalGroup {
   culture: string;
@@ -19,10 +22,21 @@ export interface CulturalGroup {
 
 export class IndigenousCulturalService {
   private static instance: IndigenousCulturalService;
+  // Public stories: everything the lookups below search, and all any public view can show
   private data: IndigenousStory[];
+  // Public and restricted stories; sacred ones are withheld by the loader and never held here
+  private visibleData: IndigenousStory[];
+  private bundledData: IndigenousStory[];
+  private importedStories = new Map<string, IndigenousStory[]>();
 
   private constructor() {
-    this.data = indigenousData.celestial_database;
+    const { stories, withheldCount } = loadCulturalKnowledge(indigenousData as CulturalKnowledgeFile);
+    if (withheldCount > 0) {
+      warn(`Cultural knowledge: withheld ${withheldCount} sacred stor${withheldCount === 1 ? 'y' : 'ies'}`);
+    }
+    this.bundledData = stories;
+    this.visibleData = stories;
+    this.data = stories.filter(story => isVisibleTo(story));
   }
 
   public static getInstance(): IndigenousCulturalService {
@@ -70,6 +84,60 @@ export class IndigenousCulturalService {
     return Array.from(cultures).sort();
   }
 
+  /**
+   * Historical skies the stories recommend, one per culture and year, oldest first
+   */
+  public getRecommendedEpochs(): Array<{ culture: string; epoch: number }> {
+    const epochs = new Map<string, { culture: string; epoch: number }>();
+    this.data.forEach(story => {
+      if (story.recommended_epoch === undefined) return;
+      epochs.set(`${story.culture}|${story.recommended_epoch}`, { culture: story.culture, epoch: story.recommended_epoch });
+    });
+    return Array.from(epochs.values()).sort((a, b) => a.epoch - b.epoch);
+  }
+
+  /**
+   * Serve stories from an imported sky-culture package alongside the bundled ones, replacing
+   * whatever the same package added before. An empty list removes the package's stories.
+   * Stories go through the same checks as the bundled ones: sacred ones are dropped and restricted
+   * ones kept out of public views.
+   * @param source Package the stories came from, e.g. the imported sky culture's ID
+   */
+  public setImportedStories(source: string, stories: IndigenousStory[]): void {
+    const accepted = stories
+      .map(story => normalizeStory(story))
+      .filter((story): story is IndigenousStory => story !== null && story.consent !== 'sacred');
+    if (accepted.length > 0) {
+      this.importedStories.set(source, accepted);
+    } else {
+      this.importedStories.delete(source);
+    }
+    this.visibleData = [...this.bundledData, ...Array.from(this.importedStories.values()).flat()];
+    this.data = this.visibleData.filter(story => isVisibleTo(story));
+  }
+
+  /**
+   * Stories an imported sky-culture package added, by the source given to setImportedStories
+   */
+  public getImportedStories(source: string): IndigenousStory[] {
+    return this.importedStories.get(source) || [];
+  }
+
+  /**
+   * Stories a viewer may see: the public ones, plus restricted ones of the communities that have
+   * given the viewer access. Every other method serves public stories only.
+   */
+  public getStoriesVisibleTo(access: KnowledgeAccess): IndigenousStory[] {
+    return this.visibleData.filter(story => isVisibleTo(story, access));
+  }
+
+  /**
+   * Public story by ID
+   */
+  public getStoryById(id: string): IndigenousStory | undefined {
+    return this.data.find(story => story.id === id);
+  }
+
   /**
    * Get stories for a specific culture
    */
@@ -77,6 +145,28 @@ export class IndigenousCulturalService {
     return this.data.filter(story => story.culture === culture);
   }
 
+  /**
+   * Stories told by any of the given cultures. Profile cultures are matched loosely against the
+   * dataset's culture names ('Lipan-Apache' matches 'Apache', 'Boorong' matches
+   * 'Aboriginal Australian (Boorong)'). An empty list keeps every story.
+   */
+  public filterByCultures(stories: IndigenousStory[], cultures: string[]): IndigenousStory[] {
+    if (cultures.length === 0) return stories;
+
+    const words = (name: string) => name.toLowerCase().split(/[^a-z\u00c0-\u024f]+/).filter(word => word.length >= 4);
+    const selected = cultures.map(culture => ({ name: culture.toLowerCase(), words: words(culture) }));
+
+    return stories.filter(story => {
+      const storyCulture = story.culture.toLowerCase();
+      const storyWords = words(story.culture);
+      return selected.some(culture => (
+        storyCulture.includes(culture.name) ||
+        culture.name.includes(storyCulture) ||
+        culture.words.some(word => storyWords.includes(word))
+      ));
+    });
+  }
+
   /**
    * Search stories by indigenous name or story content
    */
@@ -155,11 +245,7 @@ export class IndigenousCulturalService {
 
     // Remove duplicates
     const uniqueStories = stories.filter((story, index, self) => 
-      index === self.findIndex(s => 
-        s.culture === story.culture && 
-        s.indigenous_name === story.indigenous_name &&
-        s.western_name === story.western_name
-      )
+      index === self.findIndex(s => s.id === story.id)
     );
 
     return uniqueStories;
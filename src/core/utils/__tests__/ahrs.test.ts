@@ -0,0 +1,92 @@
+import {
+  ExpoSensorReading,
+  createAhrsFilter,
+  fromExpoSensors,
+  fromGravitySensor,
+  getAbsoluteOrientation,
+  quaternionFromDeviceOrientation,
+  replaySensorTrace,
+  updateAhrs,
+} from '../ahrs';
+import { Vector3D, applyQuaternionToVector, invertQuaternion } from '../quaternion';
+
+const SAMPLE_RATE = 50;
+// Northern-hemisphere field in µT (east, north, up), dipping below the horizon
+const FIELD = { x: 0, y: 20, z: -45 };
+// A cheap gyroscope's zero-rate offset, about 1.7°/s on every axis
+const GYRO_BIAS = { x: 0.03, y: -0.03, z: 0.03 };
+
+// Repeatable sensor noise
+const noise = (index: number, axis: number, amplitude: number) => Math.sin(index * 12.9898 + axis * 78.233) * amplitude;
+
+const headingError = (heading: number, expected: number) => Math.abs(((heading - expected + 540) % 360) - 180);
+
+/**
+ * A phone held still, camera at the given heading and altitude, as useCompass records it. The first
+ * second is taken while the phone settles: tilted 15° and without a magnetometer reading.
+ */
+function recordTrace(heading: number, altitude: number, seconds: number): ExpoSensorReading[] {
+  const deviceToWorld = quaternionFromDeviceOrientation(-heading, 90 + altitude, 0);
+  const settling = quaternionFromDeviceOrientation(-heading, 90 + altitude + 15, 0);
+  const inDevice = (orientation: typeof deviceToWorld, vector: Vector3D) =>
+    applyQuaternionToVector(invertQuaternion(orientation), vector);
+
+  return Array.from({ length: seconds * SAMPLE_RATE }, (_, index) => {
+    const settled = index >= SAMPLE_RATE;
+    const gravity = inDevice(settled ? deviceToWorld : settling, { x: 0, y: 0, z: -1 });
+    const field = inDevice(deviceToWorld, FIELD);
+    return {
+      timestamp: index / SAMPLE_RATE,
+      gyroscope: {
+        x: GYRO_BIAS.x + noise(index, 0, 0.01),
+        y: GYRO_BIAS.y + noise(index, 1, 0.01),
+        z: GYRO_BIAS.z + noise(index, 2, 0.01),
+      },
+      accelerometer: {
+        x: gravity.x + noise(index, 3, 0.02),
+        y: gravity.y + noise(index, 4, 0.02),
+        z: gravity.z + noise(index, 5, 0.02),
+      },
+      magnetometer: settled ? { x: field.x + noise(index, 6, 0.5), y: field.y + noise(index, 7, 0.5), z: field.z + noise(index, 8, 0.5) } : null,
+    };
+  });
+}
+
+describe('replaySensorTrace', () => {
+  const trace = recordTrace(120, 30, 120);
+
+  it('converges on the heading and tilt the phone is held at', () => {
+    const settled = replaySensorTrace(trace).slice(-10 * SAMPLE_RATE);
+    settled.forEach(({ angles }) => {
+      expect(headingError(angles.heading, 120)).toBeLessThan(1);
+      expect(Math.abs(angles.altitude - 30)).toBeLessThan(1);
+      expect(Math.abs(angles.roll)).toBeLessThan(1);
+    });
+  });
+
+  it('learns the gyroscope bias instead of drifting with it', () => {
+    const filter = createAhrsFilter();
+    trace.forEach(reading => updateAhrs(filter, fromExpoSensors(reading)));
+    expect(filter.gyroBias.x).toBeCloseTo(-GYRO_BIAS.x, 2);
+    expect(filter.gyroBias.y).toBeCloseTo(-GYRO_BIAS.y, 2);
+    expect(filter.gyroBias.z).toBeCloseTo(-GYRO_BIAS.z, 2);
+
+    // The gyroscope alone would have turned the phone by well over a hundred degrees
+    const gyroOnly = replaySensorTrace(trace, { kp: 0, ki: 0 });
+    expect(headingError(gyroOnly[gyroOnly.length - 1].angles.heading, 120)).toBeGreaterThan(30);
+  });
+});
+
+describe('fromGravitySensor', () => {
+  it('gives an identity orientation for a face-up device with its top toward north', () => {
+    // Reanimated's GRAVITY sensor lying face up; a northern-hemisphere field dips below the horizon
+    const gravity = fromGravitySensor({ x: 0, y: 0, z: -9.81 });
+    const q = getAbsoluteOrientation(gravity, { x: 0, y: 20, z: -45 });
+
+    // q and -q are the same rotation
+    expect(Math.abs(q.w)).toBeCloseTo(1, 6);
+    expect(q.x).toBeCloseTo(0, 6);
+    expect(q.y).toBeCloseTo(0, 6);
+    expect(q.z).toBeCloseTo(0, 6);
+  });
+});
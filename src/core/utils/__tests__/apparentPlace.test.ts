@@ -0,0 +1,67 @@
+import * as Astronomy from 'astronomy-engine';
+import { createApparentPlaceContext, getApparentEquatorial, getApparentHorizontal } from '../apparentPlace';
+
+// J2000 catalog places; proper motion is left out so both sides see the same fixed star
+const STARS = [
+  { name: 'Sirius', ra: 6.752477, dec: -16.716116 },
+  { name: 'Polaris', ra: 2.530301, dec: 89.264109 },
+  { name: 'Vega', ra: 18.615649, dec: 38.783692 },
+  { name: 'Acrux', ra: 12.443311, dec: -63.099092 },
+];
+
+const DATES = [
+  new Date('2000-01-01T12:00:00Z'),
+  new Date('2026-10-19T21:30:00Z'),
+  new Date('2050-06-21T03:15:00Z'),
+];
+
+const OBSERVERS = [
+  { latitude: 51.48, longitude: -0.0015 },
+  { latitude: -33.87, longitude: 151.21 },
+  { latitude: 19.82, longitude: -155.47 },
+];
+
+const ARCSEC = 1 / 3600;
+
+// Far enough that parallax is negligible
+const defineReferenceStar = (star: { ra: number; dec: number }) =>
+  Astronomy.DefineStar(Astronomy.Body.Star1, star.ra, star.dec, 1000);
+
+const angularDifference = (a: number, b: number) => Math.abs(((a - b) % 360 + 540) % 360 - 180);
+
+describe('apparent places against astronomy-engine', () => {
+  it.each(STARS)('gives the apparent RA/Dec of date of $name within an arcsecond', (star) => {
+    defineReferenceStar(star);
+    for (const date of DATES) {
+      const reference = Astronomy.Equator(Astronomy.Body.Star1, date, new Astronomy.Observer(0, 0, 0), true, true);
+      const place = getApparentEquatorial(star, createApparentPlaceContext(date));
+
+      expect(angularDifference(place.ra * 15, reference.ra * 15) * Math.cos(reference.dec * Math.PI / 180))
+        .toBeLessThan(ARCSEC);
+      expect(Math.abs(place.dec - reference.dec)).toBeLessThan(ARCSEC);
+    }
+  });
+
+  it.each(STARS)('gives the altitude and azimuth of $name within a few arcseconds', (star) => {
+    defineReferenceStar(star);
+    for (const date of DATES) {
+      for (const observer of OBSERVERS) {
+        const referenceObserver = new Astronomy.Observer(observer.latitude, observer.longitude, 0);
+        const equatorial = Astronomy.Equator(Astronomy.Body.Star1, date, referenceObserver, true, true);
+        const geometric = Astronomy.Horizon(date, referenceObserver, equatorial.ra, equatorial.dec);
+        const refracted = Astronomy.Horizon(date, referenceObserver, equatorial.ra, equatorial.dec, 'normal');
+
+        const airless = getApparentHorizontal(star, date, observer, null);
+        expect(Math.abs(airless.altitude - geometric.altitude)).toBeLessThan(2 * ARCSEC);
+        expect(angularDifference(airless.azimuth, geometric.azimuth) * Math.cos(geometric.altitude * Math.PI / 180))
+          .toBeLessThan(2 * ARCSEC);
+
+        // The refraction models differ most at the horizon
+        if (refracted.altitude > 1) {
+          const apparent = getApparentHorizontal(star, date, observer);
+          expect(Math.abs(apparent.altitude - refracted.altitude)).toBeLessThan(5 * ARCSEC);
+        }
+      }
+    }
+  });
+});
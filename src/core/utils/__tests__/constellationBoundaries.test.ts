@@ -0,0 +1,28 @@
+import { findConstellationAt } from '../constellationBoundaries';
+
+// J2000 positions in hours and degrees
+const hms = (h: number, m: number, s: number) => h + m / 60 + s / 3600;
+const dms = (d: number, m: number, s: number) => Math.sign(d) * (Math.abs(d) + m / 60 + s / 3600);
+
+describe('findConstellationAt', () => {
+  it.each([
+    ['Polaris', hms(2, 31, 49.1), dms(89, 15, 51), 'UMi', 'Ursa Minor'],
+    ['Betelgeuse', hms(5, 55, 10.3), dms(7, 24, 25), 'Ori', 'Orion'],
+    ['Sirius', hms(6, 45, 8.9), dms(-16, 42, 58), 'CMa', 'Canis Major'],
+    ['Acrux', hms(12, 26, 35.9), dms(-63, 5, 57), 'Cru', 'Crux'],
+  ])('puts %s in its constellation', (_, ra, dec, abbreviation, name) => {
+    expect(findConstellationAt(ra, dec)).toMatchObject({ abbreviation, name });
+  });
+
+  it('tells apart points either side of a boundary', () => {
+    // Elnath lies a minute of arc south of the Taurus-Auriga boundary
+    const elnath = { ra: hms(5, 26, 17.5), dec: dms(28, 36, 27) };
+    expect(findConstellationAt(elnath.ra, elnath.dec).abbreviation).toBe('Tau');
+    expect(findConstellationAt(elnath.ra, elnath.dec + 0.1).abbreviation).toBe('Aur');
+  });
+
+  it('normalizes the right ascension and clamps the declination', () => {
+    expect(findConstellationAt(hms(5, 55, 10.3) + 24, dms(7, 24, 25)).abbreviation).toBe('Ori');
+    expect(findConstellationAt(-18, 95).abbreviation).toBe('UMi');
+  });
+});
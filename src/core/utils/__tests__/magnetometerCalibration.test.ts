@@ -0,0 +1,48 @@
+import { fitMagnetometerCalibration } from '../magnetometerCalibration';
+import { Vector3D } from '../quaternion';
+
+// Deterministic pseudo-random numbers so the fits are reproducible
+const createRandom = (seed: number) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+describe('fitMagnetometerCalibration', () => {
+  it('fits hard and soft iron from readings covering every orientation', () => {
+    const random = createRandom(1);
+    const samples: Vector3D[] = [];
+    for (let i = 0; i < 400; i++) {
+      const z = random() * 2 - 1;
+      const angle = random() * 2 * Math.PI;
+      const r = Math.sqrt(1 - z * z);
+      samples.push({ x: 1.1 * 45 * r * Math.cos(angle) + 12, y: 45 * r * Math.sin(angle) - 5, z: 0.95 * 45 * z + 20 });
+    }
+
+    const calibration = fitMagnetometerCalibration(samples)!;
+    expect(calibration.method).toBe('ellipsoid');
+    expect(calibration.offset.x).toBeCloseTo(12, 1);
+    expect(calibration.offset.y).toBeCloseTo(-5, 1);
+    expect(calibration.offset.z).toBeCloseTo(20, 1);
+    expect(calibration.fieldStrength).toBeGreaterThan(40);
+    expect(calibration.fieldStrength).toBeLessThan(50);
+  });
+
+  it('falls back to a sphere fit when the readings leave an axis unconstrained', () => {
+    // Turning the phone flat on a table sweeps a narrow arc, which stretches an ellipsoid fit
+    const random = createRandom(2);
+    const samples: Vector3D[] = [];
+    for (let i = 0; i < 300; i++) {
+      const angle = random() * 2.5;
+      samples.push({
+        x: 45 * Math.cos(angle) + (random() - 0.5) * 4,
+        y: 45 * Math.sin(angle) + (random() - 0.5) * 4,
+        z: 10 + (random() - 0.5) * 1.8,
+      });
+    }
+
+    const calibration = fitMagnetometerCalibration(samples)!;
+    expect(calibration.method).toBe('sphere');
+    expect(calibration.softIron).toEqual([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+    expect(calibration.quality).toBeLessThan(60);
+  });
+});
@@ -0,0 +1,88 @@
+import { DetectedSource, solvePlate } from '../plateSolver';
+import { stars } from '../../data/starCatalog';
+import { angularDistance, calculateAltitudeAzimuth } from '../coordinates';
+import { createObserverData } from '../observer';
+
+type Vec3 = [number, number, number];
+
+const DEG = Math.PI / 180;
+const LOCATION = { latitude: 40, longitude: -75 };
+// A January evening with Orion well up in the south
+const TIME = new Date('2024-01-15T03:00:00Z');
+const ORION = { ra: 5.6, dec: 0 };
+
+const fromRaDec = (ra: number, dec: number): Vec3 => [
+  Math.cos(dec * DEG) * Math.cos(ra * 15 * DEG),
+  Math.cos(dec * DEG) * Math.sin(ra * 15 * DEG),
+  Math.sin(dec * DEG),
+];
+const dot = (a: Vec3, b: Vec3) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a: Vec3, b: Vec3): Vec3 => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+/**
+ * Pinhole photo of the catalog: x right, y down, the image's up direction rolled the given
+ * angle east of north, and the field of view spanning the long side
+ */
+function photograph(ra: number, dec: number, roll: number, width: number, height: number, fieldOfView = 65): DetectedSource[] {
+  const forward = fromRaDec(ra, dec);
+  const north = fromRaDec(ra, dec + 90);
+  const east = cross([0, 0, 1], forward).map(value => value / Math.cos(dec * DEG)) as Vec3;
+  const up = north.map((value, index) => value * Math.cos(roll * DEG) + east[index] * Math.sin(roll * DEG)) as Vec3;
+  const down = up.map(value => -value) as Vec3;
+  const right = cross(down, forward);
+  const focalLength = (Math.max(width, height) / 2) / Math.tan(fieldOfView * DEG / 2);
+
+  return stars
+    .filter(star => star.mag <= 4.5)
+    .map(star => {
+      const vector = fromRaDec(star.ra, star.dec);
+      const depth = dot(vector, forward);
+      if (depth <= 0) return null;
+      return {
+        x: width / 2 + focalLength * dot(vector, right) / depth,
+        y: height / 2 + focalLength * dot(vector, down) / depth,
+        flux: Math.pow(10, -0.4 * star.mag),
+      };
+    })
+    .filter((source): source is DetectedSource =>
+      source !== null && source.x >= 0 && source.x < width && source.y >= 0 && source.y < height);
+}
+
+describe('solvePlate', () => {
+  const pointing = calculateAltitudeAzimuth(ORION.ra, ORION.dec, createObserverData(LOCATION, TIME));
+  const prior = { ...pointing, ...LOCATION, time: TIME };
+
+  it.each([
+    ['landscape', 4000, 3000],
+    ['portrait', 3000, 4000],
+  ])('finds Orion in a %s photo', (_, width, height) => {
+    const solution = solvePlate(photograph(ORION.ra, ORION.dec, 20, width, height), width, height, prior);
+
+    expect(solution).not.toBeNull();
+    expect(angularDistance(solution!.ra, solution!.dec, ORION.ra, ORION.dec)).toBeLessThan(0.5);
+    expect(solution!.rotation).toBeCloseTo(20, 0);
+    expect(solution!.fieldOfView).toBeCloseTo(65, 0);
+    expect(solution!.iauConstellation).toBe('Orion');
+    expect(solution!.constellations).toContain('Orion');
+    expect(solution!.matchedStars.length).toBeGreaterThanOrEqual(5);
+  });
+
+  it('tolerates a lens wider than assumed and stray detections', () => {
+    const sources = [
+      ...photograph(ORION.ra, ORION.dec, -35, 4000, 3000, 72),
+      { x: 500, y: 400, flux: 0.5 },
+      { x: 3100, y: 2600, flux: 0.3 },
+    ];
+    const solution = solvePlate(sources, 4000, 3000, prior);
+
+    expect(solution).not.toBeNull();
+    expect(angularDistance(solution!.ra, solution!.dec, ORION.ra, ORION.dec)).toBeLessThan(0.5);
+    expect(Math.abs(solution!.fieldOfView - 72)).toBeLessThan(2);
+    expect(solution!.iauConstellation).toBe('Orion');
+  });
+
+  it('gives up on a field with too few stars', () => {
+    const sources = photograph(ORION.ra, ORION.dec, 0, 4000, 3000).slice(0, 3);
+    expect(solvePlate(sources, 4000, 3000, prior)).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+import { getEpochDate } from '../skyEpoch';
+
+describe('getEpochDate', () => {
+  it('keeps the calendar day and time of day', () => {
+    const date = getEpochDate(new Date('2025-03-20T18:30:15.250Z'), -2800);
+    expect(date.getUTCFullYear()).toBe(-2800);
+    expect([date.getUTCMonth(), date.getUTCDate()]).toEqual([2, 20]);
+    expect([date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()]).toEqual([18, 30, 15, 250]);
+  });
+
+  it.each([
+    [1000, 28], // Not a leap year in the proleptic Gregorian calendar
+    [1900, 28],
+    [2000, 29],
+    [0, 29], // 1 BCE
+    [-2801, 28],
+  ])('moves 29 February into February of %p', (epoch, day) => {
+    const date = getEpochDate(new Date('2024-02-29T21:00:00Z'), epoch);
+    expect([date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()]).toEqual([epoch, 1, day, 21]);
+  });
+
+  it('leaves the present day alone', () => {
+    const now = new Date('2024-02-29T21:00:00Z');
+    expect(getEpochDate(now, null)).toBe(now);
+  });
+});
@@ -0,0 +1,48 @@
+import { calculateWorldRotationQuaternion } from '../skyOrientation';
+import { calculateJulianDate, calculateLST } from '../observer';
+import { applyQuaternionToVector, Vector3D } from '../quaternion';
+import { getEpochDate, getPoleStar, getStarVectorAtEpoch } from '../skyEpoch';
+import { getPrecessionMatrix } from '../apparentPlace';
+import { stars } from '../../data/starCatalog';
+
+const HOUR_MS = 3600000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12);
+
+const angleBetween = (a: Vector3D, b: Vector3D) =>
+  Math.acos(Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z)) * 180 / Math.PI;
+
+// Giza, through one night and day
+const location = { latitude: 29.98, longitude: 31.13, altitude: 0 };
+const start = new Date(Date.UTC(2025, 2, 20, 18));
+
+const skyDirections = (vector: Vector3D, epoch: number | null) =>
+  Array.from({ length: 25 }, (_, hour) => {
+    const utcTime = new Date(start.getTime() + hour * HOUR_MS);
+    const observerData = {
+      location,
+      utcTime,
+      lst: calculateLST(location.longitude, utcTime),
+      julianDate: calculateJulianDate(utcTime),
+    };
+    return applyQuaternionToVector(calculateWorldRotationQuaternion(observerData, epoch), vector);
+  });
+
+describe('calculateWorldRotationQuaternion', () => {
+  it.each([null, -2800, 1000])('turns the sky about the pole of date for epoch %p', epoch => {
+    const date = getEpochDate(start, epoch);
+    const poleStar = getPoleStar(date);
+    const star = stars.find(candidate => candidate.name === poleStar?.name);
+    expect(star).toBeDefined();
+
+    // The pole of date in J2000 coordinates stays put while the sky turns
+    const years = (date.getTime() - J2000_MS) / (365.25 * 86400000);
+    const [x, y, z] = getPrecessionMatrix(years / 100).slice(6);
+    const poles = skyDirections({ x, y, z }, epoch);
+    poles.forEach(pole => expect(angleBetween(pole, poles[0])).toBeLessThan(0.05));
+
+    // The pole star keeps its distance from the pole, circling it
+    skyDirections(getStarVectorAtEpoch(star!, epoch), epoch).forEach(direction => {
+      expect(Math.abs(angleBetween(direction, poles[0]) - poleStar!.distance)).toBeLessThan(0.1);
+    });
+  });
+});
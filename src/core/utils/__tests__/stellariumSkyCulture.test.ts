@@ -0,0 +1,32 @@
+import { exportStellariumSkyCulture, importStellariumSkyCulture, STELLARIUM_FILES } from '../stellariumSkyCulture';
+import { addSkyCulture, buildSkyCulture, getSkyCulture, skyCultures } from '../../data/skyCultures';
+import { indigenousService } from '../../services/indigenousCulturalService';
+
+const storyCount = () => indigenousService.getAllCultures()
+  .reduce((count, culture) => count + indigenousService.getStoriesByCulture(culture).length, 0);
+
+describe('Stellarium sky-culture round trip', () => {
+  it.each(['boorong', 'wiradjuri-gamilaroi', 'norse'])('reads an exported %s package back without copies', id => {
+    const culture = getSkyCulture(id);
+    const cultureCount = skyCultures.length;
+    const stories = storyCount();
+
+    const { files } = exportStellariumSkyCulture(culture);
+    const legacyFiles = Object.fromEntries(
+      Object.entries(files).filter(([fileName]) => fileName !== STELLARIUM_FILES.INDEX && fileName !== STELLARIUM_FILES.DESCRIPTION_MARKDOWN)
+    );
+
+    [files, legacyFiles].forEach(packageFiles => {
+      const { record, stories: newStories, report } = importStellariumSkyCulture(packageFiles, { name: id });
+      expect(record.id).toBe(id);
+      expect(record.storyCultures).toEqual(culture.storyCultures);
+      expect(newStories).toEqual([]);
+      expect(report.matchedStoryCount).toBeGreaterThan(0);
+
+      addSkyCulture(buildSkyCulture(record, []));
+      indigenousService.setImportedStories(record.id, newStories);
+      expect(skyCultures.length).toBe(cultureCount);
+      expect(storyCount()).toBe(stories);
+    });
+  });
+});
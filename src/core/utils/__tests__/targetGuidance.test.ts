@@ -0,0 +1,27 @@
+import { findSkyTarget } from '../targetGuidance';
+
+const targetName = (name: string) => findSkyTarget(name)?.name ?? null;
+
+describe('findSkyTarget', () => {
+  it('finds a star by the Bayer designation in brackets', () => {
+    expect(targetName('Libra (Alpha Librae)')).toBe('Zubenelgenubi');
+    expect(targetName('Sagittarius (Gamma Sagittarii)')).toBe('Alnasl');
+    expect(targetName('Hydra (Upsilon1 Hydrae)')).toBe('Zhang');
+  });
+
+  it('falls back to the brightest catalog star of a constellation without a figure', () => {
+    expect(targetName('Ursa Minor')).toBe('Polaris');
+    expect(targetName('Libra')).toBe('Zubeneschamali');
+    expect(targetName('Cancer (Theta Cancri)')).toBe('Tarf');
+  });
+
+  it('keeps constellation figures, named stars and deep-sky objects', () => {
+    expect(findSkyTarget('Orion')).toEqual({ kind: 'constellation', id: 'Orion', name: 'Orion' });
+    expect(targetName('Scorpius (Antares)')).toBe('Antares');
+    expect(findSkyTarget('Pleiades')?.kind).toBe('deepSky');
+  });
+
+  it('has no target for things without a single position', () => {
+    expect(findSkyTarget('Milky Way')).toBeNull();
+  });
+});
@@ -0,0 +1,350 @@
+// Attitude and heading reference system (AHRS) using a Mahony complementary filter
+// Fuses gyroscope, accelerometer and magnetometer samples into a device orientation quaternion.
+// Pure functions over plain sensor samples so recorded traces can be replayed offline.
+//
+// Frames:
+//   Device: x right, y toward the top of the screen, z out of the screen (back camera looks along -z)
+//   Filter: x magnetic north, y west, z up
+//   World:  x east, y true north, z up (same as altitudeAzimuthToCartesian)
+
+import { mat3, quat } from 'gl-matrix';
+import {
+  Quaternion,
+  Vector3D,
+  multiplyQuaternions,
+  axisAngleToQuaternion,
+  applyQuaternionToVector,
+  normalizeQuaternion,
+} from './quaternion';
+import { cartesianToAltitudeAzimuth } from './coordinates';
+
+export interface SensorSample {
+  timestamp: number;     // Seconds
+  gyro: Vector3D;        // Angular rate in rad/s, device frame
+  accel: Vector3D;       // Specific force (reads +1 g along z when lying face up), any units
+  mag?: Vector3D | null; // Magnetic field in µT, device frame
+}
+
+// Raw readings in expo-sensors conventions, as recorded by useCompass
+export interface ExpoSensorReading {
+  timestamp: number;                                // Seconds
+  gyroscope: Vector3D;                              // rad/s
+  accelerometer: Vector3D;                          // g, gravity direction (z = -1 face up)
+  magnetometer?: Vector3D | null;                   // µT
+}
+
+export interface AhrsFilter {
+  kp: number;               // Proportional gain; higher trusts accel/mag more, lower trusts gyro more
+  ki: number;               // Integral gain for gyroscope bias estimation (0 disables it)
+  quaternion: Quaternion;   // Device → filter frame
+  gyroBias: Vector3D;       // Learned correction added to gyroscope readings (rad/s)
+  lastTimestamp: number | null;
+  isInitialized: boolean;
+  usingMagnetometer: boolean;
+}
+
+export interface OrientationAngles {
+  heading: number;  // True azimuth the back camera points at (0-360°, 0 = north, 90 = east)
+  altitude: number; // Elevation of the camera axis above the horizon (degrees)
+  pitch: number;    // -altitude, matching the legacy useCompass convention
+  roll: number;     // Rotation about the camera axis, clockwise as seen by the user (degrees)
+}
+
+// Default gains: errors decay with a ~1 s time constant, gyro bias is learned over ~20 s
+export const DEFAULT_KP = 1.0;
+const DEFAULT_KI = 0.05;
+// Ignore gaps longer than this (app backgrounded, sensor stalls) rather than integrating them
+const MAX_TIMESTEP = 0.1;
+// Above this camera elevation the heading of the camera axis is ill-defined; use the top of the screen instead
+const VERTICAL_CAMERA_LIMIT = 85;
+
+const IDENTITY: Quaternion = { x: 0, y: 0, z: 0, w: 1 };
+
+// Filter frame (north, west, up) → world frame (east, north, up): rotate +90° about up
+const FILTER_TO_ENU = axisAngleToQuaternion({ x: 0, y: 0, z: 1 }, Math.PI / 2);
+
+/**
+ * Creates a new AHRS filter
+ * @param options Proportional (kp, default 1.0) and integral (ki, default 0.05) gains
+ */
+export function createAhrsFilter(options: { kp?: number; ki?: number } = {}): AhrsFilter {
+  return {
+    kp: options.kp ?? DEFAULT_KP,
+    ki: options.ki ?? DEFAULT_KI,
+    quaternion: { ...IDENTITY },
+    gyroBias: { x: 0, y: 0, z: 0 },
+    lastTimestamp: null,
+    isInitialized: false,
+    usingMagnetometer: false,
+  };
+}
+
+/**
+ * Resets the filter so the next sample re-runs the initial alignment
+ */
+export function resetAhrsFilter(filter: AhrsFilter): void {
+  filter.quaternion = { ...IDENTITY };
+  filter.gyroBias = { x: 0, y: 0, z: 0 };
+  filter.lastTimestamp = null;
+  filter.isInitialized = false;
+  filter.usingMagnetometer = false;
+}
+
+/**
+ * Converts an expo-sensors reading into the filter's sensor conventions.
+ * expo's Accelerometer reports the gravity direction in g (z = -1 lying face up),
+ * while the filter expects the specific force (z = +1), so the accelerometer is negated.
+ */
+export function fromExpoSensors(reading: ExpoSensorReading): SensorSample {
+  const { accelerometer } = reading;
+  return {
+    timestamp: reading.timestamp,
+    gyro: reading.gyroscope,
+    accel: { x: -accelerometer.x, y: -accelerometer.y, z: -accelerometer.z },
+    mag: reading.magnetometer ?? null,
+  };
+}
+
+/**
+ * Converts a reading of react-native-reanimated's GRAVITY sensor into the specific force the filter
+ * expects. The sensor reports the direction of gravity (z ≈ -9.81 lying face up), so it is negated.
+ */
+export function fromGravitySensor(gravity: Vector3D): Vector3D {
+  return { x: -gravity.x, y: -gravity.y, z: -gravity.z };
+}
+
+const isUsableVector = (v: Vector3D | null | undefined): v is Vector3D =>
+  !!v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z) && (v.x !== 0 || v.y !== 0 || v.z !== 0);
+
+/**
+ * Orientation from a single accelerometer (and optionally magnetometer) reading.
+ * Used to start the filter at the right attitude instead of converging from identity.
+ */
+export function alignFromGravity(accel: Vector3D, mag?: Vector3D | null): Quaternion {
+  const up = normalize3(accel);
+
+  // Without a magnetometer pick any horizontal reference; heading is then relative
+  let reference = isUsableVector(mag) ? mag : (Math.abs(up.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 });
+  const projection = dot3(reference, up);
+  reference = { x: reference.x - projection * up.x, y: reference.y - projection * up.y, z: reference.z - projection * up.z };
+  const north = normalize3(reference);
+  const west = cross3(up, north);
+
+  // Rows of the device → filter rotation are the filter axes expressed in the device frame
+  const m = mat3.fromValues(
+    north.x, west.x, up.x,
+    north.y, west.y, up.y,
+    north.z, west.z, up.z
+  );
+  const q = quat.create();
+  quat.fromMat3(q, m);
+  quat.normalize(q, q);
+
+  return { x: q[0], y: q[1], z: q[2], w: q[3] };
+}
+
+/**
+ * Advances the filter by one sensor sample
+ * @param filter Filter instance (mutated)
+ * @param sample Gyroscope, accelerometer and optional magnetometer reading
+ * @returns The updated device → filter quaternion
+ */
+export function updateAhrs(filter: AhrsFilter, sample: SensorSample): Quaternion {
+  const hasMag = isUsableVector(sample.mag);
+  filter.usingMagnetometer = hasMag;
+
+  if (!filter.isInitialized) {
+    if (!isUsableVector(sample.accel)) return filter.quaternion;
+    filter.quaternion = alignFromGravity(sample.accel, sample.mag);
+    filter.lastTimestamp = sample.timestamp;
+    filter.isInitialized = true;
+    return filter.quaternion;
+  }
+
+  const dt = filter.lastTimestamp === null ? 0 : sample.timestamp - filter.lastTimestamp;
+  filter.lastTimestamp = sample.timestamp;
+  if (dt <= 0 || dt > MAX_TIMESTEP) return filter.quaternion;
+
+  // Without a magnetometer the heading is gyro-integrated and drifts slowly
+  filter.quaternion = mahonyUpdate(filter, sample.gyro, sample.accel, hasMag ? sample.mag as Vector3D : null, dt);
+
+  return filter.quaternion;
+}
+
+/**
+ * Device orientation in the world frame (east, true north, up)
+ * @param filter Filter instance
+ * @param declination Magnetic declination in degrees, east positive (from geomagnetism)
+ * @returns Quaternion rotating device-frame vectors into the world frame
+ */
+export function getWorldQuaternion(filter: AhrsFilter, declination: number = 0): Quaternion {
+  return filterToWorld(filter.quaternion, declination);
+}
+
+/**
+ * Absolute device orientation in the world frame from a single gravity and magnetic field reading.
+ * Noisy on its own; meant as the drift-free reference for gyro-integrated orientations.
+ * @param accel Specific force (reads +z when lying face up)
+ * @param mag Magnetic field, or any device-frame vector pointing toward true north with declination 0
+ * @param declination Magnetic declination in degrees, east positive
+ */
+export function getAbsoluteOrientation(accel: Vector3D, mag: Vector3D, declination: number = 0): Quaternion {
+  return filterToWorld(alignFromGravity(accel, mag), declination);
+}
+
+function filterToWorld(quaternion: Quaternion, declination: number): Quaternion {
+  // True azimuth = magnetic azimuth + declination, i.e. a clockwise (negative) turn about up
+  const declinationRotation = axisAngleToQuaternion({ x: 0, y: 0, z: 1 }, -declination * Math.PI / 180);
+  return normalizeQuaternion(
+    multiplyQuaternions(declinationRotation, multiplyQuaternions(FILTER_TO_ENU, quaternion))
+  );
+}
+
+/**
+ * Camera pointing angles from a world-frame device quaternion
+ */
+export function getOrientationAngles(worldQuaternion: Quaternion): OrientationAngles {
+  const cameraAxis = applyQuaternionToVector(worldQuaternion, { x: 0, y: 0, z: -1 });
+  const screenUp = applyQuaternionToVector(worldQuaternion, { x: 0, y: 1, z: 0 });
+
+  const { altitude, azimuth } = cartesianToAltitudeAzimuth(normalize3(cameraAxis));
+
+  // Pointing straight up or down: report which way the top of the screen faces instead
+  const heading = Math.abs(altitude) > VERTICAL_CAMERA_LIMIT
+    ? cartesianToAltitudeAzimuth(normalize3({ x: screenUp.x, y: screenUp.y, z: 0 })).azimuth
+    : azimuth;
+
+  // Roll: angle from the world-up direction (projected perpendicular to the camera axis) to the screen's up
+  const vertical = dot3({ x: 0, y: 0, z: 1 }, cameraAxis);
+  const reference = { x: -vertical * cameraAxis.x, y: -vertical * cameraAxis.y, z: 1 - vertical * cameraAxis.z };
+  const referenceLength = Math.sqrt(dot3(reference, reference));
+  const roll = referenceLength < 1e-6
+    ? 0
+    : Math.atan2(dot3(cross3(reference, screenUp), cameraAxis), dot3(reference, screenUp)) * 180 / Math.PI;
+
+  return {
+    heading: (heading + 360) % 360,
+    altitude,
+    pitch: -altitude,
+    roll,
+  };
+}
+
+/**
+ * World-frame device quaternion from camera pointing angles (inverse of getOrientationAngles)
+ * @param heading Azimuth of the camera axis, or of the top of the screen above VERTICAL_CAMERA_LIMIT (degrees)
+ * @param altitude Elevation of the camera axis (degrees)
+ * @param roll Rotation about the camera axis, clockwise as seen by the user (degrees)
+ */
+export function orientationAnglesToQuaternion(heading: number, altitude: number, roll: number): Quaternion {
+  const toRad = Math.PI / 180;
+  if (Math.abs(altitude) > VERTICAL_CAMERA_LIMIT) {
+    // Undo the screen-up heading fallback: the top of the screen sits at this azimuth offset from the camera axis
+    const screenUpOffset = Math.atan2(Math.sin(roll * toRad), -Math.cos(roll * toRad) * Math.sin(altitude * toRad));
+    heading -= screenUpOffset / toRad;
+  }
+  // Start lying face up with the top toward north, tip the camera up to the horizon and beyond, then turn
+  const headingRotation = axisAngleToQuaternion({ x: 0, y: 0, z: 1 }, -heading * toRad);
+  const tiltRotation = axisAngleToQuaternion({ x: 1, y: 0, z: 0 }, (90 + altitude) * toRad);
+  const rollRotation = axisAngleToQuaternion({ x: 0, y: 0, z: 1 }, -roll * toRad);
+  return normalizeQuaternion(multiplyQuaternions(headingRotation, multiplyQuaternions(tiltRotation, rollRotation)));
+}
+
+/**
+ * World-frame quaternion from a W3C deviceorientation event (web fallback, no raw sensors).
+ * The event describes device → earth as Rz(alpha)·Rx(beta)·Ry(gamma) in an east-north-up frame.
+ */
+export function quaternionFromDeviceOrientation(alpha: number, beta: number, gamma: number, declination: number = 0): Quaternion {
+  const toRad = Math.PI / 180;
+  const zRotation = axisAngleToQuaternion({ x: 0, y: 0, z: 1 }, (alpha - declination) * toRad);
+  const xRotation = axisAngleToQuaternion({ x: 1, y: 0, z: 0 }, beta * toRad);
+  const yRotation = axisAngleToQuaternion({ x: 0, y: 1, z: 0 }, gamma * toRad);
+  return normalizeQuaternion(multiplyQuaternions(zRotation, multiplyQuaternions(xRotation, yRotation)));
+}
+
+/**
+ * Replays a recorded sensor trace through a fresh filter (offline testing and tuning)
+ * @param trace Readings in expo-sensors conventions, as recorded by useCompass
+ * @param options Filter gains and declination
+ * @returns Orientation after every sample
+ */
+export function replaySensorTrace(
+  trace: ExpoSensorReading[],
+  options: { kp?: number; ki?: number; declination?: number } = {}
+): Array<{ timestamp: number; quaternion: Quaternion; angles: OrientationAngles }> {
+  const filter = createAhrsFilter(options);
+
+  return trace.map(reading => {
+    updateAhrs(filter, fromExpoSensors(reading));
+    const quaternion = getWorldQuaternion(filter, options.declination);
+    return { timestamp: reading.timestamp, quaternion, angles: getOrientationAngles(quaternion) };
+  });
+}
+
+// Mahony update: gravity corrects tilt, the magnetometer corrects heading only (decoupled so a
+// disturbed field never tilts the horizon), and the integral term learns the gyroscope bias
+function mahonyUpdate(filter: AhrsFilter, g: Vector3D, a: Vector3D, m: Vector3D | null, dt: number): Quaternion {
+  const q = filter.quaternion;
+  const q0 = q.w, q1 = q.x, q2 = q.y, q3 = q.z;
+
+  // Estimated up direction in the device frame (third row of the device → filter rotation)
+  const up: Vector3D = {
+    x: 2 * (q1 * q3 - q0 * q2),
+    y: 2 * (q0 * q1 + q2 * q3),
+    z: q0 * q0 - q1 * q1 - q2 * q2 + q3 * q3,
+  };
+
+  let error: Vector3D = { x: 0, y: 0, z: 0 };
+
+  if (isUsableVector(a)) {
+    error = cross3(normalize3(a), up);
+  }
+
+  if (m) {
+    // Horizontal component of the field in the filter frame should point along +x (magnetic north)
+    const field = applyQuaternionToVector(q, normalize3(m));
+    const horizontal = Math.sqrt(field.x * field.x + field.y * field.y);
+    if (horizontal > 1e-6) {
+      const headingError = -field.y / horizontal;
+      error = { x: error.x + headingError * up.x, y: error.y + headingError * up.y, z: error.z + headingError * up.z };
+    }
+  }
+
+  if (filter.ki > 0) {
+    filter.gyroBias = {
+      x: filter.gyroBias.x + filter.ki * error.x * dt,
+      y: filter.gyroBias.y + filter.ki * error.y * dt,
+      z: filter.gyroBias.z + filter.ki * error.z * dt,
+    };
+  }
+
+  const gx = g.x + filter.kp * error.x + filter.gyroBias.x;
+  const gy = g.y + filter.kp * error.y + filter.gyroBias.y;
+  const gz = g.z + filter.kp * error.z + filter.gyroBias.z;
+
+  // Integrate the rate of change of quaternion
+  const halfDt = 0.5 * dt;
+  return normalizeQuaternion({
+    w: q0 + (-q1 * gx - q2 * gy - q3 * gz) * halfDt,
+    x: q1 + (q0 * gx + q2 * gz - q3 * gy) * halfDt,
+    y: q2 + (q0 * gy - q1 * gz + q3 * gx) * halfDt,
+    z: q3 + (q0 * gz + q1 * gy - q2 * gx) * halfDt,
+  });
+}
+
+function dot3(a: Vector3D, b: Vector3D): number {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross3(a: Vector3D, b: Vector3D): Vector3D {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  };
+}
+
+function normalize3(v: Vector3D): Vector3D {
+  const length = Math.sqrt(dot3(v, v));
+  return length > 0 ? { x: v.x / length, y: v.y / length, z: v.z / length } : { x: 0, y: 0, z: 0 };
+}
@@ -0,0 +1,365 @@
+// Apparent place of catalog stars: J2000 catalog RA/Dec → where the star actually appears in the sky
+// Pipeline: proper motion → precession (IAU 1976) → nutation (IAU 1980, main terms) → annual aberration
+// → horizontal coordinates with apparent sidereal time → Bennett refraction for the given atmosphere.
+// Accurate to a few arcseconds for 1900-2100, well below what the sensors can resolve. Historical skies
+// further out switch to the long-term precession model, good to well under an arcminute over ±5000 years;
+// proper motion is then the larger error, being known only for the bright fast movers and without
+// radial velocities.
+
+export interface CatalogPosition {
+  ra: number;     // Right Ascension in hours (J2000)
+  dec: number;    // Declination in degrees (J2000)
+  pmRa?: number;  // Proper motion in RA × cos(Dec), milliarcseconds per year
+  pmDec?: number; // Proper motion in Dec, milliarcseconds per year
+}
+
+export interface AtmosphericConditions {
+  temperature: number; // Degrees Celsius
+  pressure: number;    // Millibars (hPa); 0 disables refraction
+}
+
+export interface ApparentPlaceContext {
+  julianDate: number;
+  centuries: number;                 // Julian centuries since J2000
+  rotation: number[];                // J2000 → true equator and equinox of date (row-major 3x3)
+  earthVelocity: [number, number, number]; // In units of c, equatorial frame of date
+  equationOfEquinoxes: number;       // Degrees; apparent minus mean sidereal time
+}
+
+// Conditions the refraction formula was fitted for
+export const STANDARD_ATMOSPHERE: AtmosphericConditions = { temperature: 10, pressure: 1010 };
+
+const J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
+const ARCSEC = Math.PI / (180 * 3600);
+const toRad = Math.PI / 180;
+const toDeg = 180 / Math.PI;
+// Constant of aberration
+const ABERRATION_CONSTANT = 20.49552 * ARCSEC;
+// Bennett's formula diverges a few degrees below the horizon; hold the correction there
+const MIN_REFRACTION_ALTITUDE = -1;
+// Lieske's cubic precession angles are fitted to a few centuries around J2000 and drift away over
+// millennia; beyond this many centuries the long-term model of Vondrák, Capitaine & Wallace (2011) takes over
+const LIESKE_PRECESSION_CENTURIES = 2;
+// Obliquity of the ecliptic at J2000 used by the long-term model
+const LONG_TERM_OBLIQUITY = 84381.406 * ARCSEC;
+
+// Long-term precession of the equator pole: polynomial in centuries (arcseconds) for X and Y,
+// and periodic terms [period in centuries, X cosine, Y cosine, X sine, Y sine]
+const EQUATOR_POLE_POLYNOMIALS = [
+  [5453.282155, 0.4252841, -0.00037173, -0.000000152],
+  [-73750.930350, -0.7675452, -0.00018725, 0.000000231],
+];
+const EQUATOR_POLE_PERIODIC = [
+  [256.75, -819.940624, 75004.344875, 81491.287984, 1558.515853],
+  [708.15, -8444.676815, 624.033993, 787.163481, 7774.939698],
+  [274.20, 2600.009459, 1251.136893, 1251.296102, -2219.534038],
+  [241.45, 2755.175630, -1102.212834, -1257.950837, -2523.969396],
+  [2309.00, -167.659835, -2660.664980, -2966.799730, 247.850422],
+  [492.20, 871.855056, 699.291817, 639.744522, -846.485643],
+  [396.10, 44.769698, 153.167220, 131.600209, -1393.124055],
+  [288.90, -512.313065, -950.865637, -445.040117, 368.526116],
+  [231.10, -819.415595, 499.754645, 584.522874, 749.045012],
+  [1610.00, -538.071099, -145.188210, -89.756563, 444.704518],
+  [620.00, -189.793622, 558.116553, 524.429630, 235.934465],
+  [157.87, -402.922932, -23.923029, -13.549067, 374.049623],
+  [220.30, 179.516345, -165.405086, -210.157124, -171.330180],
+  [1200.00, -9.814756, 9.344131, -44.919798, -22.899655],
+];
+// Long-term precession of the ecliptic pole, P and Q, in the same layout
+const ECLIPTIC_POLE_POLYNOMIALS = [
+  [5851.607687, -0.1189000, -0.00028913, 0.000000101],
+  [-1600.886300, 1.1689818, -0.00000020, -0.000000437],
+];
+const ECLIPTIC_POLE_PERIODIC = [
+  [708.15, -5486.751211, -684.661560, 667.666730, -5523.863691],
+  [2309.00, -17.127623, 2446.283880, -2354.886252, -549.747450],
+  [1620.00, -617.517403, 399.671049, -428.152441, -310.998056],
+  [492.20, 413.442940, -356.652376, 376.202861, 421.535876],
+  [1183.00, 78.614193, -186.387003, 184.778874, -36.776172],
+  [622.00, -180.732815, -316.800070, 335.321713, -145.278396],
+  [882.00, -87.676083, 198.296701, -185.138669, -34.744450],
+  [547.00, 46.140315, 101.135679, -120.972830, 22.885731],
+];
+
+let contextCache: ApparentPlaceContext | null = null;
+
+/**
+ * Julian Date (UT) of a JavaScript date
+ */
+export function getJulianDate(date: Date): number {
+  return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Precession, nutation and aberration terms for one instant, shared by every star
+ * @param date Observation time
+ * @returns Context for getApparentEquatorial/getApparentHorizontal (cached for repeated dates)
+ */
+export function createApparentPlaceContext(date: Date): ApparentPlaceContext {
+  const julianDate = getJulianDate(date);
+  if (contextCache && contextCache.julianDate === julianDate) return contextCache;
+
+  const T = (julianDate - J2000) / DAYS_PER_CENTURY;
+  const precession = getPrecessionMatrix(T);
+
+  // Nutation: the largest terms of the IAU 1980 series
+  const sunLongitude = (280.4665 + 36000.7698 * T) * toRad;
+  const moonLongitude = (218.3165 + 481267.8813 * T) * toRad;
+  const moonNode = (125.04452 - 1934.136261 * T) * toRad;
+  const nutationLongitude = (
+    -17.20 * Math.sin(moonNode) - 1.32 * Math.sin(2 * sunLongitude)
+    - 0.23 * Math.sin(2 * moonLongitude) + 0.21 * Math.sin(2 * moonNode)
+  ) * ARCSEC;
+  const nutationObliquity = (
+    9.20 * Math.cos(moonNode) + 0.57 * Math.cos(2 * sunLongitude)
+    + 0.10 * Math.cos(2 * moonLongitude) - 0.09 * Math.cos(2 * moonNode)
+  ) * ARCSEC;
+  const meanObliquity = (84381.448 - 46.8150 * T - 0.00059 * T * T + 0.001813 * T * T * T) * ARCSEC;
+  const trueObliquity = meanObliquity + nutationObliquity;
+  const nutation = multiply(rotateX(-trueObliquity), multiply(rotateZ(-nutationLongitude), rotateX(meanObliquity)));
+
+  // Earth's orbital velocity from the Sun's true longitude and the orbit's eccentricity
+  const meanAnomaly = (357.52911 + 35999.05029 * T) * toRad;
+  const sunTrueLongitude = (
+    280.46646 + 36000.76983 * T
+    + (1.914602 - 0.004817 * T) * Math.sin(meanAnomaly)
+    + 0.019993 * Math.sin(2 * meanAnomaly)
+    + 0.000289 * Math.sin(3 * meanAnomaly)
+  ) * toRad;
+  const eccentricity = 0.016708634 - 0.000042037 * T;
+  const perihelion = (102.93735 + 1.71946 * T) * toRad;
+  const eclipticX = ABERRATION_CONSTANT * (Math.sin(sunTrueLongitude) - eccentricity * Math.sin(perihelion));
+  const eclipticY = -ABERRATION_CONSTANT * (Math.cos(sunTrueLongitude) - eccentricity * Math.cos(perihelion));
+
+  contextCache = {
+    julianDate,
+    centuries: T,
+    rotation: multiply(nutation, precession),
+    earthVelocity: [
+      eclipticX,
+      eclipticY * Math.cos(trueObliquity),
+      eclipticY * Math.sin(trueObliquity),
+    ],
+    equationOfEquinoxes: nutationLongitude * Math.cos(trueObliquity) * toDeg,
+  };
+  return contextCache;
+}
+
+/**
+ * Precession from the J2000 mean equator and equinox to the mean equator and equinox of date
+ * @param centuries Julian centuries since J2000
+ * @returns Row-major 3x3 rotation
+ */
+export function getPrecessionMatrix(centuries: number): number[] {
+  if (Math.abs(centuries) <= LIESKE_PRECESSION_CENTURIES) {
+    const T = centuries;
+    // Precession angles (Lieske 1977)
+    const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * ARCSEC;
+    const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * ARCSEC;
+    const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * ARCSEC;
+    return multiply(rotateZ(-z), multiply(rotateY(theta), rotateZ(-zeta)));
+  }
+
+  // Long-term model: the rows are the equinox, the third axis and the pole of date
+  const [px, py] = evaluatePoleSeries(centuries, EQUATOR_POLE_POLYNOMIALS, EQUATOR_POLE_PERIODIC);
+  const equatorPole: [number, number, number] = [px, py, Math.sqrt(Math.max(1 - px * px - py * py, 0))];
+
+  const [p, q] = evaluatePoleSeries(centuries, ECLIPTIC_POLE_POLYNOMIALS, ECLIPTIC_POLE_PERIODIC);
+  const w = Math.sqrt(Math.max(1 - p * p - q * q, 0));
+  const c = Math.cos(LONG_TERM_OBLIQUITY), s = Math.sin(LONG_TERM_OBLIQUITY);
+  const eclipticPole: [number, number, number] = [p, -q * c - w * s, -q * s + w * c];
+
+  const equinox = normalize(cross(equatorPole, eclipticPole));
+  return [...equinox, ...cross(equatorPole, equinox), ...equatorPole];
+}
+
+/**
+ * J2000 catalog position moved along its proper motion, on a great circle so stars near the poles
+ * keep moving sensibly over millennia
+ * @param star J2000 catalog position with optional proper motion
+ * @param years Julian years since J2000
+ * @returns Unit vector in the J2000 equatorial frame
+ */
+export function applyProperMotion(star: CatalogPosition, years: number): [number, number, number] {
+  const position = toUnitVector(star.ra * 15, star.dec);
+  const pmRa = (star.pmRa || 0) / 3.6e6 * toRad;
+  const pmDec = (star.pmDec || 0) / 3.6e6 * toRad;
+  const rate = Math.sqrt(pmRa * pmRa + pmDec * pmDec);
+  if (rate === 0 || years === 0) return position;
+
+  // Direction of motion on the sky: east and north unit vectors weighted by the two components
+  const ra = star.ra * 15 * toRad;
+  const dec = star.dec * toRad;
+  const east = [-Math.sin(ra), Math.cos(ra), 0];
+  const north = [-Math.sin(dec) * Math.cos(ra), -Math.sin(dec) * Math.sin(ra), Math.cos(dec)];
+  const angle = rate * years;
+  const along = Math.sin(angle) / rate;
+  return [0, 1, 2].map(i => (
+    position[i] * Math.cos(angle) + (east[i] * pmRa + north[i] * pmDec) * along
+  )) as [number, number, number];
+}
+
+/**
+ * Apparent RA/Dec (true equator and equinox of date) of a catalog star
+ * @param star J2000 catalog position with optional proper motion
+ * @param context Terms from createApparentPlaceContext
+ * @returns RA in hours and Dec in degrees
+ */
+export function getApparentEquatorial(
+  star: CatalogPosition,
+  context: ApparentPlaceContext
+): { ra: number; dec: number } {
+  const [x, y, z] = transform(context.rotation, applyProperMotion(star, context.centuries * 100));
+
+  // Annual aberration: the star appears displaced toward the direction of Earth's motion
+  const [vx, vy, vz] = context.earthVelocity;
+  const ax = x + vx, ay = y + vy, az = z + vz;
+  const length = Math.sqrt(ax * ax + ay * ay + az * az);
+
+  const ra = Math.atan2(ay, ax) * toDeg / 15;
+  return {
+    ra: ra < 0 ? ra + 24 : ra,
+    dec: Math.asin(az / length) * toDeg,
+  };
+}
+
+/**
+ * Greenwich apparent sidereal time
+ * @param context Terms from createApparentPlaceContext
+ * @returns Degrees (0-360)
+ */
+export function getApparentSiderealTime(context: ApparentPlaceContext): number {
+  const days = context.julianDate - J2000;
+  const T = context.centuries;
+  const meanSiderealTime = 280.46061837 + 360.98564736629 * days + 0.000387933 * T * T - (T * T * T) / 38710000;
+  return (((meanSiderealTime + context.equationOfEquinoxes) % 360) + 360) % 360;
+}
+
+/**
+ * Refraction with Bennett's formula, scaled for temperature and pressure
+ * @param trueAltitude Geometric altitude in degrees
+ * @param atmosphere Temperature and pressure at the observer
+ * @returns Amount the star is lifted, in degrees
+ */
+export function refractionAngle(
+  trueAltitude: number,
+  atmosphere: AtmosphericConditions = STANDARD_ATMOSPHERE
+): number {
+  if (atmosphere.pressure <= 0 || trueAltitude >= 90) return 0;
+
+  const altitude = Math.max(trueAltitude, MIN_REFRACTION_ALTITUDE);
+  const scale = (atmosphere.pressure / 1010) * (283 / (273 + atmosphere.temperature));
+
+  // Bennett's formula takes the apparent altitude, so solve for it by fixed-point iteration
+  let apparentAltitude = altitude;
+  let refraction = 0;
+  for (let i = 0; i < 3; i++) {
+    const minutes = 1 / Math.tan((apparentAltitude + 7.31 / (apparentAltitude + 4.4)) * toRad);
+    refraction = (minutes / 60) * scale;
+    apparentAltitude = altitude + refraction;
+  }
+  return refraction;
+}
+
+/**
+ * Apparent altitude and azimuth of a catalog star
+ * @param star J2000 catalog position with optional proper motion
+ * @param date Observation time
+ * @param observer Latitude and longitude in degrees (east positive)
+ * @param atmosphere Conditions for refraction; null for the geometric (airless) position
+ * @returns Altitude and azimuth in degrees (azimuth 0 = north, 90 = east)
+ */
+export function getApparentHorizontal(
+  star: CatalogPosition,
+  date: Date,
+  observer: { latitude: number; longitude: number },
+  atmosphere: AtmosphericConditions | null = STANDARD_ATMOSPHERE
+): { altitude: number; azimuth: number } {
+  const context = createApparentPlaceContext(date);
+  const { ra, dec } = getApparentEquatorial(star, context);
+
+  const hourAngle = (getApparentSiderealTime(context) + observer.longitude - ra * 15) * toRad;
+  const latRad = observer.latitude * toRad;
+  const decRad = dec * toRad;
+
+  const sinAltitude = Math.sin(decRad) * Math.sin(latRad) + Math.cos(decRad) * Math.cos(latRad) * Math.cos(hourAngle);
+  const altitude = Math.asin(Math.max(-1, Math.min(1, sinAltitude))) * toDeg;
+  const azimuth = Math.atan2(
+    -Math.cos(decRad) * Math.sin(hourAngle),
+    Math.sin(decRad) * Math.cos(latRad) - Math.cos(decRad) * Math.sin(latRad) * Math.cos(hourAngle)
+  ) * toDeg;
+
+  return {
+    altitude: atmosphere ? altitude + refractionAngle(altitude, atmosphere) : altitude,
+    azimuth: (azimuth + 360) % 360,
+  };
+}
+
+function toUnitVector(raDegrees: number, decDegrees: number): [number, number, number] {
+  const ra = raDegrees * toRad;
+  const dec = decDegrees * toRad;
+  return [Math.cos(dec) * Math.cos(ra), Math.cos(dec) * Math.sin(ra), Math.sin(dec)];
+}
+
+// X and Y of a long-term pole in radians: cubic polynomial plus periodic terms
+function evaluatePoleSeries(centuries: number, polynomials: number[][], periodic: number[][]): [number, number] {
+  let x = 0, y = 0;
+  for (const [period, xCos, yCos, xSin, ySin] of periodic) {
+    const angle = 2 * Math.PI * centuries / period;
+    x += xCos * Math.cos(angle) + xSin * Math.sin(angle);
+    y += yCos * Math.cos(angle) + ySin * Math.sin(angle);
+  }
+  let power = 1;
+  for (let i = 0; i < 4; i++) {
+    x += polynomials[0][i] * power;
+    y += polynomials[1][i] * power;
+    power *= centuries;
+  }
+  return [x * ARCSEC, y * ARCSEC];
+}
+
+function cross(a: number[], b: number[]): [number, number, number] {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(v: [number, number, number]): [number, number, number] {
+  const length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+  return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+// Frame rotations (rotate the coordinate axes by angle), row-major 3x3
+function rotateX(angle: number): number[] {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return [1, 0, 0, 0, c, s, 0, -s, c];
+}
+
+function rotateY(angle: number): number[] {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return [c, 0, -s, 0, 1, 0, s, 0, c];
+}
+
+function rotateZ(angle: number): number[] {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return [c, s, 0, -s, c, 0, 0, 0, 1];
+}
+
+function multiply(a: number[], b: number[]): number[] {
+  const result = new Array(9).fill(0);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      for (let k = 0; k < 3; k++) {
+        result[row * 3 + col] += a[row * 3 + k] * b[k * 3 + col];
+      }
+    }
+  }
+  return result;
+}
+
+function transform(m: number[], v: [number, number, number]): [number, number, number] {
+  return [
+    m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+    m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+    m[6] * v[0] + m[7] * v[1] + m[8] * v[2],
+  ];
+}
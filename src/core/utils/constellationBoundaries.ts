@@ -0,0 +1,33 @@
+// IAU constellation boundary lookup
+// Uses the official 1875-epoch boundary polygons (Delporte 1930) shipped with astronomy-engine.
+// J2000 input coordinates are precessed to B1875 before the point-in-polygon test,
+// so every point on the sky maps to exactly one of the 88 constellations.
+
+import * as Astronomy from 'astronomy-engine';
+
+export interface ConstellationLocation {
+  abbreviation: string; // IAU 3-letter abbreviation, e.g. "UMi"
+  name: string;         // Full IAU name, e.g. "Ursa Minor"
+  ra1875: number;       // Right Ascension precessed to B1875 (hours)
+  dec1875: number;      // Declination precessed to B1875 (degrees)
+}
+
+/**
+ * Finds the IAU constellation containing a J2000 equatorial position
+ * @param ra Right Ascension in hours (any value, normalized to 0-24)
+ * @param dec Declination in degrees (-90 to +90)
+ * @returns The containing constellation with the B1875 coordinates used for the lookup
+ */
+export function findConstellationAt(ra: number, dec: number): ConstellationLocation {
+  const normalizedRA = ((ra % 24) + 24) % 24;
+  const clampedDec = Math.max(-90, Math.min(90, dec));
+
+  const info = Astronomy.Constellation(normalizedRA, clampedDec);
+
+  return {
+    abbreviation: info.symbol,
+    name: info.name,
+    ra1875: info.ra1875,
+    dec1875: info.dec1875,
+  };
+}
@@ -4,16 +4,21 @@
 import { Quaternion, Vector3 } from 'three';
 import { ObserverData } from './observer';
 import { getConstellationByName, Constellation } from '../data/starCatalog';
+import { findConstellationAt } from './constellationBoundaries';
 
 export interface ConstellationDetectionResult {
-  constellation: Constellation | null;
+  constellation: Constellation | null; // Catalog stick figure, when one exists for the detected constellation
+  constellationName: string;           // IAU name, always one of the 88 constellations
+  abbreviation: string;                // IAU 3-letter abbreviation
   confidence: number;
   direction: Vector3;
+  ra: number;  // Right Ascension of the view direction (hours, J2000)
+  dec: number; // Declination of the view direction (degrees, J2000)
 }
 
 /**
  * Detects which constellation the user is looking at based on device orientation
- * @param deviceQuaternion - Current device orientation quaternion
+ * @param deviceQuaternion - Camera orientation in the celestial (J2000 equatorial) frame
  * @param observerData - Observer location and time data
  * @returns Detection result with constellation and confidence
  */
@@ -25,63 +30,21 @@ export function detectConstellation(
   const forward = new Vector3(0, 0, -1);
   forward.applyQuaternion(deviceQuaternion);
   
-  // Convert to celestial coordinates (right ascension and declination)
-  const ra = Math.atan2(forward.y, forward.x) * (180 / Math.PI);
-  const dec = Math.asin(forward.z) * (180 / Math.PI);
+  // Convert to celestial coordinates (right ascension in hours, declination in degrees)
+  const ra = ((Math.atan2(forward.y, forward.x) * (12 / Math.PI)) % 24 + 24) % 24;
+  const dec = Math.asin(Math.max(-1, Math.min(1, forward.z))) * (180 / Math.PI);
   
-  // Normalize RA to 0-360 range
-  const normalizedRA = ((ra % 360) + 360) % 360;
-  
-  // Find the constellation that best matches this direction
-  const constellations = [
-    'Ursa Major', 'Ursa Minor', 'Orion', 'Cassiopeia', 'Leo', 'Virgo',
-    'Scorpius', 'Sagittarius', 'Aquarius', 'Pisces', 'Aries', 'Taurus',
-    'Gemini', 'Cancer', 'Libra', 'Capricornus', 'Perseus', 'Andromeda',
-    'Pegasus', 'Cygnus', 'Lyra', 'Aquila', 'Delphinus', 'Bootes',
-    'Corona Borealis', 'Hercules', 'Draco', 'Cepheus', 'Lacerta',
-    'Vulpecula', 'Sagitta', 'Equuleus', 'Canis Major', 'Canis Minor',
-    'Monoceros', 'Lepus', 'Columba', 'Puppis', 'Vela', 'Carina',
-    'Crux', 'Centaurus', 'Lupus', 'Ara', 'Corona Australis',
-    'Telescopium', 'Microscopium', 'Indus', 'Pavo', 'Grus',
-    'Phoenix', 'Tucana', 'Hydrus', 'Octans', 'Apus', 'Musca',
-    'Chamaeleon', 'Volans', 'Mensa', 'Dorado', 'Reticulum',
-    'Horologium', 'Pictor', 'Caelum', 'Eridanus', 'Fornax',
-    'Sculptor', 'Antlia', 'Pyxis', 'Sextans', 'Crater',
-    'Corvus', 'Coma Berenices', 'Canes Venatici', 'Lynx',
-    'Camelopardalis', 'Auriga', 'Lynx', 'Monoceros'
-  ];
-  
-  let bestMatch: Constellation | null = null;
-  let bestConfidence = 0;
-  
-  // Simple constellation detection based on RA/Dec ranges
-  // This is a simplified approach - in reality, you'd need more sophisticated
-  // constellation boundary detection
-  for (const constellationName of constellations) {
-    const constellation = getConstellationByName(constellationName);
-    if (!constellation) continue;
-    
-    // Calculate distance from constellation center
-    const constellationRA = constellation.centerRA || 0;
-    const constellationDec = constellation.centerDec || 0;
-    
-    const raDiff = Math.abs(normalizedRA - constellationRA);
-    const decDiff = Math.abs(dec - constellationDec);
-    
-    // Simple distance-based confidence
-    const distance = Math.sqrt(raDiff * raDiff + decDiff * decDiff);
-    const confidence = Math.max(0, 1 - distance / 90); // Max distance of 90 degrees
-    
-    if (confidence > bestConfidence) {
-      bestMatch = constellation;
-      bestConfidence = confidence;
-    }
-  }
+  // Point-in-polygon lookup against the IAU boundaries
+  const location = findConstellationAt(ra, dec);
   
   return {
-    constellation: bestMatch,
-    confidence: bestConfidence,
-    direction: forward
+    constellation: getConstellationByName(location.name) || null,
+    constellationName: location.name,
+    abbreviation: location.abbreviation,
+    confidence: 1, // Boundaries are exact, so the containing constellation is unambiguous
+    direction: forward,
+    ra,
+    dec,
   };
 }
 
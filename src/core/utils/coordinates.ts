@@ -162,6 +162,37 @@ export function calculateAltitudeAzimuth(
   }
 }
 
+/**
+ * Converts altitude and azimuth to equatorial coordinates (inverse of calculateAltitudeAzimuth)
+ * @param altitude Altitude in degrees
+ * @param azimuth Azimuth in degrees (0 = North, 90 = East)
+ * @param latitude Observer latitude in degrees
+ * @param lst Local Sidereal Time in hours
+ * @returns Object with ra (hours, 0-24) and dec (degrees)
+ */
+export function horizontalToEquatorial(
+  altitude: number,
+  azimuth: number,
+  latitude: number,
+  lst: number
+): { ra: number; dec: number } {
+  const altRad = altitude * Math.PI / 180;
+  const azRad = azimuth * Math.PI / 180;
+  const latRad = latitude * Math.PI / 180;
+
+  const sinDec = Math.sin(altRad) * Math.sin(latRad) + Math.cos(altRad) * Math.cos(latRad) * Math.cos(azRad);
+  const dec = Math.asin(Math.max(-1, Math.min(1, sinDec))) * 180 / Math.PI;
+
+  const hourAngle = Math.atan2(
+    -Math.sin(azRad) * Math.cos(altRad),
+    Math.cos(latRad) * Math.sin(altRad) - Math.sin(latRad) * Math.cos(altRad) * Math.cos(azRad)
+  ) * 12 / Math.PI;
+
+  const ra = lst - hourAngle;
+
+  return { ra: ((ra % 24) + 24) % 24, dec };
+}
+
 /**
  * Calculates the angular distance between two celestial coordinates
  * @param ra1 Right Ascension of first point (hours)
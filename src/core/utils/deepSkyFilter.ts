@@ -0,0 +1,58 @@
+// Which deep-sky objects the AR overlay, sky map and 3D scene show
+// One filter for the whole app session, shared the same way as the star alignment.
+
+import { DeepSkyObject, DeepSkyType, DEEP_SKY_TYPE_KEYS } from '../data/deepSkyCatalog';
+
+export interface DeepSkyFilter {
+  enabled: boolean;
+  types: DeepSkyType[];
+  maxMagnitude: number; // Objects fainter than this are hidden; dark nebulae (no magnitude) always pass
+}
+
+// Limits of the magnitude control
+export const DEEP_SKY_MAGNITUDE_RANGE = { min: 2, max: 12, step: 1 };
+
+export const DEFAULT_DEEP_SKY_FILTER: DeepSkyFilter = {
+  enabled: true,
+  types: DEEP_SKY_TYPE_KEYS,
+  maxMagnitude: 9,
+};
+
+let sessionFilter: DeepSkyFilter = DEFAULT_DEEP_SKY_FILTER;
+const listeners = new Set<(filter: DeepSkyFilter) => void>();
+
+/**
+ * Objects that pass the filter
+ * @param objects Deep-sky objects, or anything extending them (e.g. with a horizontal position)
+ * @param filter Types and limiting magnitude
+ */
+export function filterDeepSkyObjects<T extends DeepSkyObject>(objects: T[], filter: DeepSkyFilter): T[] {
+  if (!filter.enabled) return [];
+  const types = new Set(filter.types);
+  return objects.filter(object => (
+    types.has(object.type) && (object.mag === null || object.mag <= filter.maxMagnitude)
+  ));
+}
+
+/**
+ * Deep-sky filter for the current app session (not persisted across launches)
+ */
+export function getDeepSkyFilter(): DeepSkyFilter {
+  return sessionFilter;
+}
+
+export function setDeepSkyFilter(filter: DeepSkyFilter): void {
+  sessionFilter = filter;
+  listeners.forEach(listener => listener(filter));
+}
+
+/**
+ * Subscribe to deep-sky filter changes
+ * @returns Unsubscribe function
+ */
+export function subscribeToDeepSkyFilter(listener: (filter: DeepSkyFilter) => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
@@ -0,0 +1,359 @@
+// Magnetometer hard-iron and soft-iron calibration
+// Fits an ellipsoid to raw readings collected while the device is rotated through many orientations
+// (figure-eight motion) and derives the correction that maps it back onto a sphere.
+//
+// Hard iron: magnetized parts of the phone add a constant offset to every reading.
+// Soft iron: nearby ferrous material distorts the field, stretching the sphere into an ellipsoid.
+
+import { Vector3D } from './quaternion';
+
+export interface MagnetometerCalibration {
+  offset: Vector3D;        // Hard-iron offset (µT)
+  softIron: number[];      // Row-major 3x3 matrix applied after removing the offset
+  fieldStrength: number;   // Magnitude of calibrated readings (µT)
+  coverage: number;        // Fraction of orientations sampled (0-1)
+  residual: number;        // RMS relative deviation of calibrated readings from fieldStrength
+  quality: number;         // Overall score (0-100)
+  sampleCount: number;
+  method: 'ellipsoid' | 'sphere';
+  createdAt: string;
+}
+
+// Fewer samples than this cannot constrain the ellipsoid fit
+export const MIN_CALIBRATION_SAMPLES = 50;
+
+// Earth's field is 25-65 µT at the surface; fits far outside suggest interference
+const MIN_EARTH_FIELD = 20;
+const MAX_EARTH_FIELD = 70;
+
+// Largest ratio between the ellipsoid's axes; phone soft-iron distortion stays well below this, so
+// a more elongated fit means the samples did not constrain some direction
+const MAX_AXIS_RATIO = 2;
+
+// Residual at which the fit quality drops to zero (10% deviation from a sphere)
+const MAX_RESIDUAL = 0.1;
+
+// Direction bins: 8 longitude sectors × 4 equal-area latitude bands
+const LONGITUDE_BINS = 8;
+const LATITUDE_BANDS = 4;
+
+const IDENTITY_MATRIX = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+/**
+ * Fits hard-iron and soft-iron corrections to raw magnetometer readings
+ * @param samples Raw readings (µT) collected while rotating the device
+ * An ellipsoid fit that is ill-conditioned or implausible for the Earth's field falls back to a
+ * hard-iron only sphere fit.
+ * @returns Calibration, or null when there are too few samples or the fit is degenerate
+ */
+export function fitMagnetometerCalibration(samples: Vector3D[]): MagnetometerCalibration | null {
+  const valid = samples.filter(s => Number.isFinite(s.x) && Number.isFinite(s.y) && Number.isFinite(s.z));
+  if (valid.length < MIN_CALIBRATION_SAMPLES) return null;
+
+  const fit = fitEllipsoid(valid) || fitSphere(valid);
+  if (!fit) return null;
+
+  const calibration: MagnetometerCalibration = {
+    ...fit,
+    coverage: 0,
+    residual: 0,
+    quality: 0,
+    sampleCount: valid.length,
+    createdAt: new Date().toISOString(),
+  };
+
+  calibration.coverage = measureCoverage(valid, calibration.offset);
+  calibration.residual = measureResidual(valid, calibration);
+  calibration.quality = scoreCalibration(calibration);
+
+  return calibration;
+}
+
+/**
+ * Applies a calibration to a raw magnetometer reading
+ */
+export function applyMagnetometerCalibration(calibration: MagnetometerCalibration, reading: Vector3D): Vector3D {
+  const x = reading.x - calibration.offset.x;
+  const y = reading.y - calibration.offset.y;
+  const z = reading.z - calibration.offset.z;
+  const m = calibration.softIron;
+
+  return {
+    x: m[0] * x + m[1] * y + m[2] * z,
+    y: m[3] * x + m[4] * y + m[5] * z,
+    z: m[6] * x + m[7] * y + m[8] * z,
+  };
+}
+
+/**
+ * Fraction of direction bins containing at least one sample, as seen from the given center.
+ * Used to guide the capture: a figure-eight through all orientations approaches 1.
+ */
+export function measureCoverage(samples: Vector3D[], center: Vector3D): number {
+  const filled = new Set<number>();
+
+  for (const s of samples) {
+    const x = s.x - center.x;
+    const y = s.y - center.y;
+    const z = s.z - center.z;
+    const length = Math.sqrt(x * x + y * y + z * z);
+    if (length === 0) continue;
+
+    const longitude = Math.atan2(y, x) + Math.PI;
+    const lonBin = Math.min(LONGITUDE_BINS - 1, Math.floor(longitude / (2 * Math.PI) * LONGITUDE_BINS));
+    // Uniform in z is uniform in area on a sphere
+    const latBin = Math.min(LATITUDE_BANDS - 1, Math.floor((z / length + 1) / 2 * LATITUDE_BANDS));
+    filled.add(latBin * LONGITUDE_BINS + lonBin);
+  }
+
+  return filled.size / (LONGITUDE_BINS * LATITUDE_BANDS);
+}
+
+/**
+ * Rough center of the samples for live coverage feedback while capturing
+ */
+export function estimateCenter(samples: Vector3D[]): Vector3D {
+  const sphere = samples.length >= 10 ? fitSphere(samples) : null;
+  if (sphere) return sphere.offset;
+
+  const sum = samples.reduce((acc, s) => ({ x: acc.x + s.x, y: acc.y + s.y, z: acc.z + s.z }), { x: 0, y: 0, z: 0 });
+  const count = Math.max(1, samples.length);
+  return { x: sum.x / count, y: sum.y / count, z: sum.z / count };
+}
+
+function measureResidual(samples: Vector3D[], calibration: MagnetometerCalibration): number {
+  let sumSquares = 0;
+  for (const s of samples) {
+    const c = applyMagnetometerCalibration(calibration, s);
+    const deviation = Math.sqrt(c.x * c.x + c.y * c.y + c.z * c.z) / calibration.fieldStrength - 1;
+    sumSquares += deviation * deviation;
+  }
+  return Math.sqrt(sumSquares / samples.length);
+}
+
+function scoreCalibration(calibration: MagnetometerCalibration): number {
+  const fitScore = Math.max(0, 1 - calibration.residual / MAX_RESIDUAL);
+  const plausible = calibration.fieldStrength >= MIN_EARTH_FIELD && calibration.fieldStrength <= MAX_EARTH_FIELD;
+  return Math.round(100 * calibration.coverage * fitScore * (plausible ? 1 : 0.5));
+}
+
+// Center and scale samples so the least-squares systems are well conditioned
+function normalizeSamples(samples: Vector3D[]) {
+  const mean = samples.reduce((acc, s) => ({ x: acc.x + s.x, y: acc.y + s.y, z: acc.z + s.z }), { x: 0, y: 0, z: 0 });
+  mean.x /= samples.length;
+  mean.y /= samples.length;
+  mean.z /= samples.length;
+
+  let scale = 0;
+  for (const s of samples) {
+    scale += Math.sqrt((s.x - mean.x) ** 2 + (s.y - mean.y) ** 2 + (s.z - mean.z) ** 2);
+  }
+  scale = scale / samples.length || 1;
+
+  const points = samples.map(s => [(s.x - mean.x) / scale, (s.y - mean.y) / scale, (s.z - mean.z) / scale]);
+  return { mean, scale, points };
+}
+
+/**
+ * General ellipsoid fit: a x² + b y² + c z² + 2d xy + 2e xz + 2f yz + 2g x + 2h y + 2i z = 1
+ */
+function fitEllipsoid(samples: Vector3D[]): Pick<MagnetometerCalibration, 'offset' | 'softIron' | 'fieldStrength' | 'method'> | null {
+  const { mean, scale, points } = normalizeSamples(samples);
+
+  const rows = points.map(([x, y, z]) => [x * x, y * y, z * z, 2 * x * y, 2 * x * z, 2 * y * z, 2 * x, 2 * y, 2 * z]);
+  const p = solveLeastSquares(rows, rows.map(() => 1));
+  if (!p) return null;
+
+  const [a, b, c, d, e, f, g, h, i] = p;
+  const quadric = [a, d, e, d, b, f, e, f, c];
+  const inverse = invert3(quadric);
+  if (!inverse) return null;
+
+  // Center solves quadric · center = -[g, h, i]
+  const center = multiply3(inverse, [-g, -h, -i]);
+  const k = 1 + center[0] * (quadric[0] * center[0] + quadric[1] * center[1] + quadric[2] * center[2])
+    + center[1] * (quadric[3] * center[0] + quadric[4] * center[1] + quadric[5] * center[2])
+    + center[2] * (quadric[6] * center[0] + quadric[7] * center[1] + quadric[8] * center[2]);
+  if (!(k > 0)) return null;
+
+  // (x - center)ᵀ · shape · (x - center) = 1
+  const shape = quadric.map(value => value / k);
+  const { values, vectors } = symmetricEigen3(shape);
+  if (values.some(value => !(value > 0))) return null;
+
+  // Ill-conditioned: the samples left at least one axis unconstrained
+  if (Math.sqrt(Math.max(...values) / Math.min(...values)) > MAX_AXIS_RATIO) return null;
+
+  // Radius of the sphere with the same volume, so calibrated readings keep their µT scale
+  const radius = Math.pow(values[0] * values[1] * values[2], -1 / 6);
+  const fieldStrength = radius * scale;
+  if (fieldStrength < MIN_EARTH_FIELD || fieldStrength > MAX_EARTH_FIELD) return null;
+
+  const sqrtShape = composeSymmetric(vectors, values.map(value => Math.sqrt(value) * radius));
+
+  return {
+    offset: { x: mean.x + center[0] * scale, y: mean.y + center[1] * scale, z: mean.z + center[2] * scale },
+    softIron: sqrtShape,
+    fieldStrength,
+    method: 'ellipsoid',
+  };
+}
+
+/**
+ * Hard-iron only fit: x² + y² + z² = 2ax + 2by + 2cz + d
+ */
+function fitSphere(samples: Vector3D[]): Pick<MagnetometerCalibration, 'offset' | 'softIron' | 'fieldStrength' | 'method'> | null {
+  const { mean, scale, points } = normalizeSamples(samples);
+
+  const rows = points.map(([x, y, z]) => [2 * x, 2 * y, 2 * z, 1]);
+  const p = solveLeastSquares(rows, points.map(([x, y, z]) => x * x + y * y + z * z));
+  if (!p) return null;
+
+  const [a, b, c, d] = p;
+  const radiusSquared = d + a * a + b * b + c * c;
+  if (!(radiusSquared > 0)) return null;
+
+  return {
+    offset: { x: mean.x + a * scale, y: mean.y + b * scale, z: mean.z + c * scale },
+    softIron: [...IDENTITY_MATRIX],
+    fieldStrength: Math.sqrt(radiusSquared) * scale,
+    method: 'sphere',
+  };
+}
+
+// Solves min |A x - b| through the normal equations
+function solveLeastSquares(rows: number[][], targets: number[]): number[] | null {
+  const n = rows[0].length;
+  const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+  const atb = new Array(n).fill(0);
+
+  rows.forEach((row, r) => {
+    for (let i = 0; i < n; i++) {
+      atb[i] += row[i] * targets[r];
+      for (let j = i; j < n; j++) {
+        ata[i][j] += row[i] * row[j];
+      }
+    }
+  });
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < i; j++) {
+      ata[i][j] = ata[j][i];
+    }
+  }
+
+  return solveLinearSystem(ata, atb);
+}
+
+// Gaussian elimination with partial pivoting
+function solveLinearSystem(matrix: number[][], vector: number[]): number[] | null {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= a[row][k] * x[k];
+    }
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+function invert3(m: number[]): number[] | null {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+
+  return [
+    A / det, -(b * i - c * h) / det, (b * f - c * e) / det,
+    B / det, (a * i - c * g) / det, -(a * f - c * d) / det,
+    C / det, -(a * h - b * g) / det, (a * e - b * d) / det,
+  ];
+}
+
+function multiply3(m: number[], v: number[]): number[] {
+  return [
+    m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+    m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+    m[6] * v[0] + m[7] * v[1] + m[8] * v[2],
+  ];
+}
+
+// Jacobi eigenvalue iteration for a symmetric 3x3 matrix; eigenvectors are the columns of `vectors`
+function symmetricEigen3(m: number[]): { values: number[]; vectors: number[] } {
+  const a = [[m[0], m[1], m[2]], [m[3], m[4], m[5]], [m[6], m[7], m[8]]];
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    if (offDiagonal < 1e-15) break;
+
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (Math.abs(a[p][q]) < 1e-18) continue;
+
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const cos = 1 / Math.sqrt(t * t + 1);
+      const sin = t * cos;
+
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p];
+        const akq = a[k][q];
+        a[k][p] = cos * akp - sin * akq;
+        a[k][q] = sin * akp + cos * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k];
+        const aqk = a[q][k];
+        a[p][k] = cos * apk - sin * aqk;
+        a[q][k] = sin * apk + cos * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p];
+        const vkq = v[k][q];
+        v[k][p] = cos * vkp - sin * vkq;
+        v[k][q] = sin * vkp + cos * vkq;
+      }
+    }
+  }
+
+  return {
+    values: [a[0][0], a[1][1], a[2][2]],
+    vectors: [v[0][0], v[0][1], v[0][2], v[1][0], v[1][1], v[1][2], v[2][0], v[2][1], v[2][2]],
+  };
+}
+
+// V · diag(scales) · Vᵀ
+function composeSymmetric(vectors: number[], scales: number[]): number[] {
+  const result = new Array(9).fill(0);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      let sum = 0;
+      for (let k = 0; k < 3; k++) {
+        sum += vectors[row * 3 + k] * scales[k] * vectors[col * 3 + k];
+      }
+      result[row * 3 + col] = sum;
+    }
+  }
+  return result;
+}
@@ -116,6 +116,19 @@ export function calculateJulianDate(utcTime: Date): number {
   }
 }
 
+/**
+ * Builds observer data for a location at a specific UTC time
+ * Used when previewing the sky at a simulated time instead of now
+ */
+export function createObserverData(location: ObserverLocation, utcTime: Date): ObserverData {
+  return {
+    location,
+    utcTime,
+    lst: calculateLST(location.longitude, utcTime),
+    julianDate: calculateJulianDate(utcTime),
+  };
+}
+
 /**
  * Gets complete observer data including location, time, and astronomical calculations
  */
@@ -132,16 +145,7 @@ export async function getObserverData(): Promise<ObserverData | null> {
       };
     }
 
-    const utcTime = getCurrentUTCTime();
-    const lst = calculateLST(location.longitude, utcTime);
-    const julianDate = calculateJulianDate(utcTime);
-
-    return {
-      location,
-      utcTime,
-      lst,
-      julianDate,
-    };
+    return createObserverData(location, getCurrentUTCTime());
   } catch (error) {
     console.error('Error getting observer data:', error);
     return null;
@@ -0,0 +1,373 @@
+// Local plate solver for captured sky photos
+// Matches triangles of detected stars against triangles of catalog stars near the
+// capture-time pointing (heading, pitch, GPS, time), then verifies each candidate
+// orientation by projecting the catalog into the image and counting coincident stars.
+
+import { stars, constellationFigures, Star } from '../data/starCatalog';
+import { angularDistance, horizontalToEquatorial, cartesianToCelestial } from './coordinates';
+import { calculateLST } from './observer';
+import { findConstellationAt } from './constellationBoundaries';
+
+type Vec3 = [number, number, number];
+
+export interface DetectedSource {
+  x: number;    // Pixel column in the original image
+  y: number;    // Pixel row in the original image
+  flux: number; // Brightness above background (arbitrary units)
+}
+
+export interface PlateSolvePrior {
+  azimuth: number;  // Camera heading in degrees (useCompass heading)
+  altitude: number; // Camera elevation in degrees (useCompass: -pitch)
+  latitude: number;
+  longitude: number;
+  time: Date;
+}
+
+export interface PlateSolveOptions {
+  fieldOfView?: number;      // Assumed field of view across the long side of the image, in degrees
+  searchRadius?: number;     // Degrees around the prior pointing to take catalog stars from
+  maxImageStars?: number;    // Brightest detected stars used for triangles
+  maxCatalogStars?: number;  // Brightest catalog stars used for triangles
+  minMatches?: number;       // Coincident stars required to accept a solution
+}
+
+export interface MatchedStar {
+  starId: string;
+  name: string;
+  x: number;
+  y: number;
+}
+
+export interface PlateSolution {
+  ra: number;             // Right Ascension of the image centre (hours)
+  dec: number;            // Declination of the image centre (degrees)
+  rotation: number;       // Position angle of the image's up direction, east of north (degrees)
+  fieldOfView: number;    // Fitted field of view across the long side of the image (degrees)
+  matchedStars: MatchedStar[];
+  constellations: string[]; // Constellation figures in frame plus the IAU constellation at the centre
+  iauConstellation: string;
+}
+
+interface Triangle {
+  vertices: [number, number, number]; // Ordered by opposite side: longest, middle, shortest
+  longest: number;                     // Longest side (radians)
+  ratio1: number;                      // middle / longest
+  ratio2: number;                      // shortest / longest
+}
+
+interface CatalogCandidate {
+  star: Star;
+  vector: Vec3;
+}
+
+// Assumed phone main-camera field of view across the long side of the sensor, so portrait
+// photos get the same pixel scale as landscape ones
+const DEFAULT_FIELD_OF_VIEW = 65;
+// Extra search margin around the pointing prior to absorb compass and pitch error
+const PRIOR_UNCERTAINTY = 25;
+// Width of a hash bin for the side-ratio invariants
+const RATIO_BIN = 0.02;
+// Accepted disagreement between the assumed and matched triangle scale
+const SCALE_TOLERANCE = 0.25;
+// Fraction of a figure's stars that must be in frame to tag the constellation
+const FIGURE_COVERAGE = 1 / 3;
+
+const DEG = Math.PI / 180;
+
+const dot = (a: Vec3, b: Vec3) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a: Vec3, b: Vec3): Vec3 => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+const normalize = (v: Vec3): Vec3 => {
+  const length = Math.sqrt(dot(v, v));
+  return [v[0] / length, v[1] / length, v[2] / length];
+};
+const angleBetween = (a: Vec3, b: Vec3) => Math.acos(Math.max(-1, Math.min(1, dot(a, b))));
+
+// Unit vector in camera space: x right, y down, z along the optical axis
+function pixelToCamera(x: number, y: number, width: number, height: number, focalLength: number): Vec3 {
+  return normalize([(x - width / 2) / focalLength, (y - height / 2) / focalLength, 1]);
+}
+
+/**
+ * Builds scale- and rotation-invariant triangles from a set of unit vectors
+ */
+function buildTriangles(vectors: Vec3[], maxSide: number): Triangle[] {
+  const triangles: Triangle[] = [];
+
+  for (let i = 0; i < vectors.length - 2; i++) {
+    for (let j = i + 1; j < vectors.length - 1; j++) {
+      const dij = angleBetween(vectors[i], vectors[j]);
+      if (dij > maxSide) continue;
+
+      for (let k = j + 1; k < vectors.length; k++) {
+        const dik = angleBetween(vectors[i], vectors[k]);
+        const djk = angleBetween(vectors[j], vectors[k]);
+        if (dik > maxSide || djk > maxSide) continue;
+
+        // Each vertex paired with the side opposite it, longest first
+        const sides = [
+          { vertex: i, opposite: djk },
+          { vertex: j, opposite: dik },
+          { vertex: k, opposite: dij },
+        ].sort((a, b) => b.opposite - a.opposite);
+
+        const [l1, l2, l3] = sides.map(side => side.opposite);
+
+        // Skip slivers and near-isosceles triangles whose vertex order is ambiguous
+        if (l3 / l1 < 0.15 || (l1 - l2) / l1 < 0.02 || (l2 - l3) / l1 < 0.02) continue;
+
+        triangles.push({
+          vertices: [sides[0].vertex, sides[1].vertex, sides[2].vertex],
+          longest: l1,
+          ratio1: l2 / l1,
+          ratio2: l3 / l1,
+        });
+      }
+    }
+  }
+
+  return triangles;
+}
+
+const ratioKey = (ratio1: number, ratio2: number) =>
+  `${Math.floor(ratio1 / RATIO_BIN)},${Math.floor(ratio2 / RATIO_BIN)}`;
+
+/**
+ * TRIAD attitude from two vector pairs.
+ * Returns functions mapping camera vectors to equatorial vectors and back.
+ */
+function triad(cameraA: Vec3, cameraB: Vec3, skyA: Vec3, skyB: Vec3) {
+  const t1 = cameraA;
+  const t2 = normalize(cross(cameraA, cameraB));
+  const t3 = cross(t1, t2);
+  const s1 = skyA;
+  const s2 = normalize(cross(skyA, skyB));
+  const s3 = cross(s1, s2);
+
+  const toSky = (v: Vec3): Vec3 => {
+    const a = dot(t1, v);
+    const b = dot(t2, v);
+    const c = dot(t3, v);
+    return [s1[0] * a + s2[0] * b + s3[0] * c, s1[1] * a + s2[1] * b + s3[1] * c, s1[2] * a + s2[2] * b + s3[2] * c];
+  };
+  const toCamera = (v: Vec3): Vec3 => {
+    const a = dot(s1, v);
+    const b = dot(s2, v);
+    const c = dot(s3, v);
+    return [t1[0] * a + t2[0] * b + t3[0] * c, t1[1] * a + t2[1] * b + t3[1] * c, t1[2] * a + t2[2] * b + t3[2] * c];
+  };
+
+  return { toSky, toCamera };
+}
+
+/**
+ * Catalog stars around the pointing prior, brightest first
+ */
+function selectCatalogCandidates(prior: PlateSolvePrior, searchRadius: number, maxStars: number): CatalogCandidate[] {
+  const lst = calculateLST(prior.longitude, prior.time);
+  const center = horizontalToEquatorial(prior.altitude, prior.azimuth, prior.latitude, lst);
+
+  return stars
+    .filter(star => angularDistance(center.ra, center.dec, star.ra, star.dec) <= searchRadius)
+    .sort((a, b) => a.mag - b.mag)
+    .slice(0, maxStars)
+    .map(star => ({ star, vector: normalize([star.x, star.y, star.z]) }));
+}
+
+/**
+ * Plate-solves a photo from its detected point sources
+ * @param sources Detected stars in image pixel coordinates
+ * @param width Image width in pixels
+ * @param height Image height in pixels
+ * @param prior Capture-time pointing and observer used to narrow the catalog search
+ * @param options Matching parameters
+ * @returns The fitted pointing and constellations in frame, or null when no match is found
+ */
+export function solvePlate(
+  sources: DetectedSource[],
+  width: number,
+  height: number,
+  prior: PlateSolvePrior,
+  options: PlateSolveOptions = {}
+): PlateSolution | null {
+  const {
+    fieldOfView = DEFAULT_FIELD_OF_VIEW,
+    maxImageStars = 15,
+    maxCatalogStars = 50,
+    minMatches = 5,
+  } = options;
+
+  const longSide = Math.max(width, height);
+  const assumedFocalLength = (longSide / 2) / Math.tan(fieldOfView * DEG / 2);
+  const diagonalFov = 2 * Math.atan(Math.hypot(width, height) / 2 / assumedFocalLength) / DEG;
+  const searchRadius = options.searchRadius ?? diagonalFov / 2 + PRIOR_UNCERTAINTY;
+
+  const imageStars = [...sources].sort((a, b) => b.flux - a.flux).slice(0, maxImageStars);
+  if (imageStars.length < minMatches) return null;
+
+  const catalog = selectCatalogCandidates(prior, searchRadius, maxCatalogStars);
+  if (catalog.length < 3) return null;
+
+  // Hash catalog triangles by their side ratios
+  const maxSide = diagonalFov * DEG * (1 + SCALE_TOLERANCE);
+  const catalogTriangles = new Map<string, Triangle[]>();
+  for (const triangle of buildTriangles(catalog.map(candidate => candidate.vector), maxSide)) {
+    const key = ratioKey(triangle.ratio1, triangle.ratio2);
+    const bucket = catalogTriangles.get(key);
+    if (bucket) bucket.push(triangle);
+    else catalogTriangles.set(key, [triangle]);
+  }
+
+  const assumedVectors = imageStars.map(source => pixelToCamera(source.x, source.y, width, height, assumedFocalLength));
+  const imageTriangles = buildTriangles(assumedVectors, maxSide);
+  const matchTolerance = Math.max(8, longSide * 0.01); // pixels
+
+  let best: { matches: MatchedStar[]; focalLength: number; toSky: (v: Vec3) => Vec3; toCamera: (v: Vec3) => Vec3 } | null = null;
+
+  for (const imageTriangle of imageTriangles) {
+    const binX = Math.floor(imageTriangle.ratio1 / RATIO_BIN);
+    const binY = Math.floor(imageTriangle.ratio2 / RATIO_BIN);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const bucket = catalogTriangles.get(`${binX + dx},${binY + dy}`);
+        if (!bucket) continue;
+
+        for (const catalogTriangle of bucket) {
+          if (Math.abs(catalogTriangle.ratio1 - imageTriangle.ratio1) > RATIO_BIN ||
+              Math.abs(catalogTriangle.ratio2 - imageTriangle.ratio2) > RATIO_BIN) continue;
+
+          // Small-angle scale fit: the true focal length stretches image angles onto catalog angles
+          const scale = imageTriangle.longest / catalogTriangle.longest;
+          if (Math.abs(scale - 1) > SCALE_TOLERANCE) continue;
+          const focalLength = assumedFocalLength * scale;
+
+          const [ia, ib, ic] = imageTriangle.vertices.map(index =>
+            pixelToCamera(imageStars[index].x, imageStars[index].y, width, height, focalLength));
+          const [ca, cb, cc] = catalogTriangle.vertices.map(index => catalog[index].vector);
+
+          const { toSky, toCamera } = triad(ia, ib, ca, cb);
+
+          // Third vertex must agree, which also rejects mirror-image matches
+          if (angleBetween(toSky(ic), cc) > matchTolerance / focalLength * 2) continue;
+
+          const matches = verify(catalog, imageStars, toCamera, focalLength, width, height, matchTolerance);
+          if (matches.length >= minMatches && (!best || matches.length > best.matches.length)) {
+            best = { matches, focalLength, toSky, toCamera };
+          }
+        }
+      }
+    }
+
+    // Most of the bright stars accounted for, no need to keep searching
+    if (best && best.matches.length >= Math.max(minMatches, imageStars.length * 0.7)) break;
+  }
+
+  if (!best) return null;
+
+  const centerVector = best.toSky([0, 0, 1]);
+  const center = cartesianToCelestial({ x: centerVector[0], y: centerVector[1], z: centerVector[2] });
+
+  return {
+    ra: center.ra,
+    dec: center.dec,
+    rotation: positionAngle(center.ra, center.dec, best.toSky([0, -1, 0])),
+    fieldOfView: 2 * Math.atan((longSide / 2) / best.focalLength) / DEG,
+    matchedStars: best.matches,
+    ...constellationsInFrame(center.ra, center.dec, best.toCamera, best.focalLength, width, height),
+  };
+}
+
+/**
+ * Counts catalog stars that project onto a detected star under a candidate orientation
+ */
+function verify(
+  catalog: CatalogCandidate[],
+  imageStars: DetectedSource[],
+  toCamera: (v: Vec3) => Vec3,
+  focalLength: number,
+  width: number,
+  height: number,
+  tolerance: number
+): MatchedStar[] {
+  const used = new Set<number>();
+  const matches: MatchedStar[] = [];
+
+  for (const { star, vector } of catalog) {
+    const point = projectToImage(toCamera(vector), focalLength, width, height);
+    if (!point) continue;
+
+    let nearest = -1;
+    let nearestDistance = tolerance;
+    imageStars.forEach((source, index) => {
+      if (used.has(index)) return;
+      const distance = Math.hypot(source.x - point.x, source.y - point.y);
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    if (nearest >= 0) {
+      used.add(nearest);
+      matches.push({ starId: star.id, name: star.name, x: imageStars[nearest].x, y: imageStars[nearest].y });
+    }
+  }
+
+  return matches;
+}
+
+// Pinhole projection of a camera-space direction; null when behind the camera or outside the frame
+function projectToImage(v: Vec3, focalLength: number, width: number, height: number): { x: number; y: number } | null {
+  if (v[2] <= 0) return null;
+  const x = focalLength * v[0] / v[2] + width / 2;
+  const y = focalLength * v[1] / v[2] + height / 2;
+  if (x < 0 || x > width || y < 0 || y > height) return null;
+  return { x, y };
+}
+
+// Angle of an equatorial direction measured from north through east at the given centre
+function positionAngle(ra: number, dec: number, direction: Vec3): number {
+  const raRad = ra * 15 * DEG;
+  const decRad = dec * DEG;
+  const north: Vec3 = [-Math.sin(decRad) * Math.cos(raRad), -Math.sin(decRad) * Math.sin(raRad), Math.cos(decRad)];
+  const east: Vec3 = [-Math.sin(raRad), Math.cos(raRad), 0];
+  const angle = Math.atan2(dot(direction, east), dot(direction, north)) / DEG;
+  return (angle + 360) % 360;
+}
+
+/**
+ * Constellation figures with enough of their stars inside the solved frame,
+ * plus the IAU constellation containing the image centre
+ */
+function constellationsInFrame(
+  ra: number,
+  dec: number,
+  toCamera: (v: Vec3) => Vec3,
+  focalLength: number,
+  width: number,
+  height: number
+): { constellations: string[]; iauConstellation: string } {
+  const names = constellationFigures
+    .filter(figure => {
+      const inFrame = figure.stars.filter(star => {
+        const raRad = star.ra * 15 * DEG;
+        const decRad = star.dec * DEG;
+        const vector: Vec3 = [Math.cos(decRad) * Math.cos(raRad), Math.cos(decRad) * Math.sin(raRad), Math.sin(decRad)];
+        return projectToImage(toCamera(vector), focalLength, width, height) !== null;
+      }).length;
+      return inFrame >= 2 && inFrame >= figure.stars.length * FIGURE_COVERAGE;
+    })
+    .map(figure => figure.name);
+
+  const iauConstellation = findConstellationAt(ra, dec).name;
+
+  return {
+    constellations: Array.from(new Set([...names, iauConstellation])),
+    iauConstellation,
+  };
+}
@@ -1,4 +1,9 @@
 // 3D projection utilities for perspective projection and frustum culling
+// Camera space follows the device: x right, y toward the top of the screen, camera looking along -z.
+// Screen space has its origin at the top-left corner with y growing downward.
+
+import { Quaternion, Vector3D, applyQuaternionToVector, invertQuaternion } from './quaternion';
+import { CAMERA_CONFIG } from '../config/constants';
 
 export interface ScreenPoint {
   x: number;
@@ -12,6 +17,113 @@ export interface CameraSpacePoint {
   z: number;
 }
 
+export interface CameraIntrinsics {
+  focalLength: number; // Pixels per unit of x/-z (square pixels)
+  principalX: number;  // Screen position of the optical axis
+  principalY: number;
+  width: number;       // Screen size in pixels
+  height: number;
+}
+
+/**
+ * Pinhole intrinsics for a given vertical field of view
+ * @param screenWidth Screen width in pixels
+ * @param screenHeight Screen height in pixels
+ * @param fovDegrees Vertical field of view in degrees
+ */
+export function getIntrinsicsFromFov(
+  screenWidth: number,
+  screenHeight: number,
+  fovDegrees: number = 60
+): CameraIntrinsics {
+  const fovRad = (fovDegrees * Math.PI) / 180;
+  return {
+    focalLength: screenHeight / (2 * Math.tan(fovRad / 2)),
+    principalX: screenWidth / 2,
+    principalY: screenHeight / 2,
+    width: screenWidth,
+    height: screenHeight,
+  };
+}
+
+/**
+ * Pinhole intrinsics of the back-camera preview filling the screen.
+ * The sensor's long side runs along the screen's long side and the preview is scaled to cover
+ * the screen, so the axis that fits exactly keeps the sensor FOV and the other is cropped.
+ * @param screenWidth Screen width in pixels
+ * @param screenHeight Screen height in pixels
+ * @param sensorFov Landscape sensor field of view in degrees
+ */
+export function getCameraIntrinsics(
+  screenWidth: number,
+  screenHeight: number,
+  sensorFov: { horizontal: number; vertical: number } = CAMERA_CONFIG.BACK_CAMERA_FOV_DEGREES
+): CameraIntrinsics {
+  const longFov = Math.max(sensorFov.horizontal, sensorFov.vertical);
+  const shortFov = Math.min(sensorFov.horizontal, sensorFov.vertical);
+  const isPortrait = screenHeight >= screenWidth;
+
+  const widthFov = isPortrait ? shortFov : longFov;
+  const heightFov = isPortrait ? longFov : shortFov;
+  const focalFromWidth = screenWidth / (2 * Math.tan((widthFov * Math.PI) / 360));
+  const focalFromHeight = screenHeight / (2 * Math.tan((heightFov * Math.PI) / 360));
+
+  return {
+    focalLength: Math.max(focalFromWidth, focalFromHeight),
+    principalX: screenWidth / 2,
+    principalY: screenHeight / 2,
+    width: screenWidth,
+    height: screenHeight,
+  };
+}
+
+/**
+ * Horizontal and vertical field of view actually visible on screen
+ * @param intrinsics Camera intrinsics
+ * @returns Field of view in degrees
+ */
+export function getFieldOfView(intrinsics: CameraIntrinsics): { horizontal: number; vertical: number } {
+  const { focalLength, width, height } = intrinsics;
+  return {
+    horizontal: (2 * Math.atan(width / (2 * focalLength)) * 180) / Math.PI,
+    vertical: (2 * Math.atan(height / (2 * focalLength)) * 180) / Math.PI,
+  };
+}
+
+/**
+ * Rotates a world direction (east/north/up) into camera space
+ * @param direction World-frame vector
+ * @param deviceQuaternion Device → world rotation
+ * @returns Point in camera space
+ */
+export function worldToCameraSpace(direction: Vector3D, deviceQuaternion: Quaternion): CameraSpacePoint {
+  return applyQuaternionToVector(invertQuaternion(deviceQuaternion), direction);
+}
+
+/**
+ * Projects a camera-space point through pinhole intrinsics
+ * @param point Point in camera space (must be in front of the camera, z < 0)
+ * @param intrinsics Camera intrinsics
+ * @returns Screen coordinates with depth
+ */
+export function projectWithIntrinsics(point: CameraSpacePoint, intrinsics: CameraIntrinsics): ScreenPoint {
+  const { x, y, z } = point;
+  const depth = -z; // z is negative in front of the camera
+
+  return {
+    x: intrinsics.principalX + (x / depth) * intrinsics.focalLength,
+    y: intrinsics.principalY - (y / depth) * intrinsics.focalLength, // Screen y grows downward
+    z: depth,
+  };
+}
+
+/**
+ * Checks whether a projected point lands on the screen
+ */
+export function isOnScreen(point: ScreenPoint, intrinsics: CameraIntrinsics): boolean {
+  return point.x >= 0 && point.x <= intrinsics.width && point.y >= 0 && point.y <= intrinsics.height;
+}
+
 /**
  * Checks if a point in camera space is within the viewing frustum
  * @param point Point in camera space
@@ -52,74 +164,6 @@ export function isInFrustum(
   return Math.abs(x) <= maxX && Math.abs(y) <= maxY;
 }
 
-/**
- * Projects a 3D point in camera space to 2D screen coordinates
- * @param point Point in camera space
- * @param screenWidth Screen width in pixels
- * @param screenHeight Screen height in pixels
- * @param fovDegrees Field of view in degrees
- * @returns Screen coordinates with depth
- */
-export function projectToScreen(
-  point: CameraSpacePoint,
-  screenWidth: number,
-  screenHeight: number,
-  fovDegrees: number = 60
-): ScreenPoint {
-  const { x, y, z } = point;
-  
-  // Calculate focal length from field of view
-  const fovRad = (fovDegrees * Math.PI) / 180;
-  const focalLength = screenHeight / (2 * Math.tan(fovRad / 2));
-  
-  // Perform perspective projection
-  // Note: z is negative in camera space, so we use -z for depth
-  const projectedX = (x / -z) * focalLength + screenWidth / 2;
-  const projectedY = (y / -z) * focalLength + screenHeight / 2;
-  const depth = -z; // Store positive depth for z-buffering
-  
-  return {
-    x: projectedX,
-    y: projectedY,
-    z: depth
-  };
-}
-
-/**
- * Unprojects a 2D screen point back to 3D camera space at a given depth
- * @param screenPoint Screen coordinates
- * @param depth Depth in camera space (positive value)
- * @param screenWidth Screen width in pixels
- * @param screenHeight Screen height in pixels
- * @param fovDegrees Field of view in degrees
- * @returns Point in camera space
- */
-export function unprojectFromScreen(
-  screenPoint: ScreenPoint,
-  depth: number,
-  screenWidth: number,
-  screenHeight: number,
-  fovDegrees: number = 60
-): CameraSpacePoint {
-  const fovRad = (fovDegrees * Math.PI) / 180;
-  const focalLength = screenHeight / (2 * Math.tan(fovRad / 2));
-  
-  // Convert screen coordinates to normalized device coordinates
-  const ndcX = (screenPoint.x - screenWidth / 2) / focalLength;
-  const ndcY = (screenPoint.y - screenHeight / 2) / focalLength;
-  
-  // Unproject to camera space
-  const cameraX = ndcX * depth;
-  const cameraY = ndcY * depth;
-  const cameraZ = -depth; // Negative z in camera space
-  
-  return {
-    x: cameraX,
-    y: cameraY,
-    z: cameraZ
-  };
-}
-
 /**
  * Calculates the distance from camera to a point in camera space
  * @param point Point in camera space
@@ -176,7 +220,7 @@ export function isInCircularFrustum(
  * @param point Point in camera space
  * @param screenWidth Screen width in pixels
  * @param screenHeight Screen height in pixels
- * @param fovDegrees Field of view in degrees
+ * @param fovDegrees Vertical field of view in degrees
  * @param pointSize Size of the point in pixels
  * @returns Bounding box in screen coordinates
  */
@@ -192,7 +236,7 @@ export function getScreenBoundingBox(
   top: number;
   bottom: number;
 } {
-  const projected = projectToScreen(point, screenWidth, screenHeight, fovDegrees);
+  const projected = projectWithIntrinsics(point, getIntrinsicsFromFov(screenWidth, screenHeight, fovDegrees));
   const halfSize = pointSize / 2;
   
   return {
@@ -1,6 +1,6 @@
 // Quaternion math utilities using gl-matrix
 
-import { quat, vec3, mat4 } from 'gl-matrix';
+import { quat, vec3, mat3, mat4 } from 'gl-matrix';
 
 export interface Quaternion {
   x: number;
@@ -172,6 +172,31 @@ export function axisAngleToQuaternion(axis: Vector3D, angle: number): Quaternion
   };
 }
 
+/**
+ * Creates a quaternion from a rotation matrix
+ * @param matrix Row-major 3x3 rotation matrix
+ * @returns Quaternion that rotates vectors the same way
+ */
+export function rotationMatrixToQuaternion(matrix: number[]): Quaternion {
+  // gl-matrix matrices are column-major
+  const m = mat3.create();
+  mat3.transpose(m, mat3.fromValues(
+    matrix[0], matrix[1], matrix[2],
+    matrix[3], matrix[4], matrix[5],
+    matrix[6], matrix[7], matrix[8]
+  ));
+  const q = quat.create();
+  quat.fromMat3(q, m);
+  quat.normalize(q, q);
+
+  return {
+    x: q[0],
+    y: q[1],
+    z: q[2],
+    w: q[3]
+  };
+}
+
 /**
  * Spherical linear interpolation between two quaternions
  * @param q1 Start quaternion
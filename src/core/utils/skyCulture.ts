@@ -0,0 +1,30 @@
+// Which sky culture's figures the AR overlay, sky map and 3D scene draw
+// One choice for the whole app session, shared the same way as the deep-sky filter.
+
+import { WESTERN_SKY_CULTURE_ID } from '../data/skyCultures';
+
+let sessionSkyCultureId = WESTERN_SKY_CULTURE_ID;
+const listeners = new Set<(skyCultureId: string) => void>();
+
+/**
+ * Sky culture ID for the current app session (not persisted across launches)
+ */
+export function getSkyCultureId(): string {
+  return sessionSkyCultureId;
+}
+
+export function setSkyCultureId(skyCultureId: string): void {
+  sessionSkyCultureId = skyCultureId;
+  listeners.forEach(listener => listener(skyCultureId));
+}
+
+/**
+ * Subscribe to sky culture changes
+ * @returns Unsubscribe function
+ */
+export function subscribeToSkyCulture(listener: (skyCultureId: string) => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
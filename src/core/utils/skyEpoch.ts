@@ -0,0 +1,105 @@
+// Historical sky: the year whose sky the AR overlay, sky map and 3D scene show, with precession and
+// proper motion applied to the catalog. One epoch for the whole app session, shared the same way as
+// the sky culture; null shows the sky of the observation time itself.
+
+import { Star, stars } from '../data/starCatalog';
+import { applyProperMotion, getPrecessionMatrix } from './apparentPlace';
+
+// Years use astronomical numbering: 0 is 1 BCE, -2999 is 3000 BCE
+export const SKY_EPOCH_RANGE = { min: -2999, max: 3000 };
+
+// Brightest star counted as a pole star, and how far from the pole it may be
+const POLE_STAR_MAX_MAGNITUDE = 4;
+const POLE_STAR_MAX_DISTANCE = 10;
+
+const DAYS_PER_YEAR = 365.25;
+const J2000_MS = Date.UTC(2000, 0, 1, 12);
+const toDeg = 180 / Math.PI;
+
+let sessionEpoch: number | null = null;
+const listeners = new Set<(epoch: number | null) => void>();
+
+/**
+ * Epoch for the current app session, or null for the present sky
+ */
+export function getSkyEpoch(): number | null {
+  return sessionEpoch;
+}
+
+/**
+ * @param epoch Year in astronomical numbering, clamped to SKY_EPOCH_RANGE, or null for the present sky
+ */
+export function setSkyEpoch(epoch: number | null): void {
+  sessionEpoch = epoch === null
+    ? null
+    : Math.max(SKY_EPOCH_RANGE.min, Math.min(SKY_EPOCH_RANGE.max, Math.round(epoch)));
+  listeners.forEach(listener => listener(sessionEpoch));
+}
+
+/**
+ * Subscribe to epoch changes
+ * @returns Unsubscribe function
+ */
+export function subscribeToSkyEpoch(listener: (epoch: number | null) => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * The same calendar day and time of day in the epoch year. The proleptic Gregorian calendar keeps
+ * the seasons in step, so a winter evening stays a winter evening thousands of years back.
+ * 29 February becomes 28 February in years that are not leap years.
+ * @param epoch Year, or null to keep the date as it is
+ */
+export function getEpochDate(date: Date, epoch: number | null): Date {
+  if (epoch === null) return date;
+  const month = date.getUTCMonth();
+  const shifted = new Date(date.getTime());
+  // Day 0 of the next month is the last day of this one
+  shifted.setUTCFullYear(epoch, month + 1, 0);
+  shifted.setUTCFullYear(epoch, month, Math.min(date.getUTCDate(), shifted.getUTCDate()));
+  return shifted;
+}
+
+/**
+ * 'Present day', '2600 BCE' or '700 CE'
+ */
+export function formatSkyEpoch(epoch: number | null): string {
+  if (epoch === null) return 'Present day';
+  return epoch <= 0 ? `${1 - epoch} BCE` : `${epoch} CE`;
+}
+
+/**
+ * Direction of a catalog star in the epoch's sky before precession: its J2000 unit vector moved along
+ * its proper motion. The present sky keeps the catalog directions.
+ */
+export function getStarVectorAtEpoch(star: Star, epoch: number | null): { x: number; y: number; z: number } {
+  if (epoch === null || (star.pmRa === undefined && star.pmDec === undefined)) {
+    return { x: star.x, y: star.y, z: star.z };
+  }
+  const [x, y, z] = applyProperMotion(star, epoch - 2000);
+  return { x, y, z };
+}
+
+/**
+ * Bright star nearest the north celestial pole at a date, e.g. Thuban for the pyramid builders
+ * @returns Star name and its distance from the pole in degrees, or null when no bright star is near
+ */
+export function getPoleStar(date: Date): { name: string; distance: number } | null {
+  const years = (date.getTime() - J2000_MS) / (DAYS_PER_YEAR * 86400000);
+  // The pole of date is the last row of the precession matrix, in J2000 coordinates
+  const pole = getPrecessionMatrix(years / 100).slice(6);
+
+  let best: { name: string; distance: number } | null = null;
+  for (const star of stars) {
+    if (!star.name || star.mag > POLE_STAR_MAX_MAGNITUDE) continue;
+    const [x, y, z] = applyProperMotion(star, years);
+    const distance = Math.acos(Math.min(1, x * pole[0] + y * pole[1] + z * pole[2])) * toDeg;
+    if (distance <= POLE_STAR_MAX_DISTANCE && (!best || distance < best.distance)) {
+      best = { name: star.name, distance };
+    }
+  }
+  return best;
+}
@@ -2,9 +2,19 @@
 // Determines the initial "world rotation" quaternion based on observer location and time
 
 import * as Astronomy from 'astronomy-engine';
-import { ObserverData } from './observer';
+import { ObserverData, calculateLST } from './observer';
 import { Quaternion } from './quaternion';
-import { multiplyQuaternions, axisAngleToQuaternion, invertQuaternion } from './quaternion';
+import {
+  multiplyQuaternions,
+  axisAngleToQuaternion,
+  invertQuaternion,
+  rotationMatrixToQuaternion,
+} from './quaternion';
+import { getJulianDate, getPrecessionMatrix } from './apparentPlace';
+import { getEpochDate } from './skyEpoch';
+
+const J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
 
 export interface SkyOrientation {
   worldRotationQuaternion: Quaternion;
@@ -51,11 +61,16 @@ function createRollRotation(angle: number): Quaternion {
 /**
  * Calculates the world rotation quaternion based on observer data
  * This quaternion transforms from celestial coordinates to device coordinates
+ * @param epoch Historical sky year (see skyEpoch), or null for the sky at the observer's time
  */
-export function calculateWorldRotationQuaternion(observerData: ObserverData): Quaternion {
-  const { location, lst } = observerData;
+export function calculateWorldRotationQuaternion(observerData: ObserverData, epoch: number | null = null): Quaternion {
+  const { location } = observerData;
   const { latitude, longitude } = location;
 
+  // A historical sky is the same calendar moment in the epoch year
+  const date = getEpochDate(observerData.utcTime, epoch);
+  const lst = epoch === null ? observerData.lst : calculateLST(longitude, date);
+
   // Step 1: Rotate around Z-axis to align with meridian (LST offset)
   const meridianOffset = calculateMeridianOffset(lst);
   const meridianRotation = createYawRotation(meridianOffset);
@@ -73,14 +88,20 @@ export function calculateWorldRotationQuaternion(observerData: ObserverData): Qu
   let worldRotation = multiplyQuaternions(latitudeRotation, meridianRotation);
   worldRotation = multiplyQuaternions(longitudeRotation, worldRotation);
 
+  // Step 4: The scene's stars sit at their J2000 catalog directions; precess them to the equator of
+  // date first, so the rotations above turn the sky about the pole of date
+  const centuries = (getJulianDate(date) - J2000) / DAYS_PER_CENTURY;
+  const precession = rotationMatrixToQuaternion(getPrecessionMatrix(centuries));
+  worldRotation = multiplyQuaternions(worldRotation, precession);
+
   return worldRotation;
 }
 
 /**
  * Calculates the complete sky orientation including world rotation quaternion
  */
-export function calculateSkyOrientation(observerData: ObserverData): SkyOrientation {
-  const worldRotationQuaternion = calculateWorldRotationQuaternion(observerData);
+export function calculateSkyOrientation(observerData: ObserverData, epoch: number | null = null): SkyOrientation {
+  const worldRotationQuaternion = calculateWorldRotationQuaternion(observerData, epoch);
   const celestialPoleElevation = calculateCelestialPoleElevation(observerData.location.latitude);
   const meridianOffset = calculateMeridianOffset(observerData.lst);
 
@@ -0,0 +1,36 @@
+// Object the user asked the AR views to find ("find it" from the planner or a story)
+// One target for the whole app session, shared the same way as the star alignment.
+
+export type SkyTargetKind = 'constellation' | 'planet' | 'deepSky' | 'star';
+
+export interface SkyTarget {
+  kind: SkyTargetKind;
+  id: string;   // Constellation name, SOLAR_SYSTEM_BODIES id, deep-sky catalog id or star catalog id
+  name: string; // Display name
+}
+
+let sessionTarget: SkyTarget | null = null;
+const listeners = new Set<(target: SkyTarget | null) => void>();
+
+/**
+ * Target for the current app session, or null when nothing is being looked for
+ */
+export function getSkyTarget(): SkyTarget | null {
+  return sessionTarget;
+}
+
+export function setSkyTarget(target: SkyTarget | null): void {
+  sessionTarget = target;
+  listeners.forEach(listener => listener(target));
+}
+
+/**
+ * Subscribe to target changes
+ * @returns Unsubscribe function
+ */
+export function subscribeToSkyTarget(listener: (target: SkyTarget | null) => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
@@ -0,0 +1,205 @@
+// Star alignment: corrects sensor heading and tilt errors from stars the user centres in the view
+// Each observation pairs where a star should be (from its catalog position) with where the sensors
+// say the camera points while the star sits in the reticle. One star fixes heading and altitude;
+// a second star also fixes roll (horizon tilt).
+//
+// The correction is a world-frame rotation: a heading turn about the vertical followed by a small
+// tilt of the horizon, expressed as altitude (along referenceAzimuth) and roll (across it) offsets.
+
+import { mat3, quat } from 'gl-matrix';
+import {
+  Quaternion,
+  Vector3D,
+  multiplyQuaternions,
+  axisAngleToQuaternion,
+  applyQuaternionToVector,
+  invertQuaternion,
+} from './quaternion';
+import { altitudeAzimuthToCartesian } from './coordinates';
+import { getOrientationAngles, orientationAnglesToQuaternion } from './ahrs';
+
+export interface HorizontalPosition {
+  azimuth: number;  // Degrees, 0 = north, 90 = east
+  altitude: number; // Degrees above the horizon
+}
+
+export interface AlignmentObservation {
+  starName?: string;
+  predicted: HorizontalPosition; // Catalog position of the star
+  observed: HorizontalPosition;  // Sensor camera direction while the star is centred
+}
+
+export interface AlignmentOffsets {
+  azimuth: number;          // Heading correction (degrees)
+  altitude: number;         // Horizon tilt toward referenceAzimuth (degrees)
+  roll: number;             // Horizon tilt across referenceAzimuth (degrees)
+  referenceAzimuth: number; // Azimuth of the first aligned star
+  starNames: string[];
+  residual: number;         // Remaining error on the second star (degrees); 0 with one star
+}
+
+// Two stars closer than this cannot constrain roll
+const MIN_STAR_SEPARATION = 10;
+
+const toRad = Math.PI / 180;
+const toDeg = 180 / Math.PI;
+
+let sessionAlignment: AlignmentOffsets | null = null;
+const listeners = new Set<(offsets: AlignmentOffsets | null) => void>();
+
+/**
+ * Solves the alignment offsets from one or two centred stars
+ * @param observations First star sets the reference; an optional second star adds roll
+ * @returns Offsets, or null without observations
+ */
+export function solveAlignment(observations: AlignmentObservation[]): AlignmentOffsets | null {
+  if (observations.length === 0) return null;
+
+  const [first, second] = observations;
+  const starNames = observations.slice(0, 2).map(o => o.starName || 'Unknown star');
+
+  const s1 = toVector(first.observed);
+  const t1 = toVector(first.predicted);
+
+  if (second) {
+    const s2 = toVector(second.observed);
+    const t2 = toVector(second.predicted);
+    const separation = angleBetween(t1, t2);
+
+    if (separation >= MIN_STAR_SEPARATION) {
+      const correction = triad(s1, s2, t1, t2);
+      const offsets = decomposeCorrection(correction, first.predicted.azimuth);
+      return {
+        ...offsets,
+        starNames,
+        residual: angleBetween(applyQuaternionToVector(correction, s2), t2),
+      };
+    }
+  }
+
+  return {
+    azimuth: wrapAngle(first.predicted.azimuth - first.observed.azimuth),
+    altitude: first.predicted.altitude - first.observed.altitude,
+    roll: 0,
+    referenceAzimuth: first.predicted.azimuth,
+    starNames: starNames.slice(0, 1),
+    residual: 0,
+  };
+}
+
+/**
+ * World-frame rotation that maps sensor directions onto true directions
+ */
+export function getAlignmentQuaternion(offsets: AlignmentOffsets): Quaternion {
+  const up = { x: 0, y: 0, z: 1 };
+  const toReference = axisAngleToQuaternion(up, offsets.referenceAzimuth * toRad);
+  const fromReference = axisAngleToQuaternion(up, -offsets.referenceAzimuth * toRad);
+  const tilt = multiplyQuaternions(
+    fromReference,
+    multiplyQuaternions(
+      axisAngleToQuaternion({ x: 1, y: 0, z: 0 }, offsets.altitude * toRad),
+      multiplyQuaternions(axisAngleToQuaternion({ x: 0, y: 1, z: 0 }, offsets.roll * toRad), toReference)
+    )
+  );
+  return multiplyQuaternions(tilt, axisAngleToQuaternion(up, -offsets.azimuth * toRad));
+}
+
+/**
+ * Corrects a world-frame device quaternion (device → east/north/up)
+ */
+export function applyAlignmentToQuaternion(offsets: AlignmentOffsets, deviceQuaternion: Quaternion): Quaternion {
+  return multiplyQuaternions(getAlignmentQuaternion(offsets), deviceQuaternion);
+}
+
+/**
+ * Corrects sensor heading/pitch/roll in the useCompass convention (pitch = -altitude)
+ */
+export function applyAlignmentToOrientation(
+  offsets: AlignmentOffsets,
+  orientation: { heading: number; pitch: number; roll: number }
+): { heading: number; pitch: number; roll: number } {
+  const device = orientationAnglesToQuaternion(orientation.heading, -orientation.pitch, orientation.roll);
+  const corrected = getOrientationAngles(applyAlignmentToQuaternion(offsets, device));
+  return { heading: corrected.heading, pitch: corrected.pitch, roll: corrected.roll };
+}
+
+/**
+ * Alignment for the current app session (not persisted across launches)
+ */
+export function getSessionAlignment(): AlignmentOffsets | null {
+  return sessionAlignment;
+}
+
+export function setSessionAlignment(offsets: AlignmentOffsets | null): void {
+  sessionAlignment = offsets;
+  listeners.forEach(listener => listener(offsets));
+}
+
+/**
+ * Subscribe to session alignment changes
+ * @returns Unsubscribe function
+ */
+export function subscribeToAlignment(listener: (offsets: AlignmentOffsets | null) => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+function toVector(position: HorizontalPosition): Vector3D {
+  return altitudeAzimuthToCartesian(position.altitude, position.azimuth);
+}
+
+function angleBetween(a: Vector3D, b: Vector3D): number {
+  const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+  return Math.acos(Math.max(-1, Math.min(1, dot))) * toDeg;
+}
+
+function wrapAngle(degrees: number): number {
+  return ((degrees + 540) % 360) - 180;
+}
+
+function cross(a: Vector3D, b: Vector3D): Vector3D {
+  const v = { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+  const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) || 1;
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+// Rotation mapping s1 exactly onto t1 and the s1-s2 plane onto the t1-t2 plane
+function triad(s1: Vector3D, s2: Vector3D, t1: Vector3D, t2: Vector3D): Quaternion {
+  const sNormal = cross(s1, s2);
+  const tNormal = cross(t1, t2);
+  const sThird = cross(s1, sNormal);
+  const tThird = cross(t1, tNormal);
+
+  // Column-major frames: columns are the frame axes
+  const sFrame = mat3.fromValues(s1.x, s1.y, s1.z, sNormal.x, sNormal.y, sNormal.z, sThird.x, sThird.y, sThird.z);
+  const tFrame = mat3.fromValues(t1.x, t1.y, t1.z, tNormal.x, tNormal.y, tNormal.z, tThird.x, tThird.y, tThird.z);
+
+  const rotation = mat3.create();
+  mat3.transpose(sFrame, sFrame);
+  mat3.multiply(rotation, tFrame, sFrame);
+
+  const q = quat.create();
+  quat.fromMat3(q, rotation);
+  quat.normalize(q, q);
+  return { x: q[0], y: q[1], z: q[2], w: q[3] };
+}
+
+// Inverse of getAlignmentQuaternion for a given reference azimuth
+function decomposeCorrection(correction: Quaternion, referenceAzimuth: number) {
+  const up = { x: 0, y: 0, z: 1 };
+  const tiltedUp = applyQuaternionToVector(
+    axisAngleToQuaternion(up, referenceAzimuth * toRad),
+    applyQuaternionToVector(correction, up)
+  );
+  const roll = Math.asin(Math.max(-1, Math.min(1, tiltedUp.x))) * toDeg;
+  const altitude = Math.atan2(-tiltedUp.y, tiltedUp.z) * toDeg;
+
+  const tilt = getAlignmentQuaternion({ azimuth: 0, altitude, roll, referenceAzimuth, starNames: [], residual: 0 });
+  const headingOnly = multiplyQuaternions(invertQuaternion(tilt), correction);
+  const north = applyQuaternionToVector(headingOnly, { x: 0, y: 1, z: 0 });
+  const azimuth = Math.atan2(north.x, north.y) * toDeg;
+
+  return { azimuth, altitude, roll, referenceAzimuth };
+}
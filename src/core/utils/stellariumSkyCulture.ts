@@ -0,0 +1,594 @@
+// Stellarium sky-culture packages: read one into a sky culture and stories, and write ours back out.
+// Both layouts are understood: the .fab files used before Stellarium 23.1 (constellationship.fab,
+// constellation_names.eng.fab, star_names.fab, description.en.utf8, info.ini) and the index.json with
+// description.md used since. Export writes both so any Stellarium version can load the package.
+
+import { IndigenousStory, indigenousService } from '../services/indigenousCulturalService';
+import { SkyCulture, SkyCultureRecord, getSkyCultureForStoryCulture } from '../data/skyCultures';
+import { Star, constellationFigures, getStarByHip, getStarById } from '../data/starCatalog';
+import { findSkyTarget } from './targetGuidance';
+
+// Package contents by file name, e.g. { 'constellationship.fab': '...', 'star_names.fab': '...' }
+export type SkyCulturePackageFiles = Record<string, string>;
+
+export type SkyCultureIssueKind =
+  | 'syntax'      // A line or file that could not be read
+  | 'unknownHip'  // Not a Hipparcos catalog number
+  | 'missingStar' // A Hipparcos star that is not in our star catalog
+  | 'emptyFigure' // A figure left with no lines once missing stars are dropped
+  | 'noHip';      // Export: a catalog star without a Hipparcos number
+
+export interface SkyCultureValidationIssue {
+  kind: SkyCultureIssueKind;
+  file: string;
+  line?: number;   // 1-based line in the file, for the line-based files
+  figure?: string; // Figure the issue belongs to, if any
+  hip?: string;    // HIP value as written in the package
+  starId?: string; // Catalog star ID, for export issues
+  message: string;
+}
+
+export interface SkyCultureValidationReport {
+  issues: SkyCultureValidationIssue[];
+  figureCount: number;       // Figures kept
+  lineCount: number;         // Lines kept
+  droppedLineCount: number;  // Lines dropped because a star could not be mapped
+  starNameCount: number;     // Star names kept
+  matchedStoryCount: number; // Figures and star names that match an existing story
+  newStoryCount: number;     // Stories created from figure descriptions
+}
+
+export interface StellariumImportResult {
+  record: SkyCultureRecord;
+  stories: IndigenousStory[]; // New stories only; matched ones are already served
+  report: SkyCultureValidationReport;
+}
+
+export interface StellariumExportResult {
+  files: SkyCulturePackageFiles;
+  report: SkyCultureValidationReport;
+}
+
+export const STELLARIUM_FILES = {
+  CONSTELLATIONSHIP: 'constellationship.fab',
+  CONSTELLATION_NAMES: 'constellation_names.eng.fab',
+  STAR_NAMES: 'star_names.fab',
+  DESCRIPTION: 'description.en.utf8',
+  INFO: 'info.ini',
+  INDEX: 'index.json',
+  DESCRIPTION_MARKDOWN: 'description.md',
+};
+
+// Highest number in the Hipparcos catalog
+const MAX_HIP = 120416;
+// Line style keywords that index.json files may put among the HIP numbers of a line
+const LINE_STYLE_KEYWORDS = ['thin', 'bold', 'dotted', 'dashed'];
+const DEFAULT_AUTHOR = 'SkyLore';
+const DEFAULT_LICENSE = 'Not specified; ask the knowledge holders before redistributing';
+
+// A figure as read from either layout, before its stars are mapped to the catalog
+interface PackageFigure {
+  abbreviation: string;
+  native?: string;
+  english?: string;
+  description?: string;
+  segments: Array<{ hips: [string, string]; file: string; line?: number }>;
+}
+
+interface PackageContents {
+  name?: string;
+  storyCultures?: string[]; // Culture names in assets/indigenous.json, in packages we exported
+  description?: string;
+  figures: PackageFigure[];
+  starNames: Array<{ hip: string; name: string; file: string; line?: number }>;
+}
+
+const emptyReport = (): SkyCultureValidationReport => ({
+  issues: [],
+  figureCount: 0,
+  lineCount: 0,
+  droppedLineCount: 0,
+  starNameCount: 0,
+  matchedStoryCount: 0,
+  newStoryCount: 0,
+});
+
+// Lower case without accents, for matching figure names to story names
+const normalizeName = (name: string): string =>
+  name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+const slugify = (name: string): string =>
+  normalizeName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'culture';
+
+// Non-empty, non-comment lines with their 1-based line numbers
+const readLines = (text: string): Array<{ text: string; line: number }> =>
+  text.split(/\r?\n/)
+    .map((line, index) => ({ text: line.trim(), line: index + 1 }))
+    .filter(line => line.text && !line.text.startsWith('#'));
+
+// First paragraph of an HTML or Markdown description, as plain text
+const firstParagraph = (text: string): string => {
+  const paragraphs = text
+    .replace(/<h\d[^>]*>[\s\S]*?<\/h\d>/gi, '\n\n')
+    .replace(/<\/(p|div|li)>/gi, '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(paragraph => paragraph && !paragraph.startsWith('#'));
+  return paragraphs[0] || '';
+};
+
+// First paragraph under each heading of an HTML description, by normalized heading text
+const getHtmlSections = (html: string): Map<string, string> => {
+  const sections = new Map<string, string>();
+  const pattern = /<h(\d)[^>]*>([\s\S]*?)<\/h\1>([\s\S]*?)(?=<h\d|$)/gi;
+  for (let match = pattern.exec(html); match; match = pattern.exec(html)) {
+    const heading = normalizeName(match[2].replace(/<[^>]+>/g, ''));
+    const text = firstParagraph(match[3]);
+    if (heading && text && !sections.has(heading)) sections.set(heading, text);
+  }
+  return sections;
+};
+
+const escapeHtml = (text: string): string =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Names are written between double quotes in the .fab files
+const quote = (text: string): string => text.replace(/"/g, "'");
+
+function readLegacyPackage(files: SkyCulturePackageFiles, report: SkyCultureValidationReport): PackageContents {
+  const figures = new Map<string, PackageFigure>();
+  const figureFor = (abbreviation: string): PackageFigure => {
+    if (!figures.has(abbreviation)) figures.set(abbreviation, { abbreviation, segments: [] });
+    return figures.get(abbreviation)!;
+  };
+
+  // "Ori 3 26727 26207 26207 25930" — an abbreviation, the number of lines, then two HIP numbers per line
+  const constellationship = files[STELLARIUM_FILES.CONSTELLATIONSHIP] || '';
+  readLines(constellationship).forEach(({ text, line }) => {
+    const [abbreviation, count, ...hips] = text.split(/\s+/);
+    if (!/^\d+$/.test(count || '') || hips.length !== Number(count) * 2) {
+      report.issues.push({
+        kind: 'syntax',
+        file: STELLARIUM_FILES.CONSTELLATIONSHIP,
+        line,
+        figure: abbreviation,
+        message: /^\d+$/.test(count || '')
+          ? `Expected ${count} line(s) (${Number(count) * 2} HIP numbers), found ${hips.length} HIP number(s)`
+          : 'Expected the number of lines after the abbreviation',
+      });
+    }
+    const figure = figureFor(abbreviation);
+    for (let i = 0; i + 1 < hips.length; i += 2) {
+      figure.segments.push({ hips: [hips[i], hips[i + 1]], file: STELLARIUM_FILES.CONSTELLATIONSHIP, line });
+    }
+  });
+
+  // 'Ori  "Orion"  _("Orion")' — the native name, then the English name to translate
+  readLines(files[STELLARIUM_FILES.CONSTELLATION_NAMES] || '').forEach(({ text, line }) => {
+    const match = text.match(/^(\S+)\s+"([^"]*)"(?:\s+_\("([^"]*)"\))?/);
+    if (!match) {
+      report.issues.push({ kind: 'syntax', file: STELLARIUM_FILES.CONSTELLATION_NAMES, line, message: 'Unreadable name line' });
+      return;
+    }
+    const figure = figureFor(match[1]);
+    figure.native = match[2].trim() || undefined;
+    figure.english = match[3]?.trim() || undefined;
+  });
+
+  // '677|_("Alpheratz")' — a HIP number and a name
+  const starNames: PackageContents['starNames'] = [];
+  readLines(files[STELLARIUM_FILES.STAR_NAMES] || '').forEach(({ text, line }) => {
+    const [hip, rest] = text.split('|');
+    const name = rest?.match(/"([^"]*)"/)?.[1] ?? rest?.trim();
+    if (!name) {
+      report.issues.push({ kind: 'syntax', file: STELLARIUM_FILES.STAR_NAMES, line, message: 'Unreadable star name line' });
+      return;
+    }
+    starNames.push({ hip: hip.trim(), name, file: STELLARIUM_FILES.STAR_NAMES, line });
+  });
+
+  const info = files[STELLARIUM_FILES.INFO] || '';
+  const name = info.match(/^\s*name\s*=\s*(.+)$/m)?.[1].trim();
+  const storyCultures = info.match(/^\s*story_cultures\s*=\s*(.+)$/m)?.[1]
+    .split(';')
+    .map(culture => culture.trim())
+    .filter(Boolean);
+
+  // Descriptions often have a section headed with each figure's name
+  const description = files[STELLARIUM_FILES.DESCRIPTION] || '';
+  const sections = getHtmlSections(description);
+  figures.forEach(figure => {
+    figure.description = [figure.native, figure.english]
+      .map(figureName => figureName && sections.get(normalizeName(figureName)))
+      .find(Boolean);
+  });
+
+  return {
+    name,
+    storyCultures,
+    description: firstParagraph(description) || undefined,
+    figures: Array.from(figures.values()),
+    starNames,
+  };
+}
+
+function readIndexPackage(files: SkyCulturePackageFiles, report: SkyCultureValidationReport): PackageContents {
+  let index: any;
+  try {
+    index = JSON.parse(files[STELLARIUM_FILES.INDEX]);
+  } catch (error) {
+    report.issues.push({ kind: 'syntax', file: STELLARIUM_FILES.INDEX, message: `Not valid JSON: ${(error as Error).message}` });
+    return { figures: [], starNames: [] };
+  }
+
+  const hipValue = (value: unknown): string | null => {
+    const text = String(value).trim();
+    if (LINE_STYLE_KEYWORDS.includes(text.toLowerCase())) return null;
+    return text.replace(/^HIP\s*/i, '');
+  };
+
+  // Lines are polylines: every neighbouring pair of HIP numbers is joined
+  const figures: PackageFigure[] = (Array.isArray(index.constellations) ? index.constellations : []).map((constellation: any) => {
+    const abbreviation = String(constellation.id || '').split(/\s+/).pop() || '';
+    const segments: PackageFigure['segments'] = [];
+    (Array.isArray(constellation.lines) ? constellation.lines : []).forEach((polyline: unknown) => {
+      const hips = (Array.isArray(polyline) ? polyline : [])
+        .map(hipValue)
+        .filter((hip): hip is string => hip !== null);
+      for (let i = 0; i + 1 < hips.length; i++) {
+        segments.push({ hips: [hips[i], hips[i + 1]], file: STELLARIUM_FILES.INDEX });
+      }
+    });
+    const commonName = constellation.common_name || {};
+    return {
+      abbreviation,
+      native: commonName.native || undefined,
+      english: commonName.english || undefined,
+      description: typeof constellation.description === 'string' ? firstParagraph(constellation.description) : undefined,
+      segments,
+    };
+  });
+
+  const starNames: PackageContents['starNames'] = [];
+  Object.entries(index.common_names || {}).forEach(([key, names]) => {
+    const first = Array.isArray(names) ? names[0] : null;
+    const name = first?.native || first?.english;
+    if (name) starNames.push({ hip: key.replace(/^HIP\s*/i, ''), name, file: STELLARIUM_FILES.INDEX });
+  });
+
+  const markdown = files[STELLARIUM_FILES.DESCRIPTION_MARKDOWN] || '';
+  return {
+    name: markdown.match(/^#\s+(.+)$/m)?.[1].trim() || (typeof index.id === 'string' ? index.id : undefined),
+    storyCultures: Array.isArray(index.story_cultures)
+      ? index.story_cultures.filter((culture: unknown): culture is string => typeof culture === 'string')
+      : undefined,
+    description: firstParagraph(markdown) || undefined,
+    figures,
+    starNames,
+  };
+}
+
+/**
+ * Catalog star for a HIP value from a package, recording why it could not be mapped
+ */
+function resolveHip(
+  hip: string,
+  context: { file: string; line?: number; figure?: string },
+  report: SkyCultureValidationReport
+): Star | null {
+  const number = Number(hip);
+  if (!/^\d+$/.test(hip) || number < 1 || number > MAX_HIP) {
+    report.issues.push({ kind: 'unknownHip', ...context, hip, message: `"${hip}" is not a Hipparcos number` });
+    return null;
+  }
+  const star = getStarByHip(number);
+  if (!star) {
+    report.issues.push({ kind: 'missingStar', ...context, hip, message: `HIP ${hip} is not in the star catalog` });
+    return null;
+  }
+  return star;
+}
+
+// Western constellation sharing the most stars with a figure, or its brightest star, for a story's western_name
+function getWesternName(starIds: string[]): string {
+  const best = constellationFigures
+    .map(figure => ({ figure, shared: figure.stars.filter(star => starIds.includes(star.id)).length }))
+    .sort((a, b) => b.shared - a.shared)[0];
+  if (best && best.shared > 0) return best.figure.name;
+
+  const brightest = starIds
+    .map(id => getStarById(id))
+    .filter((star): star is Star => !!star)
+    .sort((a, b) => a.mag - b.mag)[0];
+  return brightest ? brightest.name : '';
+}
+
+/**
+ * Read a Stellarium sky-culture package, mapping its HIP numbers to catalog stars and its figures to
+ * the culture's stories. Lines with a star we cannot map are dropped and listed in the report.
+ * Packages we exported name their story cultures, so they are read back onto the same sky culture and
+ * stories instead of adding copies.
+ * @param files Package files by name; index.json is used when present, the .fab files otherwise
+ * @param options.name Culture name when the package does not give one
+ * @param options.id Sky culture ID; defaults to the sky culture with the package's story cultures, or
+ *   one derived from the name
+ */
+export function importStellariumSkyCulture(
+  files: SkyCulturePackageFiles,
+  options: { name?: string; id?: string } = {}
+): StellariumImportResult {
+  const report = emptyReport();
+  const contents = files[STELLARIUM_FILES.INDEX] ? readIndexPackage(files, report) : readLegacyPackage(files, report);
+  const name = contents.name || options.name || 'Imported sky culture';
+  const storyCultures = contents.storyCultures?.length ? contents.storyCultures : [name];
+  const existing = storyCultures.map(getSkyCultureForStoryCulture).find(Boolean);
+  const id = options.id || existing?.id || `stellarium-${slugify(name)}`;
+
+  // Stories this package added on an earlier import are replaced, not matched
+  const previousImport = new Set(indigenousService.getImportedStories(id).map(story => story.id));
+  const cultureStories = storyCultures
+    .flatMap(culture => indigenousService.getStoriesByCulture(culture))
+    .filter(story => !previousImport.has(story.id));
+  const findStory = (...names: Array<string | undefined>) => cultureStories.find(story => (
+    names.some(candidate => candidate && normalizeName(candidate) === normalizeName(story.indigenous_name))
+  ));
+
+  const stories: IndigenousStory[] = [];
+  const figures: SkyCultureRecord['figures'] = [];
+  contents.figures.forEach(figure => {
+    const figureName = figure.native || figure.english || figure.abbreviation;
+    const lines: string[][] = [];
+    figure.segments.forEach(segment => {
+      const context = { file: segment.file, line: segment.line, figure: figureName };
+      const stars = segment.hips.map(hip => resolveHip(hip, context, report));
+      if (stars[0] && stars[1]) {
+        if (stars[0].id !== stars[1].id) lines.push([stars[0].id, stars[1].id]);
+      } else {
+        report.droppedLineCount++;
+      }
+    });
+
+    if (lines.length === 0) {
+      report.issues.push({
+        kind: 'emptyFigure',
+        file: figure.segments[0]?.file || STELLARIUM_FILES.CONSTELLATIONSHIP,
+        figure: figureName,
+        message: `${figureName} has no lines between catalog stars`,
+      });
+      return;
+    }
+
+    // A matching story names the figure, so the culture selector and the story agree
+    const story = findStory(figure.native, figure.english);
+    if (story) {
+      report.matchedStoryCount++;
+    } else if (figure.description) {
+      // Stellarium packages are published for anyone to use, so their stories are public
+      stories.push({
+        id: `${id}-${slugify(figureName)}`,
+        western_name: getWesternName(lines.flat()),
+        culture: storyCultures[0],
+        indigenous_name: figureName,
+        story_or_meaning: figure.description,
+        object_type: 'Constellation',
+        constellation_type: 'Light',
+        consent: 'public',
+        attribution: { community: name, contributors: [] },
+        language: null,
+        sources: [{ citation: `Stellarium sky culture "${name}"`, resolved: true }],
+        star_ids: Array.from(new Set(lines.flat())),
+      });
+    }
+
+    const displayName = story ? story.indigenous_name : figureName;
+    figures.push({
+      name: displayName,
+      english: figure.english && figure.english !== displayName ? figure.english : undefined,
+      lines,
+    });
+    report.lineCount += lines.length;
+  });
+
+  const starNames: Record<string, string> = {};
+  contents.starNames.forEach(({ hip, name: starName, file, line }) => {
+    const star = resolveHip(hip, { file, line }, report);
+    if (!star) return;
+    starNames[star.id] = starName;
+    if (findStory(starName)) report.matchedStoryCount++;
+  });
+
+  report.figureCount = figures.length;
+  report.starNameCount = Object.keys(starNames).length;
+  report.newStoryCount = stories.length;
+
+  return {
+    record: {
+      id,
+      name,
+      storyCultures,
+      description: contents.description || `Imported from a Stellarium sky-culture package.`,
+      figures,
+      starNames,
+    },
+    stories,
+    report,
+  };
+}
+
+// Short unique IDs for the figures, as Stellarium uses ('Ori', 'UMa'); built from the names
+function getAbbreviations(names: string[]): string[] {
+  const used = new Set<string>();
+  return names.map(name => {
+    const letters = normalizeName(name).replace(/[^a-z]/g, '');
+    const base = letters ? letters.charAt(0).toUpperCase() + letters.slice(1, 3) : 'Fig';
+    let abbreviation = base;
+    for (let suffix = 2; used.has(abbreviation); suffix++) abbreviation = `${base}${suffix}`;
+    used.add(abbreviation);
+    return abbreviation;
+  });
+}
+
+/**
+ * Write a sky culture and its stories as a Stellarium sky-culture package. Lines to stars without a
+ * Hipparcos number cannot be written and are listed in the report.
+ * @param options.author Written to info.ini and description.md
+ * @param options.license Written to info.ini and description.md
+ */
+export function exportStellariumSkyCulture(
+  culture: SkyCulture,
+  options: { author?: string; license?: string } = {}
+): StellariumExportResult {
+  const report = emptyReport();
+  const author = options.author || DEFAULT_AUTHOR;
+  const license = options.license || DEFAULT_LICENSE;
+  const stories = culture.storyCultures.flatMap(storyCulture => indigenousService.getStoriesByCulture(storyCulture));
+
+  const hipFor = (starId: string, figure?: string): number | null => {
+    const hip = getStarById(starId)?.hip;
+    if (hip === undefined) {
+      const alreadyReported = report.issues.some(issue => issue.kind === 'noHip' && issue.starId === starId && issue.figure === figure);
+      if (!alreadyReported) {
+        report.issues.push({
+          kind: 'noHip',
+          file: STELLARIUM_FILES.CONSTELLATIONSHIP,
+          figure,
+          starId,
+          message: `${getStarById(starId)?.name || starId} has no Hipparcos number`,
+        });
+      }
+      return null;
+    }
+    return hip;
+  };
+
+  const abbreviations = getAbbreviations(culture.figures.map(figure => figure.name));
+  const figures = culture.figures
+    .map((figure, index) => {
+      const pairs: Array<[number, number]> = [];
+      figure.lines.forEach(([start, end]) => {
+        const hips = [hipFor(figure.stars[start].id, figure.name), hipFor(figure.stars[end].id, figure.name)];
+        if (hips[0] !== null && hips[1] !== null) {
+          pairs.push([hips[0], hips[1]]);
+        } else {
+          report.droppedLineCount++;
+        }
+      });
+      return { figure, abbreviation: abbreviations[index], pairs };
+    })
+    .filter(({ figure, pairs }) => {
+      if (pairs.length > 0) return true;
+      report.issues.push({
+        kind: 'emptyFigure',
+        file: STELLARIUM_FILES.CONSTELLATIONSHIP,
+        figure: figure.name,
+        message: `${figure.name} has no lines between stars with Hipparcos numbers`,
+      });
+      return false;
+    });
+
+  // The culture's own star names, plus its stories about single stars
+  const starNames = new Map<number, string>();
+  Object.entries(culture.starNames).forEach(([starId, name]) => {
+    const hip = hipFor(starId);
+    if (hip !== null) starNames.set(hip, name);
+  });
+  stories
+    .filter(story => story.object_type.toLowerCase() === 'star')
+    .forEach(story => {
+      const target = findSkyTarget(story.western_name);
+      const starId = story.star_ids.length === 1 ? story.star_ids[0] : target?.kind === 'star' ? target.id : null;
+      const hip = starId ? hipFor(starId) : null;
+      if (hip !== null && !starNames.has(hip)) starNames.set(hip, story.indigenous_name);
+    });
+
+  const englishName = (figure: SkyCulture['figures'][number]) => figure.englishName || figure.name;
+  const figureStories = (figure: SkyCulture['figures'][number]) =>
+    stories.filter(story => normalizeName(story.indigenous_name) === normalizeName(figure.name));
+
+  const files: SkyCulturePackageFiles = {
+    [STELLARIUM_FILES.INFO]: [
+      '[info]',
+      `name = ${culture.name}`,
+      `author = ${author}`,
+      `classification = ${culture.storyCultures.length > 0 ? 'ethnographic' : 'traditional'}`,
+      `license = ${license}`,
+      ...(culture.storyCultures.length > 0 ? [`story_cultures = ${culture.storyCultures.join('; ')}`] : []),
+      'boundaries = none',
+      '',
+    ].join('\n'),
+
+    [STELLARIUM_FILES.CONSTELLATIONSHIP]: figures
+      .map(({ abbreviation, pairs }) => `${abbreviation} ${pairs.length} ${pairs.flat().join(' ')}`)
+      .join('\n') + '\n',
+
+    [STELLARIUM_FILES.CONSTELLATION_NAMES]: figures
+      .map(({ figure, abbreviation }) => `${abbreviation}\t"${quote(figure.name)}"\t_("${quote(englishName(figure))}")`)
+      .join('\n') + '\n',
+
+    [STELLARIUM_FILES.STAR_NAMES]: Array.from(starNames.entries())
+      .map(([hip, name]) => `${hip}|_("${quote(name)}")`)
+      .join('\n') + '\n',
+
+    [STELLARIUM_FILES.DESCRIPTION]: [
+      `<h2>${escapeHtml(culture.name)}</h2>`,
+      `<p>${escapeHtml(culture.description)}</p>`,
+      ...figures.flatMap(({ figure }) => figureStories(figure).map(story => (
+        `<h3>${escapeHtml(story.indigenous_name)}</h3>\n<p>${escapeHtml(story.story_or_meaning)}</p>`
+      ))),
+      `<h3>Authors</h3>\n<p>${escapeHtml(author)}</p>`,
+      `<h3>License</h3>\n<p>${escapeHtml(license)}</p>`,
+      '',
+    ].join('\n'),
+
+    [STELLARIUM_FILES.INDEX]: JSON.stringify({
+      id: culture.id,
+      classification: [culture.storyCultures.length > 0 ? 'ethnographic' : 'traditional'],
+      ...(culture.storyCultures.length > 0 ? { story_cultures: culture.storyCultures } : {}),
+      fallback_to_international_names: false,
+      constellations: figures.map(({ figure, abbreviation, pairs }) => {
+        const description = figureStories(figure).map(story => story.story_or_meaning).join('\n\n');
+        return {
+          id: `CON ${culture.id} ${abbreviation}`,
+          lines: pairs,
+          common_name: { english: englishName(figure), native: figure.name },
+          ...(description ? { description } : {}),
+        };
+      }),
+      common_names: Object.fromEntries(
+        Array.from(starNames.entries()).map(([hip, name]) => [`HIP ${hip}`, [{ native: name, english: name }]])
+      ),
+    }, null, 2) + '\n',
+
+    [STELLARIUM_FILES.DESCRIPTION_MARKDOWN]: [
+      `# ${culture.name}`,
+      '',
+      '## Introduction',
+      '',
+      culture.description,
+      '',
+      ...figures.flatMap(({ figure }) => figureStories(figure).flatMap(story => [
+        `### ${story.indigenous_name}`,
+        '',
+        story.story_or_meaning,
+        '',
+      ])),
+      '## Authors',
+      '',
+      author,
+      '',
+      '## License',
+      '',
+      license,
+      '',
+    ].join('\n'),
+  };
+
+  report.figureCount = figures.length;
+  report.lineCount = figures.reduce((total, { pairs }) => total + pairs.length, 0);
+  report.starNameCount = starNames.size;
+  report.matchedStoryCount = figures.filter(({ figure }) => figureStories(figure).length > 0).length;
+
+  return { files, report };
+}
@@ -0,0 +1,285 @@
+// "Find it" guidance toward the session sky target: where the target is now, how far the
+// view centre is from it, which way to turn, and when it rises if it is below the horizon
+
+import * as Astronomy from 'astronomy-engine';
+import { SkyTarget } from './skyTarget';
+import { Star, stars, constellationFigures } from '../data/starCatalog';
+import { deepSkyObjects, getDeepSkyObjectById, getDeepSkyDisplayName } from '../data/deepSkyCatalog';
+import { findConstellationAt } from './constellationBoundaries';
+import { angularDistance, altitudeAzimuthToCartesian, cartesianToAltitudeAzimuth } from './coordinates';
+import { Quaternion, applyQuaternionToVector } from './quaternion';
+import { CameraIntrinsics, ScreenPoint, worldToCameraSpace, projectWithIntrinsics, isOnScreen } from './projection';
+
+export interface TargetPosition {
+  ra: number;       // Hours, of date
+  dec: number;      // Degrees, of date
+  altitude: number; // Degrees, with refraction
+  azimuth: number;  // Degrees from north through east
+}
+
+export interface TargetGuidance {
+  distance: number;                 // Degrees from the view centre to the target
+  direction: number;                // Radians clockwise from screen-up toward the target
+  screenPosition: ScreenPoint | null; // Where the target is drawn, or null when it is off screen
+  level: number;                    // How many GUIDANCE_PULSE_DISTANCES have been passed
+}
+
+// Distances in degrees at which the haptic pulse gets stronger, farthest first.
+// Passing the last one counts as found.
+export const GUIDANCE_PULSE_DISTANCES = [30, 15, 8, 3];
+
+// Fixed targets are handed to astronomy-engine as a user-defined star so precession, refraction and
+// the rise search work exactly as they do for planets. Star1 is reserved for this module.
+const FIXED_TARGET_BODY = Astronomy.Body.Star1;
+// Only used for parallax, which is negligible outside the solar system
+const FIXED_TARGET_DISTANCE_LY = 1000;
+// Far enough ahead to find the next rise of anything that rises at all
+const RISE_SEARCH_DAYS = 2;
+
+// Bodies a story can name; the Sun is left out so nobody is steered into looking at it
+const TARGET_PLANETS = ['Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune'];
+
+// Common names used in the story data for figures the catalogs know by another name
+const COMMON_NAMES: Record<string, string> = {
+  'southern cross': 'Crux',
+  'big dipper': 'Ursa Major',
+  'great bear': 'Ursa Major',
+  'seven sisters': 'Pleiades',
+  'north star': 'Polaris',
+  'pole star': 'Polaris',
+  // The old ship was split into Carina, Puppis and Vela; its brightest star is in Carina
+  'argo navis': 'Carina',
+};
+
+const toRad = Math.PI / 180;
+const toDeg = 180 / Math.PI;
+
+/**
+ * Centre of a constellation figure: the mean direction of its stars
+ * @param stars Stars with RA in hours and Dec in degrees
+ */
+export function getFigureCentre(stars: Array<{ ra: number; dec: number }>): { ra: number; dec: number } {
+  const sum = stars.reduce((total, star) => {
+    const ra = star.ra * 15 * toRad;
+    const dec = star.dec * toRad;
+    return {
+      x: total.x + Math.cos(dec) * Math.cos(ra),
+      y: total.y + Math.cos(dec) * Math.sin(ra),
+      z: total.z + Math.sin(dec),
+    };
+  }, { x: 0, y: 0, z: 0 });
+  const ra = (Math.atan2(sum.y, sum.x) * toDeg + 360) % 360;
+  return { ra: ra / 15, dec: Math.atan2(sum.z, Math.hypot(sum.x, sum.y)) * toDeg };
+}
+
+// Lower case without accents, so 'Boötes' finds the 'Bootes' figure
+const normalizeName = (name: string): string =>
+  name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// 'Gamma Sagittarii' also names Gamma2 Sagittarii, the brighter component in the catalog
+const matchesBayer = (designation: string | undefined, wanted: string): boolean => {
+  if (!designation) return false;
+  const normalized = normalizeName(designation);
+  return normalized === wanted || normalized.replace(/^([a-z]+)\d+ /, '$1 ') === wanted;
+};
+
+const brightestStar = (candidates: Star[]): Star | null =>
+  candidates.reduce<Star | null>((best, star) => (!best || star.mag < best.mag ? star : best), null);
+
+// IAU constellation of each catalog star, by normalized constellation name; built on first use
+let starsByConstellation: Map<string, Star[]> | null = null;
+
+function getStarsInConstellation(wanted: string): Star[] {
+  if (!starsByConstellation) {
+    starsByConstellation = new Map();
+    for (const star of stars) {
+      const name = normalizeName(findConstellationAt(star.ra, star.dec).name);
+      starsByConstellation.set(name, [...(starsByConstellation.get(name) || []), star]);
+    }
+  }
+  return starsByConstellation.get(wanted) || [];
+}
+
+/**
+ * Catalog stars inside an IAU constellation's boundaries, by its name ('Libra') or a common name
+ * the story data uses ('Argo Navis')
+ */
+export function getConstellationStars(name: string): Star[] {
+  return getStarsInConstellation(normalizeName(COMMON_NAMES[normalizeName(name)] || name));
+}
+
+function findTargetByExactName(name: string): SkyTarget | null {
+  const wanted = normalizeName(COMMON_NAMES[normalizeName(name)] || name);
+
+  const star = stars.find(candidate => candidate.name && normalizeName(candidate.name) === wanted)
+    || brightestStar(stars.filter(candidate => matchesBayer(candidate.bayer, wanted)));
+  if (star) return { kind: 'star', id: star.id, name: star.name };
+
+  const planet = TARGET_PLANETS.find(candidate => normalizeName(candidate) === wanted);
+  if (planet) return { kind: 'planet', id: planet.toLowerCase(), name: planet };
+
+  const object = deepSkyObjects.find(candidate => (
+    normalizeName(candidate.id) === wanted || (candidate.name && normalizeName(candidate.name) === wanted)
+  ));
+  if (object) return { kind: 'deepSky', id: object.id, name: getDeepSkyDisplayName(object) };
+
+  // "Orion's Belt" and "Orion's Belt & Sword" are found through their constellation
+  const figure = constellationFigures.find(candidate => {
+    const figureName = normalizeName(candidate.name);
+    return figureName === wanted || wanted.startsWith(`${figureName}'s `);
+  });
+  if (figure) return { kind: 'constellation', id: figure.name, name: figure.name };
+
+  // Constellations without a figure are found through their brightest catalog star
+  const constellationStar = brightestStar(getStarsInConstellation(wanted));
+  if (constellationStar) return { kind: 'star', id: constellationStar.id, name: constellationStar.name };
+
+  return null;
+}
+
+/**
+ * Target for a name as the story data writes it, e.g. 'Scorpius (Antares)', 'Orion/Gemini (Betelgeuse)',
+ * 'Sirius (in Canis Major)' or 'Southern Cross'. The most specific object named wins: a star or
+ * object in brackets before the constellation around it, unless the brackets only say where it is.
+ * Stars are found by name or Bayer designation ('Libra (Alpha Librae)'), and constellations without
+ * a figure by their brightest catalog star.
+ * @returns Target, or null for things with no single position such as the Milky Way
+ */
+export function findSkyTarget(name: string): SkyTarget | null {
+  const match = name.match(/^([^(]*)(?:\(([^)]*)\))?/);
+  const main = (match?.[1] || name).trim();
+  const detail = (match?.[2] || '').replace(/\s*parts of\s*/gi, '').trim();
+  // '(in Canis Major)' only says where the main object is
+  const isLocation = /^in\s+/i.test(detail);
+
+  const candidates = (isLocation ? [main, detail.replace(/^in\s+/i, '')] : [detail, main])
+    .flatMap(part => [part, ...part.split(/\s*[/&]\s*/)])
+    .filter(Boolean);
+  for (const candidate of candidates) {
+    const target = findTargetByExactName(candidate);
+    if (target) return target;
+  }
+  return null;
+}
+
+// astronomy-engine body for a target, or null when the id is not in any catalog
+function getTargetBody(target: SkyTarget): Astronomy.Body | null {
+  if (target.kind === 'planet') {
+    const name = target.id.charAt(0).toUpperCase() + target.id.slice(1);
+    return Object.values(Astronomy.Body).includes(name as Astronomy.Body) ? (name as Astronomy.Body) : null;
+  }
+
+  let catalogPosition: { ra: number; dec: number } | null = null;
+  if (target.kind === 'constellation') {
+    const figure = constellationFigures.find(constellation => constellation.name === target.id);
+    catalogPosition = figure ? getFigureCentre(figure.stars) : null;
+  } else if (target.kind === 'star') {
+    const star = stars.find(candidate => candidate.id === target.id);
+    catalogPosition = star ? { ra: star.ra, dec: star.dec } : null;
+  } else {
+    const object = getDeepSkyObjectById(target.id);
+    catalogPosition = object ? { ra: object.ra, dec: object.dec } : null;
+  }
+  if (!catalogPosition) return null;
+
+  Astronomy.DefineStar(FIXED_TARGET_BODY, catalogPosition.ra, catalogPosition.dec, FIXED_TARGET_DISTANCE_LY);
+  return FIXED_TARGET_BODY;
+}
+
+/**
+ * Where the target is in the observer's sky
+ * @returns Position, or null when the target cannot be found in the catalogs
+ */
+export function getTargetPosition(
+  target: SkyTarget,
+  location: { latitude: number; longitude: number },
+  date: Date
+): TargetPosition | null {
+  const body = getTargetBody(target);
+  if (!body) return null;
+
+  const observer = new Astronomy.Observer(location.latitude, location.longitude, 0);
+  const equatorial = Astronomy.Equator(body, date, observer, true, true);
+  const horizontal = Astronomy.Horizon(date, observer, equatorial.ra, equatorial.dec, 'normal');
+  return { ra: equatorial.ra, dec: equatorial.dec, altitude: horizontal.altitude, azimuth: horizontal.azimuth };
+}
+
+/**
+ * Next time the target rises after `date`
+ * @returns Rise time, or null when it does not rise from this latitude
+ */
+export function getNextRise(
+  target: SkyTarget,
+  location: { latitude: number; longitude: number },
+  date: Date
+): Date | null {
+  const body = getTargetBody(target);
+  if (!body) return null;
+
+  const observer = new Astronomy.Observer(location.latitude, location.longitude, 0);
+  const rise = Astronomy.SearchRiseSet(body, observer, +1, date, RISE_SEARCH_DAYS);
+  return rise ? rise.date : null;
+}
+
+/**
+ * Altitude and azimuth the camera is looking at
+ * @param deviceQuaternion Device → world (east/north/up) rotation
+ */
+export function getPointingDirection(deviceQuaternion: Quaternion): { altitude: number; azimuth: number } {
+  // The back camera looks along the device's -z axis
+  return cartesianToAltitudeAzimuth(applyQuaternionToVector(deviceQuaternion, { x: 0, y: 0, z: -1 }));
+}
+
+/**
+ * Number of pulse distances the view has come within, from 0 (far away) to
+ * GUIDANCE_PULSE_DISTANCES.length (found)
+ */
+export function getGuidanceLevel(distance: number): number {
+  return GUIDANCE_PULSE_DISTANCES.filter(threshold => distance <= threshold).length;
+}
+
+/**
+ * How far and which way to turn the device to bring the target to the view centre
+ * @param position Target position from getTargetPosition
+ * @param deviceQuaternion Device → world (east/north/up) rotation
+ * @param intrinsics Intrinsics of the view the guidance is drawn over
+ */
+export function getTargetGuidance(
+  position: TargetPosition,
+  deviceQuaternion: Quaternion,
+  intrinsics: CameraIntrinsics
+): TargetGuidance {
+  const pointing = getPointingDirection(deviceQuaternion);
+  // Altitude/azimuth is a sphere like RA/Dec, so the same great-circle distance applies
+  const distance = angularDistance(pointing.azimuth / 15, pointing.altitude, position.azimuth / 15, position.altitude);
+
+  const point = worldToCameraSpace(altitudeAzimuthToCartesian(position.altitude, position.azimuth), deviceQuaternion);
+  let screenPosition: ScreenPoint | null = null;
+  if (point.z < 0) {
+    const projected = projectWithIntrinsics(point, intrinsics);
+    if (isOnScreen(projected, intrinsics)) screenPosition = projected;
+  }
+
+  return {
+    distance,
+    direction: Math.atan2(point.x, point.y),
+    screenPosition,
+    level: getGuidanceLevel(distance),
+  };
+}
+
+/**
+ * Point on the screen edge, inset by `inset` pixels, in `direction` from the centre
+ * @param direction Radians clockwise from screen-up
+ */
+export function getEdgePosition(direction: number, width: number, height: number, inset: number): { x: number; y: number } {
+  const dx = Math.sin(direction);
+  const dy = -Math.cos(direction); // Screen y grows downward
+  const halfWidth = width / 2 - inset;
+  const halfHeight = height / 2 - inset;
+  const scale = Math.min(
+    Math.abs(dx) > 1e-6 ? halfWidth / Math.abs(dx) : Infinity,
+    Math.abs(dy) > 1e-6 ? halfHeight / Math.abs(dy) : Infinity
+  );
+  return { x: width / 2 + dx * scale, y: height / 2 + dy * scale };
+}
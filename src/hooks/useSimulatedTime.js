@@ -0,0 +1,127 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Step sizes offered by the time scrubber
+export const TIME_STEP_UNITS = ['minute', 'hour', 'day', 'year'];
+
+const UNIT_MILLISECONDS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+// Playback speeds as multiples of real time
+export const PLAYBACK_SPEEDS = [
+  { value: 1, label: '1×' },
+  { value: 60, label: '1 min/s' },
+  { value: 600, label: '10 min/s' },
+  { value: 3600, label: '1 hr/s' },
+  { value: 86400, label: '1 day/s' },
+];
+
+// Shift a date by a number of minutes, hours, days or calendar years
+export const shiftTime = (date, unit, amount) => {
+  if (unit === 'year') {
+    const shifted = new Date(date.getTime());
+    shifted.setFullYear(shifted.getFullYear() + amount);
+    return shifted;
+  }
+  return new Date(date.getTime() + amount * UNIT_MILLISECONDS[unit]);
+};
+
+// Simulated clock for previewing the sky at other times.
+// Follows real time by default; stepping or changing speed detaches it until resetToNow().
+export const useSimulatedTime = ({ tickInterval = 500, liveUpdateInterval = 60000 } = {}) => {
+  const [time, setTime] = useState(() => new Date());
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [isLive, setIsLive] = useState(true);
+  const [stepUnit, setStepUnit] = useState('hour');
+
+  const timeRef = useRef(time);
+  const lastTickRef = useRef(Date.now());
+
+  const updateTime = useCallback((nextTime) => {
+    timeRef.current = nextTime;
+    setTime(nextTime);
+  }, []);
+
+  // Advance the clock while playing
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    lastTickRef.current = Date.now();
+    const interval = isLive ? liveUpdateInterval : tickInterval;
+
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const elapsed = now - lastTickRef.current;
+      lastTickRef.current = now;
+
+      if (isLive) {
+        updateTime(new Date(now));
+      } else {
+        updateTime(new Date(timeRef.current.getTime() + elapsed * speed));
+      }
+    }, interval);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, isLive, speed, tickInterval, liveUpdateInterval, updateTime]);
+
+  const step = useCallback((amount, unit = stepUnit) => {
+    setIsLive(false);
+    updateTime(shiftTime(timeRef.current, unit, amount));
+  }, [stepUnit, updateTime]);
+
+  const stepForward = useCallback(() => step(1), [step]);
+  const stepBackward = useCallback(() => step(-1), [step]);
+
+  const togglePlaying = useCallback(() => {
+    if (isPlaying) {
+      setIsLive(false);
+    }
+    setIsPlaying(!isPlaying);
+  }, [isPlaying]);
+
+  const changeSpeed = useCallback((newSpeed) => {
+    if (newSpeed !== 1) {
+      setIsLive(false);
+    }
+    setSpeed(newSpeed);
+  }, []);
+
+  // Cycle through PLAYBACK_SPEEDS, used by the speed button
+  const cycleSpeed = useCallback(() => {
+    const index = PLAYBACK_SPEEDS.findIndex(option => option.value === speed);
+    const next = PLAYBACK_SPEEDS[(index + 1) % PLAYBACK_SPEEDS.length];
+    changeSpeed(next.value);
+  }, [speed, changeSpeed]);
+
+  const setSimulatedTime = useCallback((date) => {
+    setIsLive(false);
+    updateTime(new Date(date.getTime()));
+  }, [updateTime]);
+
+  const resetToNow = useCallback(() => {
+    setSpeed(1);
+    setIsPlaying(true);
+    setIsLive(true);
+    updateTime(new Date());
+  }, [updateTime]);
+
+  return {
+    time,
+    isPlaying,
+    isLive,
+    speed,
+    stepUnit,
+    setStepUnit,
+    step,
+    stepForward,
+    stepBackward,
+    togglePlaying,
+    changeSpeed,
+    cycleSpeed,
+    setSimulatedTime,
+    resetToNow,
+  };
+};
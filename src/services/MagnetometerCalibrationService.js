@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import * as Device from 'expo-device';
+
+const CALIBRATION_STORAGE_PREFIX = '@skylore/magnetometer_calibration';
+
+const listeners = new Set();
+
+/**
+ * Stores the magnetometer hard/soft-iron calibration for this device.
+ * Keyed by device model so a backup restored onto a different phone does not apply stale corrections.
+ */
+export class MagnetometerCalibrationService {
+  static getStorageKey() {
+    const model = Device.modelId || Device.modelName || 'unknown';
+    return `${CALIBRATION_STORAGE_PREFIX}/${Platform.OS}/${model}`;
+  }
+
+  /**
+   * Read the stored calibration
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  static async getCalibration() {
+    try {
+      const stored = await AsyncStorage.getItem(this.getStorageKey());
+      return { data: stored ? JSON.parse(stored) : null, error: null };
+    } catch (error) {
+      console.error('Error reading magnetometer calibration:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Persist a calibration produced by fitMagnetometerCalibration
+   * @param {Object} calibration
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  static async saveCalibration(calibration) {
+    try {
+      await AsyncStorage.setItem(this.getStorageKey(), JSON.stringify(calibration));
+      listeners.forEach(listener => listener(calibration));
+      return { data: calibration, error: null };
+    } catch (error) {
+      console.error('Error saving magnetometer calibration:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Remove the stored calibration and fall back to raw magnetometer readings
+   * @returns {Promise<{error: Error|null}>}
+   */
+  static async clearCalibration() {
+    try {
+      await AsyncStorage.removeItem(this.getStorageKey());
+      listeners.forEach(listener => listener(null));
+      return { error: null };
+    } catch (error) {
+      console.error('Error clearing magnetometer calibration:', error);
+      return { error };
+    }
+  }
+
+  /**
+   * Subscribe to calibration changes
+   * @param {Function} listener - Called with the current calibration (or null) now and after every change
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    this.getCalibration().then(({ data }) => {
+      if (listeners.has(listener)) listener(data);
+    });
+    return () => listeners.delete(listener);
+  }
+}
@@ -0,0 +1,163 @@
+import { supabase, TABLES } from '../config/supabase';
+
+// Column order of the IMO Visual Meteor Database rate file
+const IMO_RATE_COLUMNS = ['Start Date', 'End Date', 'Ra', 'Decl', 'Teff', 'F', 'Lm', 'Shower', 'Method', 'Number'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// IMO dates are UT: 2025-08-12 22:00:00
+const formatImoDate = (value) => {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+};
+
+/**
+ * Visual meteor counts in the IMO format: one observing period per row with its effective
+ * observing time, limiting magnitude, cloud cover and the number of meteors seen per shower.
+ */
+export class MeteorObservationService {
+  /**
+   * Correction for sky obscured by cloud, F = 1 / (1 - k)
+   * @param {number} cloudCover - Percent of the field of view obscured (0-100)
+   */
+  static getCloudCorrection(cloudCover) {
+    return 1 / (1 - Math.min(cloudCover, 90) / 100);
+  }
+
+  /**
+   * Save a counting period for the current user
+   * @param {Object} observation
+   * @param {Date|string} observation.startedAt - Start of the period
+   * @param {Date|string} observation.endedAt - End of the period
+   * @param {number} observation.latitude - Observing site
+   * @param {number} observation.longitude - Observing site
+   * @param {number} observation.limitingMagnitude - Naked-eye limiting magnitude during the period
+   * @param {number} [observation.cloudCover] - Percent of the field obscured (0-100)
+   * @param {number} [observation.breakMinutes] - Time spent not watching the sky, taken off Teff
+   * @param {number} [observation.fieldRa] - Centre of the field of view, degrees
+   * @param {number} [observation.fieldDec] - Centre of the field of view, degrees
+   * @param {Object<string, number>} observation.counts - Meteors per IAU shower code ('SPO' for sporadics);
+   *   every shower watched should be present, with 0 when none were seen
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  static async saveObservation(observation) {
+    try {
+      const userId = (await supabase.auth.getUser()).data.user?.id;
+      if (!userId) {
+        throw new Error('User not authenticated');
+      }
+
+      const startedAt = new Date(observation.startedAt);
+      const endedAt = new Date(observation.endedAt);
+      const teff = (endedAt - startedAt) / 3600000 - (observation.breakMinutes || 0) / 60;
+      if (!(teff > 0)) {
+        throw new Error('Observing period must last longer than its breaks');
+      }
+
+      const { data, error } = await supabase
+        .from(TABLES.METEOR_OBSERVATIONS)
+        .insert({
+          user_id: userId,
+          started_at: startedAt.toISOString(),
+          ended_at: endedAt.toISOString(),
+          latitude: observation.latitude,
+          longitude: observation.longitude,
+          limiting_magnitude: observation.limitingMagnitude,
+          cloud_cover: observation.cloudCover || 0,
+          teff,
+          field_ra: observation.fieldRa ?? null,
+          field_dec: observation.fieldDec ?? null,
+          counts: observation.counts,
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Save meteor observation error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Get all counting periods for the current user, newest first
+   * @returns {Promise<{data: Array|null, error: Error|null}>}
+   */
+  static async getUserObservations() {
+    try {
+      const userId = (await supabase.auth.getUser()).data.user?.id;
+      if (!userId) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(TABLES.METEOR_OBSERVATIONS)
+        .select('*')
+        .eq('user_id', userId)
+        .order('started_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get meteor observations error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Delete a counting period
+   * @param {string} observationId
+   * @returns {Promise<{data: Array|null, error: Error|null}>}
+   */
+  static async deleteObservation(observationId) {
+    try {
+      const userId = (await supabase.auth.getUser()).data.user?.id;
+      if (!userId) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from(TABLES.METEOR_OBSERVATIONS)
+        .delete()
+        .eq('id', observationId)
+        .eq('user_id', userId)
+        .select();
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Delete meteor observation error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Rate records ready for submission to the IMO Visual Meteor Database (semicolon-separated,
+   * one row per shower per period). Method is 'C' for counts made without plotting.
+   * @param {Array<Object>} observations - Rows from getUserObservations
+   * @returns {string}
+   */
+  static formatImoRateReport(observations) {
+    const rows = [...observations]
+      .sort((a, b) => new Date(a.started_at) - new Date(b.started_at))
+      .flatMap(observation => Object.entries(observation.counts).map(([shower, count]) => [
+        formatImoDate(observation.started_at),
+        formatImoDate(observation.ended_at),
+        observation.field_ra != null ? Math.round(observation.field_ra) : '',
+        observation.field_dec != null ? Math.round(observation.field_dec) : '',
+        observation.teff.toFixed(3),
+        this.getCloudCorrection(observation.cloud_cover).toFixed(2),
+        observation.limiting_magnitude.toFixed(2),
+        shower,
+        'C',
+        count,
+      ]));
+
+    return [IMO_RATE_COLUMNS, ...rows].map(row => row.join(';')).join('\n');
+  }
+}
@@ -10,7 +10,9 @@ export class PhotoService {
    * @param {number} photoData.longitude - Photo longitude
    * @param {string[]} photoData.constellation - Array of constellation names (empty for future AI analysis)
    * @param {number} photoData.brightnessRating - Brightness rating (1-5)
+   * @param {Object} [photoData.skyQuality] - SkyQualityAnalyzer result, with the twilight phase at capture, stored next to the manual rating
    * @param {string} photoData.timestamp - When photo was taken (ISO string)
+   * @param {string} [photoData.idempotencyKey] - Client-generated key; retries with the same key return the existing row
    * @returns {Promise<{data: Object|null, error: Error|null}>}
    */
   static async uploadPhoto(photoData) {
@@ -20,9 +22,20 @@ export class PhotoService {
         throw new Error('User not authenticated');
       }
 
-      // Generate unique filename
+      const { idempotencyKey } = photoData;
+
+      // A previous attempt may have succeeded before the response was lost
+      if (idempotencyKey) {
+        const { data: existing, error: existingError } = await this.getPhotoByIdempotencyKey(userId, idempotencyKey);
+        if (existingError) throw existingError;
+        if (existing) {
+          return { data: existing, error: null };
+        }
+      }
+
+      // Generate unique filename (stable per idempotency key so retries overwrite the same object)
       const fileExt = photoData.uri.split('.').pop() || 'jpg';
-      const fileName = `${userId}/${Date.now()}.${fileExt}`;
+      const fileName = `${userId}/${idempotencyKey || Date.now()}.${fileExt}`;
 
       let uploadData;
       let uploadError;
@@ -79,7 +92,7 @@ export class PhotoService {
             .from(STORAGE_BUCKETS.USER_PHOTOS)
             .upload(fileName, bytes, {
               contentType: `image/${fileExt}`,
-              upsert: false,
+              upsert: !!idempotencyKey,
             });
 
           uploadData = uploadResult.data;
@@ -104,7 +117,7 @@ export class PhotoService {
             .from(STORAGE_BUCKETS.USER_PHOTOS)
             .upload(fileName, blob, {
               contentType: `image/${fileExt}`,
-              upsert: false,
+              upsert: !!idempotencyKey,
             });
 
           uploadData = uploadResult.data;
@@ -137,10 +150,21 @@ export class PhotoService {
           constellation: photoData.constellation || [], // Array of constellation names
           brightness_rating: photoData.brightnessRating,
           taken_at: photoData.timestamp || new Date().toISOString(),
+          estimated_bortle: photoData.skyQuality?.bortleClass ?? null,
+          limiting_magnitude: photoData.skyQuality?.limitingMagnitude ?? null,
+          sky_brightness: photoData.skyQuality?.skyBrightness ?? null,
+          detected_star_count: photoData.skyQuality?.starCount ?? null,
+          sky_quality_version: photoData.skyQuality?.analyzerVersion ?? null,
+          twilight_phase: photoData.skyQuality?.twilightPhase ?? null,
+          idempotency_key: idempotencyKey || null,
         })
         .select()
         .single();
 
+      // Unique violation: a concurrent retry already inserted this photo
+      if (recordError?.code === '23505' && idempotencyKey) {
+        return await this.getPhotoByIdempotencyKey(userId, idempotencyKey);
+      }
       if (recordError) throw recordError;
 
       return { data: photoRecord, error: null };
@@ -150,6 +174,30 @@ export class PhotoService {
     }
   }
 
+  /**
+   * Find a photo row created with the given idempotency key
+   * @param {string} userId - Owner of the photo
+   * @param {string} idempotencyKey - Client-generated key
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  static async getPhotoByIdempotencyKey(userId, idempotencyKey) {
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.PHOTOS)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('idempotency_key', idempotencyKey)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get photo by idempotency key error:', error);
+      return { data: null, error };
+    }
+  }
+
   /**
    * Get all photos for the current user
    * @returns {Promise<{data: Array|null, error: Error|null}>}
@@ -307,7 +355,7 @@ export class PhotoService {
   }
 
   /**
-   * Update constellation detection results for a photo (for future AI analysis)
+   * Update constellation detection results for a photo (e.g. from the on-device plate solver)
    * @param {string} photoId - Photo ID to update
    * @param {string[]} constellations - Array of detected constellation names
    * @returns {Promise<{data: Object|null, error: Error|null}>}
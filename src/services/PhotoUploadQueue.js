@@ -0,0 +1,328 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import { PhotoService } from './PhotoService';
+import { supabase } from '../config/supabase';
+
+const QUEUE_STORAGE_KEY = '@skylore/photo_upload_queue';
+const QUEUE_DIRECTORY = `${FileSystem.documentDirectory}upload-queue/`;
+
+// Retry backoff: 5s, 10s, 20s ... capped at 30 minutes
+const BASE_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+// Photos another user captured on this device are dropped once they have waited this long
+const OTHER_USER_ITEM_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+let processingPromise = null;
+// Tail of the queue changes in progress; each change starts once the previous one has been saved
+let queueLock = Promise.resolve();
+let retryTimer = null;
+let appStateSubscription = null;
+const listeners = new Set();
+
+/**
+ * Persistent queue of photos waiting to be uploaded.
+ * Photos are written to AsyncStorage first so captures survive no-signal dark-sky sites
+ * and app restarts; each item carries a client-generated idempotency key that is stored
+ * on the photos row so retries never create duplicates. Items belong to the user who captured
+ * them and only upload while that user is signed in; another user's items expire after 30 days.
+ */
+export class PhotoUploadQueue {
+  /**
+   * Generate a client-side idempotency key (RFC 4122 v4 UUID)
+   * @returns {string}
+   */
+  static generateIdempotencyKey() {
+    if (typeof globalThis.crypto?.randomUUID === 'function') {
+      return globalThis.crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+      const r = Math.random() * 16 | 0;
+      const v = c === 'x' ? r : (r & 0x3) | 0x8;
+      return v.toString(16);
+    });
+  }
+
+  /**
+   * Delay before the next attempt, doubling with each failure plus up to 20% jitter
+   * @param {number} attempts - Number of failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  static getRetryDelay(attempts) {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY_MS);
+    return delay + Math.random() * delay * 0.2;
+  }
+
+  /**
+   * Read all queued uploads
+   * @returns {Promise<Array>}
+   */
+  static async getQueue() {
+    try {
+      const stored = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error reading photo upload queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Queued uploads that belong to a user
+   * @param {Array} queue
+   * @param {string|null|undefined} userId
+   * @returns {Array}
+   */
+  static getItemsForUser(queue, userId) {
+    return userId ? queue.filter(item => item.userId === userId) : [];
+  }
+
+  static async getCurrentUserId() {
+    return (await supabase.auth.getUser()).data.user?.id || null;
+  }
+
+  static async saveQueue(queue) {
+    await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    listeners.forEach(listener => listener(queue));
+  }
+
+  /**
+   * Read, change and save the queue. Changes run one at a time, so an item enqueued while an
+   * upload is saving its result is never overwritten.
+   * @param {Function} change - Called with the stored queue; returns the new queue, or undefined to keep it
+   * @returns {Promise<Array>} The queue after the change
+   */
+  static updateQueue(change) {
+    const update = queueLock.then(async () => {
+      const queue = await this.getQueue();
+      const next = change(queue);
+      if (!next) return queue;
+      await this.saveQueue(next);
+      return next;
+    });
+    queueLock = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Called with the current queue after every change
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    this.getQueue().then(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Copy the captured file out of the camera cache so the OS cannot purge it before upload
+   * @param {string} uri - Local file URI
+   * @param {string} idempotencyKey - Key used to name the copy
+   * @returns {Promise<string>} URI of the persisted copy (or the original for non-file URIs)
+   */
+  static async persistFile(uri, idempotencyKey) {
+    if (!uri.startsWith('file://') || !FileSystem.documentDirectory) return uri;
+
+    try {
+      await FileSystem.makeDirectoryAsync(QUEUE_DIRECTORY, { intermediates: true });
+      const fileExt = uri.split('.').pop() || 'jpg';
+      const persistedUri = `${QUEUE_DIRECTORY}${idempotencyKey}.${fileExt}`;
+      await FileSystem.copyAsync({ from: uri, to: persistedUri });
+      return persistedUri;
+    } catch (error) {
+      console.warn('Could not copy photo into upload queue, using original file:', error);
+      return uri;
+    }
+  }
+
+  /**
+   * Add a captured photo to the queue
+   * @param {Object} photoData - Same shape as PhotoService.uploadPhoto photoData
+   * @returns {Promise<Object>} The queued item
+   */
+  static async enqueue(photoData) {
+    const userId = await this.getCurrentUserId();
+    if (!userId) {
+      throw new Error('User not authenticated');
+    }
+    const idempotencyKey = photoData.idempotencyKey || this.generateIdempotencyKey();
+    const uri = await this.persistFile(photoData.uri, idempotencyKey);
+
+    const item = {
+      id: idempotencyKey,
+      userId,
+      photoData: { ...photoData, uri, idempotencyKey },
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: Date.now(),
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.updateQueue(queue => (queue.some(queued => queued.id === item.id) ? undefined : [...queue, item]));
+    return item;
+  }
+
+  /**
+   * Remove an item without uploading it
+   * @param {string} id - Idempotency key of the queued item
+   */
+  static async remove(id) {
+    let item = null;
+    await this.updateQueue(queue => {
+      item = queue.find(queued => queued.id === id);
+      return item ? queue.filter(queued => queued.id !== id) : undefined;
+    });
+    if (item) {
+      await this.deleteLocalFile(item.photoData.uri);
+    }
+  }
+
+  static async deleteLocalFile(uri) {
+    if (!uri.startsWith(QUEUE_DIRECTORY)) return;
+    try {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+    } catch (error) {
+      console.warn('Could not delete queued photo file:', error);
+    }
+  }
+
+  /**
+   * Upload the signed-in user's items whose retry time has come. Concurrent calls share one run;
+   * a forced call runs again after the current run so it also sees items queued since it began.
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Ignore backoff and retry everything now
+   * @returns {Promise<{uploaded: number, failed: number, remaining: number}>}
+   */
+  static processQueue({ force = false } = {}) {
+    if (processingPromise && !force) {
+      return processingPromise;
+    }
+
+    const previous = processingPromise || Promise.resolve();
+    const run = previous
+      .catch(() => {})
+      .then(() => this.runQueue(force))
+      .finally(() => {
+        if (processingPromise === run) {
+          processingPromise = null;
+          this.scheduleRetry();
+        }
+      });
+    processingPromise = run;
+    return run;
+  }
+
+  /**
+   * Drop photos that another user captured and has not uploaded for OTHER_USER_ITEM_TTL_MS
+   * @param {string|null} userId - The signed-in user, whose items are kept
+   */
+  static async expireOtherUsersItems(userId) {
+    const cutoff = Date.now() - OTHER_USER_ITEM_TTL_MS;
+    let expired = [];
+    await this.updateQueue(queue => {
+      expired = queue.filter(item => item.userId !== userId && !(Date.parse(item.createdAt) > cutoff));
+      return expired.length > 0 ? queue.filter(item => !expired.includes(item)) : undefined;
+    });
+    for (const item of expired) {
+      await this.deleteLocalFile(item.photoData.uri);
+    }
+  }
+
+  static async runQueue(force) {
+    const userId = await this.getCurrentUserId();
+    await this.expireOtherUsersItems(userId);
+    const queue = this.getItemsForUser(await this.getQueue(), userId);
+    const now = Date.now();
+    let uploaded = 0;
+    let failed = 0;
+
+    for (const item of queue) {
+      if (!force && item.nextAttemptAt > now) continue;
+
+      const { data, error } = await this.uploadAndTag(item.photoData);
+
+      if (!error && data) {
+        uploaded += 1;
+        await this.updateQueue(current => current.filter(queued => queued.id !== item.id));
+        await this.deleteLocalFile(item.photoData.uri);
+      } else {
+        failed += 1;
+        const attempts = item.attempts + 1;
+        await this.updateQueue(current => current.map(queued => (queued.id === item.id
+          ? {
+            ...queued,
+            attempts,
+            lastError: error?.message || 'Upload failed',
+            nextAttemptAt: Date.now() + this.getRetryDelay(attempts),
+          }
+          : queued)));
+      }
+    }
+
+    const remaining = this.getItemsForUser(await this.getQueue(), userId).length;
+    return { uploaded, failed, remaining };
+  }
+
+  /**
+   * Upload a queued photo, then write plate-solved constellations back to its row.
+   * A failed tag keeps the item queued; the retry finds the existing row by idempotency key.
+   */
+  static async uploadAndTag(photoData) {
+    const { data, error } = await PhotoService.uploadPhoto(photoData);
+    if (error || !data) return { data, error };
+
+    const solved = photoData.plateSolution?.constellations || [];
+    const existing = data.constellation || [];
+    if (solved.every(name => existing.includes(name))) {
+      return { data, error: null };
+    }
+
+    return PhotoService.updateConstellationDetection(data.id, Array.from(new Set([...existing, ...solved])));
+  }
+
+  // Wake up when the earliest pending item is due
+  static async scheduleRetry() {
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    if (!appStateSubscription) return;
+
+    // Another user's items wait for that user to sign in again
+    const queue = this.getItemsForUser(await this.getQueue(), await this.getCurrentUserId());
+    if (queue.length === 0) return;
+
+    const nextAttemptAt = Math.min(...queue.map(item => item.nextAttemptAt));
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      this.processQueue();
+    }, Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  /**
+   * Start background processing. Retries on the backoff schedule and immediately
+   * whenever the app returns to the foreground (typically after regaining signal).
+   */
+  static start() {
+    if (appStateSubscription) return;
+
+    appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        this.processQueue({ force: true });
+      }
+    });
+    this.processQueue();
+  }
+
+  static stop() {
+    if (appStateSubscription) {
+      appStateSubscription.remove();
+      appStateSubscription = null;
+    }
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  }
+}
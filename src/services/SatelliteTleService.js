@@ -0,0 +1,108 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { SatelliteCalculator } from '../utils/satellites';
+import bundledTle from '../../assets/satellites.json';
+
+const TLE_STORAGE_KEY = '@skylore/satellite_tle';
+
+const listeners = new Set();
+
+/**
+ * Two-line element sets for satellite pass prediction.
+ * A bundled snapshot is used until the user imports a TLE file; everything works offline.
+ */
+export class SatelliteTleService {
+  static getBundledCatalog() {
+    const { satellites, errors } = SatelliteCalculator.parseTle(bundledTle.tle);
+    return { satellites, errors, source: bundledTle.source, importedAt: null, isBundled: true };
+  }
+
+  /**
+   * Satellites from the imported TLE file, or the bundled snapshot if none was imported
+   * @returns {Promise<{data: Object|null, error: Error|null}>} data: satellites, errors, source, importedAt, isBundled
+   */
+  static async getCatalog() {
+    try {
+      const stored = await AsyncStorage.getItem(TLE_STORAGE_KEY);
+      if (!stored) return { data: this.getBundledCatalog(), error: null };
+
+      const { text, source, importedAt } = JSON.parse(stored);
+      const { satellites, errors } = SatelliteCalculator.parseTle(text);
+      return { data: { satellites, errors, source, importedAt, isBundled: false }, error: null };
+    } catch (error) {
+      console.error('Error reading satellite TLE file:', error);
+      return { data: this.getBundledCatalog(), error };
+    }
+  }
+
+  /**
+   * Validate and store TLE text (two- or three-line format, e.g. a CelesTrak download)
+   * @param {string} text
+   * @param {string} source - Shown alongside the passes, e.g. the file name
+   * @returns {Promise<{data: Object|null, error: Error|null}>} data includes per-line validation errors;
+   *   fails when no element set in the text is usable
+   */
+  static async importTle(text, source = 'Imported TLE file') {
+    try {
+      const { satellites, errors } = SatelliteCalculator.parseTle(text);
+      if (satellites.length === 0) {
+        throw new Error(errors.length > 0
+          ? `No valid element sets (${errors[0].message} at line ${errors[0].line})`
+          : 'No element sets found');
+      }
+
+      const importedAt = new Date().toISOString();
+      await AsyncStorage.setItem(TLE_STORAGE_KEY, JSON.stringify({ text, source, importedAt }));
+
+      const catalog = { satellites, errors, source, importedAt, isBundled: false };
+      listeners.forEach(listener => listener(catalog));
+      return { data: catalog, error: null };
+    } catch (error) {
+      console.error('Error importing satellite TLE file:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Import a TLE file already on the device
+   * @param {string} uri - Local file URI
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  static async importTleFile(uri) {
+    try {
+      const text = await FileSystem.readAsStringAsync(uri);
+      return this.importTle(text, uri.split('/').pop());
+    } catch (error) {
+      console.error('Error reading satellite TLE file:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Forget the imported file and go back to the bundled snapshot
+   * @returns {Promise<{error: Error|null}>}
+   */
+  static async clearImported() {
+    try {
+      await AsyncStorage.removeItem(TLE_STORAGE_KEY);
+      listeners.forEach(listener => listener(this.getBundledCatalog()));
+      return { error: null };
+    } catch (error) {
+      console.error('Error clearing satellite TLE file:', error);
+      return { error };
+    }
+  }
+
+  /**
+   * Subscribe to catalog changes
+   * @param {Function} listener - Called with the current catalog now and after every import or reset
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    this.getCatalog().then(({ data }) => {
+      if (listeners.has(listener)) listener(data);
+    });
+    return () => listeners.delete(listener);
+  }
+}
@@ -0,0 +1,190 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import {
+  importStellariumSkyCulture,
+  exportStellariumSkyCulture,
+  STELLARIUM_FILES,
+} from '../core/utils/stellariumSkyCulture';
+import {
+  addSkyCulture,
+  removeSkyCulture,
+  buildSkyCulture,
+  getSkyCulture,
+  WESTERN_SKY_CULTURE_ID,
+} from '../core/data/skyCultures';
+import { indigenousService } from '../core/services/indigenousCulturalService';
+import { getSkyCultureId, setSkyCultureId } from '../core/utils/skyCulture';
+
+const PACKAGES_STORAGE_KEY = '@skylore/sky_culture_packages';
+const EXPORT_DIRECTORY = 'skycultures';
+
+const listeners = new Set();
+// Summaries of the registered packages by sky culture ID
+const registered = new Map();
+
+/**
+ * Stellarium sky-culture packages imported by the user, and export of ours to the same format.
+ * Package files are kept as imported and read again at every launch, so later catalog additions
+ * recover stars that were missing at import time.
+ */
+export class SkyCulturePackageService {
+  static async getStoredPackages() {
+    const stored = await AsyncStorage.getItem(PACKAGES_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  // Make an imported culture's figures and stories available to the views
+  static register(stored) {
+    const { record, stories, report } = importStellariumSkyCulture(stored.files, { name: stored.source });
+    // Lines to unknown stars were already dropped and reported by the importer
+    addSkyCulture(buildSkyCulture(record, []));
+    indigenousService.setImportedStories(record.id, stories);
+
+    const summary = { id: record.id, name: record.name, source: stored.source, importedAt: stored.importedAt, report };
+    registered.set(record.id, summary);
+    return summary;
+  }
+
+  /**
+   * Packages registered in this session
+   * @returns {Array<Object>} id, name, source, importedAt and the validation report of each
+   */
+  static getImported() {
+    return Array.from(registered.values());
+  }
+
+  static notify() {
+    const packages = this.getImported();
+    listeners.forEach(listener => listener(packages));
+  }
+
+  /**
+   * Register the packages imported in earlier sessions; call once at startup
+   * @returns {Promise<{data: Array<Object>|null, error: Error|null}>} data: id, name, source, importedAt, report
+   */
+  static async restoreImported() {
+    try {
+      (await this.getStoredPackages()).forEach(stored => this.register(stored));
+      this.notify();
+      return { data: this.getImported(), error: null };
+    } catch (error) {
+      console.error('Error restoring sky-culture packages:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Validate and store a package
+   * @param {Object} files - File contents by name (index.json, or constellationship.fab and friends)
+   * @param {string} source - Shown in the list of imported cultures, e.g. the folder name
+   * @returns {Promise<{data: Object|null, error: Error|null}>} data: id, name, source, importedAt and the
+   *   validation report; fails when no figure or star name in the package maps to the catalog
+   */
+  static async importPackage(files, source = 'Imported sky culture') {
+    try {
+      const { record, report } = importStellariumSkyCulture(files, { name: source });
+      if (record.figures.length === 0 && Object.keys(record.starNames).length === 0) {
+        const firstIssue = report.issues[0];
+        throw new Error(firstIssue ? `Nothing could be imported (${firstIssue.message})` : 'No figures or star names found');
+      }
+
+      // Importing the same culture again replaces it
+      const stored = { id: record.id, files, source, importedAt: new Date().toISOString() };
+      const packages = (await this.getStoredPackages()).filter(existing => existing.id !== record.id);
+      await AsyncStorage.setItem(PACKAGES_STORAGE_KEY, JSON.stringify([...packages, stored]));
+
+      const imported = this.register(stored);
+      this.notify();
+      return { data: imported, error: null };
+    } catch (error) {
+      console.error('Error importing sky-culture package:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Import a package already on the device: a folder of Stellarium files, or an index.json file
+   * @param {string} uri - Local folder or file URI
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  static async importPackageFromUri(uri) {
+    try {
+      const path = uri.replace(/\/+$/, '');
+      const name = path.split('/').pop();
+      if (name.toLowerCase().endsWith('.json')) {
+        const text = await FileSystem.readAsStringAsync(path);
+        return this.importPackage({ [STELLARIUM_FILES.INDEX]: text }, path.split('/').slice(-2)[0]);
+      }
+
+      const available = await FileSystem.readDirectoryAsync(path);
+      const files = {};
+      for (const fileName of Object.values(STELLARIUM_FILES)) {
+        if (available.includes(fileName)) {
+          files[fileName] = await FileSystem.readAsStringAsync(`${path}/${fileName}`);
+        }
+      }
+      if (Object.keys(files).length === 0) {
+        throw new Error('No Stellarium sky-culture files in this folder');
+      }
+      return this.importPackage(files, name);
+    } catch (error) {
+      console.error('Error reading sky-culture package:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Forget an imported package and its stories
+   * @returns {Promise<{error: Error|null}>}
+   */
+  static async removeImported(id) {
+    try {
+      const packages = (await this.getStoredPackages()).filter(stored => stored.id !== id);
+      await AsyncStorage.setItem(PACKAGES_STORAGE_KEY, JSON.stringify(packages));
+
+      removeSkyCulture(id);
+      indigenousService.setImportedStories(id, []);
+      registered.delete(id);
+      // A package read back onto a bundled culture leaves the bundled one selected
+      if (getSkyCultureId() === id && getSkyCulture(id).id !== id) setSkyCultureId(WESTERN_SKY_CULTURE_ID);
+      this.notify();
+      return { error: null };
+    } catch (error) {
+      console.error('Error removing sky-culture package:', error);
+      return { error };
+    }
+  }
+
+  /**
+   * Write a sky culture as a Stellarium package into the app's documents folder
+   * @returns {Promise<{data: {uri: string, fileNames: string[], report: Object}|null, error: Error|null}>}
+   *   uri is the package folder, ready to copy into Stellarium's skycultures folder
+   */
+  static async exportPackage(skyCultureId) {
+    try {
+      const culture = getSkyCulture(skyCultureId);
+      const { files, report } = exportStellariumSkyCulture(culture);
+
+      const uri = `${FileSystem.documentDirectory}${EXPORT_DIRECTORY}/${culture.id}`;
+      await FileSystem.makeDirectoryAsync(uri, { intermediates: true });
+      for (const [fileName, text] of Object.entries(files)) {
+        await FileSystem.writeAsStringAsync(`${uri}/${fileName}`, text);
+      }
+      return { data: { uri, fileNames: Object.keys(files), report }, error: null };
+    } catch (error) {
+      console.error('Error exporting sky-culture package:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Subscribe to the list of imported packages
+   * @param {Function} listener - Called with the imported packages now and after every restore, import or removal
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    listener(this.getImported());
+    return () => listeners.delete(listener);
+  }
+}
@@ -0,0 +1,319 @@
+import { supabase, TABLES, PROFILE_ROLES } from '../config/supabase';
+import { normalizeStory, linkCatalogStars } from '../core/data/culturalKnowledge';
+import { indigenousService } from '../core/services/indigenousCulturalService';
+
+export const SUBMISSION_STATUS = {
+  PENDING: 'pending',
+  CHANGES_REQUESTED: 'changes_requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+// Decisions a reviewer can make; all but approval need a note telling the submitter why
+export const REVIEW_DECISIONS = [
+  SUBMISSION_STATUS.APPROVED,
+  SUBMISSION_STATUS.CHANGES_REQUESTED,
+  SUBMISSION_STATUS.REJECTED,
+];
+
+// Kinds of sky object a story can be about, as the bundled stories name them
+export const STORY_OBJECT_TYPES = ['Star', 'Constellation', 'Asterism', 'Planet', 'Galaxy Feature', 'Dark Constellation'];
+
+// Consent levels a story can be submitted with; sacred knowledge is not shared through the app
+export const SUBMITTABLE_CONSENT_LEVELS = ['public', 'restricted'];
+
+// Source the approved stories are served under in the cultural service
+const COMMUNITY_STORIES_SOURCE = 'community-submissions';
+
+const listeners = new Set();
+
+const requireUserId = async () => {
+  const userId = (await supabase.auth.getUser()).data.user?.id;
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+  return userId;
+};
+
+/**
+ * Community story submissions: stories sent in from the app wait in a moderation queue until a
+ * reviewer approves, rejects or asks for changes. Every submission, edit and decision is written
+ * to story_submission_events by the database, so the audit trail does not depend on the app.
+ * Approved stories are served by the cultural service alongside the bundled ones.
+ */
+export class StorySubmissionService {
+  /**
+   * Whether a profile may moderate submissions. Only decides what the app shows; the database
+   * checks the role again on every read and review.
+   */
+  static isReviewer(profile) {
+    return profile?.role === PROFILE_ROLES.REVIEWER;
+  }
+
+  /**
+   * Story record (assets/indigenous.json schema 2) from the submission form
+   * @param {Object} fields
+   * @param {string} fields.indigenousName - The story's own name for the object
+   * @param {string} fields.westernName - What it is in the sky, e.g. 'Pleiades' or 'Scorpius (Antares)'
+   * @param {string} fields.culture - Culture the story is told in
+   * @param {string} fields.story - The story or meaning
+   * @param {string} fields.objectType - One of STORY_OBJECT_TYPES
+   * @param {string} fields.consent - 'public' or 'restricted'
+   * @param {string} [fields.community] - Community the knowledge belongs to; the culture when empty
+   * @param {string} [fields.contributors] - Knowledge holders, comma-separated, as they wish to be named
+   * @param {string} [fields.permission] - How the community agreed to share it
+   * @param {string} [fields.language] - Language of the name and story
+   * @param {string} [fields.sources] - One source per line; a URL in the line is kept as its link
+   * @returns {Object} Story
+   * @throws {Error} When a required field is missing or the consent level cannot be submitted
+   */
+  static buildStory(fields) {
+    if (!SUBMITTABLE_CONSENT_LEVELS.includes(fields.consent)) {
+      throw new Error('Choose who may see this story');
+    }
+
+    const trimmed = (value) => (value || '').trim();
+    const story = normalizeStory({
+      western_name: trimmed(fields.westernName),
+      culture: trimmed(fields.culture),
+      indigenous_name: trimmed(fields.indigenousName),
+      story_or_meaning: trimmed(fields.story),
+      object_type: trimmed(fields.objectType),
+      // Dark constellations are the dust lanes between the stars
+      constellation_type: fields.objectType === 'Dark Constellation' ? 'Dark' : 'Light',
+      consent: fields.consent,
+      attribution: {
+        community: trimmed(fields.community) || trimmed(fields.culture),
+        contributors: trimmed(fields.contributors).split(',').map(trimmed).filter(Boolean),
+        permission: trimmed(fields.permission),
+      },
+      language: trimmed(fields.language) ? { name: trimmed(fields.language) } : null,
+      sources: trimmed(fields.sources).split('\n').map(trimmed).filter(Boolean).map(citation => {
+        const url = citation.match(/https?:\/\/\S+/)?.[0];
+        return { citation, ...(url ? { url } : {}), resolved: true };
+      }),
+      star_ids: linkCatalogStars(trimmed(fields.westernName)),
+    });
+
+    if (!story) {
+      throw new Error('Name, sky object, culture and story are all needed');
+    }
+    return story;
+  }
+
+  /**
+   * Form fields for editing a submitted story, the reverse of buildStory
+   */
+  static getFormFields(story) {
+    return {
+      indigenousName: story.indigenous_name,
+      westernName: story.western_name,
+      culture: story.culture,
+      story: story.story_or_meaning,
+      objectType: story.object_type,
+      consent: story.consent,
+      community: story.attribution.community,
+      contributors: story.attribution.contributors.join(', '),
+      permission: story.attribution.permission || '',
+      language: story.language?.name || '',
+      sources: story.sources.map(source => source.citation).join('\n'),
+    };
+  }
+
+  /**
+   * Send a story to the moderation queue
+   * @param {Object} fields - Form fields, see buildStory
+   * @returns {Promise<{data: Object|null, error: Error|null}>} data: the submission row
+   */
+  static async submitStory(fields) {
+    try {
+      const userId = await requireUserId();
+      const story = this.buildStory(fields);
+
+      const { data, error } = await supabase
+        .from(TABLES.STORY_SUBMISSIONS)
+        .insert({ submitted_by: userId, story })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Submit story error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Edit a submitted story. A submitter's edit sends it back to the queue as pending, even a reviewer
+   * editing their own story; a reviewer's edit of someone else's story keeps its status. Either way
+   * the change is added to the audit trail.
+   * @param {string} submissionId
+   * @param {Object} fields - Form fields, see buildStory
+   * @returns {Promise<{data: Object|null, error: Error|null}>} data: the updated submission row
+   */
+  static async updateSubmission(submissionId, fields) {
+    try {
+      const userId = await requireUserId();
+      const story = this.buildStory(fields);
+
+      const { data, error } = await supabase
+        .from(TABLES.STORY_SUBMISSIONS)
+        .update({ story })
+        .eq('id', submissionId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // An approved story its reviewer edited is back in the queue and no longer served
+      if (data.status === SUBMISSION_STATUS.APPROVED || data.submitted_by === userId) await this.loadApprovedStories();
+      return { data, error: null };
+    } catch (error) {
+      console.error('Update story submission error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * The current user's submissions, newest first
+   * @returns {Promise<{data: Array|null, error: Error|null}>}
+   */
+  static async getUserSubmissions() {
+    try {
+      const userId = await requireUserId();
+
+      const { data, error } = await supabase
+        .from(TABLES.STORY_SUBMISSIONS)
+        .select('*')
+        .eq('submitted_by', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get story submissions error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Submissions in a review state, for reviewers; the oldest waiting comes first
+   * @param {string} [status] - One of SUBMISSION_STATUS; pending by default
+   * @returns {Promise<{data: Array|null, error: Error|null}>}
+   */
+  static async getModerationQueue(status = SUBMISSION_STATUS.PENDING) {
+    try {
+      await requireUserId();
+
+      const { data, error } = await supabase
+        .from(TABLES.STORY_SUBMISSIONS)
+        .select('*')
+        .eq('status', status)
+        .order('updated_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get moderation queue error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Decide on a submission
+   * @param {string} submissionId
+   * @param {string} decision - One of REVIEW_DECISIONS
+   * @param {string} [note] - Shown to the submitter; required unless approving
+   * @returns {Promise<{data: Object|null, error: Error|null}>} data: the updated submission row
+   */
+  static async reviewSubmission(submissionId, decision, note = '') {
+    try {
+      await requireUserId();
+      if (!REVIEW_DECISIONS.includes(decision)) {
+        throw new Error(`Unknown review decision: ${decision}`);
+      }
+      if (decision !== SUBMISSION_STATUS.APPROVED && !note.trim()) {
+        throw new Error('Tell the submitter what to change or why the story was declined');
+      }
+
+      const { data, error } = await supabase
+        .from(TABLES.STORY_SUBMISSIONS)
+        .update({ status: decision, review_note: note.trim() || null })
+        .eq('id', submissionId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.loadApprovedStories();
+      return { data, error: null };
+    } catch (error) {
+      console.error('Review story submission error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Audit trail of a submission, oldest first
+   * @param {string} submissionId
+   * @returns {Promise<{data: Array|null, error: Error|null}>} data: events with action, actor_id,
+   *   status, note, the story after the change and created_at
+   */
+  static async getSubmissionHistory(submissionId) {
+    try {
+      await requireUserId();
+
+      const { data, error } = await supabase
+        .from(TABLES.STORY_SUBMISSION_EVENTS)
+        .select('*')
+        .eq('submission_id', submissionId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get story submission history error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Serve the approved stories from the cultural service; call at startup and after sign-in.
+   * The database sends restricted stories to reviewers and submitters only, and the service
+   * keeps them out of public views.
+   * @returns {Promise<{data: Array|null, error: Error|null}>} data: the stories now served
+   */
+  static async loadApprovedStories() {
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.STORY_SUBMISSIONS)
+        .select('id, story')
+        .eq('status', SUBMISSION_STATUS.APPROVED);
+
+      if (error) throw error;
+
+      const stories = data.map(submission => ({ ...submission.story, id: `community-${submission.id}` }));
+      indigenousService.setImportedStories(COMMUNITY_STORIES_SOURCE, stories);
+      listeners.forEach(listener => listener(stories));
+      return { data: stories, error: null };
+    } catch (error) {
+      console.error('Load approved stories error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Subscribe to changes in the approved stories served
+   * @param {Function} listener - Called with the approved stories after every load
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+}
@@ -0,0 +1,91 @@
+import { SatelliteCalculator } from '../satellites';
+
+const ISS_TLE = [
+  'ISS (ZARYA)',
+  '1 25544U 98067A   19156.50900463  .00003075  00000-0  59442-4 0  9992',
+  '2 25544  51.6433  59.2583 0008217  16.4489 347.6017 15.51174618173442',
+].join('\n');
+
+const MADRID = { coords: { latitude: 40.42, longitude: -3.7, altitude: 0 } };
+
+// Reference events from SGP4 sampled every second: altitude crossing 10°, and the highest sample
+const DAYTIME_PASS = {
+  rise: '2019-06-05T13:55:31Z',
+  culmination: '2019-06-05T13:58:48Z',
+  culminationAltitude: 80.7,
+  set: '2019-06-05T14:02:07Z',
+};
+// Rises in sunlight after dusk and sets in Earth's shadow
+const EVENING_PASS = {
+  rise: '2019-06-05T20:24:47Z',
+  culmination: '2019-06-05T20:28:07Z',
+  culminationAltitude: 76.8,
+  set: '2019-06-05T20:31:27Z',
+};
+
+const secondsBetween = (date, iso) => Math.abs(date.getTime() - new Date(iso).getTime()) / 1000;
+
+describe('SatelliteCalculator.parseTle', () => {
+  it('reads a named element set', () => {
+    const { satellites, errors } = SatelliteCalculator.parseTle(ISS_TLE);
+
+    expect(errors).toEqual([]);
+    expect(satellites).toHaveLength(1);
+    expect(satellites[0]).toMatchObject({ name: 'ISS (ZARYA)', noradId: '25544' });
+    expect(secondsBetween(satellites[0].epoch, '2019-06-05T12:12:58Z')).toBeLessThan(1);
+  });
+
+  it('rejects a line whose checksum does not match', () => {
+    // Inclination changed from 51.6433 without updating the final digit
+    const corrupted = ISS_TLE.replace('51.6433', '51.6434');
+    const { satellites, errors } = SatelliteCalculator.parseTle(`${corrupted}\n${ISS_TLE}`);
+
+    expect(errors).toEqual([{ line: 2, message: 'Checksum mismatch' }]);
+    expect(satellites).toHaveLength(1);
+  });
+});
+
+describe('SatelliteCalculator.predictPasses', () => {
+  const [iss] = SatelliteCalculator.parseTle(ISS_TLE).satellites;
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each([
+    ['a daytime pass', DAYTIME_PASS, '2019-06-05T13:30:00Z'],
+    ['an evening pass', EVENING_PASS, '2019-06-05T20:00:00Z'],
+  ])('times %s to the second', (_, expected, start) => {
+    const [pass] = SatelliteCalculator.predictPasses(iss, MADRID, new Date(start), { hours: 1 });
+
+    expect(secondsBetween(pass.rise.time, expected.rise)).toBeLessThan(2);
+    expect(secondsBetween(pass.culmination.time, expected.culmination)).toBeLessThan(2);
+    expect(pass.culmination.altitude).toBeCloseTo(expected.culminationAltitude, 1);
+    expect(secondsBetween(pass.set.time, expected.set)).toBeLessThan(2);
+  });
+
+  it('only counts a pass as visible when the sunlit satellite crosses a dark sky', () => {
+    const [daytime] = SatelliteCalculator.predictPasses(iss, MADRID, new Date('2019-06-05T13:30:00Z'), { hours: 1 });
+    expect(daytime.rise.sunlit).toBe(true);
+    expect(daytime.set.sunlit).toBe(true);
+    expect(daytime.visible).toBe(false);
+
+    const [evening] = SatelliteCalculator.predictPasses(iss, MADRID, new Date('2019-06-05T20:00:00Z'), { hours: 1 });
+    expect(evening.rise.sunlit).toBe(true);
+    expect(evening.set.sunlit).toBe(false);
+    expect(evening.visible).toBe(true);
+    expect(evening.visibleStart.getTime()).toBeGreaterThanOrEqual(evening.rise.time.getTime());
+    expect(evening.visibleEnd.getTime()).toBeLessThan(evening.set.time.getTime());
+  });
+
+  it('skips a pass the elements can no longer propagate through', () => {
+    const decay = new Date(EVENING_PASS.culmination).getTime();
+    const getPosition = SatelliteCalculator.getPosition.bind(SatelliteCalculator);
+    jest.spyOn(SatelliteCalculator, 'getPosition').mockImplementation((satellite, location, date) => (
+      date.getTime() < decay ? getPosition(satellite, location, date) : null
+    ));
+
+    const passes = SatelliteCalculator.predictPasses(iss, MADRID, new Date('2019-06-05T13:30:00Z'), { hours: 8 });
+    expect(passes).toHaveLength(4);
+    expect(secondsBetween(passes[0].rise.time, DAYTIME_PASS.rise)).toBeLessThan(2);
+    expect(passes.every(pass => pass.set.time.getTime() < new Date(EVENING_PASS.rise).getTime())).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+import jpeg from 'jpeg-js';
+import { encode } from 'base-64';
+import { SkyQualityAnalyzer } from '../skyQuality';
+
+const WIDTH = 400;
+const HEIGHT = 300;
+
+// Grey RGBA frame with optional 3x3 stars, and a smooth glow like a light dome or cloud
+const makeImage = ({ sky, stars = [], glow = null }) => {
+  const data = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      let value = sky + ((x * 7 + y * 13) % 3); // A little sensor noise
+      if (glow) value += glow.peak * Math.exp(-((x - glow.x) ** 2 + (y - glow.y) ** 2) / (2 * glow.radius ** 2));
+      const offset = (y * WIDTH + x) * 4;
+      data[offset] = data[offset + 1] = data[offset + 2] = Math.min(255, Math.round(value));
+      data[offset + 3] = 255;
+    }
+  }
+  stars.forEach(({ x, y }) => {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const offset = ((y + dy) * WIDTH + x + dx) * 4;
+        data[offset] = data[offset + 1] = data[offset + 2] = dx === 0 && dy === 0 ? 255 : 160;
+      }
+    }
+  });
+  return { width: WIDTH, height: HEIGHT, data };
+};
+
+// A grid of well separated stars
+const starField = count => Array.from({ length: count }, (_, i) => ({
+  x: 20 + (i % 12) * 30,
+  y: 20 + Math.floor(i / 12) * 30,
+}));
+
+describe('SkyQualityAnalyzer', () => {
+  it('finds every star on a dark sky', () => {
+    const image = makeImage({ sky: 8, stars: starField(60) });
+    const detection = SkyQualityAnalyzer.detectPointSources(image);
+
+    expect(detection.sources).toHaveLength(60);
+    expect(detection.sources[0]).toMatchObject({ x: 20.5, y: 20.5 });
+    expect(SkyQualityAnalyzer.analyzeImage(image, detection).starCount).toBe(60);
+  });
+
+  it('rates a darker sky with more stars as a better site', () => {
+    const dark = SkyQualityAnalyzer.analyzeImage(makeImage({ sky: 8, stars: starField(60) }));
+    const suburban = SkyQualityAnalyzer.analyzeImage(makeImage({ sky: 40, stars: starField(10) }));
+
+    expect(dark.skyBrightness).toBeGreaterThan(suburban.skyBrightness);
+    expect(dark.limitingMagnitude).toBeGreaterThan(suburban.limitingMagnitude);
+    expect(dark.bortleClass).toBeLessThan(suburban.bortleClass);
+  });
+
+  it('rates a bright, starless sky as inner-city', () => {
+    const quality = SkyQualityAnalyzer.analyzeImage(makeImage({ sky: 120 }));
+    expect(quality.starCount).toBe(0);
+    expect(quality.skyBrightness).toBeLessThan(18);
+    expect(quality.bortleClass).toBe(9);
+  });
+
+  it('does not count a light dome as a star', () => {
+    const image = makeImage({ sky: 8, stars: starField(12), glow: { x: 200, y: 220, radius: 30, peak: 120 } });
+    expect(SkyQualityAnalyzer.detectPointSources(image).sources).toHaveLength(12);
+  });
+
+  it('maps limiting magnitudes onto the Bortle scale', () => {
+    expect(SkyQualityAnalyzer.limitingMagnitudeToBortle(7.8)).toBe(1);
+    expect(SkyQualityAnalyzer.limitingMagnitudeToBortle(6.2)).toBe(4);
+    expect(SkyQualityAnalyzer.limitingMagnitudeToBortle(4.0)).toBe(9);
+  });
+
+  it('decodes base64 JPEG data into RGBA pixels', () => {
+    const encoded = jpeg.encode(makeImage({ sky: 8, stars: starField(5) }), 95);
+    const image = SkyQualityAnalyzer.decodeJpeg(encode(String.fromCharCode(...encoded.data)));
+    expect(image).toMatchObject({ width: WIDTH, height: HEIGHT });
+    expect(image.data).toHaveLength(WIDTH * HEIGHT * 4);
+  });
+});
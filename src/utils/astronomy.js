@@ -1,4 +1,32 @@
 // Astronomical calculations for star positions
+import { SolarSystemCalculator } from './solarSystem';
+import { TwilightCalculator, TWILIGHT_PHASES } from './twilight';
+import { constellationFigures } from '../core/data/starCatalog';
+import { deepSkyObjects } from '../core/data/deepSkyCatalog';
+import { getSessionAlignment, applyAlignmentToOrientation } from '../core/utils/starAlignment';
+import { orientationAnglesToQuaternion } from '../core/utils/ahrs';
+import { altitudeAzimuthToCartesian } from '../core/utils/coordinates';
+import { getApparentHorizontal, STANDARD_ATMOSPHERE } from '../core/utils/apparentPlace';
+import {
+  getCameraIntrinsics,
+  worldToCameraSpace,
+  projectWithIntrinsics,
+  isOnScreen,
+} from '../core/utils/projection';
+
+// Last corrected orientation; horizontalToScreen runs once per star with the same device pose
+let alignmentCache = { alignment: null, heading: null, pitch: null, roll: null, result: null };
+// Last camera pose, cached for the same reason
+let poseCache = { heading: null, pitch: null, roll: null, quaternion: null };
+
+const OFF_SCREEN = { x: -1000, y: -1000 };
+
+// Constellations above the horizon during the dark hours, recomputed once per night and location.
+// `from`/`until` is the span of times already known to fall in that night.
+let tonightCache = { place: null, night: null, figures: null, from: null, until: null, names: null };
+const VISIBILITY_SAMPLE_MINUTES = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
 export class AstronomyCalculator {
   // Convert degrees to radians
   static degToRad(degrees) {
@@ -61,31 +89,29 @@ export class AstronomyCalculator {
     };
   }
 
-  // Calculate constellation positions for current location and time
-  static calculateStarPositions(location, date = new Date()) {
+  // Apparent altitude/azimuth of a J2000 catalog star: proper motion, precession, nutation, aberration
+  // and refraction for the given temperature (°C) and pressure (mbar); pass atmosphere = null for no refraction
+  static getApparentPosition(star, location, date = new Date(), atmosphere = STANDARD_ATMOSPHERE) {
+    return getApparentHorizontal(
+      star,
+      date,
+      { latitude: location.coords.latitude, longitude: location.coords.longitude },
+      atmosphere
+    );
+  }
+
+  // Calculate constellation positions for current location and time; figures default to the Western
+  // constellations, or pass a sky culture's figures
+  static calculateStarPositions(location, date = new Date(), atmosphere = STANDARD_ATMOSPHERE, figures = constellationFigures) {
     if (!location) return [];
 
-    const jd = this.getJulianDate(date);
-    const lst = this.getLST(jd, location.coords.longitude);
-    const currentSeason = this.getCurrentSeason(date);
-
-    return CONSTELLATIONS
-      .filter(constellation => {
-        // Filter by season if specified
-        if (constellation.seasons && !constellation.seasons.includes(currentSeason)) {
-          return false;
-        }
-        return true;
-      })
+    const visibleTonight = this.getConstellationsVisibleTonight(location, date, figures);
+
+    return figures
       .map(constellation => {
       // Calculate position for each star in the constellation
       const starsWithPositions = constellation.stars.map(star => {
-        const position = this.equatorialToHorizontal(
-          star.ra,
-          star.dec,
-          location.coords.latitude,
-          lst
-        );
+        const position = this.getApparentPosition(star, location, date, atmosphere);
 
         return {
           ...star,
@@ -101,445 +127,178 @@ export class AstronomyCalculator {
         ...constellation,
         stars: starsWithPositions,
         horizontalPosition: referenceStar?.horizontalPosition || { altitude: 0, azimuth: 0 },
+        visibleTonight: visibleTonight.has(constellation.name),
         visible: true // Enable daytime viewing for constellations
       };
+    })
+    // Keep what is up during tonight's dark hours, plus anything above the horizon right now
+    .filter(constellation => (
+      constellation.visibleTonight || constellation.stars.some(star => star.horizontalPosition.altitude > 0)
+    ));
+  }
+
+  // Deep-sky objects (Messier and bright NGC) with their apparent position; visible when above the horizon.
+  // Type and magnitude filtering is left to the views so changing the filter does not recompute positions.
+  static calculateDeepSkyPositions(location, date = new Date(), atmosphere = STANDARD_ATMOSPHERE) {
+    if (!location) return [];
+
+    return deepSkyObjects.map(object => {
+      const position = this.getApparentPosition(object, location, date, atmosphere);
+      return {
+        ...object,
+        horizontalPosition: position,
+        visible: position.altitude > 0,
+      };
     });
   }
 
-  // Calculate which stars should be visible based on device orientation (heading, pitch, roll)
-  static getVisibleStars(starPositions, heading, pitch, roll, fieldOfView = 60) {
-    const verticalFOV = 90; // Vertical field of view in degrees
-    
-    return starPositions.filter(constellation => {
-      if (!constellation.visible) return false;
-
-      // Filter stars within the field of view
-      const visibleStars = constellation.stars.filter(star => {
-        if (!star.visible) return false;
-
-        // Calculate horizontal angular distance from device heading
-        let horizontalAngle = star.horizontalPosition.azimuth - heading;
-        while (horizontalAngle > 180) horizontalAngle -= 360;
-        while (horizontalAngle < -180) horizontalAngle += 360;
-        
-        // Apply roll compensation
-        const rollCompensatedAngle = horizontalAngle + (roll * 0.3);
-        
-        // Check if star is within horizontal field of view
-        const inHorizontalFOV = Math.abs(rollCompensatedAngle) <= fieldOfView / 2;
-        
-        // Calculate what altitude the device is looking at based on pitch
-        // When pitch = 0, device is looking at horizon (altitude = 0)
-        // When pitch = -30, device is looking 30° above horizon
-        // When pitch = +30, device is looking 30° below horizon
-        const deviceLookingAtAltitude = -pitch; // Invert pitch for altitude calculation
-        
-        // Calculate vertical angle from device's viewing direction
-        const verticalAngle = star.horizontalPosition.altitude - deviceLookingAtAltitude;
-        
-        // Check if star is within vertical field of view
-        const inVerticalFOV = Math.abs(verticalAngle) <= verticalFOV / 2;
-        
-        // CRITICAL: Only show stars that are above the horizon
-        // Stars below horizon (altitude < 0) should never be visible
-        const aboveHorizon = star.horizontalPosition.altitude > 0;
-        
-        return inHorizontalFOV && inVerticalFOV && aboveHorizon;
-      });
+  // Names of constellations with at least one star above the horizon at some point between dusk and dawn
+  // of the night in progress (or the coming night). Empty during polar day.
+  static getConstellationsVisibleTonight(location, date = new Date(), figures = constellationFigures) {
+    const { latitude, longitude } = location.coords;
+    const place = `${latitude.toFixed(1)}:${longitude.toFixed(1)}`;
+    const cached = tonightCache.place === place && tonightCache.figures === figures ? tonightCache : null;
+    if (cached && date >= cached.from && date < cached.until) return cached.names;
+
+    // Every moment from now until dawn belongs to the same night; during polar day, until the day ends
+    const darkWindow = TwilightCalculator.getDarkWindow(latitude, longitude, date);
+    const dayStart = TwilightCalculator.getLocalDayStart(longitude, date);
+    const night = darkWindow ? `night:${darkWindow.start.toISOString()}` : `day:${dayStart.toISOString()}`;
+    const until = darkWindow ? darkWindow.end : new Date(dayStart.getTime() + 24 * HOUR_MS);
+    if (cached && cached.night === night) {
+      tonightCache = { ...cached, from: date < cached.from ? date : cached.from, until };
+      return cached.names;
+    }
+
+    const names = new Set();
+    if (darkWindow) {
+      const stepMs = VISIBILITY_SAMPLE_MINUTES * 60 * 1000;
+      for (let t = darkWindow.start.getTime(); t <= darkWindow.end.getTime(); t += stepMs) {
+        const sampleTime = new Date(t);
+        figures.forEach(constellation => {
+          if (names.has(constellation.name)) return;
+          const isUp = constellation.stars.some(star => (
+            this.getApparentPosition(star, location, sampleTime).altitude > 0
+          ));
+          if (isUp) names.add(constellation.name);
+        });
+      }
+    }
+
+    tonightCache = { place, night, figures, from: date, until, names };
+    return names;
+  }
+
+  // Calculate Sun, Moon and planet positions in the same horizontalPosition shape as constellation stars
+  static calculateSolarSystemPositions(location, date = new Date()) {
+    return SolarSystemCalculator.calculateBodyPositions(location, date);
+  }
+
+  // Correct sensor heading/pitch/roll with the session star alignment, if the user has aligned
+  static applyAlignment(heading, pitch, roll) {
+    const alignment = getSessionAlignment();
+    if (!alignment) return { heading, pitch, roll };
+
+    const cache = alignmentCache;
+    if (cache.alignment !== alignment || cache.heading !== heading || cache.pitch !== pitch || cache.roll !== roll) {
+      alignmentCache = {
+        alignment,
+        heading,
+        pitch,
+        roll,
+        result: applyAlignmentToOrientation(alignment, { heading, pitch, roll }),
+      };
+    }
+    return alignmentCache.result;
+  }
+
+  // Device → world (east/north/up) rotation for sensor heading/pitch/roll in the useCompass convention
+  static getCameraPose(heading, pitch, roll) {
+    if (poseCache.heading !== heading || poseCache.pitch !== pitch || poseCache.roll !== roll) {
+      poseCache = { heading, pitch, roll, quaternion: orientationAnglesToQuaternion(heading, -pitch, roll) };
+    }
+    return poseCache.quaternion;
+  }
+
+  // Calculate which stars land on screen for the device orientation (heading, pitch, roll)
+  static getVisibleStars(starPositions, heading, pitch, roll, screenWidth, screenHeight, intrinsics = getCameraIntrinsics(screenWidth, screenHeight)) {
+    const isInView = star => {
+      if (!star.visible) return false;
+      const { azimuth, altitude } = star.horizontalPosition;
+      return this.horizontalToScreen(azimuth, altitude, heading, pitch, roll, screenWidth, screenHeight, intrinsics) !== OFF_SCREEN;
+    };
 
-      // Return constellation if it has visible stars
-      return visibleStars.length > 0;
-    }).map(constellation => ({
-      ...constellation,
-      stars: constellation.stars.filter(star => {
-        if (!star.visible) return false;
-        
-        // Same logic as above for filtering individual stars
-        let horizontalAngle = star.horizontalPosition.azimuth - heading;
-        while (horizontalAngle > 180) horizontalAngle -= 360;
-        while (horizontalAngle < -180) horizontalAngle += 360;
-        
-        const rollCompensatedAngle = horizontalAngle + (roll * 0.3);
-        const inHorizontalFOV = Math.abs(rollCompensatedAngle) <= fieldOfView / 2;
-        
-        const deviceLookingAtAltitude = -pitch;
-        const verticalAngle = star.horizontalPosition.altitude - deviceLookingAtAltitude;
-        const inVerticalFOV = Math.abs(verticalAngle) <= verticalFOV / 2;
-        
-        // CRITICAL: Only show stars that are above the horizon
-        const aboveHorizon = star.horizontalPosition.altitude > 0;
-        
-        return inHorizontalFOV && inVerticalFOV && aboveHorizon;
-      })
-    }));
+    return starPositions
+      .filter(constellation => constellation.visible)
+      .map(constellation => ({ ...constellation, stars: constellation.stars.filter(isInView) }))
+      .filter(constellation => constellation.stars.length > 0);
   }
 
-  // Calculate sunrise and sunset times for a given location and date
+  // Sunrise and sunset for the local day containing `date`.
+  // Both are null when the Sun stays up (polarDay) or down (polarNight) all day.
   static calculateSunTimes(latitude, longitude, date = new Date()) {
-    const jd = this.getJulianDate(date);
-    const n = Math.floor(jd - 2451545.0 + 0.0008);
-    const lngHour = longitude / 15;
-    
-    // Approximate time
-    const t = n + lngHour;
-    
-    // Solar mean anomaly
-    const M = (357.5291 + 0.98560028 * t) % 360;
-    const MRad = this.degToRad(M);
-    
-    // Equation of center
-    const C = 1.9148 * Math.sin(MRad) + 0.0200 * Math.sin(2 * MRad) + 0.0003 * Math.sin(3 * MRad);
-    
-    // Ecliptic longitude
-    const lambda = (M + C + 180 + 102.9372) % 360;
-    const lambdaRad = this.degToRad(lambda);
-    
-    // Solar transit
-    const jTransit = 2451545.0 + t + 0.0053 * Math.sin(MRad) - 0.0069 * Math.sin(2 * lambdaRad);
-    
-    // Declination of sun
-    const delta = Math.asin(Math.sin(lambdaRad) * Math.sin(this.degToRad(23.44)));
-    const deltaDeg = this.radToDeg(delta);
-    
-    // Hour angle
-    const latRad = this.degToRad(latitude);
-    const h = Math.acos((Math.sin(this.degToRad(-0.83)) - Math.sin(latRad) * Math.sin(delta)) / 
-                       (Math.cos(latRad) * Math.cos(delta)));
-    const hDeg = this.radToDeg(h);
-    
-    // Sunrise and sunset
-    const jSunrise = jTransit - hDeg / 360;
-    const jSunset = jTransit + hDeg / 360;
-    
-    // Convert to time
-    const sunrise = this.julianToTime(jSunrise);
-    const sunset = this.julianToTime(jSunset);
-    
-    return { sunrise, sunset };
+    const { sunrise, sunset, polarDay, polarNight } = TwilightCalculator.calculateTwilight(latitude, longitude, date);
+    return { sunrise, sunset, polarDay, polarNight };
   }
 
-  // Convert Julian date to time
-  static julianToTime(jd) {
-    const jdInt = Math.floor(jd);
-    const jdFrac = jd - jdInt;
-    
-    const a = Math.floor((jdInt - 1867216.25) / 36524.25);
-    const b = jdInt + 1 + a - Math.floor(a / 4);
-    const c = b + 1524;
-    const d = Math.floor((c - 122.1) / 365.25);
-    const e = Math.floor(365.25 * d);
-    const f = Math.floor((c - e) / 30.6001);
-    
-    const day = c - e - Math.floor(30.6001 * f);
-    const month = f - 1 - 12 * Math.floor(f / 14);
-    const year = d - 4715 - Math.floor((7 + month) / 10);
-    
-    const hour = Math.floor(jdFrac * 24);
-    const minute = Math.floor((jdFrac * 24 - hour) * 60);
-    const second = Math.floor(((jdFrac * 24 - hour) * 60 - minute) * 60);
-    
-    return new Date(year, month - 1, day, hour, minute, second);
+  // Sunrise/sunset, civil/nautical/astronomical dawn and dusk, and the current twilight phase
+  static calculateTwilight(latitude, longitude, date = new Date()) {
+    return TwilightCalculator.calculateTwilight(latitude, longitude, date);
   }
 
-  // Check if it's currently day or night
+  // Check if the Sun is above the horizon
   static isDayTime(latitude, longitude, date = new Date()) {
-    const { sunrise, sunset } = this.calculateSunTimes(latitude, longitude, date);
-    const currentTime = date.getTime();
-    
-    return currentTime >= sunrise.getTime() && currentTime <= sunset.getTime();
+    return TwilightCalculator.getPhase(TwilightCalculator.getSunAltitude(latitude, longitude, date)) === TWILIGHT_PHASES.DAY;
+  }
+
+  // 16-point compass direction for an azimuth, e.g. 292° → 'WNW'
+  static getCompassPoint(azimuth) {
+    const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return points[Math.round((((azimuth % 360) + 360) % 360) / 22.5) % 16];
   }
 
-  // Get current season based on date
-  static getCurrentSeason(date = new Date()) {
+  // Astronomical season for display; flipped south of the equator. Visibility does not depend on it.
+  static getCurrentSeason(date = new Date(), latitude = 0) {
     const month = date.getMonth() + 1; // 1-12
     const day = date.getDate();
     
-    // Approximate seasonal boundaries
+    // Approximate northern-hemisphere seasonal boundaries
+    let season;
     if ((month === 12 && day >= 21) || month === 1 || month === 2 || (month === 3 && day < 20)) {
-      return 'winter';
+      season = 'winter';
     } else if ((month === 3 && day >= 20) || month === 4 || month === 5 || (month === 6 && day < 21)) {
-      return 'spring';
+      season = 'spring';
     } else if ((month === 6 && day >= 21) || month === 7 || month === 8 || (month === 9 && day < 22)) {
-      return 'summer';
+      season = 'summer';
     } else {
-      return 'fall';
+      season = 'fall';
     }
+
+    if (latitude >= 0) return season;
+    return { winter: 'summer', spring: 'fall', summer: 'winter', fall: 'spring' }[season];
   }
 
-  // Convert horizontal coordinates to screen coordinates using device as camera
-  static horizontalToScreen(azimuth, altitude, heading, pitch, roll, screenWidth, screenHeight, fieldOfView = 60) {
-    // Treat stars as fixed points in 3D space
-    // Device orientation acts as a camera looking at the fixed sky dome
-    
-    // CRITICAL: Only show stars above the horizon
-    // Stars below horizon (altitude < 0) should never be visible
+  // Project a horizontal position to screen pixels through the back-camera pinhole model.
+  // The full device rotation is used, so roll and pointing near the zenith are handled exactly.
+  // Returns OFF_SCREEN ({ x: -1000, y: -1000 }) for stars below the horizon, behind the camera or outside the frame.
+  static horizontalToScreen(azimuth, altitude, heading, pitch, roll, screenWidth, screenHeight, intrinsics = getCameraIntrinsics(screenWidth, screenHeight)) {
+    ({ heading, pitch, roll } = this.applyAlignment(heading, pitch, roll));
+
+    // Stars below the horizon are never drawn
     if (altitude <= 0) {
-      return { x: -1000, y: -1000 }; // Off-screen
+      return OFF_SCREEN;
     }
-    
-    // Calculate the angular distance from where the device is pointing
-    // This determines if the star is in the field of view
-    let horizontalAngle = azimuth - heading;
-    
-    // Normalize to [-180, 180] range
-    while (horizontalAngle > 180) horizontalAngle -= 360;
-    while (horizontalAngle < -180) horizontalAngle += 360;
-    
-    // Apply roll compensation (device tilt affects horizontal view)
-    const rollCompensatedAngle = horizontalAngle + (roll * 0.3);
-    
-    // Check if star is within horizontal field of view
-    const halfHorizontalFOV = fieldOfView / 2;
-    if (Math.abs(rollCompensatedAngle) > halfHorizontalFOV) {
-      return { x: -1000, y: -1000 }; // Off-screen
+
+    const point = worldToCameraSpace(altitudeAzimuthToCartesian(altitude, azimuth), this.getCameraPose(heading, pitch, roll));
+    if (point.z >= 0) {
+      return OFF_SCREEN; // Behind the camera
     }
-    
-    // Calculate vertical angle from device's pitch
-    // When device pitches up (negative pitch), we see higher altitudes
-    const verticalAngle = altitude - (-pitch); // Invert pitch: negative pitch = looking up
-    
-    // Check if star is within vertical field of view
-    const verticalFOV = 90;
-    const halfVerticalFOV = verticalFOV / 2;
-    if (Math.abs(verticalAngle) > halfVerticalFOV) {
-      return { x: -1000, y: -1000 }; // Off-screen
+
+    const projected = projectWithIntrinsics(point, intrinsics);
+    if (!isOnScreen(projected, intrinsics)) {
+      return OFF_SCREEN;
     }
-    
-    // Convert angles to screen coordinates
-    // Horizontal: map angular distance to screen X
-    const normalizedHorizontal = rollCompensatedAngle / halfHorizontalFOV;
-    const x = (screenWidth / 2) + (normalizedHorizontal * (screenWidth / 2));
-    
-    // Vertical: map altitude difference to screen Y
-    // When looking up (positive verticalAngle), stars appear higher on screen
-    const normalizedVertical = verticalAngle / halfVerticalFOV;
-    const y = (screenHeight / 2) - (normalizedVertical * (screenHeight / 2)); // Invert Y so up = higher on screen
-    
-    return { x, y };
+
+    return { x: projected.x, y: projected.y };
   }
 }
-
-// Real constellation data with astronomical coordinates (RA in hours, Dec in degrees)
-// Based on brightest stars visible from Central Texas (30°N latitude) - seasonal visibility
-const CONSTELLATIONS = [
-  {
-    id: 1,
-    name: "Pegasus - The Winged Horse",
-    story: "Pegasus, the great winged horse, soars across the fall sky. In indigenous traditions, horses were sacred animals that carried messages between the spirit world and earth. The Great Square of Pegasus forms a distinctive pattern that guides travelers and reminds us of the freedom to explore new horizons. This constellation teaches us about courage, adventure, and the power of imagination to carry us beyond our earthly limitations.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M20 30 L40 30 L40 50 L20 50 Z" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="20" cy="30" r="3" fill="#FFD700"/>
-      <circle cx="40" cy="30" r="3" fill="#FFD700"/>
-      <circle cx="40" cy="50" r="3" fill="#FFD700"/>
-      <circle cx="20" cy="50" r="3" fill="#FFD700"/>
-      <path d="M40 40 L60 35 L70 45" stroke="#FFD700" stroke-width="1.5"/>
-    </svg>`,
-    stars: [
-      // Pegasus constellation - Great Square
-      { ra: 23.063, dec: 15.21, name: "Markab", magnitude: 2.49 },
-      { ra: 23.063, dec: 15.21, name: "Scheat", magnitude: 2.44 },
-      { ra: 23.063, dec: 15.21, name: "Algenib", magnitude: 2.83 },
-      { ra: 23.063, dec: 15.21, name: "Alpheratz", magnitude: 2.07 },
-      { ra: 22.961, dec: 9.88, name: "Enif", magnitude: 2.38 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3], [3, 0], [1, 4]],
-    seasons: ['fall', 'winter']
-  },
-  {
-    id: 2,
-    name: "Andromeda - The Princess",
-    story: "Andromeda represents the princess who was saved from the sea monster by Perseus. In indigenous stories, she symbolizes the strength and wisdom of women who guide their communities through difficult times. The Andromeda Galaxy, visible to the naked eye, reminds us of the vastness of the universe and our connection to the cosmos. This constellation teaches us about courage, sacrifice, and the power of love to overcome darkness.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M20 50 L40 45 L60 50 L80 45" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="20" cy="50" r="3" fill="#FFD700"/>
-      <circle cx="40" cy="45" r="3" fill="#FFD700"/>
-      <circle cx="60" cy="50" r="3" fill="#FFD700"/>
-      <circle cx="80" cy="45" r="3" fill="#FFD700"/>
-    </svg>`,
-    stars: [
-      // Andromeda constellation
-      { ra: 0.139, dec: 29.09, name: "Alpheratz", magnitude: 2.07 },
-      { ra: 0.655, dec: 30.86, name: "Mirach", magnitude: 2.07 },
-      { ra: 1.158, dec: 35.62, name: "Almach", magnitude: 2.10 },
-      { ra: 1.462, dec: 41.27, name: "Nembus", magnitude: 3.53 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3]],
-    seasons: ['fall', 'winter']
-  },
-  {
-    id: 3,
-    name: "Cassiopeia - The Queen",
-    story: "Cassiopeia sits high in the fall sky, her distinctive W-shape marking her throne. In indigenous traditions, she represents the wisdom keeper who holds the knowledge of the stars and seasons. Her position near the North Star makes her a reliable guide for navigation and timekeeping. This constellation teaches us about leadership, wisdom, and the responsibility of those who hold knowledge to share it wisely with others.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M20 60 L40 40 L60 60 L80 40 L100 60" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="20" cy="60" r="3" fill="#FFD700"/>
-      <circle cx="40" cy="40" r="3" fill="#FFD700"/>
-      <circle cx="60" cy="60" r="3" fill="#FFD700"/>
-      <circle cx="80" cy="40" r="3" fill="#FFD700"/>
-      <circle cx="100" cy="60" r="3" fill="#FFD700"/>
-    </svg>`,
-    stars: [
-      // Cassiopeia constellation - The W
-      { ra: 0.675, dec: 56.54, name: "Shedar", magnitude: 2.24 },
-      { ra: 0.947, dec: 60.72, name: "Caph", magnitude: 2.28 },
-      { ra: 1.417, dec: 63.67, name: "Gamma Cassiopeiae", magnitude: 2.47 },
-      { ra: 2.292, dec: 63.07, name: "Ruchbah", magnitude: 2.68 },
-      { ra: 3.367, dec: 59.15, name: "Segin", magnitude: 3.35 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3], [3, 4]],
-    seasons: ['fall', 'winter']
-  },
-  {
-    id: 4,
-    name: "Perseus - The Hero",
-    story: "Perseus represents the great hero who saved Andromeda from the sea monster. In indigenous stories, he symbolizes the protector who defends the community from danger and brings light to dark places. The variable star Algol, known as the 'Demon Star,' reminds us that even heroes face challenges and that courage is not the absence of fear, but the willingness to act despite it.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M20 50 Q30 45 40 50 Q50 55 60 50 Q70 45 80 50" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="30" cy="50" r="2" fill="#FFD700"/>
-      <circle cx="50" cy="52" r="2" fill="#FFD700"/>
-      <circle cx="70" cy="48" r="2" fill="#FFD700"/>
-      <path d="M25 45 L35 55 M45 47 L55 57 M65 43 L75 53" stroke="#FFD700" stroke-width="1"/>
-    </svg>`,
-    stars: [
-      // Perseus constellation
-      { ra: 3.405, dec: 49.86, name: "Mirfak", magnitude: 1.79 },
-      { ra: 3.136, dec: 40.96, name: "Algol", magnitude: 2.12 },
-      { ra: 2.904, dec: 35.79, name: "Atik", magnitude: 2.87 },
-      { ra: 3.158, dec: 40.01, name: "Menkib", magnitude: 3.00 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3]],
-    seasons: ['fall', 'winter']
-  },
-  {
-    id: 5,
-    name: "Orion - The Hunter",
-    story: "The mighty hunter Orion rises in the fall evening sky, his belt of three bright stars marking his waist. In indigenous stories, Orion represents the great hunter who provided for his people, his bow drawn and ready. The red star Betelgeuse marks his shoulder, while the blue-white Rigel shines at his foot. This constellation teaches us about strength, courage, and the responsibility of providing for others.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M50 20 L30 40 L35 45 L45 35 L55 35 L65 45 L70 40 Z" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="30" cy="40" r="3" fill="#FFD700"/>
-      <circle cx="45" cy="35" r="3" fill="#FFD700"/>
-      <circle cx="55" cy="35" r="3" fill="#FFD700"/>
-      <circle cx="70" cy="40" r="3" fill="#FFD700"/>
-      <path d="M40 25 Q50 15 60 25" stroke="#FFD700" stroke-width="1.5"/>
-    </svg>`,
-    stars: [
-      // Orion constellation - brightest stars
-      { ra: 5.242, dec: -8.20, name: "Rigel", magnitude: 0.18 },
-      { ra: 5.419, dec: 6.35, name: "Bellatrix", magnitude: 1.64 },
-      { ra: 5.533, dec: -0.30, name: "Mintaka", magnitude: 2.25 },
-      { ra: 5.603, dec: -1.20, name: "Alnilam", magnitude: 1.70 },
-      { ra: 5.679, dec: -1.94, name: "Alnitak", magnitude: 1.77 },
-      { ra: 5.795, dec: -9.67, name: "Saiph", magnitude: 2.07 },
-      { ra: 5.588, dec: 7.41, name: "Betelgeuse", magnitude: 0.50 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [6, 1], [6, 3]],
-    seasons: ['fall', 'winter']
-  },
-  {
-    id: 6,
-    name: "Canis Major - The Great Dog",
-    story: "Following Orion across the sky is his faithful hunting dog, Canis Major. The brilliant star Sirius, the brightest star in our night sky, marks the dog's eye. In indigenous traditions, Sirius was often associated with the spirit of the wolf or dog, a loyal companion and guide. This constellation reminds us of the importance of loyalty, friendship, and the bond between humans and animals.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M20 30 Q30 25 40 30 Q50 35 60 30 Q70 25 80 30" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="20" cy="30" r="3" fill="#FFD700"/>
-      <circle cx="40" cy="30" r="3" fill="#FFD700"/>
-      <circle cx="60" cy="30" r="3" fill="#FFD700"/>
-      <circle cx="80" cy="30" r="3" fill="#FFD700"/>
-      <path d="M30 35 L35 45 M50 35 L55 45" stroke="#FFD700" stroke-width="1.5"/>
-    </svg>`,
-    stars: [
-      // Canis Major constellation
-      { ra: 6.752, dec: -16.72, name: "Sirius", magnitude: -1.46 },
-      { ra: 7.401, dec: -29.30, name: "Adhara", magnitude: 1.50 },
-      { ra: 6.378, dec: -17.96, name: "Wezen", magnitude: 1.83 },
-      { ra: 6.480, dec: -25.29, name: "Aludra", magnitude: 2.45 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3]]
-  },
-  {
-    id: 7,
-    name: "Taurus - The Bull",
-    story: "The constellation Taurus represents the great bull that once roamed the plains. The bright red star Aldebaran marks the bull's eye, while the Pleiades cluster forms a distinctive pattern on its shoulder. In many indigenous cultures, the bull symbolizes strength, determination, and the power of nature. This constellation appears in winter skies, reminding us of the endurance needed to survive the cold months.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M15 40 Q25 35 35 40 Q45 45 55 40 Q65 35 75 40 L80 45 L75 55 L20 55 Z" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="25" cy="45" r="2" fill="#FFD700"/>
-      <circle cx="45" cy="50" r="2" fill="#FFD700"/>
-      <circle cx="65" cy="45" r="2" fill="#FFD700"/>
-      <path d="M70 35 L75 25 M75 35 L80 25" stroke="#FFD700" stroke-width="1.5"/>
-    </svg>`,
-    stars: [
-      // Taurus constellation
-      { ra: 4.599, dec: 16.51, name: "Aldebaran", magnitude: 0.87 },
-      { ra: 3.763, dec: 24.12, name: "Alcyone", magnitude: 2.87 },
-      { ra: 3.773, dec: 24.14, name: "Atlas", magnitude: 3.62 },
-      { ra: 3.783, dec: 24.15, name: "Electra", magnitude: 3.72 },
-      { ra: 3.793, dec: 24.16, name: "Maia", magnitude: 3.87 },
-      { ra: 3.803, dec: 24.17, name: "Merope", magnitude: 4.18 },
-      { ra: 3.813, dec: 24.18, name: "Taygeta", magnitude: 4.30 },
-      { ra: 3.823, dec: 24.19, name: "Pleione", magnitude: 5.05 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6], [6, 7]]
-  },
-  {
-    id: 8,
-    name: "Gemini - The Twins",
-    story: "The constellation Gemini represents the twin brothers who were inseparable companions. The bright stars Castor and Pollux mark their heads, shining side by side in the winter sky. In indigenous stories, twins often represent balance, duality, and the connection between earth and sky. This constellation teaches us about brotherhood, partnership, and the strength that comes from unity.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M25 60 Q35 55 45 60 L50 50 L55 60 Q65 55 75 60 L80 65 L75 75 L25 75 Z" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="35" cy="60" r="2" fill="#FFD700"/>
-      <circle cx="50" cy="50" r="2" fill="#FFD700"/>
-      <circle cx="65" cy="60" r="2" fill="#FFD700"/>
-      <path d="M40 45 L50 35 L60 45" stroke="#FFD700" stroke-width="1.5"/>
-    </svg>`,
-    stars: [
-      // Gemini constellation
-      { ra: 7.577, dec: 31.89, name: "Pollux", magnitude: 1.16 },
-      { ra: 7.577, dec: 31.89, name: "Castor", magnitude: 1.58 },
-      { ra: 6.732, dec: 16.40, name: "Alhena", magnitude: 1.93 },
-      { ra: 6.628, dec: 20.57, name: "Wasat", magnitude: 3.53 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3]]
-  },
-  {
-    id: 9,
-    name: "Auriga - The Charioteer",
-    story: "Auriga represents the charioteer who guides the celestial horses across the sky. The bright star Capella marks the charioteer's shoulder, shining with a golden light. In indigenous traditions, this constellation was often associated with the spirit guide who leads souls on their journey. The charioteer reminds us of the importance of guidance, direction, and helping others find their way.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <path d="M50 25 Q30 35 25 50 Q30 65 50 75 Q70 65 75 50 Q70 35 50 25" stroke="#FFD700" stroke-width="2" fill="none"/>
-      <circle cx="25" cy="50" r="3" fill="#FFD700"/>
-      <circle cx="50" cy="25" r="3" fill="#FFD700"/>
-      <circle cx="75" cy="50" r="3" fill="#FFD700"/>
-      <circle cx="50" cy="75" r="3" fill="#FFD700"/>
-      <path d="M35 40 Q50 30 65 40" stroke="#FFD700" stroke-width="1"/>
-    </svg>`,
-    stars: [
-      // Auriga constellation
-      { ra: 5.278, dec: 45.99, name: "Capella", magnitude: 0.08 },
-      { ra: 5.992, dec: 43.82, name: "Menkalinan", magnitude: 1.90 },
-      { ra: 5.108, dec: 41.23, name: "Hassaleh", magnitude: 2.69 },
-      { ra: 5.032, dec: 37.21, name: "Mahasim", magnitude: 2.65 }
-    ],
-    lines: [[0, 1], [1, 2], [2, 3]]
-  },
-  {
-    id: 10,
-    name: "Canis Minor - The Little Dog",
-    story: "Canis Minor is the smaller hunting dog that accompanies Orion and Canis Major. The bright star Procyon marks the little dog's eye, shining with a steady light. In indigenous stories, this constellation represents the smaller but equally important companions who support the great hunters. The little dog teaches us that every member of the pack has value and contributes to the whole.",
-    artwork: `<svg viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
-      <circle cx="35" cy="40" r="2" fill="#FFD700"/>
-      <circle cx="45" cy="35" r="2" fill="#FFD700"/>
-      <circle cx="55" cy="40" r="2" fill="#FFD700"/>
-      <circle cx="50" cy="45" r="2" fill="#FFD700"/>
-      <circle cx="40" cy="50" r="2" fill="#FFD700"/>
-      <circle cx="60" cy="50" r="2" fill="#FFD700"/>
-      <circle cx="50" cy="55" r="2" fill="#FFD700"/>
-      <path d="M35 40 L55 40 M45 35 L50 45 M40 50 L60 50 M50 55 L50 35" stroke="#FFD700" stroke-width="1"/>
-    </svg>`,
-    stars: [
-      // Canis Minor constellation
-      { ra: 7.655, dec: 5.23, name: "Procyon", magnitude: 0.34 },
-      { ra: 7.453, dec: 8.29, name: "Gomeisa", magnitude: 2.89 }
-    ],
-    lines: [[0, 1]]
-  },
-];
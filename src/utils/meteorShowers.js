@@ -0,0 +1,167 @@
+// Annual meteor showers: activity, radiant positions and expected hourly rates
+import * as Astronomy from 'astronomy-engine';
+import { AstronomyCalculator } from './astronomy';
+import { getJulianDate } from '../core/utils/apparentPlace';
+
+// Major annual showers from the IMO working list. Radiant RA/Dec (degrees, J2000) at the peak drift by
+// driftRa/driftDec degrees per day. peakLongitude is the J2000 solar longitude of maximum. Rates fall off
+// as ZHR × 10^(-slope × |Δλ|) either side of the peak (an approximate profile; Quadrantids are sharpest).
+// velocity is the atmospheric entry speed (km/s), populationIndex the IMO r value.
+export const METEOR_SHOWERS = [
+  { code: 'QUA', name: 'Quadrantids', start: '12-28', end: '01-12', peakLongitude: 283.15, ra: 230, dec: 49, driftRa: 0.8, driftDec: -0.2, velocity: 41, populationIndex: 2.1, zhr: 110, slope: 2.5 },
+  { code: 'LYR', name: 'April Lyrids', start: '04-14', end: '04-30', peakLongitude: 32.32, ra: 271, dec: 34, driftRa: 1.1, driftDec: 0, velocity: 49, populationIndex: 2.1, zhr: 18, slope: 0.9 },
+  { code: 'ETA', name: 'η-Aquariids', start: '04-19', end: '05-28', peakLongitude: 45.5, ra: 338, dec: -1, driftRa: 0.9, driftDec: 0.4, velocity: 66, populationIndex: 2.4, zhr: 50, slope: 0.08 },
+  { code: 'SDA', name: 'Southern δ-Aquariids', start: '07-12', end: '08-23', peakLongitude: 127, ra: 340, dec: -16, driftRa: 0.8, driftDec: 0.2, velocity: 41, populationIndex: 2.5, zhr: 25, slope: 0.1 },
+  { code: 'CAP', name: 'α-Capricornids', start: '07-03', end: '08-15', peakLongitude: 127, ra: 306, dec: -8, driftRa: 0.9, driftDec: 0.3, velocity: 23, populationIndex: 2.5, zhr: 5, slope: 0.1 },
+  { code: 'PER', name: 'Perseids', start: '07-17', end: '08-24', peakLongitude: 140.0, ra: 48, dec: 58, driftRa: 1.35, driftDec: 0.12, velocity: 59, populationIndex: 2.2, zhr: 100, slope: 0.2 },
+  { code: 'DRA', name: 'October Draconids', start: '10-06', end: '10-10', peakLongitude: 195.4, ra: 262, dec: 54, driftRa: 0, driftDec: 0, velocity: 20, populationIndex: 2.6, zhr: 10, slope: 1.0 },
+  { code: 'STA', name: 'Southern Taurids', start: '09-10', end: '11-20', peakLongitude: 197, ra: 32, dec: 9, driftRa: 0.8, driftDec: 0.3, velocity: 27, populationIndex: 2.3, zhr: 5, slope: 0.03 },
+  { code: 'ORI', name: 'Orionids', start: '10-02', end: '11-07', peakLongitude: 208, ra: 95, dec: 16, driftRa: 0.7, driftDec: 0.1, velocity: 66, populationIndex: 2.5, zhr: 20, slope: 0.12 },
+  { code: 'NTA', name: 'Northern Taurids', start: '10-20', end: '12-10', peakLongitude: 230, ra: 58, dec: 22, driftRa: 0.8, driftDec: 0.2, velocity: 29, populationIndex: 2.3, zhr: 5, slope: 0.03 },
+  { code: 'LEO', name: 'Leonids', start: '11-06', end: '11-30', peakLongitude: 235.27, ra: 152, dec: 22, driftRa: 0.7, driftDec: -0.4, velocity: 71, populationIndex: 2.5, zhr: 15, slope: 0.5 },
+  { code: 'GEM', name: 'Geminids', start: '12-04', end: '12-20', peakLongitude: 262.2, ra: 112, dec: 33, driftRa: 1.0, driftDec: -0.15, velocity: 35, populationIndex: 2.6, zhr: 150, slope: 0.39 },
+  { code: 'URS', name: 'Ursids', start: '12-17', end: '12-26', peakLongitude: 270.7, ra: 217, dec: 76, driftRa: 0, driftDec: 0, velocity: 33, populationIndex: 3.0, zhr: 10, slope: 0.9 },
+];
+
+// Meteors that belong to no shower; counted alongside the showers in an observation
+export const SPORADIC = { code: 'SPO', name: 'Sporadic' };
+
+// IMO reference limiting magnitude: ZHR is the rate a perfect sky of this magnitude would show
+export const REFERENCE_LIMITING_MAGNITUDE = 6.5;
+export const DEFAULT_LIMITING_MAGNITUDE = 6.0;
+
+// How much a full Moon above the horizon brightens the sky, in magnitudes of limiting magnitude (rough)
+const FULL_MOON_LIMITING_MAGNITUDE_LOSS = 2;
+const DEGREES_PER_DAY = 360 / 365.2422;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toRad = Math.PI / 180;
+
+// Month-day string ('08-12') as a number that sorts through the year (812)
+const monthDayValue = (monthDay) => {
+  const [month, day] = monthDay.split('-').map(Number);
+  return month * 100 + day;
+};
+
+export class MeteorShowerCalculator {
+  // Geocentric solar longitude referred to the J2000 equinox, as used by the IMO calendar
+  static getSolarLongitude(date = new Date()) {
+    const ofDate = Astronomy.SunPosition(date).elon;
+    const centuries = (getJulianDate(date) - 2451545.0) / 36525;
+    return (((ofDate - 1.3969713 * centuries) % 360) + 360) % 360;
+  }
+
+  // Degrees of solar longitude from the shower's peak, negative before it (-180 to 180)
+  static getLongitudeFromPeak(shower, date = new Date()) {
+    return ((this.getSolarLongitude(date) - shower.peakLongitude + 540) % 360) - 180;
+  }
+
+  // True during the shower's activity period (which may wrap over the new year)
+  static isActive(shower, date = new Date()) {
+    const today = (date.getMonth() + 1) * 100 + date.getDate();
+    const start = monthDayValue(shower.start);
+    const end = monthDayValue(shower.end);
+    return start <= end ? today >= start && today <= end : today >= start || today <= end;
+  }
+
+  // Next peak at or after `date` (within the past day counts as now). The Sun's motion along the
+  // ecliptic is uneven through the year, so the mean-rate estimate is refined a few times.
+  static getNextPeak(shower, date = new Date()) {
+    let days = -this.getLongitudeFromPeak(shower, date) / DEGREES_PER_DAY;
+    if (days < -1) days += 365.2422;
+    for (let i = 0; i < 3; i++) {
+      days -= this.getLongitudeFromPeak(shower, new Date(date.getTime() + days * DAY_MS)) / DEGREES_PER_DAY;
+    }
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Radiant position on `date`, drifted from its position at the peak
+   * @returns {{ra: number, dec: number}} RA in hours, Dec in degrees (J2000)
+   */
+  static getRadiant(shower, date = new Date()) {
+    const days = this.getLongitudeFromPeak(shower, date) / DEGREES_PER_DAY;
+    const raDegrees = (((shower.ra + shower.driftRa * days) % 360) + 360) % 360;
+    return { ra: raDegrees / 15, dec: Math.max(-90, Math.min(90, shower.dec + shower.driftDec * days)) };
+  }
+
+  /**
+   * Radiant altitude and azimuth for the observer
+   * @param {Object} location - expo-location result
+   * @returns {{altitude: number, azimuth: number}} Degrees
+   */
+  static getRadiantPosition(shower, location, date = new Date()) {
+    const { latitude, longitude } = location.coords;
+    const { ra, dec } = this.getRadiant(shower, date);
+    const lst = AstronomyCalculator.getLST(getJulianDate(date), longitude);
+    return AstronomyCalculator.equatorialToHorizontal(ra, dec, latitude, lst);
+  }
+
+  // Zenithal hourly rate at this point of the activity profile
+  static getZhr(shower, date = new Date()) {
+    if (!this.isActive(shower, date)) return 0;
+    return shower.zhr * Math.pow(10, -shower.slope * Math.abs(this.getLongitudeFromPeak(shower, date)));
+  }
+
+  // Moon illumination (0-1) and altitude (degrees) for the observer
+  static getMoonConditions(location, date = new Date()) {
+    const { latitude, longitude } = location.coords;
+    const observer = new Astronomy.Observer(latitude, longitude, 0);
+    const equatorial = Astronomy.Equator(Astronomy.Body.Moon, date, observer, true, true);
+    const horizontal = Astronomy.Horizon(date, observer, equatorial.ra, equatorial.dec, 'normal');
+    return {
+      illumination: Astronomy.Illumination(Astronomy.Body.Moon, date).phase_fraction,
+      altitude: horizontal.altitude,
+    };
+  }
+
+  // Limiting magnitude after moonlight; the Moon only matters while it is up
+  static getEffectiveLimitingMagnitude(limitingMagnitude, moon) {
+    if (moon.altitude <= 0) return limitingMagnitude;
+    return limitingMagnitude - FULL_MOON_LIMITING_MAGNITUDE_LOSS * moon.illumination;
+  }
+
+  /**
+   * Meteors per hour one observer can expect: the IMO ZHR relation solved for the hourly rate,
+   * HR = ZHR × sin(radiant altitude) / r^(6.5 − limiting magnitude)
+   * @param {number} limitingMagnitude - Naked-eye limiting magnitude before moonlight
+   * @returns {number} 0 while the radiant is below the horizon or the shower is inactive
+   */
+  static estimateHourlyRate(shower, location, date = new Date(), limitingMagnitude = DEFAULT_LIMITING_MAGNITUDE, moon = null) {
+    const radiant = this.getRadiantPosition(shower, location, date);
+    if (radiant.altitude <= 0) return 0;
+
+    const moonConditions = moon || this.getMoonConditions(location, date);
+    const effectiveMagnitude = this.getEffectiveLimitingMagnitude(limitingMagnitude, moonConditions);
+    const magnitudeFactor = Math.pow(shower.populationIndex, REFERENCE_LIMITING_MAGNITUDE - effectiveMagnitude);
+
+    return (this.getZhr(shower, date) * Math.sin(radiant.altitude * toRad)) / magnitudeFactor;
+  }
+
+  /**
+   * All showers with their next peak, soonest first; active showers carry their current rates
+   * @returns {Array<Object>} shower fields plus active, nextPeak, zhrNow, hourlyRate and radiantPosition
+   */
+  static getShowerCalendar(location, date = new Date(), limitingMagnitude = DEFAULT_LIMITING_MAGNITUDE) {
+    const moon = location ? this.getMoonConditions(location, date) : null;
+
+    return METEOR_SHOWERS
+      .map(shower => {
+        const active = this.isActive(shower, date);
+        return {
+          ...shower,
+          active,
+          nextPeak: this.getNextPeak(shower, date),
+          zhrNow: this.getZhr(shower, date),
+          radiantPosition: location ? this.getRadiantPosition(shower, location, date) : null,
+          hourlyRate: location && active ? this.estimateHourlyRate(shower, location, date, limitingMagnitude, moon) : 0,
+        };
+      })
+      .sort((a, b) => a.nextPeak - b.nextPeak);
+  }
+
+  // Showers active on `date`, in the same shape as getShowerCalendar
+  static getActiveShowers(location, date = new Date(), limitingMagnitude = DEFAULT_LIMITING_MAGNITUDE) {
+    return this.getShowerCalendar(location, date, limitingMagnitude).filter(shower => shower.active);
+  }
+}
@@ -0,0 +1,246 @@
+// "What's up tonight": rise, transit and set, peak altitude and best viewing window during tonight's dark hours
+import * as Astronomy from 'astronomy-engine';
+import { AstronomyCalculator } from './astronomy';
+import { SolarSystemCalculator, SOLAR_SYSTEM_BODIES } from './solarSystem';
+import { TwilightCalculator } from './twilight';
+import { deepSkyObjects, getDeepSkyDisplayName, DEEP_SKY_TYPES } from '../core/data/deepSkyCatalog';
+import { filterDeepSkyObjects, getDeepSkyFilter } from '../core/utils/deepSkyFilter';
+import { indigenousService } from '../core/services/indigenousCulturalService';
+import { getJulianDate } from '../core/utils/apparentPlace';
+import { getFigureCentre } from '../core/utils/targetGuidance';
+
+export const PLANNER_KINDS = {
+  CONSTELLATION: 'constellation',
+  PLANET: 'planet',
+  DEEP_SKY: 'deepSky',
+};
+
+// Below this the sky near the horizon is too hazy to be worth planning for
+export const MIN_USEFUL_ALTITUDE = 15;
+// Objects this high are well clear of haze; lower-peaking objects are best within 10° of their peak
+const GOOD_ALTITUDE = 30;
+// Altitude of a star's centre at rise and set, with standard refraction
+const FIXED_OBJECT_HORIZON = -0.5667;
+const SIDEREAL_DEGREES_PER_DAY = 360.98564736629;
+const SAMPLE_MINUTES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const toRad = Math.PI / 180;
+const toDeg = 180 / Math.PI;
+
+export class ObservingPlanner {
+  /**
+   * Rise, transit and set of a fixed RA/Dec around `around` (the transit nearest that time).
+   * Catalog (J2000) coordinates are used as they are: precession shifts the times by about a minute.
+   * @returns {{rise: Date|null, transit: Date, set: Date|null, transitAltitude: number,
+   *   circumpolar: boolean, neverRises: boolean}}
+   */
+  static getFixedRiseTransitSet(ra, dec, location, around) {
+    const { latitude, longitude } = location.coords;
+    const lst = AstronomyCalculator.getLST(getJulianDate(around), longitude);
+    const hourAngle = ((lst - ra * 15) % 360 + 540) % 360 - 180;
+    const transit = new Date(around.getTime() - (hourAngle / SIDEREAL_DEGREES_PER_DAY) * DAY_MS);
+    const transitAltitude = 90 - Math.abs(latitude - dec);
+
+    const cosHorizonAngle = (Math.sin(FIXED_OBJECT_HORIZON * toRad) - Math.sin(latitude * toRad) * Math.sin(dec * toRad)) /
+      (Math.cos(latitude * toRad) * Math.cos(dec * toRad));
+    if (cosHorizonAngle < -1 || cosHorizonAngle > 1) {
+      return { rise: null, transit, set: null, transitAltitude, circumpolar: cosHorizonAngle < -1, neverRises: cosHorizonAngle > 1 };
+    }
+
+    const halfArcMs = (Math.acos(cosHorizonAngle) * toDeg / SIDEREAL_DEGREES_PER_DAY) * DAY_MS;
+    return {
+      rise: new Date(transit.getTime() - halfArcMs),
+      transit,
+      set: new Date(transit.getTime() + halfArcMs),
+      transitAltitude,
+      circumpolar: false,
+      neverRises: false,
+    };
+  }
+
+  /**
+   * Rise, transit and set of a Sun/Moon/planet body around `around` (the transit nearest that time)
+   * @returns Same shape as getFixedRiseTransitSet
+   */
+  static getBodyRiseTransitSet(body, observer, around) {
+    // The Moon transits about 50 minutes later each day, so search both ways rather than from half a day back
+    const next = Astronomy.SearchHourAngle(body, observer, 0, around, +1);
+    const previous = Astronomy.SearchHourAngle(body, observer, 0, around, -1);
+    const transitSearch = next.time.date - around <= around - previous.time.date ? next : previous;
+    const transit = transitSearch.time.date;
+    const rise = Astronomy.SearchRiseSet(body, observer, +1, new Date(transit.getTime() - DAY_MS / 2), 0.5);
+    const set = Astronomy.SearchRiseSet(body, observer, -1, transit, 0.5);
+    const transitAltitude = transitSearch.hor.altitude;
+
+    return {
+      rise: rise ? rise.date : null,
+      transit,
+      set: set ? set.date : null,
+      transitAltitude,
+      circumpolar: !rise && !set && transitAltitude > 0,
+      neverRises: !rise && !set && transitAltitude <= 0,
+    };
+  }
+
+  /**
+   * Highest point during the dark window and the stretch around it worth observing
+   * @param {Function} altitudeAt - Altitude in degrees at a Date
+   * @returns {{peakAltitude: number, peakTime: Date, bestWindow: {start: Date, end: Date}|null}}
+   */
+  static getNightVisibility(altitudeAt, darkWindow, transit) {
+    const stepMs = SAMPLE_MINUTES * 60 * 1000;
+    const samples = [];
+    for (let t = darkWindow.start.getTime(); t < darkWindow.end.getTime(); t += stepMs) {
+      samples.push({ time: new Date(t), altitude: altitudeAt(new Date(t)) });
+    }
+    samples.push({ time: darkWindow.end, altitude: altitudeAt(darkWindow.end) });
+
+    // The transit is the true peak when it falls inside the window
+    let peakIndex = samples.reduce((best, sample, index) => (sample.altitude > samples[best].altitude ? index : best), 0);
+    let peak = samples[peakIndex];
+    if (transit > darkWindow.start && transit < darkWindow.end) {
+      peak = { time: transit, altitude: altitudeAt(transit) };
+      peakIndex = samples.findIndex(sample => sample.time > transit) - 1;
+    }
+
+    const threshold = Math.max(MIN_USEFUL_ALTITUDE, Math.min(GOOD_ALTITUDE, peak.altitude - 10));
+    if (peak.altitude < MIN_USEFUL_ALTITUDE) {
+      return { peakAltitude: peak.altitude, peakTime: peak.time, bestWindow: null };
+    }
+
+    let first = Math.max(0, peakIndex);
+    let last = first;
+    while (first > 0 && samples[first - 1].altitude >= threshold) first--;
+    while (last < samples.length - 1 && samples[last + 1].altitude >= threshold) last++;
+
+    return {
+      peakAltitude: peak.altitude,
+      peakTime: peak.time,
+      bestWindow: { start: samples[first].time, end: samples[last].time },
+    };
+  }
+
+  /**
+   * Visibility score from 0 to 1: height above the horizon counts most, then how long the object
+   * stays well placed during the night, then brightness
+   */
+  static getVisibilityScore(peakAltitude, bestWindow, darkWindow, magnitude) {
+    const altitudeScore = Math.sin(Math.max(0, peakAltitude) * toRad);
+    const durationScore = bestWindow
+      ? (bestWindow.end - bestWindow.start) / (darkWindow.end - darkWindow.start)
+      : 0;
+    const brightnessScore = magnitude === null || magnitude === undefined
+      ? 0.3
+      : Math.max(0, Math.min(1, (8 - magnitude) / 10));
+    return 0.5 * altitudeScore + 0.3 * durationScore + 0.2 * brightnessScore;
+  }
+
+  static buildEntry({ kind, id, name, description, magnitude, stories }, events, visibility, darkWindow) {
+    return {
+      key: `${kind}-${id}`,
+      kind,
+      id,
+      name,
+      description,
+      magnitude,
+      ...events,
+      ...visibility,
+      score: this.getVisibilityScore(visibility.peakAltitude, visibility.bestWindow, darkWindow, magnitude),
+      stories,
+      target: { kind, id, name },
+    };
+  }
+
+  /**
+   * Constellations, planets (and the Moon) and deep-sky objects up during tonight's dark hours, best first
+   * @param {Object} location - expo-location result
+   * @param {Date} date - Any time on the day of, or during, the night to plan
+   * @param {Object} options
+   * @param {string[]} options.cultures - Profile cultures; when given, only objects with stories
+   *   from these cultures are listed and stories are limited to them
+   * @returns {{darkWindow: Object|null, entries: Array<Object>}} entries carry kind, id, name, description,
+   *   magnitude, rise/transit/set, circumpolar, peakAltitude, peakTime, bestWindow, score, stories and
+   *   target (for the AR "find it" guidance); darkWindow is null when the Sun does not set
+   */
+  static planNight(location, date = new Date(), { cultures = [] } = {}) {
+    if (!location) return { darkWindow: null, entries: [] };
+
+    const { latitude, longitude } = location.coords;
+    const darkWindow = TwilightCalculator.getDarkWindow(latitude, longitude, date);
+    if (!darkWindow) return { darkWindow: null, entries: [] };
+
+    const middle = new Date((darkWindow.start.getTime() + darkWindow.end.getTime()) / 2);
+    const storiesFor = (stories) => indigenousService.filterByCultures(stories, cultures);
+    const fixedAltitude = (ra, dec) => (time) => AstronomyCalculator.equatorialToHorizontal(
+      ra, dec, latitude, AstronomyCalculator.getLST(getJulianDate(time), longitude)
+    ).altitude;
+
+    const constellations = AstronomyCalculator.calculateStarPositions(location, middle)
+      .filter(constellation => constellation.visibleTonight)
+      .map(constellation => {
+        const centre = getFigureCentre(constellation.stars);
+        const events = this.getFixedRiseTransitSet(centre.ra, centre.dec, location, middle);
+        return this.buildEntry({
+          kind: PLANNER_KINDS.CONSTELLATION,
+          id: constellation.name,
+          name: constellation.name,
+          description: 'Constellation',
+          magnitude: Math.min(...constellation.stars.map(star => star.magnitude)),
+          stories: storiesFor(indigenousService.findStoriesWithMappings(constellation.name)),
+        }, events, this.getNightVisibility(fixedAltitude(centre.ra, centre.dec), darkWindow, events.transit), darkWindow);
+      });
+
+    const observer = SolarSystemCalculator.getObserver(location);
+    const bodies = SOLAR_SYSTEM_BODIES
+      .filter(bodyInfo => bodyInfo.type !== 'sun')
+      .map(bodyInfo => {
+        const events = this.getBodyRiseTransitSet(bodyInfo.body, observer, middle);
+        const altitudeAt = (time) => {
+          const equatorial = Astronomy.Equator(bodyInfo.body, time, observer, true, true);
+          return Astronomy.Horizon(time, observer, equatorial.ra, equatorial.dec, 'normal').altitude;
+        };
+        return this.buildEntry({
+          kind: PLANNER_KINDS.PLANET,
+          id: bodyInfo.id,
+          name: bodyInfo.name,
+          description: bodyInfo.type === 'moon' ? 'Moon' : 'Planet',
+          magnitude: Astronomy.Illumination(bodyInfo.body, middle).mag,
+          stories: storiesFor(indigenousService.getStoriesForConstellation(bodyInfo.name)),
+        }, events, this.getNightVisibility(altitudeAt, darkWindow, events.transit), darkWindow);
+      });
+
+    const deepSky = filterDeepSkyObjects(deepSkyObjects, getDeepSkyFilter())
+      .map(object => {
+        const events = this.getFixedRiseTransitSet(object.ra, object.dec, location, middle);
+        if (events.neverRises) return null;
+        // Only stories that name the object itself, not its constellation
+        const stories = object.name
+          ? indigenousService.getStoriesForConstellation(object.name)
+            .filter(story => story.western_name.toLowerCase().includes(object.name.toLowerCase()))
+          : [];
+        return this.buildEntry({
+          kind: PLANNER_KINDS.DEEP_SKY,
+          id: object.id,
+          name: getDeepSkyDisplayName(object),
+          description: `${DEEP_SKY_TYPES[object.type].label} in ${object.constellation}`,
+          magnitude: object.mag,
+          stories: storiesFor(stories),
+        }, events, this.getNightVisibility(fixedAltitude(object.ra, object.dec), darkWindow, events.transit), darkWindow);
+      })
+      .filter(Boolean);
+
+    const entries = [...constellations, ...bodies, ...deepSky]
+      .filter(entry => entry.peakAltitude > 0)
+      .filter(entry => cultures.length === 0 || entry.stories.length > 0)
+      .sort((a, b) => b.score - a.score);
+
+    return { darkWindow, entries };
+  }
+
+  // Hours of darkness in the window, for display
+  static getDarkHours(darkWindow) {
+    return (darkWindow.end - darkWindow.start) / HOUR_MS;
+  }
+}
@@ -0,0 +1,318 @@
+// Satellite positions and visible passes from two-line element sets (TLE), propagated with SGP4
+import * as Satellite from 'satellite.js';
+import * as Astronomy from 'astronomy-engine';
+import { TwilightCalculator, SUN_ALTITUDE_LIMITS } from './twilight';
+
+const EARTH_RADIUS_KM = 6371;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDeg = 180 / Math.PI;
+
+// Elements older than this give positions that are off by minutes along the track
+export const TLE_STALE_DAYS = 14;
+
+// Passes below this altitude are lost in horizon haze and buildings
+export const DEFAULT_MIN_PASS_ALTITUDE = 10;
+
+// A satellite can only be seen once the sky is darker than civil twilight
+const MAX_SUN_ALTITUDE_FOR_VISIBILITY = SUN_ALTITUDE_LIMITS.CIVIL;
+
+// Sampling step while searching for passes; low-orbit passes last several minutes
+const PASS_SEARCH_STEP_SECONDS = 30;
+
+// TLE checksum: sum of the digits with '-' counting as 1, modulo 10
+const tleChecksum = (line) => {
+  let sum = 0;
+  for (const char of line.slice(0, 68)) {
+    if (char >= '0' && char <= '9') sum += Number(char);
+    else if (char === '-') sum += 1;
+  }
+  return sum % 10;
+};
+
+export class SatelliteCalculator {
+  /**
+   * Parse TLE text in two-line or three-line (name + two lines) format
+   * @param {string} text - File contents
+   * @returns {{satellites: Array<Object>, errors: Array<{line: number, message: string}>}}
+   *   satellites carry name, noradId, line1, line2, epoch (Date) and the SGP4 record (satrec)
+   */
+  static parseTle(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trimEnd());
+    const satellites = [];
+    const errors = [];
+    let pendingName = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line.trim()) continue;
+
+      if (!line.startsWith('1 ')) {
+        pendingName = line.replace(/^0 /, '').trim();
+        continue;
+      }
+
+      const line1 = line;
+      const line2 = lines[i + 1] || '';
+      const lineNumber = i + 1;
+      i += 1;
+
+      if (!line2.startsWith('2 ') || line1.length < 69 || line2.length < 69) {
+        errors.push({ line: lineNumber, message: 'Expected a pair of 69-character lines starting with 1 and 2' });
+        pendingName = null;
+        continue;
+      }
+      if (line1.slice(2, 7) !== line2.slice(2, 7)) {
+        errors.push({ line: lineNumber, message: 'Catalog numbers on lines 1 and 2 differ' });
+        pendingName = null;
+        continue;
+      }
+      if (tleChecksum(line1) !== Number(line1[68]) || tleChecksum(line2) !== Number(line2[68])) {
+        errors.push({ line: lineNumber, message: 'Checksum mismatch' });
+        pendingName = null;
+        continue;
+      }
+
+      const satrec = Satellite.twoline2satrec(line1, line2);
+      if (satrec.error) {
+        errors.push({ line: lineNumber, message: `Invalid orbital elements (SGP4 error ${satrec.error})` });
+        pendingName = null;
+        continue;
+      }
+
+      const noradId = line1.slice(2, 7).trim();
+      satellites.push({
+        name: pendingName || `NORAD ${noradId}`,
+        noradId,
+        line1,
+        line2,
+        epoch: this.getEpoch(satrec),
+        satrec,
+      });
+      pendingName = null;
+    }
+
+    return { satellites, errors };
+  }
+
+  // Element set epoch as a Date
+  static getEpoch(satrec) {
+    const year = satrec.epochyr < 57 ? 2000 + satrec.epochyr : 1900 + satrec.epochyr;
+    return new Date(Date.UTC(year, 0, 1) + (satrec.epochdays - 1) * DAY_MS);
+  }
+
+  // Days between the element epoch and `date`; positions degrade as this grows
+  static getTleAgeDays(satellite, date = new Date()) {
+    return Math.abs(date.getTime() - satellite.epoch.getTime()) / DAY_MS;
+  }
+
+  static isStale(satellite, date = new Date()) {
+    return this.getTleAgeDays(satellite, date) > TLE_STALE_DAYS;
+  }
+
+  /**
+   * True when the satellite is outside Earth's shadow (cylindrical shadow model)
+   * @param {{x: number, y: number, z: number}} positionEci - Kilometres, Earth-centred equatorial
+   * @param {Date} date
+   */
+  static isSunlit(positionEci, date) {
+    const sun = Astronomy.GeoVector(Astronomy.Body.Sun, date, true);
+    const sunDistance = Math.sqrt(sun.x * sun.x + sun.y * sun.y + sun.z * sun.z);
+    const towardSun = { x: sun.x / sunDistance, y: sun.y / sunDistance, z: sun.z / sunDistance };
+
+    const alongSun = positionEci.x * towardSun.x + positionEci.y * towardSun.y + positionEci.z * towardSun.z;
+    if (alongSun > 0) return true;
+
+    const offAxisX = positionEci.x - alongSun * towardSun.x;
+    const offAxisY = positionEci.y - alongSun * towardSun.y;
+    const offAxisZ = positionEci.z - alongSun * towardSun.z;
+    return Math.sqrt(offAxisX * offAxisX + offAxisY * offAxisY + offAxisZ * offAxisZ) > EARTH_RADIUS_KM;
+  }
+
+  /**
+   * Where the satellite is seen from the observer
+   * @param {Object} satellite - Entry from parseTle
+   * @param {Object} location - expo-location result
+   * @param {Date} date
+   * @returns {{altitude: number, azimuth: number, rangeKm: number, sunlit: boolean}|null}
+   *   Degrees; null when SGP4 fails (decayed or corrupt elements)
+   */
+  static getPosition(satellite, location, date = new Date()) {
+    const state = Satellite.propagate(satellite.satrec, date);
+    if (!state || !state.position || typeof state.position === 'boolean') return null;
+
+    const { latitude, longitude, altitude } = location.coords;
+    const observer = {
+      latitude: Satellite.degreesToRadians(latitude),
+      longitude: Satellite.degreesToRadians(longitude),
+      height: (altitude || 0) / 1000,
+    };
+    const gmst = Satellite.gstime(date);
+    const look = Satellite.ecfToLookAngles(observer, Satellite.eciToEcf(state.position, gmst));
+
+    return {
+      altitude: look.elevation * toDeg,
+      azimuth: ((look.azimuth * toDeg) + 360) % 360,
+      rangeKm: look.rangeSat,
+      sunlit: this.isSunlit(state.position, date),
+    };
+  }
+
+  // True when the satellite can be seen with the naked eye: sunlit, above the horizon, observer in darkness
+  static isVisible(position, location, date) {
+    if (!position || position.altitude <= 0 || !position.sunlit) return false;
+    const { latitude, longitude } = location.coords;
+    return TwilightCalculator.getSunAltitude(latitude, longitude, date) < MAX_SUN_ALTITUDE_FOR_VISIBILITY;
+  }
+
+  /**
+   * Positions along the track around `date`, for drawing the satellite's path
+   * @param {number} minutes - Span before and after `date`
+   * @param {number} stepSeconds
+   * @returns {Array<{time: Date, altitude: number, azimuth: number, sunlit: boolean}>}
+   */
+  static getTrack(satellite, location, date = new Date(), minutes = 5, stepSeconds = 20) {
+    const track = [];
+    for (let offset = -minutes * 60; offset <= minutes * 60; offset += stepSeconds) {
+      const time = new Date(date.getTime() + offset * 1000);
+      const position = this.getPosition(satellite, location, time);
+      if (position) track.push({ time, ...position });
+    }
+    return track;
+  }
+
+  /**
+   * Passes above `minAltitude` in the coming hours
+   * @param {Object} satellite - Entry from parseTle
+   * @param {Object} location - expo-location result
+   * @param {Date} start
+   * @param {Object} options - hours to search (default 24) and minAltitude in degrees
+   * @returns {Array<Object>} Passes in time order: satellite name and noradId, rise/culmination/set
+   *   ({time, altitude, azimuth, sunlit}), and visible with visibleStart/visibleEnd when the pass can be seen
+   */
+  static predictPasses(satellite, location, start = new Date(), { hours = 24, minAltitude = DEFAULT_MIN_PASS_ALTITUDE } = {}) {
+    const passes = [];
+    const end = start.getTime() + hours * 60 * 60 * 1000;
+    const stepMs = PASS_SEARCH_STEP_SECONDS * 1000;
+
+    const altitudeAt = (time) => this.getPosition(satellite, location, new Date(time))?.altitude ?? -90;
+    // null when SGP4 gives up on the elements partway through the pass
+    const point = (time) => {
+      const position = this.getPosition(satellite, location, new Date(time));
+      if (!position) return null;
+      return { time: new Date(time), altitude: position.altitude, azimuth: position.azimuth, sunlit: position.sunlit };
+    };
+    // Bisect to the second where the altitude crosses minAltitude between `below` and `above`
+    const refineCrossing = (below, above) => {
+      while (Math.abs(above - below) > 1000) {
+        const middle = (below + above) / 2;
+        if (altitudeAt(middle) >= minAltitude) above = middle;
+        else below = middle;
+      }
+      return above;
+    };
+    // Narrow the highest sample down to the second; altitude has a single maximum within a step either side
+    const refinePeak = (pass) => {
+      let low = Math.max(pass.riseTime, pass.peakTime - stepMs);
+      let high = Math.min(pass.setTime, pass.peakTime + stepMs);
+      while (high - low > 1000) {
+        const third = (high - low) / 3;
+        if (altitudeAt(low + third) < altitudeAt(high - third)) low += third;
+        else high -= third;
+      }
+      return (low + high) / 2;
+    };
+
+    let previousTime = start.getTime();
+    let previousAltitude = altitudeAt(previousTime);
+    // A pass already in progress starts now
+    let current = previousAltitude >= minAltitude ? this.startPass(previousTime) : null;
+    if (current) this.samplePass(current, satellite, location, previousTime, previousAltitude);
+
+    for (let time = previousTime + stepMs; time <= end + stepMs; time += stepMs) {
+      const position = this.getPosition(satellite, location, new Date(time));
+      // Decayed elements: SGP4 cannot follow the satellite any further, so a pass in progress never sets
+      if (!position) break;
+      const altitude = position.altitude;
+
+      if (!current && altitude >= minAltitude && previousAltitude < minAltitude) {
+        current = this.startPass(refineCrossing(previousTime, time));
+      }
+
+      if (current) {
+        if (altitude >= minAltitude) {
+          this.samplePass(current, satellite, location, time, altitude);
+        } else {
+          current.setTime = refineCrossing(time, previousTime);
+          current.peakTime = refinePeak(current);
+          const pass = this.finishPass(current, satellite, point);
+          if (pass) passes.push(pass);
+          current = null;
+        }
+      }
+
+      previousTime = time;
+      previousAltitude = altitude;
+      if (time > end && !current) break;
+    }
+
+    return passes;
+  }
+
+  static startPass(riseTime) {
+    return { riseTime, peakTime: riseTime, peakAltitude: -90, visibleStart: null, visibleEnd: null };
+  }
+
+  // Track the highest point and the stretch where the satellite is sunlit against a dark sky
+  static samplePass(pass, satellite, location, time, altitude) {
+    if (altitude > pass.peakAltitude) {
+      pass.peakAltitude = altitude;
+      pass.peakTime = time;
+    }
+    const date = new Date(time);
+    if (this.isVisible(this.getPosition(satellite, location, date), location, date)) {
+      if (!pass.visibleStart) pass.visibleStart = date;
+      pass.visibleEnd = date;
+    }
+  }
+
+  // null when a decayed element set cannot place the satellite at one of the pass events
+  static finishPass(pass, satellite, point) {
+    const rise = point(pass.riseTime);
+    const culmination = point(pass.peakTime);
+    const set = point(pass.setTime);
+    if (!rise || !culmination || !set) return null;
+
+    return {
+      satelliteName: satellite.name,
+      noradId: satellite.noradId,
+      rise,
+      culmination,
+      set,
+      durationSeconds: Math.round((pass.setTime - pass.riseTime) / 1000),
+      visible: pass.visibleStart !== null,
+      visibleStart: pass.visibleStart,
+      visibleEnd: pass.visibleEnd,
+    };
+  }
+
+  /**
+   * Passes of every satellite, soonest first
+   * @param {Array<Object>} satellites - Entries from parseTle
+   * @param {boolean} visibleOnly - Drop passes that happen in daylight or in Earth's shadow
+   */
+  static predictAllPasses(satellites, location, start = new Date(), { visibleOnly = true, ...options } = {}) {
+    if (!location) return [];
+
+    return satellites
+      .flatMap(satellite => {
+        try {
+          return this.predictPasses(satellite, location, start, options);
+        } catch (error) {
+          console.error(`Error predicting passes for ${satellite.name}:`, error);
+          return [];
+        }
+      })
+      .filter(pass => !visibleOnly || pass.visible)
+      .sort((a, b) => a.rise.time - b.rise.time);
+  }
+}
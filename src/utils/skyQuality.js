@@ -0,0 +1,260 @@
+// On-device sky quality estimation from captured night-sky photos
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { decode } from 'base-64';
+import jpeg from 'jpeg-js';
+import { CAMERA_CONFIG } from '../core/config/constants';
+
+// Bump when the estimation model changes so stored results can be told apart
+export const SKY_QUALITY_ANALYZER_VERSION = 1;
+
+// Longest side of the working image after binning; keeps analysis fast on 12MP captures
+const ANALYSIS_MAX_DIMENSION = 800;
+
+// Longest side a photo is shrunk to natively before it is decoded in JavaScript
+const DECODE_MAX_DIMENSION = 2 * ANALYSIS_MAX_DIMENSION;
+
+// A pixel must stand this many noise sigmas above the background to count as a star
+const DETECTION_SIGMA = 5;
+
+// Zenith sky brightness (mag/arcsec²) of a pristine site, and the background level it maps to
+const DARK_SKY_BRIGHTNESS = 22.0;
+const DARK_SKY_BACKGROUND = 0.002;
+
+// Naked-eye limiting magnitude thresholds for Bortle classes 1-8 (anything fainter is 9)
+const BORTLE_LIMITING_MAGNITUDES = [7.6, 7.1, 6.6, 6.1, 5.6, 5.1, 4.6, 4.1];
+
+export class SkyQualityAnalyzer {
+  /**
+   * Decode a captured JPEG and estimate sky quality
+   * @param {string} uri - Local file URI of the photo
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  static async analyzePhoto(uri) {
+    try {
+      const image = await this.decodePhoto(uri);
+      return { data: this.analyzeImage(image), error: null };
+    } catch (error) {
+      console.error('Sky quality analysis error:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Shrink a photo natively to DECODE_MAX_DIMENSION and decode it. Decoding a full 12MP JPEG on the
+   * JS thread would freeze the rating screen for seconds; binning would average it down anyway.
+   * @param {string} uri - Local file URI of the photo
+   * @returns {Promise<{width: number, height: number, data: Uint8Array}>} Decoded RGBA image
+   */
+  static async decodePhoto(uri) {
+    const context = ImageManipulator.manipulate(uri);
+    let image = await context.renderAsync();
+    const scale = DECODE_MAX_DIMENSION / Math.max(image.width, image.height);
+    if (scale < 1) {
+      context.resize(image.width >= image.height
+        ? { width: Math.round(image.width * scale) }
+        : { height: Math.round(image.height * scale) });
+      image = await context.renderAsync();
+    }
+    const { base64 } = await image.saveAsync({ base64: true, compress: 1, format: SaveFormat.JPEG });
+
+    return this.decodeJpeg(base64);
+  }
+
+  /**
+   * Decode base64 JPEG data into RGBA pixels
+   * @param {string} base64
+   * @returns {{width: number, height: number, data: Uint8Array}}
+   */
+  static decodeJpeg(base64) {
+    const binaryString = decode(base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+
+    return jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+  }
+
+  /**
+   * Measure the sky background and find star-like point sources
+   * @param {{width: number, height: number, data: Uint8Array}} image - Decoded RGBA image
+   * @returns {{background: number, noise: number, sources: Array<{x: number, y: number, flux: number}>}}
+   *   Source positions are in original image pixels
+   */
+  static detectPointSources(image) {
+    const grid = this.binLuminance(image);
+    const { background, noise } = this.measureBackground(grid.values);
+    const sources = this.findPointSources(grid, background, noise);
+    return { background, noise, sources };
+  }
+
+  /**
+   * Estimate sky quality from decoded RGBA pixels
+   * @param {{width: number, height: number, data: Uint8Array}} image - Decoded RGBA image
+   * @param {Object} [detection] - Result of detectPointSources when it has already been run
+   * @returns {Object} Background level, star count, sky brightness, limiting magnitude and Bortle class
+   */
+  static analyzeImage(image, detection = this.detectPointSources(image)) {
+    const { background, noise } = detection;
+    const starCount = detection.sources.length;
+
+    const skyBrightness = this.estimateSkyBrightness(background);
+    const limitingMagnitude = this.estimateLimitingMagnitude(skyBrightness, starCount);
+
+    return {
+      background, // Linear luminance 0-1
+      backgroundNoise: noise,
+      starCount,
+      skyBrightness, // mag/arcsec², uncalibrated estimate
+      limitingMagnitude,
+      bortleClass: this.limitingMagnitudeToBortle(limitingMagnitude),
+      analyzerVersion: SKY_QUALITY_ANALYZER_VERSION,
+    };
+  }
+
+  // sRGB 8-bit value to linear light 0-1
+  static srgbToLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * Average linear luminance over square bins so the longest side is at most ANALYSIS_MAX_DIMENSION
+   * @returns {{width: number, height: number, binSize: number, values: Float32Array}}
+   */
+  static binLuminance({ width, height, data }) {
+    const binSize = Math.max(1, Math.ceil(Math.max(width, height) / ANALYSIS_MAX_DIMENSION));
+    const gridWidth = Math.floor(width / binSize);
+    const gridHeight = Math.floor(height / binSize);
+    const values = new Float32Array(gridWidth * gridHeight);
+
+    const lut = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      lut[i] = this.srgbToLinear(i);
+    }
+
+    const pixelsPerBin = binSize * binSize;
+    for (let gy = 0; gy < gridHeight; gy++) {
+      for (let gx = 0; gx < gridWidth; gx++) {
+        let sum = 0;
+        for (let y = gy * binSize; y < (gy + 1) * binSize; y++) {
+          let offset = (y * width + gx * binSize) * 4;
+          for (let x = 0; x < binSize; x++) {
+            // Rec. 709 luminance
+            sum += 0.2126 * lut[data[offset]] + 0.7152 * lut[data[offset + 1]] + 0.0722 * lut[data[offset + 2]];
+            offset += 4;
+          }
+        }
+        values[gy * gridWidth + gx] = sum / pixelsPerBin;
+      }
+    }
+
+    return { width: gridWidth, height: gridHeight, binSize, values };
+  }
+
+  /**
+   * Sky background as the median luminance, noise as the scaled median absolute deviation.
+   * Both statistics ignore the few bright pixels from stars, the Moon or streetlights.
+   */
+  static measureBackground(values) {
+    const sorted = Float32Array.from(values).sort();
+    const median = sorted[Math.floor(sorted.length / 2)] || 0;
+
+    const deviations = sorted.map(value => Math.abs(value - median)).sort();
+    const mad = deviations[Math.floor(deviations.length / 2)] || 0;
+
+    // A perfectly flat frame has zero MAD; keep a floor so quantization steps are not counted as stars
+    return { background: median, noise: Math.max(mad * 1.4826, 1 / 255 / 12.92) };
+  }
+
+  /**
+   * Find local maxima that are significantly brighter than the background and compact,
+   * i.e. fall off sharply within a few pixels like a star rather than a cloud or light dome.
+   */
+  static findPointSources({ width, height, binSize, values }, background, noise) {
+    const threshold = background + DETECTION_SIGMA * noise;
+    const ringRadius = 3;
+    const sources = [];
+
+    for (let y = ringRadius; y < height - ringRadius; y++) {
+      for (let x = ringRadius; x < width - ringRadius; x++) {
+        const index = y * width + x;
+        const peak = values[index];
+        if (peak < threshold) continue;
+
+        // Local maximum in the 3x3 neighbourhood (ties broken toward the first pixel)
+        let isMaximum = true;
+        for (let dy = -1; dy <= 1 && isMaximum; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            const neighbour = values[index + dy * width + dx];
+            if (neighbour > peak || (neighbour === peak && (dy < 0 || (dy === 0 && dx < 0)))) {
+              isMaximum = false;
+              break;
+            }
+          }
+        }
+        if (!isMaximum) continue;
+
+        // Mean of the square ring at ringRadius must drop at least halfway back to the background
+        let ringSum = 0;
+        let ringCount = 0;
+        for (let d = -ringRadius; d <= ringRadius; d++) {
+          ringSum += values[(y - ringRadius) * width + x + d] + values[(y + ringRadius) * width + x + d];
+          ringCount += 2;
+          if (Math.abs(d) < ringRadius) {
+            ringSum += values[(y + d) * width + x - ringRadius] + values[(y + d) * width + x + ringRadius];
+            ringCount += 2;
+          }
+        }
+        if (ringSum / ringCount - background < (peak - background) * 0.5) {
+          sources.push({
+            x: (x + 0.5) * binSize,
+            y: (y + 0.5) * binSize,
+            flux: peak - background,
+          });
+        }
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Convert the linear background level to an approximate zenith sky brightness.
+   * Phone auto-exposure is unknown, so this is relative to DARK_SKY_BACKGROUND and clamped to 16-22.
+   */
+  static estimateSkyBrightness(background) {
+    const level = Math.max(background, 1e-6);
+    const brightness = DARK_SKY_BRIGHTNESS - 2.5 * Math.log10(level / DARK_SKY_BACKGROUND);
+    return Math.round(Math.min(DARK_SKY_BRIGHTNESS, Math.max(16, brightness)) * 100) / 100;
+  }
+
+  /**
+   * Naked-eye limiting magnitude from sky brightness, refined by the density of detected stars.
+   * Star density uses log10(N per deg²) ≈ 0.5 m - 3.9 (about 5000 stars brighter than magnitude 6).
+   */
+  static estimateLimitingMagnitude(skyBrightness, starCount) {
+    // Schaefer-style relation between surface brightness and NELM
+    const fromSky = 7.93 - 5 * Math.log10(Math.pow(10, 4.316 - skyBrightness / 5) + 1);
+
+    if (starCount === 0) {
+      return Math.round(fromSky * 10) / 10;
+    }
+
+    // Turn the star count into a density over the typical phone camera field
+    const fieldArea = CAMERA_CONFIG.BACK_CAMERA_FOV_DEGREES.horizontal * CAMERA_CONFIG.BACK_CAMERA_FOV_DEGREES.vertical;
+    const fromStars = (Math.log10(starCount / fieldArea) + 3.9) / 0.5;
+    const combined = (fromSky + fromStars) / 2;
+
+    return Math.round(Math.min(8, Math.max(1, combined)) * 10) / 10;
+  }
+
+  /**
+   * Map limiting magnitude onto the 1-9 Bortle dark-sky scale
+   */
+  static limitingMagnitudeToBortle(limitingMagnitude) {
+    const index = BORTLE_LIMITING_MAGNITUDES.findIndex(threshold => limitingMagnitude >= threshold);
+    return index === -1 ? 9 : index + 1;
+  }
+}
@@ -0,0 +1,125 @@
+// Solar system body positions (Sun, Moon and planets) using astronomy-engine
+import * as Astronomy from 'astronomy-engine';
+
+// Bodies drawn alongside the constellations. `size` is the base marker radius in pixels.
+export const SOLAR_SYSTEM_BODIES = [
+  { id: 'sun', name: 'Sun', body: Astronomy.Body.Sun, type: 'sun', color: '#FFB300', size: 12 },
+  { id: 'moon', name: 'Moon', body: Astronomy.Body.Moon, type: 'moon', color: '#F5F5F5', size: 10 },
+  { id: 'mercury', name: 'Mercury', body: Astronomy.Body.Mercury, type: 'planet', color: '#B0A89A', size: 4 },
+  { id: 'venus', name: 'Venus', body: Astronomy.Body.Venus, type: 'planet', color: '#FFF3C4', size: 6 },
+  { id: 'mars', name: 'Mars', body: Astronomy.Body.Mars, type: 'planet', color: '#E0603A', size: 5 },
+  { id: 'jupiter', name: 'Jupiter', body: Astronomy.Body.Jupiter, type: 'planet', color: '#E8C89A', size: 6 },
+  { id: 'saturn', name: 'Saturn', body: Astronomy.Body.Saturn, type: 'planet', color: '#E3D19A', size: 5 },
+  { id: 'uranus', name: 'Uranus', body: Astronomy.Body.Uranus, type: 'planet', color: '#A6E3E9', size: 3 },
+  { id: 'neptune', name: 'Neptune', body: Astronomy.Body.Neptune, type: 'planet', color: '#7DA7F0', size: 3 },
+];
+
+// Rise, transit and set per body and observer, reused until the earliest of those events has passed
+const riseTransitSetCache = new Map();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class SolarSystemCalculator {
+  // Build an astronomy-engine observer from an expo-location result
+  static getObserver(location) {
+    const { latitude, longitude, altitude } = location.coords;
+    return new Astronomy.Observer(latitude, longitude, altitude || 0);
+  }
+
+  // Next rise, upper transit and set after the given date (null when the body does not rise or set within limitDays)
+  static calculateRiseTransitSet(body, observer, date = new Date(), limitDays = 1) {
+    try {
+      const rise = Astronomy.SearchRiseSet(body, observer, +1, date, limitDays);
+      const set = Astronomy.SearchRiseSet(body, observer, -1, date, limitDays);
+      const transit = Astronomy.SearchHourAngle(body, observer, 0, date);
+
+      return {
+        riseTime: rise ? rise.date : null,
+        transitTime: transit ? transit.time.date : null,
+        transitAltitude: transit ? transit.hor.altitude : null,
+        setTime: set ? set.date : null,
+      };
+    } catch (error) {
+      console.error('Error calculating rise/transit/set:', error);
+      return { riseTime: null, transitTime: null, transitAltitude: null, setTime: null };
+    }
+  }
+
+  /**
+   * calculateRiseTransitSet, cached: the next events after `date` stay the same until the first of
+   * them has passed, so position refreshes and the simulated-time tick do not repeat the searches.
+   * Searching two days ahead keeps a day's worth of rises and sets valid for a whole day.
+   */
+  static getCachedRiseTransitSet(body, observer, date = new Date()) {
+    // Rounding to 0.01° (about a kilometre) keeps location jitter from emptying the cache
+    const key = `${body}|${observer.latitude.toFixed(2)}|${observer.longitude.toFixed(2)}`;
+    const time = date.getTime();
+    let cached = riseTransitSetCache.get(key);
+    if (!cached || time < cached.from || time >= cached.until) {
+      const events = this.calculateRiseTransitSet(body, observer, date, 2);
+      const eventTimes = [events.riseTime, events.transitTime, events.setTime].filter(Boolean);
+      cached = {
+        from: time,
+        until: Math.min(time + DAY_MS, ...eventTimes.map(eventTime => eventTime.getTime())),
+        events,
+      };
+      riseTransitSetCache.set(key, cached);
+    }
+
+    // Same one-day limit as an uncached search
+    const withinDay = eventTime => (eventTime && eventTime.getTime() - time <= DAY_MS ? eventTime : null);
+    return {
+      ...cached.events,
+      riseTime: withinDay(cached.events.riseTime),
+      setTime: withinDay(cached.events.setTime),
+    };
+  }
+
+  // Topocentric position, brightness and phase for a single body
+  static calculateBodyPosition(bodyInfo, observer, date = new Date()) {
+    // Apparent equatorial coordinates of date, corrected for parallax and aberration
+    const equatorial = Astronomy.Equator(bodyInfo.body, date, observer, true, true);
+    const horizontal = Astronomy.Horizon(date, observer, equatorial.ra, equatorial.dec, 'normal');
+    const illumination = Astronomy.Illumination(bodyInfo.body, date);
+
+    return {
+      ...bodyInfo,
+      ra: equatorial.ra, // hours
+      dec: equatorial.dec, // degrees
+      distanceAU: equatorial.dist,
+      magnitude: illumination.mag,
+      phase: illumination.phase_fraction, // Illuminated fraction 0-1
+      phaseAngle: illumination.phase_angle, // degrees
+      horizontalPosition: {
+        altitude: horizontal.altitude,
+        azimuth: horizontal.azimuth,
+      },
+      ...this.getCachedRiseTransitSet(bodyInfo.body, observer, date),
+      visible: horizontal.altitude > 0,
+    };
+  }
+
+  // Calculate positions for the Sun, Moon and major planets for a location and time
+  static calculateBodyPositions(location, date = new Date()) {
+    if (!location) return [];
+
+    const observer = this.getObserver(location);
+
+    return SOLAR_SYSTEM_BODIES
+      .map(bodyInfo => {
+        try {
+          return this.calculateBodyPosition(bodyInfo, observer, date);
+        } catch (error) {
+          console.error(`Error calculating position for ${bodyInfo.name}:`, error);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Marker radius scaled by brightness so Venus and Jupiter stand out from the outer planets
+  static getMarkerSize(body, baseScale = 1) {
+    if (body.type !== 'planet') return body.size * baseScale;
+    const brightnessBoost = Math.max(0, 1 - body.magnitude) * 0.5;
+    return Math.max(2, (body.size + brightnessBoost) * baseScale);
+  }
+}
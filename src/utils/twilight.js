@@ -0,0 +1,151 @@
+// Sunrise, sunset and twilight phases using astronomy-engine
+import * as Astronomy from 'astronomy-engine';
+
+export const TWILIGHT_PHASES = {
+  DAY: 'day',
+  CIVIL: 'civil',
+  NAUTICAL: 'nautical',
+  ASTRONOMICAL: 'astronomical',
+  NIGHT: 'night',
+};
+
+export const TWILIGHT_PHASE_LABELS = {
+  [TWILIGHT_PHASES.DAY]: 'Daytime',
+  [TWILIGHT_PHASES.CIVIL]: 'Civil twilight',
+  [TWILIGHT_PHASES.NAUTICAL]: 'Nautical twilight',
+  [TWILIGHT_PHASES.ASTRONOMICAL]: 'Astronomical twilight',
+  [TWILIGHT_PHASES.NIGHT]: 'Night',
+};
+
+// Sun altitude (degrees) at which each phase begins as the Sun goes down.
+// Sunrise/sunset use the upper limb with standard refraction.
+export const SUN_ALTITUDE_LIMITS = {
+  SUNSET: -0.833,
+  CIVIL: -6,
+  NAUTICAL: -12,
+  ASTRONOMICAL: -18,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class TwilightCalculator {
+  // Apparent altitude of the Sun's centre in degrees
+  static getSunAltitude(latitude, longitude, date = new Date()) {
+    const observer = new Astronomy.Observer(latitude, longitude, 0);
+    const equatorial = Astronomy.Equator(Astronomy.Body.Sun, date, observer, true, true);
+    return Astronomy.Horizon(date, observer, equatorial.ra, equatorial.dec, 'normal').altitude;
+  }
+
+  // Twilight phase for a Sun altitude
+  static getPhase(sunAltitude) {
+    if (sunAltitude > SUN_ALTITUDE_LIMITS.SUNSET) return TWILIGHT_PHASES.DAY;
+    if (sunAltitude > SUN_ALTITUDE_LIMITS.CIVIL) return TWILIGHT_PHASES.CIVIL;
+    if (sunAltitude > SUN_ALTITUDE_LIMITS.NAUTICAL) return TWILIGHT_PHASES.NAUTICAL;
+    if (sunAltitude > SUN_ALTITUDE_LIMITS.ASTRONOMICAL) return TWILIGHT_PHASES.ASTRONOMICAL;
+    return TWILIGHT_PHASES.NIGHT;
+  }
+
+  // Start of the local mean-time day containing `date` (midnight at the observer's longitude)
+  static getLocalDayStart(longitude, date) {
+    const offsetMs = (longitude / 15) * HOUR_MS;
+    const local = new Date(date.getTime() + offsetMs);
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - offsetMs);
+  }
+
+  // Time the Sun crosses `altitude` during the day (direction +1 rising, -1 setting); null if it never does
+  static searchSunAltitude(observer, direction, dayStart, altitude) {
+    const time = Astronomy.SearchAltitude(Astronomy.Body.Sun, observer, direction, dayStart, 1, altitude);
+    if (!time || time.date.getTime() - dayStart.getTime() >= 24 * HOUR_MS) return null;
+    return time.date;
+  }
+
+  /**
+   * Sun events and the current twilight phase for the local day containing `date`
+   * Events the Sun never reaches that day (polar summer and winter, white nights) are null.
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees, east positive
+   * @param {Date} date
+   * @returns {Object} phase, sunAltitude, sunrise/sunset, civil/nautical/astronomical dawn and dusk,
+   *   solarNoon, polarDay (Sun up all day) and polarNight (Sun down all day)
+   */
+  static calculateTwilight(latitude, longitude, date = new Date()) {
+    const sunAltitude = this.getSunAltitude(latitude, longitude, date);
+    const observer = new Astronomy.Observer(latitude, longitude, 0);
+    const dayStart = this.getLocalDayStart(longitude, date);
+    const events = (limit) => ({
+      rise: this.searchSunAltitude(observer, +1, dayStart, limit),
+      set: this.searchSunAltitude(observer, -1, dayStart, limit),
+    });
+
+    const sun = events(SUN_ALTITUDE_LIMITS.SUNSET);
+    const civil = events(SUN_ALTITUDE_LIMITS.CIVIL);
+    const nautical = events(SUN_ALTITUDE_LIMITS.NAUTICAL);
+    const astronomical = events(SUN_ALTITUDE_LIMITS.ASTRONOMICAL);
+
+    const noon = Astronomy.SearchHourAngle(Astronomy.Body.Sun, observer, 0, dayStart);
+    const noonAltitude = noon.hor.altitude;
+    const neverCrossesHorizon = !sun.rise && !sun.set;
+
+    return {
+      phase: this.getPhase(sunAltitude),
+      sunAltitude,
+      solarNoon: noon.time.date,
+      sunrise: sun.rise,
+      sunset: sun.set,
+      civilDawn: civil.rise,
+      civilDusk: civil.set,
+      nauticalDawn: nautical.rise,
+      nauticalDusk: nautical.set,
+      astronomicalDawn: astronomical.rise,
+      astronomicalDusk: astronomical.set,
+      polarDay: neverCrossesHorizon && noonAltitude > SUN_ALTITUDE_LIMITS.SUNSET,
+      polarNight: neverCrossesHorizon && noonAltitude <= SUN_ALTITUDE_LIMITS.SUNSET,
+    };
+  }
+
+  /**
+   * Dark hours of the night in progress or the coming night: from dusk until the following dawn.
+   * Uses the darkest twilight the Sun reaches that night (astronomical where possible), reported as `darkness`.
+   * @returns {{start: Date, end: Date, darkness: string}|null} null during polar day (no dark hours)
+   */
+  static getDarkWindow(latitude, longitude, date = new Date()) {
+    const today = this.calculateTwilight(latitude, longitude, date);
+    if (today.polarDay) return null;
+
+    const dayStart = this.getLocalDayStart(longitude, date);
+    if (today.polarNight) {
+      const solarMidnight = new Date(today.solarNoon.getTime() + 12 * HOUR_MS);
+      const darkness = this.getPhase(this.getSunAltitude(latitude, longitude, solarMidnight));
+      return { start: dayStart, end: new Date(dayStart.getTime() + 24 * HOUR_MS), darkness };
+    }
+
+    const yesterday = this.calculateTwilight(latitude, longitude, new Date(dayStart.getTime() - 12 * HOUR_MS));
+    const tomorrow = this.calculateTwilight(latitude, longitude, new Date(dayStart.getTime() + 36 * HOUR_MS));
+    const levels = [
+      { darkness: TWILIGHT_PHASES.NIGHT, dusk: 'astronomicalDusk', dawn: 'astronomicalDawn' },
+      { darkness: TWILIGHT_PHASES.ASTRONOMICAL, dusk: 'nauticalDusk', dawn: 'nauticalDawn' },
+      { darkness: TWILIGHT_PHASES.NAUTICAL, dusk: 'civilDusk', dawn: 'civilDawn' },
+      { darkness: TWILIGHT_PHASES.CIVIL, dusk: 'sunset', dawn: 'sunrise' },
+    ];
+
+    // Before this morning's dawn the night started yesterday evening
+    for (const level of levels) {
+      const dawn = today[level.dawn];
+      if (dawn && date < dawn && yesterday[level.dusk]) {
+        return { start: yesterday[level.dusk], end: dawn, darkness: level.darkness };
+      }
+    }
+    for (const level of levels) {
+      const dusk = today[level.dusk];
+      if (dusk && tomorrow[level.dawn]) {
+        return { start: dusk, end: tomorrow[level.dawn], darkness: level.darkness };
+      }
+    }
+    return null;
+  }
+
+  // True once the sky is fully dark (Sun more than 18° below the horizon)
+  static isAstronomicalNight(latitude, longitude, date = new Date()) {
+    return this.getPhase(this.getSunAltitude(latitude, longitude, date)) === TWILIGHT_PHASES.NIGHT;
+  }
+}